@@ -2,6 +2,334 @@ const express = require('express');
 const router = express.Router();
 const geminiService = require('../services/gemini.service');
 const htmlFetcherService = require('../services/html-fetcher.service');
+const llmProviders = require('../services/providers');
+const extractionCache = require('../services/extraction-cache.service');
+const scanJobs = require('../services/scan-job.service');
+const batchScan = require('../services/batch-scan.service');
+const groundTruth = require('../services/ground-truth.service');
+const formExecutor = require('../services/form-executor.service');
+const accuracyScorer = require('../services/accuracy-scorer.service');
+
+const RENDER_WAIT_EVENTS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+const YAML_CONTENT_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+const BATCH_BOOLEAN_PARAMS = ['render', 'includeResults', 'cache', 'preprocess'];
+const BATCH_INTEGER_PARAMS = ['concurrency', 'maxChunkChars', 'renderTimeout', 'maxFrameDepth', 'maxFrames'];
+
+/**
+ * Read LLM provider/model, extraction mode, chunking, pre-processing, cache and recording overrides from the request body
+ * @returns {Object} - { options } or { error } when a value is not supported
+ */
+function getScanOptions(body) {
+    const { provider, model, mode, maxChunkChars, preprocess, cache, pageUrl, recording } = body;
+
+    if (provider && !llmProviders.hasProvider(provider)) {
+        return {
+            error: `Unsupported provider: ${provider}. Available: ${llmProviders.availableProviders.join(', ')}`
+        };
+    }
+
+    if (mode && !geminiService.extractionModes.includes(mode)) {
+        return {
+            error: `Unsupported mode: ${mode}. Available: ${geminiService.extractionModes.join(', ')}`
+        };
+    }
+
+    if (maxChunkChars !== undefined && !(Number.isInteger(maxChunkChars) && maxChunkChars >= 1000)) {
+        return {
+            error: 'maxChunkChars must be an integer >= 1000'
+        };
+    }
+
+    if (preprocess !== undefined && typeof preprocess !== 'boolean' && (typeof preprocess !== 'object' || preprocess === null || Array.isArray(preprocess))) {
+        return {
+            error: 'preprocess must be a boolean or an options object'
+        };
+    }
+
+    if (cache !== undefined && typeof cache !== 'boolean') {
+        return {
+            error: 'cache must be a boolean'
+        };
+    }
+
+    if (pageUrl !== undefined && typeof pageUrl !== 'string') {
+        return {
+            error: 'pageUrl must be a string'
+        };
+    }
+
+    if (recording !== undefined && !llmProviders.recordingModes.includes(recording)) {
+        return {
+            error: `Unsupported recording mode: ${recording}. Available: ${llmProviders.recordingModes.join(', ')}`
+        };
+    }
+
+    return { options: { provider, model, mode, maxChunkChars, preprocess, cache, pageUrl, recording } };
+}
+
+/**
+ * Read page-fetching options (headless rendering, frame crawl limits and origin policy) from the request body
+ * @returns {Object} - { options } or { error } when a value is not supported
+ */
+function getFetchOptions(body) {
+    const { render, waitUntil, waitForSelector, renderTimeout, maxFrameDepth, maxFrames, crossOriginFrames } = body;
+
+    if (render !== undefined && typeof render !== 'boolean') {
+        return {
+            error: 'render must be a boolean'
+        };
+    }
+
+    if (waitUntil && !RENDER_WAIT_EVENTS.includes(waitUntil)) {
+        return {
+            error: `Unsupported waitUntil: ${waitUntil}. Available: ${RENDER_WAIT_EVENTS.join(', ')}`
+        };
+    }
+
+    if (waitForSelector !== undefined && (typeof waitForSelector !== 'string' || !waitForSelector.trim())) {
+        return {
+            error: 'waitForSelector must be a non-empty string'
+        };
+    }
+
+    if (renderTimeout !== undefined && !(Number.isInteger(renderTimeout) && renderTimeout > 0)) {
+        return {
+            error: 'renderTimeout must be a positive integer (milliseconds)'
+        };
+    }
+
+    if (maxFrameDepth !== undefined && !(Number.isInteger(maxFrameDepth) && maxFrameDepth >= 0)) {
+        return {
+            error: 'maxFrameDepth must be an integer >= 0'
+        };
+    }
+
+    if (maxFrames !== undefined && !(Number.isInteger(maxFrames) && maxFrames >= 0)) {
+        return {
+            error: 'maxFrames must be an integer >= 0'
+        };
+    }
+
+    if (crossOriginFrames !== undefined && !htmlFetcherService.crossOriginPolicies.includes(crossOriginFrames)) {
+        return {
+            error: `Unsupported crossOriginFrames: ${crossOriginFrames}. Available: ${htmlFetcherService.crossOriginPolicies.join(', ')}`
+        };
+    }
+
+    return {
+        options: { render: render === true, waitUntil, waitForSelector, timeout: renderTimeout, maxFrameDepth, maxFrames, crossOrigin: crossOriginFrames }
+    };
+}
+
+/**
+ * Read batch options from the query string (used when the list itself is the request body)
+ */
+function getBatchQueryOptions(query) {
+    const options = { ...query };
+    BATCH_BOOLEAN_PARAMS.filter(name => options[name] !== undefined).forEach(name => {
+        options[name] = options[name] === 'true' ? true : options[name] === 'false' ? false : options[name];
+    });
+    BATCH_INTEGER_PARAMS.filter(name => options[name] !== undefined).forEach(name => {
+        options[name] = /^\d+$/.test(options[name]) ? parseInt(options[name], 10) : options[name];
+    });
+    return options;
+}
+
+/**
+ * Read the URL/ID list and batch options from a batch request
+ * @returns {Object} - { items, concurrency, includeResults } or { error }
+ */
+function getBatchRequest(req, body) {
+    const { urlTemplate, concurrency, includeResults, format } = body;
+
+    if (format !== undefined && !batchScan.formats.includes(format)) {
+        return {
+            error: `Unsupported format: ${format}. Available: ${batchScan.formats.join(', ')}`
+        };
+    }
+
+    if (urlTemplate !== undefined && (typeof urlTemplate !== 'string' || !urlTemplate.includes('{id}'))) {
+        return {
+            error: 'urlTemplate must be a string containing {id}'
+        };
+    }
+
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= batchScan.maxConcurrency)) {
+        return {
+            error: `concurrency must be an integer between 1 and ${batchScan.maxConcurrency}`
+        };
+    }
+
+    if (includeResults !== undefined && typeof includeResults !== 'boolean') {
+        return {
+            error: 'includeResults must be a boolean'
+        };
+    }
+
+    let entries;
+    try {
+        if (typeof req.body === 'string') {
+            entries = batchScan.parseList(req.body, format || (req.is(YAML_CONTENT_TYPES) ? 'yaml' : undefined));
+        } else if (typeof body.list === 'string') {
+            entries = batchScan.parseList(body.list, format);
+        } else {
+            const key = ['items', 'urls', 'ids'].find(name => Array.isArray(body[name]));
+            if (!key) {
+                return {
+                    error: 'A list is required: items, urls or ids (array), list (JSON, text or YAML string), or a text/YAML request body'
+                };
+            }
+            entries = body[key];
+        }
+    } catch (error) {
+        return {
+            error: `Could not parse list: ${error.message}`
+        };
+    }
+
+    if (entries.length === 0) {
+        return {
+            error: 'List is empty'
+        };
+    }
+
+    if (entries.length > batchScan.maxItems) {
+        return {
+            error: `List has ${entries.length} items, the maximum is ${batchScan.maxItems}`
+        };
+    }
+
+    const items = batchScan.resolveItems(entries, urlTemplate);
+    if (items.every(item => item.error)) {
+        return {
+            error: `No scannable items: ${items[0].error}`
+        };
+    }
+
+    return {
+        items,
+        concurrency: concurrency || batchScan.defaultConcurrency,
+        includeResults: includeResults === true
+    };
+}
+
+/**
+ * Switch a response to Server-Sent Events.
+ * A comment line is sent periodically so proxies don't drop an idle connection
+ * while the model is working; events sent after the client disconnects are dropped.
+ * A disconnect also cancels the analysis: `progress` (the onProgress callback)
+ * throws once the client is gone, which stops the pipeline at its next stage.
+ * @returns {Object} - { send(event, data), progress(event, data), checkCancelled(), cancelled, end() }
+ */
+function openEventStream(res) {
+    let closed = false;
+    let cancelled = false;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(': stream opened\n\n');
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+    // The response closes before it has ended only when the client disconnects
+    // (the request's own 'close' fires as soon as its body has been read)
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+            cancelled = true;
+            console.log('🔌 Event stream client disconnected, cancelling');
+        }
+    });
+
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const checkCancelled = () => {
+        if (cancelled) {
+            const error = new Error('Client disconnected');
+            error.cancelled = true;
+            throw error;
+        }
+    };
+
+    return {
+        send,
+        checkCancelled,
+        progress(event, data) {
+            checkCancelled();
+            send(event, data);
+        },
+        get cancelled() {
+            return cancelled;
+        },
+        end() {
+            clearInterval(heartbeat);
+            if (!closed) res.end();
+        }
+    };
+}
+
+/**
+ * GET /api/scanner/providers
+ * List available LLM providers and extraction modes with their defaults
+ */
+router.get('/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            providers: llmProviders.availableProviders,
+            defaultProvider: llmProviders.getDefaultProviderName(),
+            modes: geminiService.extractionModes,
+            defaultMode: geminiService.defaultMode
+        }
+    });
+});
+
+/**
+ * GET /api/scanner/cache
+ * Extraction cache statistics
+ */
+router.get('/cache', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await extractionCache.stats()
+        });
+    } catch (error) {
+        console.error('Error reading cache stats:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/scanner/cache
+ * Remove all cached extraction results
+ */
+router.delete('/cache', async (req, res) => {
+    try {
+        const removed = await extractionCache.clear();
+        console.log(`🗑️  Cleared ${removed} cached extraction(s)`);
+        res.json({
+            success: true,
+            data: { removed }
+        });
+    } catch (error) {
+        console.error('Error clearing cache:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
 /**
  * POST /api/scanner/extract-forms
@@ -18,7 +346,15 @@ router.post('/extract-forms', async (req, res) => {
             });
         }
 
-        const result = await geminiService.extractForms(htmlContent);
+        const scan = getScanOptions(req.body);
+        if (scan.error) {
+            return res.status(400).json({
+                success: false,
+                error: scan.error
+            });
+        }
+
+        const result = await geminiService.extractForms(htmlContent, scan.options);
 
         res.json({
             success: true,
@@ -40,7 +376,7 @@ router.post('/extract-forms', async (req, res) => {
  */
 router.post('/generate-values', async (req, res) => {
     try {
-        const { formData } = req.body;
+        const { formData, attempts, rowCounts } = req.body;
 
         if (!formData) {
             return res.status(400).json({
@@ -49,7 +385,53 @@ router.post('/generate-values', async (req, res) => {
             });
         }
 
-        const result = await geminiService.generateFieldValues(formData);
+        // A form without fields gets the model's values unchecked; anything else must be a list
+        if (formData.fields !== undefined && !Array.isArray(formData.fields)) {
+            return res.status(400).json({
+                success: false,
+                error: 'formData.fields must be an array'
+            });
+        }
+
+        if (attempts !== undefined) {
+            const validAttempts = Array.isArray(attempts) && attempts.every(attempt => attempt
+                && attempt.values && typeof attempt.values === 'object' && !Array.isArray(attempt.values)
+                && (attempt.errors === undefined || (Array.isArray(attempt.errors) && attempt.errors.every(error => error && typeof error.message === 'string'))));
+            if (!validAttempts) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'attempts must be an array of { values, errors: [{ fieldName?, message }] }'
+                });
+            }
+            if (!Array.isArray(formData.fields)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'formData must have a fields array to regenerate values'
+                });
+            }
+        }
+
+        if (rowCounts !== undefined) {
+            const isCount = count => Number.isInteger(count) && count >= 0;
+            const validRowCounts = isCount(rowCounts) || (rowCounts && typeof rowCounts === 'object' && !Array.isArray(rowCounts)
+                && Object.values(rowCounts).every(isCount));
+            if (!validRowCounts) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'rowCounts must be a non-negative integer or an object of non-negative integers by group name'
+                });
+            }
+        }
+
+        const scan = getScanOptions(req.body);
+        if (scan.error) {
+            return res.status(400).json({
+                success: false,
+                error: scan.error
+            });
+        }
+
+        const result = await geminiService.generateFieldValues(formData, { ...scan.options, attempts, rowCounts });
 
         res.json({
             success: true,
@@ -80,7 +462,15 @@ router.post('/analyze-complete', async (req, res) => {
             });
         }
 
-        const result = await geminiService.analyzeFormsComplete(htmlContent);
+        const scan = getScanOptions(req.body);
+        if (scan.error) {
+            return res.status(400).json({
+                success: false,
+                error: scan.error
+            });
+        }
+
+        const result = await geminiService.analyzeFormsComplete(htmlContent, scan.options);
 
         res.json({
             success: true,
@@ -96,6 +486,53 @@ router.post('/analyze-complete', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/scanner/analyze-complete/stream
+ * Complete analysis streamed as Server-Sent Events:
+ * "extraction" (forms found), one "form" per generated value set, then "complete" (or "error")
+ */
+router.post('/analyze-complete/stream', async (req, res) => {
+    const { htmlContent } = req.body;
+
+    if (!htmlContent) {
+        return res.status(400).json({
+            success: false,
+            error: 'HTML content is required'
+        });
+    }
+
+    const scan = getScanOptions(req.body);
+    if (scan.error) {
+        return res.status(400).json({
+            success: false,
+            error: scan.error
+        });
+    }
+
+    const stream = openEventStream(res);
+    try {
+        const result = await geminiService.analyzeFormsComplete(htmlContent, {
+            ...scan.options,
+            onProgress: stream.progress
+        });
+
+        stream.send('complete', {
+            success: true,
+            data: result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (stream.cancelled) return;
+        console.error('Error in analyze-complete stream:', error);
+        stream.send('error', {
+            success: false,
+            error: error.message
+        });
+    } finally {
+        stream.end();
+    }
+});
+
 /**
  * GET /api/scanner/test-page
  * Get the all-forms page HTML for testing
@@ -126,7 +563,7 @@ router.get('/test-page', async (req, res) => {
 
 /**
  * POST /api/scanner/fetch-url
- * Fetch HTML content from a URL (including iframes)
+ * Fetch HTML content from a URL (including nested iframes/frames)
  */
 router.post('/fetch-url', async (req, res) => {
     try {
@@ -149,8 +586,16 @@ router.post('/fetch-url', async (req, res) => {
             });
         }
 
-        // Fetch with iframe extraction
-        const result = await htmlFetcherService.fetchWithIframes(url);
+        const fetchMode = getFetchOptions(req.body);
+        if (fetchMode.error) {
+            return res.status(400).json({
+                success: false,
+                error: fetchMode.error
+            });
+        }
+
+        // Fetch with iframe extraction (static by default, headless browser when render: true)
+        const result = await htmlFetcherService.fetchPage(url, fetchMode.options);
         
         console.log(`✅ Fetched ${result.combinedHtml.length} characters from ${url} (including ${result.stats.successfulIframes} iframes)`);
 
@@ -160,6 +605,9 @@ router.post('/fetch-url', async (req, res) => {
                 htmlContent: result.combinedHtml,
                 length: result.combinedHtml.length,
                 url: url,
+                rendered: fetchMode.options.render,
+                finalUrl: result.finalUrl,
+                renderTime: result.renderTime,
                 iframeStats: result.stats
             }
         });
@@ -197,23 +645,33 @@ router.post('/analyze-url', async (req, res) => {
             });
         }
 
+        const scan = getScanOptions(req.body);
+        if (scan.error) {
+            return res.status(400).json({
+                success: false,
+                error: scan.error
+            });
+        }
+
+        const fetchMode = getFetchOptions(req.body);
+        if (fetchMode.error) {
+            return res.status(400).json({
+                success: false,
+                error: fetchMode.error
+            });
+        }
+
         console.log(`\n🌐 Fetching and analyzing URL: ${url}`);
         
-        // Fetch with iframe extraction
-        const fetchResult = await htmlFetcherService.fetchWithIframes(url);
-        console.log(`✅ Fetched ${fetchResult.combinedHtml.length} characters (${fetchResult.stats.successfulIframes} iframes), starting analysis...`);
-
-        // Analyze with Gemini
-        const result = await geminiService.analyzeFormsComplete(fetchResult.combinedHtml);
+        // Fetch with iframe extraction (static by default, headless browser when render: true), then analyze
+        const result = await geminiService.analyzeUrl(url, {
+            ...scan.options,
+            fetchOptions: fetchMode.options
+        });
 
         res.json({
             success: true,
-            data: {
-                ...result,
-                sourceUrl: url,
-                htmlLength: fetchResult.combinedHtml.length,
-                iframeStats: fetchResult.stats
-            },
+            data: result,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
@@ -225,4 +683,485 @@ router.post('/analyze-url', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/scanner/analyze-url/stream
+ * Fetch URL and analyze forms, streamed as Server-Sent Events:
+ * "fetch" (page loaded), "extraction", one "form" per generated value set, then "complete" (or "error")
+ */
+router.post('/analyze-url/stream', async (req, res) => {
+    const { url } = req.body;
+
+    if (!url) {
+        return res.status(400).json({
+            success: false,
+            error: 'URL is required'
+        });
+    }
+
+    // Validate URL format
+    try {
+        new URL(url);
+    } catch (e) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid URL format'
+        });
+    }
+
+    const scan = getScanOptions(req.body);
+    if (scan.error) {
+        return res.status(400).json({
+            success: false,
+            error: scan.error
+        });
+    }
+
+    const fetchMode = getFetchOptions(req.body);
+    if (fetchMode.error) {
+        return res.status(400).json({
+            success: false,
+            error: fetchMode.error
+        });
+    }
+
+    const stream = openEventStream(res);
+    try {
+        console.log(`\n🌐 Fetching and analyzing URL (streaming): ${url}`);
+        const result = await geminiService.analyzeUrl(url, {
+            ...scan.options,
+            fetchOptions: fetchMode.options,
+            onProgress: stream.progress
+        });
+
+        stream.send('complete', {
+            success: true,
+            data: result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (stream.cancelled) return;
+        console.error('Error analyzing URL (stream):', error);
+        stream.send('error', {
+            success: false,
+            error: error.message
+        });
+    } finally {
+        stream.end();
+    }
+});
+
+/**
+ * POST /api/scanner/jobs
+ * Queue a complete analysis of a URL (analyze-url) or raw HTML (analyze-complete)
+ */
+router.post('/jobs', async (req, res) => {
+    try {
+        const { url, htmlContent } = req.body;
+
+        if (!url && !htmlContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'URL or HTML content is required'
+            });
+        }
+
+        if (url && htmlContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide either url or htmlContent, not both'
+            });
+        }
+
+        if (url) {
+            // Validate URL format
+            try {
+                new URL(url);
+            } catch (e) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid URL format'
+                });
+            }
+        }
+
+        const scan = getScanOptions(req.body);
+        if (scan.error) {
+            return res.status(400).json({
+                success: false,
+                error: scan.error
+            });
+        }
+
+        const fetchMode = getFetchOptions(req.body);
+        if (fetchMode.error) {
+            return res.status(400).json({
+                success: false,
+                error: fetchMode.error
+            });
+        }
+
+        const job = await scanJobs.create({
+            url,
+            htmlContent,
+            scanOptions: scan.options,
+            fetchOptions: fetchMode.options
+        });
+
+        res.status(202).json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('Error creating scan job:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/scanner/batch
+ * Queue a batch scan of URLs (or IDs + urlTemplate) as a job; the report is the job result.
+ * The list comes as JSON (items / urls / ids / list) or as a text or YAML request body,
+ * in which case options are read from the query string.
+ */
+router.post('/batch', express.text({ type: ['text/*', ...YAML_CONTENT_TYPES], limit: '10mb' }), async (req, res) => {
+    try {
+        const body = typeof req.body === 'string' ? getBatchQueryOptions(req.query) : req.body;
+
+        const batch = getBatchRequest(req, body);
+        if (batch.error) {
+            return res.status(400).json({
+                success: false,
+                error: batch.error
+            });
+        }
+
+        const scan = getScanOptions(body);
+        if (scan.error) {
+            return res.status(400).json({
+                success: false,
+                error: scan.error
+            });
+        }
+
+        const fetchMode = getFetchOptions(body);
+        if (fetchMode.error) {
+            return res.status(400).json({
+                success: false,
+                error: fetchMode.error
+            });
+        }
+
+        const job = await scanJobs.create({
+            batch,
+            scanOptions: scan.options,
+            fetchOptions: fetchMode.options
+        });
+
+        res.status(202).json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('Error creating batch scan:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/scanner/jobs
+ * List scan jobs (newest first, without results)
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await scanJobs.list()
+        });
+    } catch (error) {
+        console.error('Error listing scan jobs:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/scanner/jobs/:id
+ * Job status, progress and (once completed) the analysis result
+ */
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await scanJobs.get(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: `Job not found: ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: job
+        });
+    } catch (error) {
+        console.error('Error reading scan job:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/scanner/jobs/:id
+ * Cancel a queued or running job
+ */
+router.delete('/jobs/:id', async (req, res) => {
+    try {
+        const outcome = await scanJobs.cancel(req.params.id);
+
+        if (!outcome) {
+            return res.status(404).json({
+                success: false,
+                error: `Job not found: ${req.params.id}`
+            });
+        }
+
+        if (!outcome.cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: `Job already ${outcome.job.status}`,
+                data: outcome.job
+            });
+        }
+
+        res.json({
+            success: true,
+            data: outcome.job
+        });
+    } catch (error) {
+        console.error('Error cancelling scan job:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/scanner/ground-truth
+ * List the fixtures that have a ground-truth manifest
+ */
+router.get('/ground-truth', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: groundTruth.list()
+        });
+    } catch (error) {
+        console.error('Error listing ground-truth manifests:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/scanner/ground-truth/:fixture
+ * Ground-truth manifest of one fixture (by name, e.g. "simple-form")
+ */
+router.get('/ground-truth/:fixture', (req, res) => {
+    try {
+        const manifest = groundTruth.get(req.params.fixture);
+
+        if (!manifest) {
+            return res.status(404).json({
+                success: false,
+                error: `No ground truth for fixture: ${req.params.fixture}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: manifest
+        });
+    } catch (error) {
+        console.error('Error reading ground-truth manifest:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/scanner/score
+ * Score an extraction result against a fixture's ground truth.
+ * Body: { result, fixture, includeFrames, render }; `result` is the data of extract-forms,
+ * analyze-complete or analyze-url, `fixture` a fixture name, path or URL (defaults to
+ * result.sourceUrl). includeFrames / render default to what the result contains.
+ */
+router.post('/score', (req, res) => {
+    try {
+        const { fixture, includeFrames, render } = req.body;
+        let { result } = req.body;
+
+        // Accept a whole API response as well as its data
+        if (result && !Array.isArray(result.forms) && result.data && Array.isArray(result.data.forms)) {
+            result = result.data;
+        }
+
+        if (!result || !Array.isArray(result.forms)) {
+            return res.status(400).json({
+                success: false,
+                error: 'result with a forms array is required'
+            });
+        }
+
+        const reference = fixture || result.sourceUrl;
+        if (!reference) {
+            return res.status(400).json({
+                success: false,
+                error: 'fixture is required when the result has no sourceUrl'
+            });
+        }
+
+        for (const [name, value] of Object.entries({ includeFrames, render })) {
+            if (value !== undefined && typeof value !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    error: `${name} must be a boolean`
+                });
+            }
+        }
+
+        const manifest = groundTruth.get(reference);
+        if (!manifest) {
+            return res.status(404).json({
+                success: false,
+                error: `No ground truth for fixture: ${reference}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: accuracyScorer.score(result, manifest, { includeFrames, render })
+        });
+    } catch (error) {
+        console.error('Error scoring extraction result:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/scanner/execute
+ * Fill and submit analysed forms in a headless browser and record each outcome
+ * Body: { result (analyze-complete / analyze-url result or whole response), url?, formIds?, waitUntil?, timeout?,
+ *   maxAttempts? (retries rejected forms with regenerated values; provider/model as for the other endpoints) }
+ */
+router.post('/execute', async (req, res) => {
+    try {
+        const { url, formIds, waitUntil, timeout, maxAttempts } = req.body;
+        let { result } = req.body;
+
+        // Accept a whole API response as well as its data
+        if (result && !Array.isArray(result.forms) && result.data && Array.isArray(result.data.forms)) {
+            result = result.data;
+        }
+
+        if (!result || !Array.isArray(result.forms)) {
+            return res.status(400).json({
+                success: false,
+                error: 'result with a forms array is required'
+            });
+        }
+
+        const pageUrl = url || result.sourceUrl;
+        if (!pageUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'url is required when the result has no sourceUrl'
+            });
+        }
+
+        try {
+            new URL(pageUrl);
+        } catch (e) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid URL format'
+            });
+        }
+
+        if (formIds !== undefined && !(Array.isArray(formIds) && formIds.every(id => typeof id === 'string'))) {
+            return res.status(400).json({
+                success: false,
+                error: 'formIds must be an array of strings'
+            });
+        }
+
+        if (waitUntil && !RENDER_WAIT_EVENTS.includes(waitUntil)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported waitUntil: ${waitUntil}. Available: ${RENDER_WAIT_EVENTS.join(', ')}`
+            });
+        }
+
+        if (timeout !== undefined && !(Number.isInteger(timeout) && timeout > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'timeout must be a positive integer (ms)'
+            });
+        }
+
+        if (maxAttempts !== undefined && !(Number.isInteger(maxAttempts) && maxAttempts >= 1 && maxAttempts <= geminiService.maxValueAttempts)) {
+            return res.status(400).json({
+                success: false,
+                error: `maxAttempts must be an integer from 1 to ${geminiService.maxValueAttempts}`
+            });
+        }
+
+        const scan = getScanOptions(req.body);
+        if (scan.error) {
+            return res.status(400).json({
+                success: false,
+                error: scan.error
+            });
+        }
+
+        const execution = await formExecutor.execute(result, {
+            url: pageUrl,
+            formIds,
+            waitUntil,
+            timeout,
+            maxAttempts,
+            scanOptions: scan.options
+        });
+
+        res.json({
+            success: true,
+            data: execution,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error executing forms:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -30,6 +30,8 @@ const TEST_WEBSITES = [
 const API_BASE_URL = 'http://localhost:3000';
 const RESULTS_DIR = path.join(__dirname, '../benchmark-results');
 const NUM_RUNS = 10; // Number of times to run each website for consistency testing
+// Model call recording: "record" stores every reply, "replay" re-runs from them without the API
+const RECORDING = process.env.BENCHMARK_RECORDING;
 
 /**
  * Fetch HTML from a URL
@@ -84,7 +86,7 @@ async function analyzeWebsite(htmlContent) {
         const response = await fetch(`${API_BASE_URL}/api/scanner/analyze-complete`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ htmlContent })
+            body: JSON.stringify({ htmlContent, recording: RECORDING })
         });
 
         if (!response.ok) {
@@ -101,6 +103,10 @@ async function analyzeWebsite(htmlContent) {
         console.log(`   Input tokens: ${result.data.totalUsage.inputTokens}`);
         console.log(`   Output tokens: ${result.data.totalUsage.outputTokens}`);
         console.log(`   Cost: $${result.data.totalUsage.totalCost.toFixed(6)}`);
+        if (result.data.totalUsage.preprocessing) {
+            const pre = result.data.totalUsage.preprocessing;
+            console.log(`   Pre-processing: ~${pre.estimatedTokensBefore} → ~${pre.estimatedTokensAfter} tokens (-${pre.reductionPercent}%)`);
+        }
         
         return {
             success: true,
@@ -157,10 +163,13 @@ async function benchmarkWebsite(website, index, total) {
             formsIgnored: analysisResult.data.summary.formsIgnored,
             confidence: analysisResult.data.summary.confidence
         };
+        const preprocessing = analysisResult.data.totalUsage.preprocessing;
         result.tokens = {
             input: analysisResult.data.totalUsage.inputTokens,
             output: analysisResult.data.totalUsage.outputTokens,
-            total: analysisResult.data.totalUsage.totalTokens
+            total: analysisResult.data.totalUsage.totalTokens,
+            estimatedBeforePreprocessing: preprocessing ? preprocessing.estimatedTokensBefore : null,
+            estimatedAfterPreprocessing: preprocessing ? preprocessing.estimatedTokensAfter : null
         };
         result.cost = analysisResult.data.totalUsage.totalCost;
         result.performance = {
@@ -194,6 +203,8 @@ function calculateStatistics(results) {
     const inputTokens = successful.map(r => r.tokens.input);
     const outputTokens = successful.map(r => r.tokens.output);
     const totalTokens = successful.map(r => r.tokens.total);
+    const preprocessed = successful.filter(r => r.tokens.estimatedBeforePreprocessing !== null);
+    const tokensSaved = preprocessed.map(r => r.tokens.estimatedBeforePreprocessing - r.tokens.estimatedAfterPreprocessing);
 
     // Performance statistics
     const fetchTimes = successful.map(r => r.performance.fetchTime);
@@ -216,7 +227,8 @@ function calculateStatistics(results) {
         tokens: {
             input: calculateMetrics(inputTokens),
             output: calculateMetrics(outputTokens),
-            total: calculateMetrics(totalTokens)
+            total: calculateMetrics(totalTokens),
+            preprocessingSaved: calculateMetrics(tokensSaved)
         },
         
         performance: {
@@ -334,6 +346,12 @@ Total Tokens:
   Median: ${statistics.tokens.total.median}
   StdDev: ${statistics.tokens.total.stdDev}
 
+Pre-processing Savings (estimated tokens):
+${statistics.tokens.preprocessingSaved ? `  Min: ${statistics.tokens.preprocessingSaved.min}
+  Max: ${statistics.tokens.preprocessingSaved.max}
+  Avg: ${statistics.tokens.preprocessingSaved.avg}
+  Median: ${statistics.tokens.preprocessingSaved.median}` : '  Pre-processing disabled'}
+
 ╔═══════════════════════════════════════════════════════════════════════════════╗
 ║                               COST ANALYSIS                                    ║
 ╚═══════════════════════════════════════════════════════════════════════════════╝
@@ -377,6 +395,9 @@ Fields Found:
         if (result.analysis.success) {
             report += `   Forms: ${result.summary.forms} | Fields: ${result.summary.fields}\n`;
             report += `   Tokens: ${result.tokens.input}→${result.tokens.output} (${result.tokens.total} total)\n`;
+            if (result.tokens.estimatedBeforePreprocessing !== null) {
+                report += `   HTML tokens (est.): ${result.tokens.estimatedBeforePreprocessing} before → ${result.tokens.estimatedAfterPreprocessing} after pre-processing\n`;
+            }
             report += `   Time: ${result.performance.fetchTime}ms fetch + ${result.performance.analysisTime}ms analysis = ${result.performance.totalTime}ms\n`;
             report += `   Cost: $${result.cost.toFixed(6)}\n`;
             report += `   Confidence: ${result.summary.confidence}\n`;
@@ -398,6 +419,9 @@ async function runBenchmark() {
     console.log('║              FORM SCANNER BENCHMARK - STARTING                                ║');
     console.log('╚═══════════════════════════════════════════════════════════════════════════════╝\n');
     console.log(`Testing ${TEST_WEBSITES.length} websites × ${NUM_RUNS} runs = ${TEST_WEBSITES.length * NUM_RUNS} total tests\n`);
+    if (RECORDING) {
+        console.log(`📼 Model call recording: ${RECORDING}\n`);
+    }
 
     // Ensure results directory exists
     try {
@@ -487,7 +511,7 @@ async function runBenchmark() {
  * Generate CSV summary
  */
 function generateCSV(results) {
-    let csv = 'Run,Name,URL,Status,Forms,Fields,Input Tokens,Output Tokens,Total Tokens,Cost,Fetch Time,Analysis Time,Total Time,Confidence\n';
+    let csv = 'Run,Name,URL,Status,Forms,Fields,Input Tokens,Output Tokens,Total Tokens,Est. HTML Tokens Before,Est. HTML Tokens After,Cost,Fetch Time,Analysis Time,Total Time,Confidence\n';
     
     results.forEach(result => {
         const status = result.analysis.success ? 'SUCCESS' : 'FAILED';
@@ -496,6 +520,8 @@ function generateCSV(results) {
         const inputTokens = result.tokens?.input || 0;
         const outputTokens = result.tokens?.output || 0;
         const totalTokens = result.tokens?.total || 0;
+        const tokensBefore = result.tokens?.estimatedBeforePreprocessing ?? '';
+        const tokensAfter = result.tokens?.estimatedAfterPreprocessing ?? '';
         const cost = result.cost?.toFixed(6) || 0;
         const fetchTime = result.performance?.fetchTime || 0;
         const analysisTime = result.performance?.analysisTime || 0;
@@ -503,7 +529,7 @@ function generateCSV(results) {
         const confidence = result.summary?.confidence || '';
         const run = result.runNumber || 1;
         
-        csv += `${run},"${result.name}","${result.url}",${status},${forms},${fields},${inputTokens},${outputTokens},${totalTokens},${cost},${fetchTime},${analysisTime},${totalTime},${confidence}\n`;
+        csv += `${run},"${result.name}","${result.url}",${status},${forms},${fields},${inputTokens},${outputTokens},${totalTokens},${tokensBefore},${tokensAfter},${cost},${fetchTime},${analysisTime},${totalTime},${confidence}\n`;
     });
     
     return csv;
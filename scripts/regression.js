@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Regression Suite
+ *
+ * Runs every fixture page that has a ground-truth manifest (ground-truth/)
+ * through the extraction pipeline and scores the result against it:
+ * - Pages and their iframes are loaded from public/, never over the network
+ * - By default the heuristic extractor does the extraction, so the suite needs
+ *   neither a model nor recordings
+ * - With `--mode llm` (or hybrid) the model is the mock provider replaying
+ *   recordings/regression/ (keyed by prompt hash), so a prompt or
+ *   pre-processing change that alters a prompt shows up as a missing
+ *   recording until it is recorded again
+ * - Each fixture must reach the thresholds in scripts/regression-thresholds.json
+ * - Fixtures whose expected forms all need rendering (render: true) have
+ *   nothing to score offline and are reported as skipped
+ *
+ * `--record --provider gemini` runs the suite in llm mode against a real
+ * provider and records its replies into the recordings directory
+ * (LLM_RECORDING=record), replacing the recordings of prompts that changed. Recordings must come from
+ * a model: ones seeded from the heuristic extractor's output would only score
+ * the heuristic, so the suite refuses to replay them.
+ *
+ * Usage: node scripts/regression.js [--fixture simple-form,all-forms] [--mode heuristic|llm|hybrid]
+ *                                   [--provider mock] [--record] [--recordings dir] [--json report.json] [--verbose]
+ * Exits with status 1 when any fixture fails, or when no fixture could be scored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '../recordings/regression');
+const THRESHOLDS_FILE = path.join(__dirname, 'regression-thresholds.json');
+const PUBLIC_DIR = path.join(__dirname, '../public');
+const FIXTURE_BASE_URL = 'http://localhost:3000';
+// Recording providers that are not a model
+const SEEDED_PROVIDERS = ['heuristic'];
+
+// Threshold name → score summary value
+const METRICS = {
+    fieldF1: summary => summary.fields.f1,
+    formF1: summary => summary.forms.f1,
+    fieldPrecision: summary => summary.fields.precision,
+    fieldRecall: summary => summary.fields.recall,
+    typeAccuracy: summary => summary.fields.typeAccuracy,
+    submitAccuracy: summary => summary.submitSelectors.accuracy
+};
+
+/**
+ * Parse command-line flags
+ */
+function parseArgs(argv) {
+    const args = { provider: 'mock', mode: null, fixtures: null, record: false, recordings: null, json: null, verbose: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${flag} needs a value`);
+            return argv[++i];
+        };
+
+        if (flag === '--fixture') args.fixtures = value().split(',').map(name => name.trim()).filter(Boolean);
+        else if (flag === '--mode') args.mode = value();
+        else if (flag === '--provider') args.provider = value();
+        else if (flag === '--record') args.record = true;
+        else if (flag === '--recordings') args.recordings = path.resolve(value());
+        else if (flag === '--json') args.json = path.resolve(value());
+        else if (flag === '--verbose') args.verbose = true;
+        else throw new Error(`Unknown option: ${flag}`);
+    }
+
+    // Recording needs a model, so it defaults to llm mode
+    args.mode = args.mode || (args.record ? 'llm' : 'heuristic');
+    if (args.record && args.mode === 'heuristic') {
+        throw new Error('--record needs a model: add --mode llm (or hybrid)');
+    }
+    if (args.record && args.provider === 'mock') {
+        throw new Error('--record needs a real provider (e.g. --provider gemini): the mock provider only replays');
+    }
+    return args;
+}
+
+let args;
+try {
+    args = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Must be set before the providers are created
+const recordingsDir = args.recordings || process.env.REGRESSION_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+process.env.MOCK_RECORDINGS_DIR = recordingsDir;
+if (args.record) {
+    process.env.LLM_RECORDING = 'record';
+    process.env.LLM_RECORDINGS_DIR = recordingsDir;
+}
+
+const geminiService = require('../services/gemini.service');
+const htmlFetcherService = require('../services/html-fetcher.service');
+const groundTruth = require('../services/ground-truth.service');
+const accuracyScorer = require('../services/accuracy-scorer.service');
+
+/**
+ * Load a fixture "URL" from public/ (frames reference fixtures by path)
+ */
+async function loadFixtureDocument(url) {
+    const pathname = new URL(url).pathname;
+    const manifest = groundTruth.get(pathname);
+    const file = path.join(PUBLIC_DIR, manifest ? manifest.fixture : path.basename(pathname));
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`HTTP 404: ${pathname} is not a fixture`);
+    }
+    return fs.promises.readFile(file, 'utf-8');
+}
+
+/**
+ * Thresholds for one fixture: the defaults overridden by its own entry
+ */
+function getThresholds(config, name) {
+    return { ...config.default, ...((config.fixtures || {})[name] || {}) };
+}
+
+/**
+ * Why the model's answer was not used, if it was not: a heuristic fallback or a
+ * failed chunk (usually a missing recording) would otherwise pass unnoticed
+ */
+function getModelFailure(result) {
+    if (result.fallback) return result.fallback.reason;
+    const chunks = (result.chunking && result.chunking.chunks) || [];
+    const failed = chunks.find(chunk => chunk.error || chunk.fallback);
+    return failed ? `chunk ${failed.index}: ${failed.error || failed.fallback.reason}` : null;
+}
+
+/**
+ * Recordings in a directory
+ */
+function listRecordings(dir) {
+    return fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.json')) : [];
+}
+
+/**
+ * Recordings in a directory that were not made by a model
+ */
+function findSeededRecordings(dir) {
+    return listRecordings(dir).filter(file => {
+        try {
+            return SEEDED_PROVIDERS.includes(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')).provider);
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Run one fixture through fetch → extraction → scoring
+ */
+async function runFixture(fixture, options, thresholds) {
+    const name = path.basename(fixture, '.html');
+    const url = `${FIXTURE_BASE_URL}/${fixture}`;
+    const startTime = Date.now();
+
+    try {
+        const page = await htmlFetcherService.fetchWithIframes(url, { fetchDocument: loadFixtureDocument });
+        const result = await geminiService.extractForms(page.combinedHtml, {
+            provider: options.provider,
+            mode: options.mode,
+            pageUrl: url,
+            cache: false
+        });
+        const modelFailure = options.mode === 'heuristic' ? null : getModelFailure(result);
+        if (modelFailure) {
+            throw new Error(`Model response not used: ${modelFailure}`);
+        }
+
+        const score = accuracyScorer.score(
+            { ...result, sourceUrl: url, iframeStats: page.stats },
+            groundTruth.get(fixture)
+        );
+        if (score.summary.forms.expected === 0 && score.excluded.length) {
+            return {
+                fixture: name,
+                status: 'skipped',
+                failures: [`Nothing to score offline: ${score.excluded.map(entry => `${entry.formId} (${entry.reason})`).join(', ')}`],
+                thresholds,
+                timeTaken: Date.now() - startTime,
+                score
+            };
+        }
+
+        // A null metric had nothing to measure (e.g. no submit selector expected), so it is not checked
+        const failures = Object.entries(thresholds)
+            .filter(([metric, minimum]) => METRICS[metric](score.summary) !== null && METRICS[metric](score.summary) < minimum)
+            .map(([metric, minimum]) => `${metric} ${METRICS[metric](score.summary)} < ${minimum}`);
+
+        return {
+            fixture: name,
+            status: failures.length ? 'fail' : 'pass',
+            failures,
+            thresholds,
+            timeTaken: Date.now() - startTime,
+            score
+        };
+    } catch (error) {
+        return {
+            fixture: name,
+            status: 'error',
+            failures: [error.message],
+            thresholds,
+            timeTaken: Date.now() - startTime,
+            score: null
+        };
+    }
+}
+
+/**
+ * Run fn with the pipeline's console output silenced (unless --verbose)
+ */
+async function quietly(verbose, fn) {
+    if (verbose) return fn();
+    const original = { log: console.log, warn: console.warn, error: console.error };
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, original);
+    }
+}
+
+/**
+ * A ratio for display: "n/a" when it had nothing to measure, "-" when there is none
+ */
+function formatRatio(value) {
+    if (value === undefined) return '-';
+    return value === null ? 'n/a' : value.toFixed(2);
+}
+
+/**
+ * Per-fixture table
+ */
+function printTable(results) {
+    const columns = [
+        ['Fixture', 26, r => r.fixture],
+        ['Forms', 7, (r, score) => score ? `${score.summary.forms.matched}/${score.summary.forms.expected}` : '-'],
+        ['Fields', 7, (r, score) => score ? `${score.summary.fields.matched}/${score.summary.fields.expected}` : '-'],
+        ['Extra', 6, (r, score) => score ? String(score.extra.length) : '-'],
+        ['P', 5, (r, score) => score ? formatRatio(score.summary.fields.precision) : '-'],
+        ['R', 5, (r, score) => score ? formatRatio(score.summary.fields.recall) : '-'],
+        ['F1', 5, (r, score) => score ? formatRatio(score.summary.fields.f1) : '-'],
+        ['Form F1', 8, (r, score) => score ? formatRatio(score.summary.forms.f1) : '-'],
+        ['Types', 6, (r, score) => score ? formatRatio(score.summary.fields.typeAccuracy) : '-'],
+        ['Submit', 7, (r, score) => score ? formatRatio(score.summary.submitSelectors.accuracy) : '-'],
+        ['Min F1', 7, r => formatRatio(r.thresholds.fieldF1)],
+        ['Result', 7, r => ({ pass: '✅ pass', fail: '❌ fail', error: '💥 error', skipped: '⏭️  skipped' })[r.status]]
+    ];
+
+    const line = cells => cells.map((cell, i) => String(cell).padEnd(columns[i][1])).join(' ');
+    console.log(line(columns.map(([title]) => title)));
+    console.log(columns.map(([, width]) => '─'.repeat(width)).join(' '));
+    results.forEach(result => {
+        // Skipped fixtures keep their (empty) score in the JSON report but have no metrics to show
+        const score = result.status === 'skipped' ? null : result.score;
+        console.log(line(columns.map(([, , value]) => value(result, score))));
+        result.failures.forEach(failure => console.log(`    ↳ ${failure}`));
+    });
+}
+
+async function runRegression() {
+    const config = JSON.parse(fs.readFileSync(THRESHOLDS_FILE, 'utf-8'));
+    const unknownMetrics = [config.default, ...Object.values(config.fixtures || {})]
+        .flatMap(thresholds => Object.keys(thresholds || {}))
+        .filter(metric => !METRICS[metric]);
+    if (unknownMetrics.length) {
+        throw new Error(`Unknown threshold metric(s) in ${path.basename(THRESHOLDS_FILE)}: ${[...new Set(unknownMetrics)].join(', ')}. Available: ${Object.keys(METRICS).join(', ')}`);
+    }
+    if (!geminiService.extractionModes.includes(args.mode)) {
+        throw new Error(`Unsupported mode: ${args.mode}. Available: ${geminiService.extractionModes.join(', ')}`);
+    }
+
+    const available = groundTruth.list().map(entry => entry.fixture);
+    const fixtures = args.fixtures
+        ? args.fixtures.map(name => {
+            const manifest = groundTruth.get(name);
+            if (!manifest) throw new Error(`No ground truth for fixture: ${name}`);
+            return manifest.fixture;
+        })
+        : available;
+
+    const replaying = args.mode !== 'heuristic' && !args.record;
+    if (replaying && args.provider === 'mock' && !listRecordings(recordingsDir).length) {
+        throw new Error(`No recordings in ${path.relative(process.cwd(), recordingsDir) || '.'} to replay in ${args.mode} mode. Record them with --record --provider <name>, or run the default heuristic mode`);
+    }
+    const seeded = replaying ? findSeededRecordings(recordingsDir) : [];
+    if (seeded.length) {
+        throw new Error(`${seeded.length} recording(s) in ${path.relative(process.cwd(), recordingsDir) || '.'} were seeded from the heuristic extractor, not recorded from a model (e.g. ${seeded[0]}). Delete them and record real replies with --record --provider <name>`);
+    }
+
+    console.log(`\n🧪 Regression suite: ${fixtures.length} fixtures (provider: ${args.provider}, mode: ${args.mode})`);
+    console.log(`📼 Recordings: ${path.relative(process.cwd(), recordingsDir) || '.'}${args.record ? ' (recording)' : ''}\n`);
+
+    const results = [];
+    for (const fixture of fixtures) {
+        const thresholds = getThresholds(config, path.basename(fixture, '.html'));
+        results.push(await quietly(args.verbose, () => runFixture(fixture, args, thresholds)));
+    }
+
+    printTable(results);
+
+    const passed = results.filter(result => result.status === 'pass').length;
+    const skipped = results.filter(result => result.status === 'skipped').length;
+    const scored = results.filter(result => result.score && result.status !== 'skipped');
+    const totals = scored.reduce((sum, result) => ({
+        matched: sum.matched + result.score.summary.fields.matched,
+        expected: sum.expected + result.score.summary.fields.expected,
+        extracted: sum.extracted + result.score.summary.fields.extracted
+    }), { matched: 0, expected: 0, extracted: 0 });
+    const overall = accuracyScorer.metrics(totals.matched, totals.extracted, totals.expected);
+
+    if (scored.length) {
+        console.log(`\nOverall fields: P ${formatRatio(overall.precision)} | R ${formatRatio(overall.recall)} | F1 ${formatRatio(overall.f1)}`);
+    } else {
+        console.log('\nOverall fields: n/a (no fixture was scored)');
+    }
+    console.log(`${passed}/${results.length - skipped} fixtures passed${skipped ? `, ${skipped} skipped (render-only)` : ''}\n`);
+
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            provider: args.provider,
+            mode: args.mode,
+            overall: scored.length ? overall : null,
+            results
+        }, null, 2));
+        console.log(`📄 Report written to ${args.json}\n`);
+    }
+
+    return scored.length > 0 && passed === results.length - skipped;
+}
+
+runRegression()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error('❌ Regression suite failed to run:', error.message);
+        process.exit(1);
+    });
@@ -13,6 +13,7 @@ app.use(express.static('public'));
 
 // Import routes
 const scannerRoutes = require('./routes/scanner.routes');
+const browserRenderer = require('./services/browser-renderer.service');
 
 // Serve HTML files
 app.get('/', (req, res) => {
@@ -321,7 +322,7 @@ app.post('/api/submit-mixed-shadow-form', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
   console.log('\nAvailable forms:');
   console.log(`- http://localhost:${PORT}/simple-form`);
@@ -331,3 +332,16 @@ app.listen(PORT, () => {
   console.log(`- http://localhost:${PORT}/noisy-form`);
   console.log(`- http://localhost:${PORT}/all-forms (10 forms in one page!)`);
 });
+
+// Close the headless browser used by render mode on shutdown, so no
+// Chromium process outlives the server
+function shutdown(signal) {
+  console.log(`\n${signal} received, shutting down...`);
+  server.close();
+  browserRenderer.close()
+    .catch(error => console.error('Could not close the headless browser:', error.message))
+    .finally(() => process.exit(0));
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,393 @@
+const cheerio = require('cheerio');
+const groundTruth = require('./ground-truth.service');
+const shadowDom = require('./shadow-dom.service');
+
+const FIELD_TYPE_ALIASES = {
+    'select-one': 'select',
+    'select-multiple': 'select',
+    'dropdown': 'select',
+    'datetime': 'datetime-local',
+    'radio-group': 'radio',
+    'radiogroup': 'radio',
+    'checkbox-group': 'checkbox',
+    'checkboxgroup': 'checkbox'
+};
+
+/**
+ * Scores an extraction result against a fixture's ground-truth manifest.
+ *
+ * Extracted forms are paired with expected forms (same frame, most fields in
+ * common); within a pair an extracted field matches an expected one when
+ * their selectors resolve to the same element of the fixture, or when the
+ * extracted name, id or name attribute equals the expected field's. Counts
+ * are then turned into precision, recall and F1 for fields and for forms,
+ * with lists of missing, extra and mistyped fields, required-flag mismatches
+ * and submit selectors that point at the wrong element.
+ *
+ * Render-only forms and fields count only for rendered results, and frame
+ * forms only when the result includes frame content (both can be forced).
+ */
+class AccuracyScorerService {
+    /**
+     * Score an extraction or complete-analysis result
+     * @param {Object} result - Result with `forms` (extract, analyze-complete, analyze-url)
+     * @param {Object} manifest - Ground-truth manifest (GroundTruthService.get)
+     * @param {Object} options - { includeFrames, render }; default to what the result contains
+     * @returns {Object} - { fixture, options, summary, forms, missing, extra, mistyped,
+     *   requiredMismatches, submitMismatches, ignoredFormsExtracted, excluded }
+     */
+    score(result, manifest, options = {}) {
+        const extractedForms = (result.forms || []).map(form => ({ ...form, fields: form.fields || [] }));
+        const scoreOptions = {
+            includeFrames: typeof options.includeFrames === 'boolean'
+                ? options.includeFrames
+                : this.hasFrameContent(result, extractedForms),
+            render: typeof options.render === 'boolean' ? options.render : result.rendered === true
+        };
+        const documents = new Map();
+        const { expectedForms, excluded } = this.getExpectedForms(manifest, scoreOptions);
+
+        const pairs = this.pairForms(expectedForms, extractedForms, documents);
+        const report = {
+            fixture: manifest.fixture,
+            options: scoreOptions,
+            summary: null,
+            forms: [],
+            missing: [],
+            extra: [],
+            mistyped: [],
+            requiredMismatches: [],
+            submitMismatches: [],
+            ignoredFormsExtracted: [],
+            excluded
+        };
+        const totals = { matched: 0, typeMatches: 0, requiredMatches: 0, submitChecked: 0, submitMatches: 0 };
+
+        expectedForms.forEach(expected => {
+            const pair = pairs.find(candidate => candidate.expected === expected);
+            const extracted = pair ? pair.extracted : null;
+            const matches = pair ? pair.matches : [];
+
+            matches.forEach(([expectedField, extractedField]) => {
+                const expectedType = this.normaliseType(expectedField.fieldType);
+                const extractedType = this.normaliseType(extractedField.fieldType);
+                if (expectedType === extractedType) {
+                    totals.typeMatches++;
+                } else {
+                    report.mistyped.push({
+                        formId: expected.formId,
+                        fieldName: expectedField.fieldName,
+                        extractedFieldName: extractedField.fieldName,
+                        expected: expectedField.fieldType,
+                        extracted: extractedField.fieldType
+                    });
+                }
+
+                if (Boolean(extractedField.required) === expectedField.required) {
+                    totals.requiredMatches++;
+                } else {
+                    report.requiredMismatches.push({
+                        formId: expected.formId,
+                        fieldName: expectedField.fieldName,
+                        expected: expectedField.required,
+                        extracted: Boolean(extractedField.required)
+                    });
+                }
+            });
+            totals.matched += matches.length;
+
+            const matchedExpected = new Set(matches.map(([expectedField]) => expectedField));
+            expected.fields.filter(field => !matchedExpected.has(field)).forEach(field => {
+                report.missing.push({
+                    formId: expected.formId,
+                    formMissing: !extracted,
+                    fieldName: field.fieldName,
+                    fieldType: field.fieldType,
+                    selector: field.selector
+                });
+            });
+
+            const submit = extracted ? this.checkSubmit(expected, extracted, documents) : null;
+            if (submit && submit.checked) {
+                totals.submitChecked++;
+                if (submit.selectorMatch) {
+                    totals.submitMatches++;
+                } else {
+                    report.submitMismatches.push({
+                        formId: expected.formId,
+                        expected: expected.submitSelector,
+                        extracted: extracted.submitSelector || null
+                    });
+                }
+            }
+
+            report.forms.push({
+                formId: expected.formId,
+                extractedFormId: extracted ? extracted.formId : null,
+                frame: expected.indexPath,
+                ...this.metrics(matches.length, extracted ? extracted.fields.length : 0, expected.fields.length),
+                submitSelectorMatch: submit ? submit.selectorMatch : null,
+                submitTypeMatch: extracted ? (extracted.submitType || 'button-click') === expected.submitType : null
+            });
+        });
+
+        extractedForms.forEach(extracted => {
+            const pair = pairs.find(candidate => candidate.extracted === extracted);
+            const matchedFields = new Set(pair ? pair.matches.map(([, extractedField]) => extractedField) : []);
+            const ignored = pair ? null : this.findIgnoredForm(extracted, manifest, documents);
+
+            if (ignored) {
+                report.ignoredFormsExtracted.push({ formId: extracted.formId, selector: ignored.selector, reason: ignored.reason });
+            }
+            extracted.fields.filter(field => !matchedFields.has(field)).forEach(field => {
+                report.extra.push({
+                    formId: extracted.formId,
+                    formUnmatched: !pair,
+                    fieldName: field.fieldName,
+                    fieldType: field.fieldType,
+                    selector: field.selector,
+                    ignoredReason: ignored ? ignored.reason : undefined
+                });
+            });
+        });
+
+        const expectedFields = expectedForms.reduce((sum, form) => sum + form.fields.length, 0);
+        const extractedFields = extractedForms.reduce((sum, form) => sum + form.fields.length, 0);
+        report.summary = {
+            fields: {
+                ...this.metrics(totals.matched, extractedFields, expectedFields),
+                typeAccuracy: this.ratio(totals.typeMatches, totals.matched),
+                requiredAccuracy: this.ratio(totals.requiredMatches, totals.matched)
+            },
+            forms: this.metrics(pairs.length, extractedForms.length, expectedForms.length),
+            submitSelectors: {
+                checked: totals.submitChecked,
+                matched: totals.submitMatches,
+                accuracy: this.ratio(totals.submitMatches, totals.submitChecked)
+            }
+        };
+
+        console.log(`📏 [Scorer] ${manifest.fixture}: field F1 ${report.summary.fields.f1 ?? 'n/a'}, form F1 ${report.summary.forms.f1 ?? 'n/a'} (${report.missing.length} missing, ${report.extra.length} extra, ${report.mistyped.length} mistyped)`);
+        return report;
+    }
+
+    /**
+     * Frame content is present when the fetch loaded iframes or any form came from a frame
+     */
+    hasFrameContent(result, extractedForms) {
+        if (result.iframeStats) {
+            return result.iframeStats.successfulIframes > 0;
+        }
+        return extractedForms.some(form => form.frame && form.frame.indexPath && form.frame.indexPath.length > 0);
+    }
+
+    /**
+     * Expected forms for the options: the manifest's own forms plus frame forms,
+     * without render-only forms and fields unless rendering
+     * @returns {Object} - { expectedForms, excluded } where excluded lists what was left out and why
+     */
+    getExpectedForms(manifest, options) {
+        const expectedForms = [];
+        const excluded = [];
+
+        const addForms = (source, indexPath) => {
+            source.forms.forEach(form => {
+                if (form.render && !options.render) {
+                    excluded.push({ formId: form.formId, reason: 'render-only form' });
+                    return;
+                }
+                const fields = form.fields.filter(field => options.render || !field.render);
+                if (fields.length < form.fields.length) {
+                    excluded.push({ formId: form.formId, reason: `${form.fields.length - fields.length} render-only fields` });
+                }
+                expectedForms.push({ ...form, fields, fixture: source.fixture, indexPath });
+            });
+        };
+
+        addForms(manifest, []);
+        (manifest.frames || []).forEach(frame => {
+            const frameManifest = groundTruth.get(frame.fixture);
+            if (!frameManifest) return;
+            if (!options.includeFrames) {
+                frameManifest.forms.forEach(form => excluded.push({ formId: form.formId, reason: `form in frame ${frame.indexPath.join('.')}` }));
+                return;
+            }
+            addForms(frameManifest, frame.indexPath);
+        });
+
+        return { expectedForms, excluded };
+    }
+
+    /**
+     * Pair expected and extracted forms one-to-one, best matches first.
+     * Only forms in the same frame are compared.
+     * @returns {Array} - [{ expected, extracted, matches: [[expectedField, extractedField]] }]
+     */
+    pairForms(expectedForms, extractedForms, documents) {
+        const candidates = [];
+        expectedForms.forEach(expected => {
+            extractedForms.forEach(extracted => {
+                if (this.frameKey(extracted) !== expected.indexPath.join('.')) return;
+                const matches = this.matchFields(expected, extracted, documents);
+                const sameForm = this.sameForm(expected, extracted, documents);
+                if (matches.length || sameForm) {
+                    candidates.push({ expected, extracted, matches, weight: matches.length + (sameForm ? 0.5 : 0) });
+                }
+            });
+        });
+
+        const pairs = [];
+        candidates.sort((a, b) => b.weight - a.weight).forEach(candidate => {
+            if (pairs.some(pair => pair.expected === candidate.expected || pair.extracted === candidate.extracted)) return;
+            pairs.push(candidate);
+        });
+        return pairs.map(({ expected, extracted, matches }) => ({ expected, extracted, matches }));
+    }
+
+    frameKey(form) {
+        return (form.frame && form.frame.indexPath ? form.frame.indexPath : []).join('.');
+    }
+
+    sameForm(expected, extracted, documents) {
+        if (this.normaliseName(expected.formId) === this.normaliseName(extracted.formId)) return true;
+        return this.sameElement(expected.fixture, expected.selector, extracted.selector, documents);
+    }
+
+    /**
+     * Match fields one-to-one, in expected order
+     * @returns {Array} - [[expectedField, extractedField]]
+     */
+    matchFields(expected, extracted, documents) {
+        const used = new Set();
+        const matches = [];
+        expected.fields.forEach(expectedField => {
+            const keys = this.fieldKeys(expectedField);
+            const match = extracted.fields.find(field => !used.has(field) && (
+                this.fieldKeys(field).some(key => keys.includes(key)) ||
+                this.sameElement(expected.fixture, expectedField.selector, field.selector, documents)
+            ));
+            if (match) {
+                used.add(match);
+                matches.push([expectedField, match]);
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Names a field is known by: its fieldName plus the id and name attribute in its selector
+     */
+    fieldKeys(field) {
+        const keys = [field.fieldName];
+        const selector = String(field.selector || '').split('>>>').pop();
+        const id = selector.match(/#([\w-]+)(?![\s\S]*#[\w-])/);
+        if (id) keys.push(id[1]);
+        const nameAttribute = selector.match(/\[name=["']?([^"'\]]+)["']?\]/);
+        if (nameAttribute) keys.push(nameAttribute[1]);
+        return keys.map(key => this.normaliseName(key)).filter(Boolean);
+    }
+
+    normaliseName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    normaliseType(fieldType) {
+        const type = String(fieldType || 'text').trim().toLowerCase();
+        return FIELD_TYPE_ALIASES[type] || type;
+    }
+
+    checkSubmit(expected, extracted, documents) {
+        if (!expected.submitSelector) {
+            return { checked: false, selectorMatch: null };
+        }
+        const selectorMatch = Boolean(extracted.submitSelector) && (
+            extracted.submitSelector.trim() === expected.submitSelector ||
+            this.sameElement(expected.fixture, expected.submitSelector, extracted.submitSelector, documents)
+        );
+        return { checked: true, selectorMatch };
+    }
+
+    /**
+     * The ignoredForms entry an unpaired extracted form falls into, if any
+     */
+    findIgnoredForm(extracted, manifest, documents) {
+        if (this.frameKey(extracted) !== '') return null;
+        const selectors = [extracted.selector, ...extracted.fields.map(field => field.selector)];
+        return (manifest.ignoredForms || []).find(ignored => {
+            const ignoredElements = this.resolve(manifest.fixture, ignored.selector, documents);
+            return selectors.some(selector => this.resolve(manifest.fixture, selector, documents).some(el =>
+                ignoredElements.some(ignoredEl => ignoredEl === el || this.contains(ignoredEl, el))
+            ));
+        }) || null;
+    }
+
+    contains(ancestor, el) {
+        for (let node = el.parent; node; node = node.parent) {
+            if (node === ancestor) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether an extracted selector resolves to (one of) the elements the expected selector resolves to
+     */
+    sameElement(fixture, expectedSelector, extractedSelector, documents) {
+        if (!expectedSelector || !extractedSelector) return false;
+        const expectedElements = this.resolve(fixture, expectedSelector, documents);
+        if (!expectedElements.length) return false;
+        const extractedElements = this.resolve(fixture, extractedSelector, documents);
+        return extractedElements.length > 0 && extractedElements.every(el => expectedElements.includes(el));
+    }
+
+    /**
+     * Resolve a selector (or " >>> " selector path) against the fixture's static HTML.
+     * Elements created by scripts do not exist there, so those resolve to nothing.
+     * @returns {Array} - Matching elements
+     */
+    resolve(fixture, selector, documents) {
+        if (!selector) return [];
+        if (!documents.has(fixture)) {
+            const { html } = shadowDom.markShadowRoots(groundTruth.getFixtureHtml(fixture));
+            documents.set(fixture, cheerio.load(html));
+        }
+        const $ = documents.get(fixture);
+
+        try {
+            const selectorPath = shadowDom.parseSelector(selector);
+            if (!selectorPath) {
+                return shadowDom.filterScope($, $(selector), null).toArray();
+            }
+            let $scope = $.root();
+            selectorPath.hosts.forEach(host => {
+                $scope = $scope.find(host).children(shadowDom.markerTag);
+            });
+            return $scope.find(selectorPath.selector).toArray();
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * Precision, recall and F1 from matched / extracted / expected counts.
+     * Precision is null when nothing was extracted and recall when nothing was
+     * expected; F1 is null only when both are, otherwise a missing side scores 0.
+     */
+    metrics(matched, extracted, expected) {
+        const precision = this.ratio(matched, extracted);
+        const recall = this.ratio(matched, expected);
+        let f1 = null;
+        if (precision !== null || recall !== null) {
+            f1 = precision && recall ? parseFloat(((2 * precision * recall) / (precision + recall)).toFixed(4)) : 0;
+        }
+        return { expected, extracted, matched, precision, recall, f1 };
+    }
+
+    /**
+     * Rounded ratio, or null when the denominator is empty (nothing was measured)
+     */
+    ratio(count, total) {
+        return total ? parseFloat((count / total).toFixed(4)) : null;
+    }
+}
+
+module.exports = new AccuracyScorerService();
@@ -0,0 +1,221 @@
+const yaml = require('js-yaml');
+const ConcurrencyLimiter = require('./concurrency-limiter');
+const geminiService = require('./gemini.service');
+
+const LIST_FORMATS = ['json', 'text', 'yaml'];
+const LIST_KEYS = ['items', 'urls', 'ids'];
+const ID_PLACEHOLDER = '{id}';
+
+/**
+ * Batch scanning of URL lists.
+ *
+ * A list holds URLs, or IDs that are turned into URLs with a template such as
+ * "https://example.com/forms/{id}" (lists can mix both; objects with `id`,
+ * `url` and `name` are accepted too). Lists come as JSON, newline-separated
+ * text (blank lines and # comments ignored) or YAML. Every item is scanned
+ * like analyze-url, up to `concurrency` at a time; a failing item is recorded
+ * in the report and never stops the batch.
+ */
+class BatchScanService {
+    constructor() {
+        this.formats = LIST_FORMATS;
+        this.defaultConcurrency = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+        this.maxConcurrency = parseInt(process.env.BATCH_MAX_CONCURRENCY || '10', 10);
+        this.maxItems = parseInt(process.env.BATCH_MAX_ITEMS || '2000', 10);
+    }
+
+    /**
+     * Parse a list document into entries
+     * @param {string} text - List document
+     * @param {string} format - "json", "text" or "yaml"; detected from the content when omitted
+     * @returns {Array} - Raw entries (strings or { id, url, name } objects)
+     */
+    parseList(text, format) {
+        const listFormat = format || this.detectFormat(text);
+
+        if (listFormat === 'text') {
+            return text.split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'));
+        }
+
+        const parsed = listFormat === 'json' ? JSON.parse(text) : yaml.load(text);
+        return this.toEntries(parsed);
+    }
+
+    detectFormat(text) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+        if (/^\s*(-\s|[\w-]+:\s*$)/m.test(trimmed)) return 'yaml';
+        return 'text';
+    }
+
+    /**
+     * Normalise a parsed list: an array, an object with an items/urls/ids
+     * array, or a plain YAML scalar (one ID per line folds into one string)
+     */
+    toEntries(parsed) {
+        if (Array.isArray(parsed)) return parsed;
+        if (typeof parsed === 'string') return parsed.split(/\s+/).filter(Boolean);
+        if (parsed && typeof parsed === 'object') {
+            const key = LIST_KEYS.find(name => Array.isArray(parsed[name]));
+            if (key) return parsed[key];
+        }
+        throw new Error(`List must be an array or an object with one of: ${LIST_KEYS.join(', ')}`);
+    }
+
+    /**
+     * Turn entries into scan items; unusable entries get an `error` instead of a `url`
+     * @param {Array} entries - Strings (URL or ID) or { id, url, name } objects
+     * @param {string} urlTemplate - Template containing "{id}", required for IDs
+     * @returns {Array} - [{ index, id, name, url, error }]
+     */
+    resolveItems(entries, urlTemplate) {
+        return entries.map((entry, index) => {
+            const source = entry && typeof entry === 'object' ? entry : { value: entry };
+            const value = source.value !== undefined ? String(source.value).trim() : null;
+            const item = {
+                index,
+                id: source.id !== undefined ? String(source.id) : (value && !this.isUrl(value) ? value : null),
+                name: source.name || null,
+                url: source.url || (value && this.isUrl(value) ? value : null),
+                error: null
+            };
+
+            if (!item.url && item.id) {
+                if (!urlTemplate) {
+                    item.error = 'urlTemplate is required for IDs';
+                    return item;
+                }
+                item.url = urlTemplate.split(ID_PLACEHOLDER).join(encodeURIComponent(item.id));
+            }
+
+            if (!item.url) {
+                item.error = 'Entry has no URL or ID';
+            } else if (!this.isUrl(item.url)) {
+                item.error = `Invalid URL: ${item.url}`;
+            }
+            return item;
+        });
+    }
+
+    isUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Scan all items and build the aggregated report
+     * @param {Array} items - Output of resolveItems
+     * @param {Object} options - { scanOptions, fetchOptions, concurrency, includeResults,
+     *   onItem(reportItem) after each item, checkCancelled() called before each item starts }
+     * @returns {Promise<Object>} - { summary, items }
+     */
+    async run(items, options = {}) {
+        const { scanOptions = {}, fetchOptions = {}, includeResults = false } = options;
+        const onItem = options.onItem || (() => {});
+        const checkCancelled = options.checkCancelled || (() => {});
+        const concurrency = options.concurrency || this.defaultConcurrency;
+        const limiter = new ConcurrencyLimiter(concurrency);
+        const startTime = Date.now();
+
+        console.log(`\n📦 [Batch] Scanning ${items.length} items (concurrency ${concurrency})...`);
+
+        const reportItems = await Promise.all(items.map(item => {
+            if (item.error) {
+                const invalid = this.reportItem(item, { status: 'invalid', error: item.error });
+                onItem(invalid);
+                return invalid;
+            }
+
+            return limiter.run(async () => {
+                checkCancelled();
+                const itemStart = Date.now();
+                let reportItem;
+                try {
+                    const result = await geminiService.analyzeUrl(item.url, { ...scanOptions, fetchOptions });
+                    reportItem = this.reportItem(item, {
+                        status: 'completed',
+                        timeTaken: Date.now() - itemStart,
+                        forms: result.summary.totalFunctionalForms,
+                        fields: result.summary.totalFields,
+                        formIds: result.forms.map(form => form.formId),
+                        cacheHit: Boolean(result.cache && result.cache.hit),
+                        fallback: Boolean(result.fallback),
+                        usage: result.totalUsage,
+                        result: includeResults ? result : undefined
+                    });
+                } catch (error) {
+                    console.error(`❌ [Batch] ${item.url} failed: ${error.message}`);
+                    reportItem = this.reportItem(item, {
+                        status: 'failed',
+                        timeTaken: Date.now() - itemStart,
+                        error: error.message
+                    });
+                }
+                onItem(reportItem);
+                return reportItem;
+            });
+        }));
+
+        const summary = this.summarise(reportItems, Date.now() - startTime, concurrency);
+        console.log(`✅ [Batch] Done in ${summary.totalTime}ms: ${summary.completed} completed, ${summary.failed} failed, ${summary.invalid} invalid`);
+
+        return {
+            summary,
+            items: reportItems
+        };
+    }
+
+    reportItem(item, outcome) {
+        return {
+            index: item.index,
+            id: item.id,
+            name: item.name,
+            url: item.url,
+            ...outcome
+        };
+    }
+
+    summarise(reportItems, totalTime, concurrency) {
+        const completed = reportItems.filter(item => item.status === 'completed');
+        const count = status => reportItems.filter(item => item.status === status).length;
+
+        return {
+            total: reportItems.length,
+            completed: completed.length,
+            failed: count('failed'),
+            invalid: count('invalid'),
+            successRate: reportItems.length ? Math.round((completed.length / reportItems.length) * 100) : 0,
+            totalForms: completed.reduce((sum, item) => sum + item.forms, 0),
+            totalFields: completed.reduce((sum, item) => sum + item.fields, 0),
+            cacheHits: completed.filter(item => item.cacheHit).length,
+            fallbacks: completed.filter(item => item.fallback).length,
+            totalTime,
+            averageTimePerItem: completed.length
+                ? Math.round(completed.reduce((sum, item) => sum + item.timeTaken, 0) / completed.length)
+                : 0,
+            concurrency,
+            totalUsage: geminiService.sumUsage(completed.map(item => item.usage)),
+            errors: this.groupErrors(reportItems)
+        };
+    }
+
+    /**
+     * Failure messages with how many items hit each one, most frequent first
+     */
+    groupErrors(reportItems) {
+        const counts = new Map();
+        reportItems.filter(item => item.error).forEach(item => {
+            counts.set(item.error, (counts.get(item.error) || 0) + 1);
+        });
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([error, count]) => ({ error, count }));
+    }
+}
+
+module.exports = new BatchScanService();
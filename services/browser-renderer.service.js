@@ -0,0 +1,220 @@
+/**
+ * Headless-browser rendering for pages whose forms are created by JavaScript.
+ *
+ * Uses puppeteer (optional dependency, loaded on first use) to load the page,
+ * wait for network idle or a selector, and serialise the live DOM. Open shadow
+ * roots are flattened into the output as <shadow-root mode="open"> elements
+ * placed first inside their host, so downstream extraction sees their content.
+ */
+class BrowserRendererService {
+    constructor() {
+        this.browser = null;
+        this.launching = null;
+        this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+        this.defaultTimeout = parseInt(process.env.RENDER_TIMEOUT_MS || '30000', 10);
+    }
+
+    /**
+     * Launch (or reuse) the shared browser instance. Callers that arrive while
+     * the browser is starting share that launch, so only one browser is started.
+     */
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+        this.launching ??= this.launch().finally(() => {
+            this.launching = null;
+        });
+        return this.launching;
+    }
+
+    /**
+     * Start a headless browser and make it the shared instance
+     */
+    async launch() {
+        let puppeteer;
+        try {
+            puppeteer = require('puppeteer');
+        } catch (error) {
+            throw new Error('Render mode requires the optional "puppeteer" package. Install it with `npm install puppeteer`.');
+        }
+
+        console.log('🧭 [Renderer] Launching headless browser...');
+        const browser = await puppeteer.launch({
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox']
+        });
+        browser.on('disconnected', () => {
+            if (this.browser === browser) {
+                this.browser = null;
+            }
+        });
+        this.browser = browser;
+        return browser;
+    }
+
+    /**
+     * Render a URL and serialise the live DOM of the page and its frames
+     * @param {string} url - URL to render
+     * @param {Object} options - { waitUntil, waitForSelector, timeout, maxFrameDepth, maxFrames }
+     * @returns {Promise<Object>} - { html, finalUrl, frames (tree), timeTaken }
+     */
+    async render(url, options = {}) {
+        const startTime = Date.now();
+        const timeout = options.timeout || this.defaultTimeout;
+        const waitUntil = options.waitUntil || 'networkidle0';
+
+        const browser = await this.getBrowser();
+        const page = await browser.newPage();
+
+        try {
+            await page.setUserAgent(this.userAgent);
+            console.log(`🧭 [Renderer] Loading ${url} (waitUntil: ${waitUntil})...`);
+            await page.goto(url, { waitUntil, timeout });
+
+            if (options.waitForSelector) {
+                console.log(`🧭 [Renderer] Waiting for selector: ${options.waitForSelector}`);
+                await page.waitForSelector(options.waitForSelector, { timeout });
+            }
+
+            const html = await page.evaluate(serializeLiveDom);
+            const state = {
+                maxDepth: options.maxFrameDepth ?? 3,
+                maxFrames: options.maxFrames ?? 20,
+                seen: new Set([page.url().split('#')[0]]),
+                count: 0
+            };
+            const frames = await this.collectFrames(page.mainFrame(), 1, state);
+
+            const timeTaken = Date.now() - startTime;
+            console.log(`✅ [Renderer] Rendered ${html.length} characters (${state.count} frames) in ${timeTaken}ms`);
+
+            return { html, finalUrl: page.url(), frames, timeTaken };
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Serialise the child frames of a frame, recursively
+     * @returns {Promise<Array>} - [{ elementIndex, src, depth, status, content?, reason?, error?, children }]
+     */
+    async collectFrames(frame, depth, state) {
+        const nodes = [];
+
+        for (const child of frame.childFrames()) {
+            const src = child.url();
+            const key = src.split('#')[0];
+            const node = { elementIndex: await this.getFrameElementIndex(child), src, depth, children: [] };
+
+            if (depth > state.maxDepth) {
+                node.status = 'skipped';
+                node.reason = 'max-depth';
+            } else if (state.count >= state.maxFrames) {
+                node.status = 'skipped';
+                node.reason = 'max-frames';
+            } else if (!key.startsWith('about:') && state.seen.has(key)) {
+                node.status = 'duplicate';
+            } else {
+                state.seen.add(key);
+                state.count++;
+                try {
+                    node.content = await child.evaluate(serializeLiveDom);
+                    node.status = src === 'about:srcdoc' ? 'inline' : 'fetched';
+                    node.children = await this.collectFrames(child, depth + 1, state);
+                } catch (error) {
+                    console.error(`   ❌ Failed to serialise frame ${src}: ${error.message}`);
+                    node.status = 'failed';
+                    node.error = error.message;
+                }
+            }
+            nodes.push(node);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Position of a frame's <iframe>/<frame> element among the frame elements of
+     * its parent document, in the order serializeLiveDom writes them (shadow
+     * roots before light children). -1 when the element is not reachable.
+     */
+    async getFrameElementIndex(frame) {
+        try {
+            const element = await frame.frameElement();
+            if (!element) return -1;
+            return await element.evaluate(target => {
+                const frameElements = [];
+                const walk = parent => {
+                    for (const child of parent.children) {
+                        if (child.tagName === 'IFRAME' || child.tagName === 'FRAME') frameElements.push(child);
+                        if (child.shadowRoot) walk(child.shadowRoot);
+                        walk(child.tagName === 'TEMPLATE' ? child.content : child);
+                    }
+                };
+                walk(target.ownerDocument);
+                return frameElements.indexOf(target);
+            });
+        } catch (error) {
+            return -1;
+        }
+    }
+
+    /**
+     * Close the shared browser, waiting for one that is still starting
+     */
+    async close() {
+        const browser = this.browser || (this.launching && await this.launching.catch(() => null));
+        this.browser = null;
+        if (browser) {
+            await browser.close();
+        }
+    }
+}
+
+/**
+ * Serialise the document including open shadow roots.
+ * Runs inside the page, so it must not reference anything outside itself.
+ */
+function serializeLiveDom() {
+    const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+    const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+    const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+    function serializeChildren(parent) {
+        return Array.from(parent.childNodes).map(serializeNode).join('');
+    }
+
+    function serializeNode(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const parentTag = node.parentNode && node.parentNode.nodeName.toLowerCase();
+            return RAW_TEXT_ELEMENTS.has(parentTag) ? node.data : escapeText(node.data);
+        }
+        if (node.nodeType === Node.COMMENT_NODE) {
+            return `<!--${node.data}-->`;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return '';
+        }
+
+        const tag = node.tagName.toLowerCase();
+        const attributes = Array.from(node.attributes)
+            .map(attribute => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`)
+            .join('');
+        let html = `<${tag}${attributes}>`;
+
+        if (VOID_ELEMENTS.has(tag)) {
+            return html;
+        }
+        if (node.shadowRoot) {
+            html += `<shadow-root mode="${node.shadowRoot.mode}">${serializeChildren(node.shadowRoot)}</shadow-root>`;
+        }
+        html += serializeChildren(tag === 'template' ? node.content : node);
+        return `${html}</${tag}>`;
+    }
+
+    return `<!DOCTYPE html>\n${serializeNode(document.documentElement)}`;
+}
+
+module.exports = new BrowserRendererService();
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * On-disk cache store: one JSON file per entry (`<dir>/<key>.json`).
+ * Entries survive restarts; the least recently used files (by mtime, which
+ * is refreshed on every read) are removed once `maxEntries` is exceeded.
+ */
+class DiskStore {
+    constructor({ maxEntries, dir }) {
+        this.name = 'disk';
+        this.maxEntries = maxEntries;
+        this.dir = dir;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    file(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(this.file(key), 'utf-8'));
+            const now = new Date();
+            await fs.promises.utimes(this.file(key), now, now);
+            return entry;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  [Cache] Could not read ${this.file(key)}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.promises.writeFile(this.file(key), JSON.stringify(entry));
+        await this.evict();
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.file(key), { force: true });
+    }
+
+    async clear() {
+        const files = await this.list();
+        await Promise.all(files.map(file => fs.promises.rm(path.join(this.dir, file), { force: true })));
+        return files.length;
+    }
+
+    async size() {
+        return (await this.list()).length;
+    }
+
+    async list() {
+        const files = await fs.promises.readdir(this.dir).catch(() => []);
+        return files.filter(file => file.endsWith('.json'));
+    }
+
+    async evict() {
+        const files = await this.list();
+        if (files.length <= this.maxEntries) return;
+
+        const stats = await Promise.all(files.map(async file => ({
+            file,
+            mtime: (await fs.promises.stat(path.join(this.dir, file))).mtimeMs
+        })));
+        stats.sort((a, b) => a.mtime - b.mtime);
+        await Promise.all(stats.slice(0, files.length - this.maxEntries)
+            .map(({ file }) => fs.promises.rm(path.join(this.dir, file), { force: true })));
+    }
+}
+
+module.exports = DiskStore;
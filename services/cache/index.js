@@ -0,0 +1,38 @@
+const path = require('path');
+const MemoryStore = require('./memory.store');
+const DiskStore = require('./disk.store');
+
+/**
+ * Registry of cache stores for extraction results.
+ * EXTRACTION_CACHE selects the store ("memory", "disk" or "off").
+ */
+const STORES = {
+    memory: MemoryStore,
+    disk: DiskStore
+};
+
+/**
+ * Create the configured store, or null when caching is off
+ * @param {string} name - Store name, defaults to EXTRACTION_CACHE (memory)
+ * @returns {MemoryStore|DiskStore|null}
+ */
+function createStore(name) {
+    const key = (name || process.env.EXTRACTION_CACHE || 'memory').toLowerCase();
+    if (key === 'off' || key === 'false' || key === 'none') {
+        return null;
+    }
+    if (!Object.prototype.hasOwnProperty.call(STORES, key)) {
+        throw new Error(`Unsupported cache store: ${key}. Available: ${Object.keys(STORES).join(', ')}, off`);
+    }
+    return new STORES[key]({
+        maxEntries: parseInt(process.env.EXTRACTION_CACHE_MAX_ENTRIES || '200', 10),
+        dir: process.env.EXTRACTION_CACHE_DIR
+            ? path.resolve(process.env.EXTRACTION_CACHE_DIR)
+            : path.join(__dirname, '../../.cache/extractions')
+    });
+}
+
+module.exports = {
+    createStore,
+    availableStores: Object.keys(STORES)
+};
@@ -0,0 +1,44 @@
+/**
+ * In-memory LRU cache store.
+ * A Map keeps insertion order, so re-inserting on every read moves an entry
+ * to the back and the first key is always the least recently used.
+ */
+class MemoryStore {
+    constructor({ maxEntries }) {
+        this.name = 'memory';
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        if (!this.entries.has(key)) return null;
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    async set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        const count = this.entries.size;
+        this.entries.clear();
+        return count;
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+}
+
+module.exports = MemoryStore;
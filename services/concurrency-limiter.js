@@ -0,0 +1,54 @@
+/**
+ * Promise-based concurrency limiter.
+ *
+ * `run()` starts a task as soon as fewer than `maxConcurrency` tasks are
+ * active; otherwise the task waits in FIFO order for a free slot.
+ */
+class ConcurrencyLimiter {
+    /**
+     * @param {number} maxConcurrency - Maximum number of tasks running at once
+     */
+    constructor(maxConcurrency) {
+        this.maxConcurrency = Math.max(1, maxConcurrency || 1);
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Run a task when a slot is free
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} - The task's result
+     */
+    async run(task) {
+        await this.acquire();
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    acquire() {
+        if (this.active < this.maxConcurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.queue.push(resolve));
+    }
+
+    release() {
+        const next = this.queue.shift();
+        if (next) {
+            // Hand the slot straight to the next waiter
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    get pending() {
+        return this.queue.length;
+    }
+}
+
+module.exports = ConcurrencyLimiter;
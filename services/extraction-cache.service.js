@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const cacheStores = require('./cache');
+
+const VOLATILE_FIELD_PATTERN = /csrf|xsrf|_token|authenticity|verificationtoken|nonce|timestamp/i;
+const VOLATILE_VALUE_PATTERNS = [
+    // ISO-8601 timestamps
+    [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?\b/g, '<timestamp>'],
+    // nonce attributes and attributes carrying a token or timestamp (data-csrf, data-timestamp);
+    // bare digit runs are left alone, they may be prices, phone numbers or IDs
+    [/\s([\w-]*(?:csrf|xsrf|nonce|timestamp)[\w-]*)=("[^"]*"|'[^']*'|[^\s>]*)/gi, ' $1=""'],
+    // cache-busting query parameters
+    [/([?&](?:v|ver|version|_|t|ts|cb|cachebust|cache_bust)=)[^&"'\s>]+/gi, '$1']
+];
+
+/**
+ * Cache for extraction results, keyed on page content rather than URL.
+ *
+ * The HTML is normalised before hashing so that per-request noise (CSRF
+ * tokens, nonces, timestamps, cache-busting query strings, whitespace) does
+ * not defeat the cache; the key also covers provider, model, prompt version
+ * and the extraction options. The same page served from several URLs
+ * (/simple-form and /contact-us) shares one entry, and each entry remembers
+ * the URL that populated it.
+ */
+class ExtractionCacheService {
+    constructor() {
+        this.store = cacheStores.createStore();
+        this.ttlMs = parseInt(process.env.EXTRACTION_CACHE_TTL_MS || '0', 10);
+        this.counters = { hits: 0, misses: 0 };
+    }
+
+    get enabled() {
+        return this.store !== null;
+    }
+
+    /**
+     * Strip volatile tokens from HTML before hashing
+     * @param {string} htmlContent - Raw HTML
+     * @returns {string} - Normalised HTML
+     */
+    normalise(htmlContent) {
+        let html = String(htmlContent)
+            .replace(/<(input|meta)\b[^>]*>/gi, tag => {
+                const name = (tag.match(/\s(?:name|id)=["']?([^"'\s>]*)/i) || [])[1] || '';
+                if (!VOLATILE_FIELD_PATTERN.test(name)) return tag;
+                return tag.replace(/\s(value|content)=("[^"]*"|'[^']*'|[^\s>]*)/gi, ' $1=""');
+            });
+
+        VOLATILE_VALUE_PATTERNS.forEach(([pattern, replacement]) => {
+            html = html.replace(pattern, replacement);
+        });
+
+        return html.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Build the cache key for an extraction
+     * @param {string} htmlContent - HTML passed to extractForms
+     * @param {Object} keyParts - { provider, model, promptVersion, mode, preprocess, maxChunkChars }
+     * @returns {string} - SHA-256 hex key
+     */
+    buildKey(htmlContent, keyParts) {
+        const contentHash = crypto.createHash('sha256').update(this.normalise(htmlContent)).digest('hex');
+        return crypto.createHash('sha256')
+            .update(JSON.stringify({ contentHash, ...keyParts }))
+            .digest('hex');
+    }
+
+    /**
+     * Look up a cached extraction result
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - { result, cache } on a hit, null on a miss
+     */
+    async lookup(key) {
+        const entry = await this.store.get(key);
+
+        if (!entry || (this.ttlMs > 0 && Date.now() - Date.parse(entry.createdAt) > this.ttlMs)) {
+            if (entry) await this.store.delete(key);
+            this.counters.misses++;
+            return null;
+        }
+
+        entry.hits++;
+        entry.lastHitAt = new Date().toISOString();
+        await this.store.set(key, entry);
+        this.counters.hits++;
+
+        return {
+            result: JSON.parse(JSON.stringify(entry.result)),
+            cache: this.describe(entry, true)
+        };
+    }
+
+    /**
+     * Store an extraction result
+     * @param {string} key - Cache key
+     * @param {Object} result - extractForms result
+     * @param {string|null} sourceUrl - URL the HTML came from, if known
+     * @returns {Promise<Object>} - Cache descriptor for the response
+     */
+    async save(key, result, sourceUrl) {
+        const entry = {
+            key,
+            firstUrl: sourceUrl || null,
+            createdAt: new Date().toISOString(),
+            lastHitAt: null,
+            hits: 0,
+            result: JSON.parse(JSON.stringify(result))
+        };
+        await this.store.set(key, entry);
+        return this.describe(entry, false);
+    }
+
+    /**
+     * Whether a result is complete enough to reuse (no fallbacks or failed chunks)
+     */
+    isCacheable(result) {
+        if (result.fallback) return false;
+        const chunks = (result.chunking && result.chunking.chunks) || [];
+        return !chunks.some(chunk => chunk.error || chunk.fallback);
+    }
+
+    describe(entry, hit) {
+        return {
+            hit,
+            key: entry.key,
+            store: this.store.name,
+            firstUrl: entry.firstUrl,
+            createdAt: entry.createdAt,
+            hits: entry.hits
+        };
+    }
+
+    /**
+     * Cache statistics for the API
+     */
+    async stats() {
+        if (!this.enabled) {
+            return { enabled: false };
+        }
+        return {
+            enabled: true,
+            store: this.store.name,
+            entries: await this.store.size(),
+            maxEntries: this.store.maxEntries,
+            ttlMs: this.ttlMs,
+            ...this.counters
+        };
+    }
+
+    /**
+     * Remove all entries
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async clear() {
+        return this.enabled ? this.store.clear() : 0;
+    }
+}
+
+module.exports = new ExtractionCacheService();
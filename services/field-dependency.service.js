@@ -0,0 +1,758 @@
+const EFFECTS = ['show', 'enable', 'require'];
+// Effects that decide whether a field is active (shown and enabled) at all
+const ACTIVATING_EFFECTS = ['show', 'enable'];
+const NEGATED_OPERATORS = {
+    equals: 'not-equals',
+    'not-equals': 'equals',
+    in: 'not-in',
+    'not-in': 'in',
+    checked: 'unchecked',
+    unchecked: 'checked',
+    filled: 'empty',
+    empty: 'filled'
+};
+const TRUTHY_VALUES = ['true', 'on', 'yes', 'y', 'checked', '1'];
+const HIDDEN_CLASS_PATTERN = /^(hidden|hide|d-none|is-hidden|invisible|collapsed)$/i;
+const LISTENER_PATTERN = /\.addEventListener\(\s*['"](change|input|click)['"]\s*,\s*/g;
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+// Element reference in a script: a variable or a document lookup call
+const REF = `${IDENTIFIER}(?:\\.${IDENTIFIER})*(?:\\([^()]*\\))?`;
+// Calls nested deeper than this are not followed (helpers calling helpers)
+const MAX_CALL_DEPTH = 3;
+
+/**
+ * Conditional field dependencies: which fields appear, become enabled or
+ * become required depending on another field's value.
+ *
+ * A rule reads "`field` is shown / enabled / required while `dependsOn`
+ * <operator> <value>", e.g. { field: "companyName", dependsOn: "accountType",
+ * effect: "show", operator: "equals", value: "business" }. A field with
+ * several show/enable rules is active only while all of them hold.
+ *
+ * The heuristic extractor finds rules in:
+ * - inline scripts: change/input/click listeners of a field that toggle the
+ *   `hidden` class, `style.display`, `hidden`, `disabled` or `required` of
+ *   other fields or of containers holding them, under `if` conditions or
+ *   with conditional values (`company.disabled = !enableBusiness.checked`),
+ *   following calls to page functions with their arguments
+ * - aria-controls on checkboxes and radios, which reveal the referenced
+ *   element when checked
+ *
+ * Value generation uses the rules to drop values of fields that end up
+ * inactive, and the executor to fill controlling fields first.
+ */
+class FieldDependencyService {
+    constructor() {
+        this.effects = EFFECTS;
+        this.operators = Object.keys(NEGATED_OPERATORS);
+    }
+
+    /**
+     * Find the dependencies between the fields of one form
+     * @param {Function} $ - Cheerio instance of the page
+     * @param {Object} $container - Form container
+     * @param {Object} $controls - Fillable controls of the form
+     * @param {string} scriptText - Inline scripts of the page
+     * @param {Function} getFieldName - ($el) => fieldName, as used for the form's fields
+     * @returns {Array} - Dependency rules
+     */
+    detect($, $container, $controls, scriptText, getFieldName) {
+        const controls = $controls.toArray();
+        const analysis = {
+            $,
+            $container,
+            scriptText,
+            functions: this.findFunctions(scriptText),
+            fieldsIn: el => [...new Set(controls
+                .filter(control => control === el || $.contains(el, control))
+                .map(control => getFieldName($(control))))],
+            rules: []
+        };
+
+        this.findListeners(scriptText, analysis.functions).forEach(listener => {
+            const controller = this.resolveField(listener.ref, analysis, { bodies: [listener.scope], bindings: new Map() });
+            if (!controller) return;
+
+            const ctx = {
+                controller,
+                targets: new Set(['this', ...listener.params.map(param => `${param}.target`), 'e.target', 'event.target']),
+                bodies: [listener.body, listener.scope],
+                bindings: new Map(),
+                depth: 0
+            };
+            this.analyseBlock(listener.body, ctx, [], analysis);
+        });
+
+        controls
+            .filter(el => $(el).attr('aria-controls') && $(el).is('input[type="checkbox"], input[type="radio"], [role="checkbox"], [role="switch"]'))
+            .forEach(el => {
+                const $el = $(el);
+                const isRadio = $el.is('input[type="radio"]');
+                const condition = {
+                    controller: getFieldName($el),
+                    operator: isRadio ? 'equals' : 'checked',
+                    value: isRadio ? ($el.attr('value') || 'on') : null
+                };
+                $el.attr('aria-controls').split(/\s+/).filter(Boolean).forEach(id => {
+                    this.findInContainer($container, `[id="${id}"]`).forEach(target => {
+                        this.addRules(analysis, analysis.fieldsIn(target), 'show', [condition], 'aria');
+                    });
+                });
+            });
+
+        return this.dedupe(analysis.rules);
+    }
+
+    /**
+     * Walk a function body: effects outside `if` statements apply under the
+     * current conditions, `if`/`else if`/`else` branches add their own
+     */
+    analyseBlock(body, ctx, conditions, analysis) {
+        const ifPattern = /\bif\s*\(/g;
+        let position = 0;
+        let match;
+
+        while ((match = ifPattern.exec(body)) !== null) {
+            if (match.index < position) continue;
+            this.analyseStatements(body.slice(position, match.index), ctx, conditions, analysis);
+
+            let cursor = match.index + match[0].length - 1;
+            const branches = [];
+            let elseBody = null;
+            while (true) {
+                const closeParen = this.findClosing(body, cursor);
+                if (closeParen < 0) return;
+                const test = body.slice(cursor + 1, closeParen);
+                const block = this.readStatement(body, closeParen + 1);
+                branches.push({ test, body: block.text });
+                cursor = block.end;
+
+                const rest = body.slice(cursor).match(/^\s*else\s+if\s*\(/);
+                if (rest) {
+                    cursor += rest[0].length - 1;
+                    continue;
+                }
+                const elseMatch = body.slice(cursor).match(/^\s*else\b/);
+                if (elseMatch) {
+                    const elseBlock = this.readStatement(body, cursor + elseMatch[0].length);
+                    elseBody = elseBlock.text;
+                    cursor = elseBlock.end;
+                }
+                break;
+            }
+
+            branches.forEach(branch => {
+                const test = this.isElementCheck(branch.test, ctx, analysis) ? [] : this.parseCondition(branch.test, ctx, analysis);
+                if (test) this.analyseBlock(branch.body, ctx, [...conditions, ...test], analysis);
+            });
+            // A plain else is only understood as the opposite of a single condition
+            if (elseBody !== null && branches.length === 1) {
+                const test = this.parseCondition(branches[0].test, ctx, analysis);
+                if (test && test.length === 1) {
+                    this.analyseBlock(elseBody, ctx, [...conditions, this.negate(test[0])], analysis);
+                }
+            }
+
+            position = cursor;
+            ifPattern.lastIndex = cursor;
+        }
+
+        this.analyseStatements(body.slice(position), ctx, conditions, analysis);
+    }
+
+    /**
+     * `if (field)` guarding against a missing element adds no condition
+     */
+    isElementCheck(test, ctx, analysis) {
+        const name = test.trim();
+        if (!new RegExp(`^${IDENTIFIER}$`).test(name)) return false;
+        const definition = this.findVariable(name, ctx, analysis);
+        return Boolean(definition && /^document\.(getElementById|querySelector)\(/.test(definition));
+    }
+
+    /**
+     * Effects in straight-line code, plus calls to page functions
+     */
+    analyseStatements(text, ctx, conditions, analysis) {
+        const effects = [];
+        const assignment = property => new RegExp(`(${REF})\\.${property}\\s*=(?!=)\\s*([^;\\n]+)`, 'g');
+        let match;
+
+        const display = assignment('style\\.display');
+        while ((match = display.exec(text)) !== null) {
+            effects.push({ ref: match[1], effect: 'show', value: this.parseDisplayValue(match[2], ctx, analysis) });
+        }
+
+        const classList = new RegExp(`(${REF})\\.classList\\.(add|remove|toggle)\\(\\s*['"]([\\w-]+)['"]\\s*(?:,\\s*([^)]+))?\\)`, 'g');
+        while ((match = classList.exec(text)) !== null) {
+            if (!HIDDEN_CLASS_PATTERN.test(match[3])) continue;
+            let value = { literal: match[2] === 'remove' };
+            if (match[2] === 'toggle') {
+                value = match[4] ? this.negateValue(this.parseValue(match[4], ctx, analysis)) : null;
+            }
+            effects.push({ ref: match[1], effect: 'show', value });
+        }
+
+        [['hidden', 'show', true], ['disabled', 'enable', true], ['required', 'require', false]].forEach(([property, effect, negated]) => {
+            const pattern = assignment(property);
+            while ((match = pattern.exec(text)) !== null) {
+                const value = this.parseValue(match[2], ctx, analysis);
+                effects.push({ ref: match[1], effect, value: negated ? this.negateValue(value) : value });
+            }
+        });
+
+        effects.forEach(({ ref, effect, value }) => {
+            const ruleConditions = this.combine(conditions, value);
+            if (!ruleConditions) return;
+            this.resolveElements(ref, analysis, ctx).forEach(el => {
+                this.addRules(analysis, analysis.fieldsIn(el), effect, ruleConditions, 'script');
+            });
+        });
+
+        if (ctx.depth >= MAX_CALL_DEPTH) return;
+        const call = new RegExp(`(?:^|[^\\w$.])(${IDENTIFIER})\\(`, 'g');
+        while ((match = call.exec(text)) !== null) {
+            const fn = analysis.functions.get(match[1]);
+            const open = match.index + match[0].length - 1;
+            const close = this.findClosing(text, open);
+            if (!fn || close < 0) continue;
+
+            const args = this.splitArguments(text.slice(open + 1, close));
+            const bindings = new Map(fn.params.map((param, i) => [param, args[i] !== undefined ? { text: args[i], ctx } : null]));
+            this.analyseBlock(fn.body, { ...ctx, bodies: [fn.body, ...ctx.bodies], bindings, depth: ctx.depth + 1 }, conditions, analysis);
+        }
+    }
+
+    /**
+     * Conditions under which an effect applies: the enclosing conditions plus the
+     * assigned value's own. A literal false only says something when it undoes a
+     * single enclosing condition (the else branch of a toggle).
+     * @returns {Array|null} - Conditions, or null when the effect yields no rule
+     */
+    combine(conditions, value) {
+        if (!value) return null;
+        if (value.literal === true) return conditions.length ? conditions : null;
+        if (value.literal === false) return conditions.length === 1 ? [this.negate(conditions[0])] : null;
+        return [...conditions, ...value.conditions];
+    }
+
+    addRules(analysis, fieldNames, effect, conditions, source) {
+        fieldNames.forEach(field => {
+            conditions
+                .filter(condition => condition.controller !== field)
+                .forEach(condition => {
+                    analysis.rules.push({
+                        field,
+                        dependsOn: condition.controller,
+                        effect,
+                        operator: condition.operator,
+                        value: condition.value,
+                        source
+                    });
+                });
+        });
+    }
+
+    /**
+     * `style.display = ...`: "none" hides, any other display shows, `a ? "block" : "none"` depends on a
+     */
+    parseDisplayValue(text, ctx, analysis) {
+        const expression = this.resolveBinding(text.trim(), ctx);
+        const literal = expression.text.match(/^(['"`])(.*)\1$/);
+        if (literal) return { literal: literal[2].trim() !== 'none' };
+
+        const ternary = expression.text.match(/^(.+?)\?\s*(['"`])(.*?)\2\s*:\s*(['"`])(.*?)\4$/);
+        if (!ternary) return null;
+        const test = this.parseValue(ternary[1], expression.ctx, analysis);
+        return ternary[3].trim() !== 'none' ? test : this.negateValue(test);
+    }
+
+    /**
+     * Value of a boolean assignment: a literal or conditions on fields
+     * @returns {Object|null} - { literal } or { conditions }
+     */
+    parseValue(text, ctx, analysis) {
+        const expression = this.resolveBinding(text.trim(), ctx);
+        if (expression.text === 'true' || expression.text === 'false') {
+            return { literal: expression.text === 'true' };
+        }
+        const conditions = this.parseCondition(expression.text, expression.ctx, analysis);
+        return conditions ? { conditions } : null;
+    }
+
+    negateValue(value) {
+        if (!value) return null;
+        if ('literal' in value) return { literal: !value.literal };
+        return value.conditions.length === 1 ? { conditions: [this.negate(value.conditions[0])] } : null;
+    }
+
+    /**
+     * Parse a boolean expression over field values
+     * @returns {Array|null} - Conditions that must all hold ({ controller, operator, value }),
+     *   or null if the expression is not understood
+     */
+    parseCondition(text, ctx, analysis, depth = 0) {
+        const expression = this.stripParens(text.trim());
+        if (depth > MAX_CALL_DEPTH || !expression) return null;
+
+        const conjuncts = this.splitTopLevel(expression, '&&');
+        if (conjuncts.length > 1) {
+            const parts = conjuncts.map(part => this.parseCondition(part, ctx, analysis, depth + 1));
+            return parts.every(Boolean) ? parts.flat() : null;
+        }
+
+        const disjuncts = this.splitTopLevel(expression, '||');
+        if (disjuncts.length > 1) {
+            const parts = disjuncts.map(part => this.parseCondition(part, ctx, analysis, depth + 1));
+            const controller = parts[0] && parts[0].length === 1 ? parts[0][0].controller : null;
+            const sameField = parts.every(part => part && part.length === 1 && part[0].controller === controller && part[0].operator === 'equals');
+            return sameField ? [{ controller, operator: 'in', value: parts.map(part => part[0].value) }] : null;
+        }
+
+        if (expression.startsWith('!') && !expression.startsWith('!=')) {
+            const inner = this.parseCondition(expression.slice(1), ctx, analysis, depth + 1);
+            return inner && inner.length === 1 ? [this.negate(inner[0])] : null;
+        }
+
+        const comparison = expression.match(/^(.+?)\s*(===|==|!==|!=)\s*(['"`])(.*)\3$/)
+            || expression.match(/^(['"`])(.*)\1\s*(===|==|!==|!=)\s*(.+)$/);
+        if (comparison) {
+            const [left, operator, value] = comparison[1].match(/^['"`]/)
+                ? [comparison[4], comparison[3], comparison[2]]
+                : [comparison[1], comparison[2], comparison[4]];
+            const controller = this.resolveValueRef(left.trim(), ctx, analysis, depth);
+            if (!controller) return null;
+            return [{ controller, operator: operator.startsWith('!') ? 'not-equals' : 'equals', value }];
+        }
+
+        const checked = expression.match(/^(.+)\.checked$/);
+        if (checked) {
+            const controller = this.resolveField(checked[1], analysis, ctx);
+            return controller ? [{ controller, operator: 'checked', value: null }] : null;
+        }
+
+        const filled = expression.match(/^(.+)\.value(?:\.trim\(\))?(?:\.length)?$/);
+        if (filled) {
+            const controller = this.resolveField(filled[1], analysis, ctx);
+            return controller ? [{ controller, operator: 'filled', value: null }] : null;
+        }
+
+        if (new RegExp(`^${IDENTIFIER}$`).test(expression)) {
+            const binding = ctx.bindings.get(expression);
+            if (binding) return this.parseCondition(binding.text, binding.ctx, analysis, depth + 1);
+            const definition = this.findVariable(expression, ctx, analysis);
+            if (definition) return this.parseCondition(definition, ctx, analysis, depth + 1);
+        }
+        return null;
+    }
+
+    /**
+     * Field whose value an expression reads (`x.value`, or a variable holding it)
+     */
+    resolveValueRef(text, ctx, analysis, depth) {
+        const value = text.match(/^(.+)\.value(?:\.trim\(\))?$/);
+        if (value) return this.resolveField(value[1], analysis, ctx);
+        if (depth > MAX_CALL_DEPTH || !new RegExp(`^${IDENTIFIER}$`).test(text)) return null;
+
+        const binding = ctx.bindings.get(text);
+        if (binding) return this.resolveValueRef(binding.text.trim(), binding.ctx, analysis, depth + 1);
+        const definition = this.findVariable(text, ctx, analysis);
+        return definition ? this.resolveValueRef(definition, ctx, analysis, depth + 1) : null;
+    }
+
+    /**
+     * Field name an element reference points at, if it is one of the form's fields
+     */
+    resolveField(ref, analysis, ctx) {
+        const text = ref.trim();
+        if (ctx.targets && ctx.targets.has(text)) return ctx.controller;
+        const fields = [...new Set(this.resolveElements(text, analysis, ctx).flatMap(el => analysis.fieldsIn(el)))];
+        return fields.length === 1 ? fields[0] : null;
+    }
+
+    /**
+     * Elements of the form container an element reference points at
+     */
+    resolveElements(ref, analysis, ctx, depth = 0) {
+        const expression = this.resolveBinding(ref.trim(), ctx);
+        const text = expression.text;
+        const { $container } = analysis;
+        if (depth > MAX_CALL_DEPTH) return [];
+
+        const lookup = text.match(/^document\.(getElementById|querySelector|querySelectorAll)\(\s*(.+?)\s*\)$/);
+        if (lookup) {
+            const argument = this.resolveBinding(lookup[2], expression.ctx).text;
+            const literal = argument.match(/^(['"`])(.*)\1$/);
+            if (!literal) return [];
+            return this.findInContainer($container, lookup[1] === 'getElementById' ? `[id="${literal[2]}"]` : literal[2]);
+        }
+
+        if (!new RegExp(`^${IDENTIFIER}$`).test(text)) return [];
+        const definition = this.findVariable(text, expression.ctx, analysis);
+        if (definition) return this.resolveElements(definition, analysis, expression.ctx, depth + 1);
+
+        // Loop variable: document.querySelectorAll('...').forEach(radio => ...)
+        const escaped = text.replace(/\$/g, '\\$');
+        const loop = analysis.scriptText.match(new RegExp(`querySelectorAll\\(\\s*(['"\`])(.+?)\\1\\s*\\)\\.forEach\\(\\s*(?:function\\s*)?\\(?\\s*${escaped}\\b`));
+        return loop ? this.findInContainer($container, loop[2]) : [];
+    }
+
+    findInContainer($container, selector) {
+        try {
+            return $container.find(selector).addBack(selector).toArray();
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * A function parameter stands for the argument it was called with
+     * @returns {Object} - { text, ctx } to evaluate
+     */
+    resolveBinding(text, ctx) {
+        const binding = ctx.bindings && ctx.bindings.get(text);
+        return binding ? { text: binding.text.trim(), ctx: binding.ctx } : { text, ctx };
+    }
+
+    /**
+     * Initialiser of a variable: the innermost function body first, then the whole script
+     */
+    findVariable(name, ctx, analysis) {
+        const pattern = new RegExp(`\\b(?:const|let|var)\\s+${name.replace(/\$/g, '\\$')}\\s*=\\s*([^;\\n]+)`);
+        for (const body of [...(ctx.bodies || []), analysis.scriptText]) {
+            const match = body.match(pattern);
+            if (match) return match[1].trim();
+        }
+        return null;
+    }
+
+    /**
+     * Named functions of the page scripts (declarations and function-valued variables)
+     * @returns {Map} - name → { params, body }
+     */
+    findFunctions(scriptText) {
+        const functions = new Map();
+        const pattern = new RegExp(`\\bfunction\\s+(${IDENTIFIER})\\s*\\(|\\b(?:const|let|var)\\s+(${IDENTIFIER})\\s*=\\s*(?:async\\s+)?(?:function\\s*)?\\(`, 'g');
+        let match;
+
+        while ((match = pattern.exec(scriptText)) !== null) {
+            const open = match.index + match[0].length - 1;
+            const close = this.findClosing(scriptText, open);
+            if (close < 0) continue;
+            const after = scriptText.slice(close + 1).match(/^\s*(=>\s*)?\{/);
+            if (!after) continue;
+            const bodyOpen = close + after[0].length;
+            const bodyClose = this.findClosing(scriptText, bodyOpen);
+            if (bodyClose < 0) continue;
+
+            functions.set(match[1] || match[2], {
+                params: this.splitArguments(scriptText.slice(open + 1, close)).map(param => param.split('=')[0].trim()),
+                body: scriptText.slice(bodyOpen + 1, bodyClose)
+            });
+        }
+        return functions;
+    }
+
+    /**
+     * change/input/click listeners: the element reference, the handler's parameters and body
+     * @returns {Array} - [{ ref, params, body, scope }], scope being the surrounding script text
+     */
+    findListeners(scriptText, functions) {
+        const listeners = [];
+        let match;
+        LISTENER_PATTERN.lastIndex = 0;
+
+        while ((match = LISTENER_PATTERN.exec(scriptText)) !== null) {
+            const ref = this.readRefBefore(scriptText, match.index);
+            const start = match.index + match[0].length;
+            const rest = scriptText.slice(start);
+            let params = [];
+            let body = null;
+
+            const inline = rest.match(/^(?:async\s+)?(?:function\s*\w*\s*\(([^)]*)\)\s*\{|\(([^)]*)\)\s*=>\s*\{|(\w+)\s*=>\s*\{)/);
+            if (inline) {
+                params = this.splitArguments(inline[1] || inline[2] || inline[3] || '');
+                const open = start + inline[0].length - 1;
+                const close = this.findClosing(scriptText, open);
+                if (close > 0) body = scriptText.slice(open + 1, close);
+            } else {
+                const named = rest.match(new RegExp(`^(${IDENTIFIER})\\s*\\)`));
+                const fn = named && functions.get(named[1]);
+                if (fn) {
+                    params = fn.params;
+                    body = fn.body;
+                }
+            }
+
+            if (ref && body !== null) {
+                listeners.push({ ref, params, body, scope: scriptText.slice(Math.max(0, match.index - 2000), match.index) });
+            }
+        }
+        return listeners;
+    }
+
+    /**
+     * The element expression right before ".addEventListener", e.g. document.getElementById('x') or radio
+     */
+    readRefBefore(text, end) {
+        let start = end;
+        while (start > 0) {
+            const char = text[start - 1];
+            if (char === ')') {
+                const open = this.findOpening(text, start - 1);
+                if (open < 0) break;
+                start = open;
+            } else if (/[\w$.]/.test(char)) {
+                start--;
+            } else {
+                break;
+            }
+        }
+        return text.slice(start, end).trim() || null;
+    }
+
+    /**
+     * Body of an if/else branch: a {...} block or a single statement
+     * @returns {Object} - { text, end } (end is just past the branch)
+     */
+    readStatement(text, from) {
+        const offset = text.slice(from).search(/\S/);
+        if (offset < 0) return { text: '', end: text.length };
+        const start = from + offset;
+        if (text[start] === '{') {
+            const close = this.findClosing(text, start);
+            return close < 0 ? { text: text.slice(start + 1), end: text.length } : { text: text.slice(start + 1, close), end: close + 1 };
+        }
+        const semicolon = text.indexOf(';', start);
+        const end = semicolon < 0 ? text.length : semicolon + 1;
+        return { text: text.slice(start, end), end };
+    }
+
+    /**
+     * Index of the bracket closing the one at `open`, skipping strings and comments; -1 if unbalanced
+     */
+    findClosing(text, open) {
+        const pairs = { '(': ')', '{': '}', '[': ']' };
+        const stack = [];
+        for (let i = open; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === "'" || char === '`') {
+                i = this.skipString(text, i);
+            } else if (char === '/' && text[i + 1] === '/') {
+                const newline = text.indexOf('\n', i);
+                i = newline < 0 ? text.length : newline;
+            } else if (char === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                i = end < 0 ? text.length : end + 1;
+            } else if (pairs[char]) {
+                stack.push(pairs[char]);
+            } else if (char === ')' || char === '}' || char === ']') {
+                if (stack.pop() !== char) return -1;
+                if (stack.length === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Index of the "(" matching the ")" at `close` (no strings containing parentheses expected)
+     */
+    findOpening(text, close) {
+        let depth = 0;
+        for (let i = close; i >= 0; i--) {
+            if (text[i] === ')') depth++;
+            if (text[i] === '(') depth--;
+            if (depth === 0) return i;
+        }
+        return -1;
+    }
+
+    skipString(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\') i++;
+            else if (text[i] === quote) return i;
+        }
+        return text.length;
+    }
+
+    /**
+     * Split at top-level occurrences of a separator (outside brackets and strings)
+     */
+    splitTopLevel(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"' || char === "'" || char === '`') {
+                i = this.skipString(text, i);
+            } else if ('({['.includes(char)) {
+                depth++;
+            } else if (')}]'.includes(char)) {
+                depth--;
+            } else if (depth === 0 && text.startsWith(separator, i)) {
+                parts.push(text.slice(start, i).trim());
+                i += separator.length - 1;
+                start = i + 1;
+            }
+        }
+        parts.push(text.slice(start).trim());
+        return parts.filter(part => part !== '' || parts.length === 1);
+    }
+
+    splitArguments(text) {
+        return text.trim() ? this.splitTopLevel(text, ',') : [];
+    }
+
+    stripParens(text) {
+        let expression = text;
+        while (expression.startsWith('(') && this.findClosing(expression, 0) === expression.length - 1) {
+            expression = expression.slice(1, -1).trim();
+        }
+        return expression;
+    }
+
+    negate(condition) {
+        return { ...condition, operator: NEGATED_OPERATORS[condition.operator] };
+    }
+
+    /**
+     * Drop repeated rules (a toggle's if and else branches describe the same rule)
+     */
+    dedupe(rules) {
+        const seen = new Set();
+        return rules.filter(rule => {
+            const key = JSON.stringify([rule.field, rule.dependsOn, rule.effect, rule.operator, rule.value]);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Keep only rules between two different fields of their form, with values
+     * matching the operator, without repeats
+     * @param {Array} forms - Extracted forms (changed in place)
+     * @returns {Array} - The same forms
+     */
+    normalise(forms) {
+        forms.forEach(form => {
+            const fieldNames = new Set(form.fields.map(field => field.fieldName));
+            form.dependencies = this.dedupe((form.dependencies || [])
+                .filter(rule => fieldNames.has(rule.field) && fieldNames.has(rule.dependsOn) && rule.field !== rule.dependsOn)
+                .map(rule => {
+                    let operator = rule.operator || 'equals';
+                    if (Array.isArray(rule.value) && (operator === 'equals' || operator === 'not-equals')) {
+                        operator = operator === 'equals' ? 'in' : 'not-in';
+                    }
+                    const value = operator === 'in' || operator === 'not-in' ? [].concat(rule.value ?? []) : rule.value;
+                    return {
+                        ...rule,
+                        effect: rule.effect || 'show',
+                        operator,
+                        value: value === undefined ? null : value,
+                        source: rule.source || null
+                    };
+                }));
+        });
+        return forms;
+    }
+
+    /**
+     * Whether a rule holds for the given values (a missing value is an unset field)
+     */
+    isSatisfied(rule, values) {
+        const value = values[rule.dependsOn];
+        const list = Array.isArray(value) ? value : [value];
+        const normalise = item => String(item ?? '').trim().toLowerCase();
+        const filled = list.some(item => item !== null && item !== undefined && item !== false && String(item).trim() !== '');
+        const checked = list.some(item => item === true || TRUTHY_VALUES.includes(normalise(item)));
+        const equals = expected => list.some(item => normalise(item) === normalise(expected)
+            || (typeof expected === 'boolean' && (expected ? checked : !checked)));
+
+        switch (rule.operator) {
+        case 'equals': return equals(rule.value);
+        case 'not-equals': return !equals(rule.value);
+        case 'in': return [].concat(rule.value).some(equals);
+        case 'not-in': return ![].concat(rule.value).some(equals);
+        case 'checked': return checked;
+        case 'unchecked': return !checked;
+        case 'filled': return filled;
+        case 'empty': return !filled;
+        default: return true;
+        }
+    }
+
+    /**
+     * Fields that are hidden or disabled for a set of values. A field is active when
+     * all its show/enable rules hold; inactive fields are not submitted, so they
+     * count as unset for the rules that depend on them.
+     * @param {Object} form - Form with fields and dependencies
+     * @param {Object} values - Values by field name
+     * @returns {Array} - Inactive field names, in form order
+     */
+    getInactiveFields(form, values) {
+        const rules = (form.dependencies || []).filter(rule => ACTIVATING_EFFECTS.includes(rule.effect));
+        const inactive = new Set();
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            const effective = Object.fromEntries(Object.entries(values).filter(([name]) => !inactive.has(name)));
+            rules.forEach(rule => {
+                if (!inactive.has(rule.field) && !this.isSatisfied(rule, effective)) {
+                    inactive.add(rule.field);
+                    changed = true;
+                }
+            });
+        }
+        return (form.fields || []).map(field => field.fieldName).filter(name => inactive.has(name));
+    }
+
+    /**
+     * Values without the fields the chosen values leave inactive, controlling fields first
+     * @param {Object} form - Form with fields and dependencies
+     * @param {Object} values - Generated values by field name
+     * @returns {Object} - { values, inactiveFields }
+     */
+    applyToValues(form, values) {
+        const inactiveFields = this.getInactiveFields(form, values);
+        const order = this.orderFields(form).map(field => field.fieldName);
+        const names = [
+            ...order.filter(name => Object.prototype.hasOwnProperty.call(values, name)),
+            ...Object.keys(values).filter(name => !order.includes(name))
+        ];
+        const activeValues = Object.fromEntries(names
+            .filter(name => !inactiveFields.includes(name))
+            .map(name => [name, values[name]]));
+
+        return { values: activeValues, inactiveFields };
+    }
+
+    /**
+     * Fields in fill order: every field after the fields it depends on, otherwise in form order
+     * @param {Object} form - Form with fields and dependencies
+     * @param {Array} fields - Subset of the form's fields to order (default: all)
+     * @returns {Array} - Field descriptors
+     */
+    orderFields(form, fields = form.fields || []) {
+        const rules = form.dependencies || [];
+        const byName = new Map(fields.map(field => [field.fieldName, field]));
+        const ordered = [];
+        const visiting = new Set();
+        const visit = field => {
+            if (ordered.includes(field) || visiting.has(field)) return;
+            visiting.add(field);
+            rules
+                .filter(rule => rule.field === field.fieldName && byName.has(rule.dependsOn))
+                .forEach(rule => visit(byName.get(rule.dependsOn)));
+            visiting.delete(field);
+            ordered.push(field);
+        };
+        fields.forEach(visit);
+        return ordered;
+    }
+}
+
+module.exports = new FieldDependencyService();
@@ -0,0 +1,784 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const browserRenderer = require('./browser-renderer.service');
+const outcomeClassifier = require('./outcome-classifier.service');
+const geminiService = require('./gemini.service');
+const fieldDependency = require('./field-dependency.service');
+const repeatingGroup = require('./repeating-group.service');
+
+const SUBMIT_TYPES = ['button-click', 'enter-key', 'auto-submit'];
+// Input types set directly (typing into them depends on the browser's locale/UI)
+const VALUE_INPUT_TYPES = ['date', 'time', 'datetime-local', 'month', 'week', 'color', 'range'];
+// Field types that carry no user input
+const SKIPPED_FIELD_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+const TRUTHY_VALUES = ['true', 'on', 'yes', 'y', 'checked', '1'];
+const MAX_RESPONSE_BODY_CHARS = 2000;
+// Elements that typically carry submission feedback (messages, alerts, modals, status lines)
+const FEEDBACK_SELECTOR = [
+    '[role="alert"]', '[role="status"]', '[role="dialog"]', '[aria-live]', 'dialog',
+    '.message', '.alert', '.toast', '.notification', '.modal', '.status',
+    '[class*="success"]', '[class*="error"]', '[class*="invalid"]'
+].join(', ');
+// Network quiet period that ends the wait after submitting; longer for auto-submit
+// forms, which usually debounce their save
+const SETTLE_IDLE_MS = { default: 500, 'auto-submit': 1500 };
+// Outcomes worth another attempt with regenerated values
+const RETRY_LABELS = ['validation-error', 'server-rejection'];
+// Rows counted by their field names when a repeating group has no row selector
+const MAX_COUNTED_ROWS = 500;
+
+/**
+ * Fills and submits analysed forms in a headless browser.
+ *
+ * Takes an analyzeFormsComplete / analyze-url result and, for each form,
+ * opens the page in a fresh tab (shared puppeteer browser from
+ * BrowserRendererService), enters its `suggestedValues` field by field and
+ * triggers the form's `submitType`:
+ * - button-click: click `submitSelector` (or requestSubmit() on the form when there is none)
+ * - enter-key: press Enter in the last typed field
+ * - auto-submit: nothing beyond filling; the page submits on its own
+ *
+ * Fields are filled by what the element actually is: text-like inputs and
+ * textareas are typed into (so key handlers and masks run), date/time/color/
+ * range inputs are set directly, selects pick the matching option by value
+ * or label, radios and checkboxes are clicked into the wanted state, file
+ * inputs get a placeholder file named after the value and contenteditable
+ * elements are typed into. Multi-step forms are filled step by step, clicking
+ * each step's `nextSelector` before moving on. Fields that other fields depend
+ * on (`dependencies`) are filled before them, so conditional fields are shown
+ * or enabled by the time they are reached. Repeating groups get the rows their
+ * values need by clicking the group's `addSelector` before filling starts.
+ * Forms inside frames are located by
+ * their frame index path; " >>> " selectors pierce shadow roots.
+ *
+ * The outcome of each submission is recorded: non-GET requests and
+ * navigations made after the page loaded (with status and response body),
+ * dialogs, page errors, the final URL, fields the browser reports as invalid
+ * and feedback elements that appeared or changed. OutcomeClassifierService
+ * turns it into a `classification` (success, validation-error,
+ * server-rejection, redirect or no-op) with the evidence used.
+ *
+ * With `maxAttempts` > 1, a form whose submission was rejected (validation
+ * error or server rejection) is tried again: the observed error messages go
+ * to GeminiService.generateFieldValues, which regenerates the failing values,
+ * and the form is filled and submitted on a fresh page. Every attempt is
+ * kept in the form's `attempts`.
+ */
+class FormExecutorService {
+    constructor() {
+        this.defaultTimeout = parseInt(process.env.EXECUTE_TIMEOUT_MS || '30000', 10);
+        this.settleTimeout = parseInt(process.env.EXECUTE_SETTLE_TIMEOUT_MS || '5000', 10);
+        this.submitTypes = SUBMIT_TYPES;
+    }
+
+    /**
+     * Fill and submit the forms of an analysis result
+     * @param {Object} analysis - analyzeFormsComplete result (forms with suggestedValues), plus sourceUrl
+     * @param {Object} options - { url (defaults to analysis.sourceUrl), formIds, waitUntil, timeout,
+     *   maxAttempts (default 1), scanOptions (provider/model for regenerating values) }
+     * @returns {Promise<Object>} - { url, forms: [per-form execution], summary, timeTaken, timestamp }
+     */
+    async execute(analysis, options = {}) {
+        const startTime = Date.now();
+        const url = options.url || analysis.sourceUrl;
+        if (!url) {
+            throw new Error('A page URL is required to execute forms');
+        }
+
+        const forms = options.formIds
+            ? analysis.forms.filter(form => options.formIds.includes(form.formId))
+            : analysis.forms;
+        console.log(`\n🕹️  [Executor] Filling and submitting ${forms.length} forms on ${url}...`);
+
+        const browser = await browserRenderer.getBrowser();
+        const uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'form-scanner-uploads-'));
+        const results = [];
+
+        try {
+            // One form at a time, each on a fresh page, so submissions don't affect each other
+            for (const form of forms) {
+                results.push(await this.executeForm(browser, url, form, { ...options, uploadDir }));
+            }
+        } finally {
+            await fs.promises.rm(uploadDir, { recursive: true, force: true });
+        }
+
+        const timeTaken = Date.now() - startTime;
+        const summary = this.summarise(results);
+        console.log(`✅ [Executor] ${summary.submitted}/${summary.formsTotal} forms submitted in ${timeTaken}ms`);
+
+        return {
+            url,
+            forms: results,
+            summary,
+            timeTaken,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Fill and submit one form, again with regenerated values while it is rejected (up to maxAttempts)
+     * @returns {Promise<Object>} - Last attempt's result ({ formId, status, fields, submit, outcome,
+     *   classification, error }) plus `attempts` [{ attempt, values, status, label, errors }] and timeTaken;
+     *   status is "submitted", "not-submitted", "skipped" or "failed"
+     */
+    async executeForm(browser, url, form, options) {
+        const startTime = Date.now();
+        const maxAttempts = options.maxAttempts || 1;
+        let values = form.suggestedValues;
+
+        if (!values || typeof values !== 'object') {
+            const result = this.createResult(form);
+            result.status = 'skipped';
+            result.error = 'Form has no suggested values';
+            result.classification = outcomeClassifier.classify(result);
+            return { ...result, attempts: [] };
+        }
+
+        const attempts = [];
+        let result;
+        for (let attempt = 1; ; attempt++) {
+            result = await this.attemptForm(browser, url, form, values, options);
+            const errors = outcomeClassifier.getErrors(result);
+            attempts.push({ attempt, values, status: result.status, label: result.classification.label, errors });
+
+            if (!RETRY_LABELS.includes(result.classification.label) || attempt >= maxAttempts) break;
+
+            try {
+                console.log(`🔁 [Executor] ${form.formId}: ${result.classification.label}, regenerating values (${errors.length} errors)...`);
+                const regenerated = await geminiService.generateFieldValues(form, {
+                    ...options.scanOptions,
+                    attempts: attempts.map(({ values, errors }) => ({ values, errors }))
+                });
+                values = regenerated.values;
+            } catch (error) {
+                console.error(`❌ [Executor] ${form.formId}: could not regenerate values:`, error.message);
+                attempts[attempts.length - 1].regenerationError = error.message;
+                break;
+            }
+        }
+
+        return { ...result, attempts, timeTaken: Date.now() - startTime };
+    }
+
+    /**
+     * Empty per-form result
+     */
+    createResult(form) {
+        return {
+            formId: form.formId,
+            formType: form.formType,
+            frame: form.frame || null,
+            status: 'failed',
+            fields: [],
+            steps: null,
+            rows: null,
+            submit: { type: form.submitType || 'button-click', selector: form.submitSelector || null, triggered: false },
+            outcome: null,
+            classification: null,
+            error: null,
+            timeTaken: 0
+        };
+    }
+
+    /**
+     * Load the page, fill one form with the given values and submit it
+     */
+    async attemptForm(browser, url, form, values, options) {
+        const startTime = Date.now();
+        const result = this.createResult(form);
+        const timeout = options.timeout || this.defaultTimeout;
+        const page = await browser.newPage();
+        const activity = this.watchPage(page);
+
+        try {
+            console.log(`🕹️  [Executor] ${form.formId}: loading page...`);
+            await page.setUserAgent(browserRenderer.userAgent);
+            page.setDefaultTimeout(timeout);
+            await page.goto(url, { waitUntil: options.waitUntil || 'networkidle0', timeout });
+            activity.start(page.url());
+
+            const frame = await this.findFrame(page, form.frame);
+            if (!frame) {
+                throw new Error(`Frame ${form.frame.indexPath.join('.')} not found`);
+            }
+
+            // Feedback shown before anything is entered (autosave status lines react to typing)
+            const feedbackBefore = await this.snapshotFeedback(frame);
+            if ((form.repeatingGroups || []).length) {
+                result.rows = await this.addRows(frame, form, values);
+            }
+            // Rows beyond the extracted ones are filled as fields of their own
+            const fillForm = { ...form, fields: [...form.fields, ...repeatingGroup.getRowFields(form, values)] };
+            if (form.steps) {
+                result.steps = await this.fillSteps(page, frame, fillForm, values, options.uploadDir, result.fields);
+            } else {
+                for (const field of fieldDependency.orderFields(fillForm)) {
+                    result.fields.push(await this.fillField(frame, field, values, options.uploadDir));
+                }
+            }
+
+            result.submit = await this.submit(frame, form, result.fields);
+            await this.settle(page, result.submit.type);
+            result.outcome = await this.collectOutcome(page, frame, form, activity, feedbackBefore);
+            result.status = result.submit.triggered ? 'submitted' : 'not-submitted';
+
+            const filled = result.fields.filter(field => field.status === 'filled').length;
+            console.log(`${result.submit.triggered ? '✅' : '⚠️ '} [Executor] ${form.formId}: ${filled}/${fillForm.fields.length} fields filled, ${result.status}`);
+        } catch (error) {
+            console.error(`❌ [Executor] ${form.formId} failed:`, error.message);
+            result.error = error.message;
+        } finally {
+            await page.close().catch(() => {});
+        }
+
+        result.classification = outcomeClassifier.classify(result);
+        console.log(`🏷️  [Executor] ${form.formId}: ${result.classification.label} (${result.classification.confidence} confidence)`);
+
+        result.timeTaken = Date.now() - startTime;
+        return result;
+    }
+
+    /**
+     * Record what the page does once the form starts being filled
+     * @returns {Object} - Activity log with start(url) to begin recording
+     */
+    watchPage(page) {
+        const activity = {
+            recording: false,
+            loadedUrl: null,
+            requests: [],
+            navigations: [],
+            dialogs: [],
+            pageErrors: [],
+            pending: [],
+            start(url) {
+                this.recording = true;
+                this.loadedUrl = url;
+            }
+        };
+
+        page.on('response', response => {
+            const request = response.request();
+            const isNavigation = request.isNavigationRequest() && request.frame() === page.mainFrame();
+            if (!activity.recording || (request.method() === 'GET' && !isNavigation)) return;
+
+            const entry = {
+                method: request.method(),
+                url: response.url(),
+                status: response.status(),
+                resourceType: request.resourceType(),
+                postData: request.postData() || null,
+                body: null
+            };
+            activity.requests.push(entry);
+            if (request.method() !== 'GET') {
+                activity.pending.push(response.text()
+                    .then(text => { entry.body = this.parseBody(text); })
+                    .catch(() => {}));
+            }
+        });
+        page.on('framenavigated', frame => {
+            if (activity.recording && frame === page.mainFrame()) {
+                activity.navigations.push(frame.url());
+            }
+        });
+        page.on('dialog', dialog => {
+            activity.dialogs.push({ type: dialog.type(), message: dialog.message() });
+            dialog.accept().catch(() => {});
+        });
+        page.on('pageerror', error => {
+            if (activity.recording) activity.pageErrors.push(error.message);
+        });
+
+        return activity;
+    }
+
+    /**
+     * JSON response bodies are parsed, anything else is kept as (truncated) text
+     */
+    parseBody(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text.length > MAX_RESPONSE_BODY_CHARS ? `${text.substring(0, MAX_RESPONSE_BODY_CHARS)}…` : text;
+        }
+    }
+
+    /**
+     * Frame a form lives in, following its frame index path from the top document
+     * @param {Object} frameInfo - Form frame descriptor ({ indexPath }), null for the top document
+     */
+    async findFrame(page, frameInfo) {
+        let frame = page.mainFrame();
+        for (const index of (frameInfo && frameInfo.indexPath) || []) {
+            let next = null;
+            for (const child of frame.childFrames()) {
+                if (await browserRenderer.getFrameElementIndex(child) === index) {
+                    next = child;
+                    break;
+                }
+            }
+            if (!next) return null;
+            frame = next;
+        }
+        return frame;
+    }
+
+    /**
+     * Add the rows each repeating group needs for the values (the highest row index
+     * in them), clicking the group's add control, never beyond maxRows
+     * @returns {Promise<Object>} - By group name: { wanted, present, added, error? }
+     */
+    async addRows(frame, form, values) {
+        const rows = {};
+        for (const group of form.repeatingGroups) {
+            const indexes = Object.keys(values)
+                .map(name => repeatingGroup.parseName(name))
+                .filter(parsed => parsed && parsed.group === group.name)
+                .map(parsed => parsed.index);
+            const wanted = indexes.length ? Math.max(...indexes) + 1 : 0;
+            const entry = { wanted, present: await this.countRows(frame, group), added: 0 };
+            rows[group.name] = entry;
+
+            const target = group.maxRows ? Math.min(wanted, group.maxRows) : wanted;
+            if (entry.present >= target) continue;
+            try {
+                if (!group.addSelector) {
+                    throw new Error('Group has no add control');
+                }
+                while (entry.present + entry.added < target) {
+                    const element = await frame.$(group.addSelector);
+                    if (!element) {
+                        throw new Error(`Add control not found: ${group.addSelector}`);
+                    }
+                    await this.click(element);
+                    await element.dispose().catch(() => {});
+                    entry.added++;
+                }
+            } catch (error) {
+                entry.error = error.message;
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Rows of a repeating group on the page: elements matching rowSelector, else
+     * consecutive rows whose first field exists
+     */
+    async countRows(frame, group) {
+        if (group.rowSelector) {
+            const elements = await frame.$$(group.rowSelector).catch(() => []);
+            await Promise.all(elements.map(element => element.dispose().catch(() => {})));
+            return elements.length;
+        }
+
+        let count = 0;
+        while (count < MAX_COUNTED_ROWS) {
+            const element = await frame.$(`[name="${repeatingGroup.toFieldName(group, count, group.fields[0].fieldName)}"]`).catch(() => null);
+            if (!element) break;
+            await element.dispose().catch(() => {});
+            count++;
+        }
+        return count;
+    }
+
+    /**
+     * Fill a multi-step form one step at a time, moving on with each step's Next
+     * control; fields outside every step are filled first
+     * @param {Array} entries - Field results, appended to
+     * @returns {Promise<Array>} - [{ index, title, filled, next: { selector, clicked, error? } | null }]
+     */
+    async fillSteps(page, frame, form, values, uploadDir, entries) {
+        const stepped = new Set(form.steps.flatMap(step => step.fieldNames));
+        for (const field of fieldDependency.orderFields(form, form.fields.filter(field => !stepped.has(field.fieldName)))) {
+            entries.push(await this.fillField(frame, field, values, uploadDir));
+        }
+
+        const steps = [];
+        for (const [i, step] of form.steps.entries()) {
+            const stepEntries = [];
+            for (const field of fieldDependency.orderFields(form, form.fields.filter(field => step.fieldNames.includes(field.fieldName)))) {
+                stepEntries.push(await this.fillField(frame, field, values, uploadDir));
+            }
+            entries.push(...stepEntries);
+
+            const entry = {
+                index: step.index,
+                title: step.title || null,
+                filled: stepEntries.filter(field => field.status === 'filled').length,
+                next: null
+            };
+            // The last step is left for the form's own submit mechanism
+            if (step.nextSelector && i < form.steps.length - 1) {
+                entry.next = { selector: step.nextSelector, clicked: false };
+                try {
+                    const element = await frame.$(step.nextSelector);
+                    if (!element) {
+                        throw new Error(`Next control not found: ${step.nextSelector}`);
+                    }
+                    await this.click(element);
+                    await element.dispose().catch(() => {});
+                    entry.next.clicked = true;
+                    await this.settle(page, 'default');
+                } catch (error) {
+                    entry.next.error = error.message;
+                }
+            }
+            steps.push(entry);
+        }
+        return steps;
+    }
+
+    /**
+     * Enter one field's suggested value
+     * @returns {Promise<Object>} - { fieldName, fieldType, selector, value, status, action?, reason?, error? }
+     *   where status is "filled", "skipped" or "failed"
+     */
+    async fillField(frame, field, values, uploadDir) {
+        const entry = {
+            fieldName: field.fieldName,
+            fieldType: field.fieldType,
+            selector: field.selector,
+            value: values[field.fieldName],
+            status: 'skipped'
+        };
+
+        if (!Object.prototype.hasOwnProperty.call(values, field.fieldName) || entry.value === null || entry.value === undefined) {
+            entry.reason = 'no-value';
+            return entry;
+        }
+        if (SKIPPED_FIELD_TYPES.includes(String(field.fieldType).toLowerCase())) {
+            entry.reason = 'not-fillable';
+            return entry;
+        }
+
+        const elements = await frame.$$(field.selector).catch(() => []);
+        if (!elements.length) {
+            entry.status = 'failed';
+            entry.error = 'Element not found';
+            return entry;
+        }
+
+        try {
+            const element = elements[0];
+            const info = await element.evaluate(el => ({
+                tag: el.tagName.toLowerCase(),
+                type: (el.getAttribute('type') || '').toLowerCase(),
+                role: el.getAttribute('role'),
+                contentEditable: el.isContentEditable,
+                disabled: el.disabled === true || el.getAttribute('aria-disabled') === 'true',
+                readOnly: el.readOnly === true
+            }));
+
+            if (info.disabled || info.readOnly) {
+                entry.reason = info.disabled ? 'disabled' : 'read-only';
+                return entry;
+            }
+
+            entry.action = await this.applyValue(elements, info, entry.value, uploadDir);
+            entry.status = 'filled';
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+        } finally {
+            await Promise.all(elements.map(element => element.dispose().catch(() => {})));
+        }
+        return entry;
+    }
+
+    /**
+     * Put a value into the matched element(s) the way a user would for that kind of element
+     * @returns {Promise<string>} - What was done: typed, set, selected, clicked, checked, uploaded
+     */
+    async applyValue(elements, info, value, uploadDir) {
+        const [element] = elements;
+
+        if (info.tag === 'select') {
+            await this.selectOption(element, value);
+            return 'selected';
+        }
+        if (info.type === 'radio' || info.role === 'radio') {
+            await this.chooseRadio(elements, value);
+            return 'clicked';
+        }
+        if (info.type === 'checkbox' || info.role === 'checkbox' || info.role === 'switch') {
+            await this.setCheckboxes(elements, value);
+            return 'checked';
+        }
+        if (info.type === 'file') {
+            await element.uploadFile(await this.createUpload(value, uploadDir));
+            return 'uploaded';
+        }
+        if (info.tag === 'input' && VALUE_INPUT_TYPES.includes(info.type)) {
+            await element.evaluate((el, text) => {
+                el.value = text;
+                el.dispatchEvent(new Event('input', { bubbles: true }));
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+            }, String(value));
+            return 'set';
+        }
+        if (info.tag === 'input' || info.tag === 'textarea' || info.contentEditable) {
+            await this.typeInto(element, info, String(value));
+            return 'typed';
+        }
+        throw new Error(`Unsupported element <${info.tag}${info.role ? ` role="${info.role}"` : ''}>`);
+    }
+
+    /**
+     * Clear the element, type the value and leave it (so change/blur handlers run)
+     */
+    async typeInto(element, info, text) {
+        await element.evaluate((el, isInput) => {
+            el.focus();
+            if (isInput) {
+                el.value = '';
+            } else {
+                el.textContent = '';
+            }
+        }, info.tag === 'input' || info.tag === 'textarea');
+        await element.type(text);
+        await element.evaluate(el => el.blur());
+    }
+
+    /**
+     * Select the option(s) whose value or label matches (case-insensitive)
+     */
+    async selectOption(element, value) {
+        const wanted = (Array.isArray(value) ? value : [value]).map(item => String(item).trim().toLowerCase());
+        const { multiple, matches } = await element.evaluate((el, targets) => ({
+            multiple: el.multiple,
+            matches: Array.from(el.options)
+                .filter(option => targets.includes(option.value.toLowerCase()) || targets.includes(option.text.trim().toLowerCase()))
+                .map(option => option.value)
+        }), wanted);
+
+        if (!matches.length) {
+            throw new Error(`No option matching ${JSON.stringify(value)}`);
+        }
+        await element.select(...(multiple ? matches : matches.slice(0, 1)));
+    }
+
+    /**
+     * Click the radio whose value or label matches; a lone radio is clicked for any value
+     */
+    async chooseRadio(elements, value) {
+        const wanted = String(value).trim().toLowerCase();
+        for (const element of elements) {
+            const { optionValue, label } = await element.evaluate(el => ({
+                optionValue: (el.value || el.getAttribute('data-value') || '').toLowerCase(),
+                label: ((el.labels && el.labels[0] && el.labels[0].textContent) || el.getAttribute('aria-label') || el.textContent || '').trim().toLowerCase()
+            }));
+            if (optionValue === wanted || label === wanted) {
+                await this.click(element);
+                return;
+            }
+        }
+        if (elements.length === 1) {
+            await this.click(elements[0]);
+            return;
+        }
+        throw new Error(`No radio option matching ${JSON.stringify(value)}`);
+    }
+
+    /**
+     * Bring checkboxes into the wanted state: an array value checks the boxes
+     * whose value is listed, anything else checks (truthy) or unchecks them all
+     */
+    async setCheckboxes(elements, value) {
+        const listed = Array.isArray(value) ? value.map(item => String(item).toLowerCase()) : null;
+        const checked = this.isTruthy(value);
+
+        for (const element of elements) {
+            const state = await element.evaluate(el => ({
+                checked: el.type === 'checkbox' ? el.checked : el.getAttribute('aria-checked') === 'true',
+                value: (el.value || el.getAttribute('data-value') || '').toLowerCase()
+            }));
+            const wanted = listed ? listed.includes(state.value) : checked;
+            if (state.checked !== wanted) {
+                await this.click(element);
+            }
+        }
+    }
+
+    isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value === true || TRUTHY_VALUES.includes(String(value).trim().toLowerCase());
+    }
+
+    /**
+     * Real click when the element is clickable, DOM click() otherwise (e.g. visually hidden inputs)
+     */
+    async click(element) {
+        try {
+            await element.click();
+        } catch (error) {
+            await element.evaluate(el => el.click());
+        }
+    }
+
+    /**
+     * Placeholder file named after the suggested value (e.g. "resume.pdf")
+     * @returns {Promise<string>} - Path of the file
+     */
+    async createUpload(value, uploadDir) {
+        const name = path.basename(String(value).trim()) || 'upload.txt';
+        const file = path.join(uploadDir, name);
+        await fs.promises.writeFile(file, `Placeholder upload (${name}) created by the form executor.\n`);
+        return file;
+    }
+
+    /**
+     * Trigger the form's submit mechanism
+     * @returns {Promise<Object>} - { type, selector, method, triggered, error? }
+     */
+    async submit(frame, form, fields) {
+        const type = SUBMIT_TYPES.includes(form.submitType) ? form.submitType : 'button-click';
+        const submit = { type, selector: form.submitSelector || null, method: null, triggered: false };
+
+        try {
+            if (type === 'auto-submit') {
+                // Filling the fields is what submits these forms
+                submit.method = 'auto-submit';
+                submit.triggered = true;
+            } else if (type === 'enter-key') {
+                const typed = fields.filter(field => field.action === 'typed');
+                const target = typed[typed.length - 1];
+                if (!target) {
+                    throw new Error('No typed field to press Enter in');
+                }
+                const element = await frame.$(target.selector);
+                if (!element) {
+                    throw new Error(`Field not found: ${target.selector}`);
+                }
+                await element.focus();
+                await element.press('Enter');
+                submit.method = 'enter-key';
+                submit.selector = target.selector;
+                submit.triggered = true;
+            } else if (form.submitSelector) {
+                const element = await frame.$(form.submitSelector);
+                if (!element) {
+                    throw new Error(`Submit element not found: ${form.submitSelector}`);
+                }
+                await this.click(element);
+                submit.method = 'click';
+                submit.triggered = true;
+            } else if (form.selector) {
+                submit.triggered = await frame.$eval(form.selector, el => {
+                    if (typeof el.requestSubmit !== 'function') return false;
+                    el.requestSubmit();
+                    return true;
+                });
+                submit.method = 'request-submit';
+            } else {
+                throw new Error('Form has no submit selector or form selector');
+            }
+        } catch (error) {
+            submit.error = error.message;
+        }
+        return submit;
+    }
+
+    /**
+     * Wait for the submission's requests (and any navigation) to finish
+     */
+    async settle(page, submitType) {
+        const idleTime = SETTLE_IDLE_MS[submitType] || SETTLE_IDLE_MS.default;
+        await page.waitForNetworkIdle({ idleTime, timeout: this.settleTimeout }).catch(() => {});
+    }
+
+    /**
+     * What happened after filling and submitting
+     * @param {Array} feedbackBefore - Feedback snapshot taken before filling
+     * @returns {Promise<Object>} - { requests, loadedUrl, navigated, finalUrl, dialogs, pageErrors, invalidFields, feedback }
+     */
+    async collectOutcome(page, frame, form, activity, feedbackBefore) {
+        await Promise.all(activity.pending);
+        const finalUrl = page.url();
+        const navigated = activity.navigations.length > 0 && finalUrl !== activity.loadedUrl;
+
+        return {
+            requests: activity.requests,
+            loadedUrl: activity.loadedUrl,
+            navigated,
+            finalUrl,
+            dialogs: activity.dialogs,
+            pageErrors: activity.pageErrors,
+            invalidFields: navigated ? [] : await this.getInvalidFields(frame, form),
+            feedback: { appeared: navigated ? [] : this.diffFeedback(feedbackBefore, await this.snapshotFeedback(frame)) }
+        };
+    }
+
+    /**
+     * Visible feedback elements with text in a frame (empty if the frame is gone)
+     * @returns {Promise<Array>} - [{ tag, id, className, role, ariaInvalid (the element is, or describes, an
+     *   aria-invalid field), text }]
+     */
+    async snapshotFeedback(frame) {
+        return frame.evaluate(selector => Array.from(document.querySelectorAll(selector))
+            .filter(el => {
+                const style = getComputedStyle(el);
+                const rect = el.getBoundingClientRect();
+                return style.display !== 'none' && style.visibility !== 'hidden' && (rect.width > 0 || rect.height > 0);
+            })
+            .map(el => ({
+                tag: el.tagName.toLowerCase(),
+                id: el.id || null,
+                className: typeof el.className === 'string' ? el.className : null,
+                role: el.getAttribute('role'),
+                ariaInvalid: el.getAttribute('aria-invalid') === 'true' || Boolean(el.id && document.querySelector(
+                    `[aria-invalid="true"][aria-describedby~="${CSS.escape(el.id)}"], [aria-invalid="true"][aria-errormessage="${CSS.escape(el.id)}"]`
+                )),
+                text: (el.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 300)
+            }))
+            .filter(item => item.text), FEEDBACK_SELECTOR).catch(() => []);
+    }
+
+    /**
+     * Feedback elements that are new or whose text or classes changed
+     */
+    diffFeedback(before, after) {
+        const key = item => [item.tag, item.id, item.className, item.text].join('|');
+        const seen = new Set(before.map(key));
+        return after.filter(item => !seen.has(key(item)));
+    }
+
+    /**
+     * Fields the browser's constraint validation rejects, with its message
+     * (empty when the page navigated away)
+     */
+    async getInvalidFields(frame, form) {
+        const invalid = [];
+        for (const field of form.fields) {
+            const message = await frame.$eval(field.selector, el => (
+                el.validity && !el.validity.valid ? el.validationMessage : null
+            )).catch(() => null);
+            if (message) {
+                invalid.push({ fieldName: field.fieldName, selector: field.selector, message });
+            }
+        }
+        return invalid;
+    }
+
+    summarise(results) {
+        const fields = results.flatMap(result => result.fields);
+        const count = (items, status) => items.filter(item => item.status === status).length;
+        return {
+            formsTotal: results.length,
+            outcomes: outcomeClassifier.countLabels(results.map(result => result.classification)),
+            submitted: count(results, 'submitted'),
+            notSubmitted: count(results, 'not-submitted'),
+            skipped: count(results, 'skipped'),
+            retried: results.filter(result => result.attempts.length > 1).length,
+            failed: count(results, 'failed'),
+            fieldsFilled: count(fields, 'filled'),
+            fieldsSkipped: count(fields, 'skipped'),
+            fieldsFailed: count(fields, 'failed')
+        };
+    }
+}
+
+module.exports = new FormExecutorService();
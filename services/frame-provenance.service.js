@@ -0,0 +1,129 @@
+const cheerio = require('cheerio');
+
+const FRAME_DOCUMENT_TAG = 'frame-document';
+
+/**
+ * Frame provenance for extracted forms.
+ *
+ * When frames are combined into one HTML document, each frame's content is
+ * wrapped in a <frame-document> element carrying the frame's index path, URL
+ * and the selector of its <iframe>/<frame> element in the parent document.
+ * Selectors inside a frame document are relative to that document, and every
+ * extracted form gets a `frame` descriptor: { url, indexPath, selector }
+ * (indexPath [] and selector null for the top document).
+ */
+class FrameProvenanceService {
+    constructor() {
+        this.markerTag = FRAME_DOCUMENT_TAG;
+    }
+
+    /**
+     * Wrap a frame's document in a <frame-document> marker
+     * @param {string} html - Frame document HTML
+     * @param {Object} frame - { src, indexPath, selector }
+     * @returns {string} - Body content (plus head scripts) inside the marker
+     */
+    wrap(html, frame) {
+        const $ = cheerio.load(html);
+        const scripts = $('head script').toArray().map(el => $.html(el)).join('\n');
+        const body = $('body').length ? $('body').html() : $('frameset').toArray().map(el => $.html(el)).join('\n');
+        const attributes = [
+            `data-frame-path="${frame.indexPath.join('.')}"`,
+            `data-frame-src="${this.escapeAttribute(frame.src)}"`,
+            `data-frame-selector="${this.escapeAttribute(frame.selector || '')}"`
+        ].join(' ');
+
+        return `<${FRAME_DOCUMENT_TAG} ${attributes}>\n${scripts ? `${scripts}\n` : ''}${body || ''}\n</${FRAME_DOCUMENT_TAG}>`;
+    }
+
+    /**
+     * Frame descriptor for the document an element lives in
+     * @returns {Object} - { url, indexPath, selector }; url is null for the top document
+     */
+    describe($, el) {
+        const $marker = $(el).closest(FRAME_DOCUMENT_TAG);
+        return $marker.length ? this.fromMarker($marker) : this.topFrame(null);
+    }
+
+    fromMarker($marker) {
+        const path = $marker.attr('data-frame-path') || '';
+        return {
+            url: $marker.attr('data-frame-src') || null,
+            indexPath: path ? path.split('.').map(Number) : [],
+            selector: $marker.attr('data-frame-selector') || null
+        };
+    }
+
+    topFrame(url) {
+        return { url: url || null, indexPath: [], selector: null };
+    }
+
+    /**
+     * Give every form a complete frame descriptor.
+     *
+     * A descriptor whose indexPath names a frame in the HTML is completed from
+     * that frame's marker. Otherwise the form is placed in the document where
+     * most of its selectors (form, submit, fields) resolve; ties go to the top
+     * document. Top-document forms get `pageUrl` as their url.
+     * @param {Array} forms - Extracted forms (modified in place)
+     * @param {string} htmlContent - HTML the forms were extracted from
+     * @param {string|null} pageUrl - URL of the top document, if known
+     * @returns {Array} - The same forms
+     */
+    attributeForms(forms, htmlContent, pageUrl = null) {
+        const hasFrames = htmlContent.includes(`<${FRAME_DOCUMENT_TAG}`);
+        const $ = hasFrames ? cheerio.load(htmlContent) : null;
+        const markers = hasFrames ? $(FRAME_DOCUMENT_TAG).toArray().map(el => ({ el, frame: this.fromMarker($(el)) })) : [];
+
+        forms.forEach(form => {
+            const claimed = form.frame && Array.isArray(form.frame.indexPath) ? form.frame.indexPath.join('.') : null;
+            const marker = markers.find(({ frame }) => frame.indexPath.join('.') === claimed);
+
+            if (marker) {
+                form.frame = { ...marker.frame };
+            } else if (claimed === '' || markers.length === 0) {
+                form.frame = this.topFrame(pageUrl);
+            } else {
+                const located = this.locate($, markers, form);
+                form.frame = located ? { ...located } : this.topFrame(pageUrl);
+            }
+        });
+
+        return forms;
+    }
+
+    /**
+     * Frame whose document matches the most selectors of a form, or null for the top document
+     */
+    locate($, markers, form) {
+        const selectors = [form.selector, form.submitSelector, ...form.fields.map(field => field.selector)]
+            .filter(Boolean)
+            // Shadow-piercing selectors resolve from their outermost host
+            .map(selector => selector.split('>>>')[0].trim());
+
+        const countMatches = (find) => selectors.filter(selector => {
+            try {
+                return find(selector).length > 0;
+            } catch (e) {
+                return false; // selector syntax cheerio does not support
+            }
+        }).length;
+
+        let best = null;
+        let bestCount = countMatches(selector => $(selector).filter((i, el) => $(el).closest(FRAME_DOCUMENT_TAG).length === 0));
+        markers.forEach(({ el, frame }) => {
+            const count = countMatches(selector => $(el).find(selector));
+            if (count > bestCount) {
+                best = frame;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    escapeAttribute(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+}
+
+module.exports = new FrameProvenanceService();
@@ -1,169 +1,560 @@
-const fetch = require('node-fetch');
+const llmProviders = require('./providers');
+const heuristicExtractor = require('./heuristic-extractor.service');
+const htmlChunker = require('./html-chunker.service');
+const htmlMinifier = require('./html-minifier.service');
+const jsonRepair = require('./json-repair.service');
+const schemaValidator = require('./schema-validator.service');
+const fieldDependency = require('./field-dependency.service');
+const repeatingGroup = require('./repeating-group.service');
+const inputMask = require('./input-mask.service');
+const valueValidator = require('./value-validator.service');
+const shadowDom = require('./shadow-dom.service');
+const frameProvenance = require('./frame-provenance.service');
+const extractionCache = require('./extraction-cache.service');
+const RecordingStore = require('./providers/recording-store');
+const htmlFetcherService = require('./html-fetcher.service');
+const crypto = require('crypto');
 require('dotenv').config();
 
 class GeminiService {
     constructor() {
-        if (!process.env.GEMINI_API_KEY) {
-            console.log('GEMINI_API_KEY is not set in environment variables');
-        }
-        this.apiKey = process.env.GEMINI_API_KEY;
-        this.model = process.env.GEMINI_MODEL || 'gemini-1.5-pro';
-        this.apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+        this.defaultProvider = llmProviders.getDefaultProviderName();
+        this.extractionModes = ['llm', 'heuristic', 'hybrid'];
+        this.defaultMode = process.env.EXTRACTION_MODE || 'llm';
+        this.maxRepairAttempts = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '1', 10);
+        this.maxValueAttempts = parseInt(process.env.VALUE_MAX_ATTEMPTS || '3', 10);
+        this.maxValueRepairs = parseInt(process.env.VALUE_MAX_REPAIRS || '1', 10);
+        this.maxChunkChars = parseInt(process.env.EXTRACTION_MAX_CHUNK_CHARS || '150000', 10);
+        this.preprocess = process.env.HTML_PREPROCESS !== 'false';
     }
 
     /**
-     * Call Gemini API directly
+     * Call the configured LLM provider
      * @param {string} prompt - The prompt to send
+     * @param {Object} options - { provider, model, kind, recording } overrides for this call
      * @returns {Promise<Object>} - Generated text response with timing
      */
-    async callGeminiAPI(prompt) {
-        const startTime = Date.now();
-        console.log('🤖 [Gemini API] Starting request...');
-        
-        try {
-            console.log('📤 [Gemini API] Sending request to Gemini...');
-            const response = await fetch(`${this.apiUrl}?key=${this.apiKey}`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    contents: [{
-                        parts: [{
-                            text: prompt
-                        }]
-                    }],
-                    generationConfig: {
-                        temperature: 0.1, // Low temperature for consistent, factual responses
-                        topP: 0.95,
-                        topK: 40,
-                        maxOutputTokens: 8192,
-                    }
-                })
-            });
-
-            console.log('📥 [Gemini API] Response received, processing...');
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`API Error: ${response.status} - ${JSON.stringify(errorData)}`);
-            }
+    async callModel(prompt, options = {}) {
+        const provider = llmProviders.getProvider(options.provider || this.defaultProvider);
+        return provider.generate(prompt, options);
+    }
 
-            const data = await response.json();
-            
-            if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-                throw new Error('Invalid API response structure');
-            }
+    /**
+     * Call the model and turn its reply into schema-valid JSON.
+     * The reply is parsed tolerantly and validated; if it still fails, the
+     * validation errors are sent back to the model up to `maxRepairAttempts` times.
+     * @param {string} prompt - The prompt to send
+     * @param {string} schemaName - Schema in schemas/ the reply must satisfy
+     * @param {Object} options - callModel options
+     * @returns {Promise<Object>} - { data, validation, text, provider, model, timeTaken, retries, retryWaitTime, queueTime, timestamp, usage }
+     */
+    async callModelForJson(prompt, schemaName, options = {}) {
+        const schema = schemaValidator.getSchema(schemaName);
+        const maxRepairAttempts = options.maxRepairAttempts ?? this.maxRepairAttempts;
+        const calls = [];
+        let outcome;
 
-            const endTime = Date.now();
-            const timeTaken = endTime - startTime;
+        for (let attempt = 0; ; attempt++) {
+            const callPrompt = attempt === 0 ? prompt : this.buildRepairPrompt(calls[calls.length - 1].text, outcome.errors, schema);
+            calls.push(await this.callModel(callPrompt, options));
+            outcome = this.parseAndValidate(calls[calls.length - 1].text, schema);
 
-            // Extract token usage information
-            const usageMetadata = data.usageMetadata || {};
-            const inputTokens = usageMetadata.promptTokenCount || 0;
-            const outputTokens = usageMetadata.candidatesTokenCount || 0;
-            const totalTokens = usageMetadata.totalTokenCount || (inputTokens + outputTokens);
+            if (outcome.valid || attempt >= maxRepairAttempts) break;
+            console.warn(`⚠️  [Schema] Reply failed validation (${outcome.errors.map(e => `${e.path || '$'}: ${e.message}`).join('; ')}), requesting repair ${attempt + 1}/${maxRepairAttempts}...`);
+        }
 
-            // Calculate cost (as of Dec 2024 - Gemini 1.5 Pro pricing)
-            // Input: $0.00125 per 1K tokens (up to 128K context)
-            // Output: $0.005 per 1K tokens
-            const inputCost = (inputTokens / 1000) * 0.00125;
-            const outputCost = (outputTokens / 1000) * 0.005;
-            const totalCost = inputCost + outputCost;
+        if (!outcome.valid) {
+            throw new Error(`Model response failed schema validation: ${outcome.errors.map(e => `${e.path || '$'}: ${e.message}`).join('; ')}`);
+        }
 
-            console.log(`✅ [Gemini API] Request completed in ${timeTaken}ms`);
-            console.log(`📊 [Gemini API] Tokens - Input: ${inputTokens}, Output: ${outputTokens}, Total: ${totalTokens}`);
-            console.log(`💰 [Gemini API] Cost - $${totalCost.toFixed(6)} USD`);
+        const last = calls[calls.length - 1];
+        return {
+            data: outcome.data,
+            validation: {
+                valid: true,
+                schema: schemaName,
+                repairAttempts: calls.length - 1,
+                repairs: outcome.repairs,
+                coerced: outcome.coerced,
+                dropped: outcome.dropped
+            },
+            text: last.text,
+            provider: last.provider,
+            model: last.model,
+            timeTaken: calls.reduce((sum, call) => sum + call.timeTaken, 0),
+            retries: calls.reduce((sum, call) => sum + (call.retries || 0), 0),
+            retryWaitTime: calls.reduce((sum, call) => sum + (call.retryWaitTime || 0), 0),
+            queueTime: calls.reduce((sum, call) => sum + (call.queueTime || 0), 0),
+            timestamp: last.timestamp,
+            usage: this.sumUsage(calls.map(call => call.usage))
+        };
+    }
 
-            return {
-                text: data.candidates[0].content.parts[0].text,
-                timeTaken,
-                timestamp: new Date().toISOString(),
-                usage: {
-                    inputTokens,
-                    outputTokens,
-                    totalTokens,
-                    inputCost: parseFloat(inputCost.toFixed(6)),
-                    outputCost: parseFloat(outputCost.toFixed(6)),
-                    totalCost: parseFloat(totalCost.toFixed(6))
-                }
-            };
+    /**
+     * Parse a raw reply and validate it against a schema
+     * @returns {Object} - { valid, data, errors, coerced, dropped, repairs }
+     */
+    parseAndValidate(text, schema) {
+        let parsed;
+        try {
+            parsed = jsonRepair.parse(text);
         } catch (error) {
-            const endTime = Date.now();
-            const timeTaken = endTime - startTime;
-            console.error('❌ [Gemini API] Request failed after', timeTaken + 'ms');
-            console.error('Error calling Gemini API:', error);
-            error.timeTaken = timeTaken;
-            throw error;
+            return { valid: false, errors: [{ path: '', message: error.message }], coerced: [], dropped: [], repairs: [] };
         }
+        return { ...schemaValidator.validate(parsed.data, schema), repairs: parsed.repairs };
+    }
+
+    /**
+     * Add up usage blocks from several API calls
+     */
+    sumUsage(usages) {
+        const total = usages.reduce((acc, usage) => {
+            Object.keys(acc).forEach(key => {
+                acc[key] += (usage && usage[key]) || 0;
+            });
+            return acc;
+        }, { inputTokens: 0, outputTokens: 0, totalTokens: 0, inputCost: 0, outputCost: 0, totalCost: 0 });
+
+        ['inputCost', 'outputCost', 'totalCost'].forEach(key => {
+            total[key] = parseFloat(total[key].toFixed(6));
+        });
+        return total;
+    }
+
+    /**
+     * Sum retry statistics across performance blocks (missing blocks count as zero)
+     * @returns {Object} - { retries, retryWaitTime, queueTime }
+     */
+    sumRetryStats(performances) {
+        return performances.reduce((acc, performance) => {
+            Object.keys(acc).forEach(key => {
+                acc[key] += (performance && performance[key]) || 0;
+            });
+            return acc;
+        }, { retries: 0, retryWaitTime: 0, queueTime: 0 });
     }
 
     /**
      * Extract forms from HTML content
      * @param {string} htmlContent - The HTML content to analyze
+     * @param {Object} options - { provider, model } LLM selection, `maxChunkChars`,
+     *   `preprocess` (false, or HtmlMinifierService options) and `mode`: "llm"
+     *   (model only), "heuristic" (DOM extractor only) or "hybrid" (heuristic
+     *   result is passed to the model as a hint and used as fallback).
+     *   `pageUrl` is recorded in frame descriptors and cache entries; `cache: false`
+     *   bypasses the extraction cache, and so does `recording` "record" or "replay"
+     *   (LLM_RECORDING), so every model call is actually recorded or replayed
      * @returns {Promise<Object>} - Extracted form information
      */
-    async extractForms(htmlContent) {
-        console.log('\n🔍 [Extract Forms] Starting form extraction...');
-        const prompt = this.buildFormExtractionPrompt(htmlContent);
-        
+    async extractForms(htmlContent, options = {}) {
+        const mode = options.mode || this.defaultMode;
+        const useCache = extractionCache.enabled && options.cache !== false && mode !== 'heuristic'
+            && RecordingStore.getMode(options.recording) === 'off';
+        let cacheKey = null;
+
+        if (useCache) {
+            const lookupStart = Date.now();
+            cacheKey = extractionCache.buildKey(htmlContent, this.getCacheKeyParts(options, mode));
+            const cached = await extractionCache.lookup(cacheKey);
+            if (cached) {
+                console.log(`⚡ [Extract Forms] Cache hit (first populated by ${cached.cache.firstUrl || 'raw HTML'})`);
+                const { result } = cached;
+                // Frame descriptors belong to the page being scanned now, not the one that filled the cache:
+                // the same content can come from another page URL or with other frame URLs (cache-busting queries)
+                frameProvenance.attributeForms(result.forms, htmlContent, options.pageUrl);
+                return {
+                    ...result,
+                    performance: {
+                        timeTaken: Date.now() - lookupStart,
+                        timestamp: new Date().toISOString()
+                    },
+                    usage: { ...this.sumUsage([]), preprocessing: result.usage.preprocessing },
+                    cache: { ...cached.cache, savedUsage: this.sumUsage([result.usage]) }
+                };
+            }
+        }
+
+        const shadow = shadowDom.markShadowRoots(htmlContent);
+        htmlContent = shadow.html;
+        if (shadow.shadowRoots > 0) {
+            console.log(`🌑 [Extract Forms] ${shadow.shadowRoots} shadow root(s) marked in HTML`);
+        }
+
+        if (mode === 'heuristic') {
+            const result = heuristicExtractor.extractForms(htmlContent);
+            frameProvenance.attributeForms(result.forms, htmlContent, options.pageUrl);
+            this.normaliseSteps(result.forms);
+            fieldDependency.normalise(result.forms);
+            repeatingGroup.normalise(result.forms);
+            return { ...result, mode };
+        }
+
+        const preprocess = options.preprocess ?? this.preprocess;
+        let preprocessing = null;
+        if (preprocess !== false) {
+            const minified = htmlMinifier.minify(htmlContent, typeof preprocess === 'object' ? preprocess : {});
+            preprocessing = minified.stats;
+            htmlContent = minified.html;
+            console.log(`🧹 [Extract Forms] Pre-processed HTML: ${preprocessing.originalChars} → ${preprocessing.minifiedChars} chars (-${preprocessing.reductionPercent}%)`);
+        }
+
+        const maxChunkChars = options.maxChunkChars || this.maxChunkChars;
+        const chunks = htmlChunker.split(htmlContent, { maxChars: maxChunkChars });
+        console.log(`\n🔍 [Extract Forms] Starting form extraction (mode: ${mode}, chunks: ${chunks.length})...`);
+
         try {
-            const result = await this.callGeminiAPI(prompt);
-            console.log('✅ [Extract Forms] AI analysis complete, parsing results...');
-            
-            // Parse the JSON response
-            const jsonMatch = result.text.match(/```json\n([\s\S]*?)\n```/) || result.text.match(/```\n([\s\S]*?)\n```/);
-            let parsedData;
-            
-            if (jsonMatch) {
-                parsedData = JSON.parse(jsonMatch[1]);
+            let result;
+            if (chunks.length > 1) {
+                result = await this.extractFormsChunked(chunks, options, mode, maxChunkChars);
             } else {
-                // Try parsing the entire response as JSON
-                parsedData = JSON.parse(result.text);
+                result = await this.extractChunk(htmlContent, options, mode);
+                result = {
+                    ...result,
+                    forms: result.forms.map(form => ({ ...form, chunk: 0 })),
+                    chunking: { chunksUsed: 1, maxChunkChars }
+                };
+            }
+
+            this.normaliseSteps(result.forms);
+            fieldDependency.normalise(result.forms);
+            repeatingGroup.normalise(result.forms);
+            if (preprocessing) {
+                result.usage = { ...result.usage, preprocessing };
+            }
+
+            if (useCache) {
+                result.cache = extractionCache.isCacheable(result)
+                    ? await extractionCache.save(cacheKey, result, options.pageUrl)
+                    : { hit: false, key: cacheKey, stored: false };
             }
+            return result;
+        } catch (error) {
+            console.error('Error extracting forms:', error);
+            throw new Error(`Failed to extract forms: ${error.message}`);
+        }
+    }
+
+    /**
+     * Everything besides the page content that changes an extraction result
+     */
+    getCacheKeyParts(options, mode) {
+        const providerName = (options.provider || this.defaultProvider).toLowerCase();
+        return {
+            provider: providerName,
+            model: options.model || llmProviders.getProvider(providerName).model,
+            promptVersion: this.getPromptVersion(),
+            mode,
+            preprocess: options.preprocess ?? this.preprocess,
+            maxChunkChars: options.maxChunkChars || this.maxChunkChars
+        };
+    }
+
+    /**
+     * Hash of the extraction prompt template and schema; changes whenever either is edited
+     */
+    getPromptVersion() {
+        if (!this.promptVersion) {
+            const template = this.buildFormExtractionPrompt('') + JSON.stringify(schemaValidator.getSchema('form-extraction'));
+            this.promptVersion = crypto.createHash('sha256').update(template).digest('hex').substring(0, 12);
+        }
+        return this.promptVersion;
+    }
+
+    /**
+     * Run extraction for one piece of HTML (the whole page or one chunk)
+     * @param {string} htmlContent - HTML to analyze
+     * @param {Object} options - extractForms options
+     * @param {string} mode - "llm" or "hybrid"
+     * @returns {Promise<Object>} - Extraction result for this HTML
+     */
+    async extractChunk(htmlContent, options, mode) {
+        const heuristicResult = mode === 'hybrid' ? heuristicExtractor.extractForms(htmlContent) : null;
+        const prompt = this.buildFormExtractionPrompt(
+            htmlContent,
+            heuristicResult ? heuristicExtractor.summarizeForHint(heuristicResult) : null
+        );
+        
+        try {
+            const result = await this.callModelForJson(prompt, 'form-extraction', { ...options, kind: 'extraction' });
+            console.log('✅ [Extract Forms] AI analysis complete, results validated');
+            const parsedData = this.reconcileSummary(result.data, result.validation);
+            shadowDom.normaliseSelectors(parsedData.forms);
+            frameProvenance.attributeForms(parsedData.forms, htmlContent, options.pageUrl);
             
             return {
                 ...parsedData,
+                mode,
+                validation: result.validation,
                 performance: {
                     timeTaken: result.timeTaken,
+                    retries: result.retries,
+                    retryWaitTime: result.retryWaitTime,
+                    queueTime: result.queueTime,
                     timestamp: result.timestamp
                 },
+                llm: {
+                    provider: result.provider,
+                    model: result.model
+                },
                 usage: result.usage
             };
         } catch (error) {
-            console.error('Error extracting forms:', error);
-            throw new Error(`Failed to extract forms: ${error.message}`);
+            if (heuristicResult) {
+                console.warn(`⚠️  [Extract Forms] LLM extraction failed, falling back to heuristic result: ${error.message}`);
+                frameProvenance.attributeForms(heuristicResult.forms, htmlContent, options.pageUrl);
+                return {
+                    ...heuristicResult,
+                    mode,
+                    fallback: {
+                        source: 'heuristic',
+                        reason: error.message
+                    }
+                };
+            }
+            throw error;
         }
     }
 
+    /**
+     * Extract each chunk separately, then merge, de-duplicate and recompute totals.
+     * A failing chunk is reported but doesn't fail the request unless all chunks fail.
+     */
+    async extractFormsChunked(chunks, options, mode, maxChunkChars) {
+        const startTime = Date.now();
+
+        const outcomes = await Promise.all(chunks.map(async (chunk) => {
+            try {
+                console.log(`🧱 [Extract Forms] Chunk ${chunk.index + 1}/${chunks.length} (${chunk.length} chars)`);
+                return { chunk, result: await this.extractChunk(chunk.html, options, mode) };
+            } catch (error) {
+                console.error(`Error extracting forms from chunk ${chunk.index + 1}:`, error.message);
+                return { chunk, error };
+            }
+        }));
+
+        const succeeded = outcomes.filter(outcome => outcome.result);
+        if (succeeded.length === 0) {
+            throw new Error(`all ${chunks.length} chunks failed (${outcomes[0].error.message})`);
+        }
+
+        const { forms, duplicatesRemoved } = this.mergeChunkForms(succeeded);
+        const confidences = succeeded
+            .map(({ result }) => result.summary.confidence)
+            .filter(confidence => typeof confidence === 'number');
+        const withLlm = succeeded.find(({ result }) => result.llm);
+
+        console.log(`✅ [Extract Forms] Merged ${forms.length} forms from ${succeeded.length}/${chunks.length} chunks (${duplicatesRemoved} duplicates removed)`);
+
+        return {
+            summary: {
+                totalFunctionalForms: forms.length,
+                totalFields: forms.reduce((sum, form) => sum + form.fields.length, 0),
+                formsIgnored: succeeded.reduce((sum, { result }) => sum + (result.summary.formsIgnored || 0), 0),
+                confidence: confidences.length
+                    ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length)
+                    : succeeded[0].result.summary.confidence
+            },
+            forms,
+            mode,
+            validation: this.mergeChunkValidation(succeeded),
+            performance: {
+                timeTaken: Date.now() - startTime,
+                ...this.sumRetryStats(succeeded.map(({ result }) => result.performance)),
+                timestamp: new Date().toISOString()
+            },
+            llm: withLlm ? withLlm.result.llm : undefined,
+            usage: this.sumUsage(succeeded.map(({ result }) => result.usage)),
+            chunking: {
+                chunksUsed: chunks.length,
+                maxChunkChars,
+                duplicatesRemoved,
+                chunks: outcomes.map(({ chunk, result, error }) => ({
+                    index: chunk.index,
+                    length: chunk.length,
+                    oversized: chunk.oversized,
+                    forms: result ? result.forms.length : 0,
+                    ...(result && result.fallback ? { fallback: result.fallback } : {}),
+                    ...(error ? { error: error.message } : {})
+                }))
+            }
+        };
+    }
+
+    /**
+     * Merge forms from several chunks, tagging each with its chunk index.
+     * Forms with the same frame, selector and field selectors are duplicates;
+     * the copy with more fields wins.
+     */
+    mergeChunkForms(outcomes) {
+        const forms = [];
+        const seen = new Map();
+        let duplicatesRemoved = 0;
+
+        outcomes.forEach(({ chunk, result }) => {
+            result.forms.forEach(form => {
+                const key = `${form.frame ? form.frame.indexPath.join('.') : ''}|${form.selector || form.formId}|${form.fields.map(field => field.selector).sort().join(',')}`;
+                const tagged = { ...form, chunk: chunk.index };
+
+                if (seen.has(key)) {
+                    duplicatesRemoved++;
+                    const position = seen.get(key);
+                    if (form.fields.length > forms[position].fields.length) {
+                        forms[position] = tagged;
+                    }
+                    return;
+                }
+                seen.set(key, forms.length);
+                forms.push(tagged);
+            });
+        });
+
+        // Different forms may still share a generated formId across chunks
+        const formIds = new Set();
+        forms.forEach(form => {
+            if (formIds.has(form.formId)) {
+                form.formId = `${form.formId}-chunk${form.chunk + 1}`;
+            }
+            formIds.add(form.formId);
+        });
+
+        return { forms, duplicatesRemoved };
+    }
+
+    /**
+     * Combine per-chunk validation blocks, prefixing paths with the chunk index
+     */
+    mergeChunkValidation(outcomes) {
+        const prefix = (entries, index) => entries.map(entry => ({ ...entry, path: `chunk[${index}].${entry.path}` }));
+        const validations = outcomes.filter(({ result }) => result.validation);
+
+        return {
+            valid: true,
+            schema: 'form-extraction',
+            repairAttempts: validations.reduce((sum, { result }) => sum + result.validation.repairAttempts, 0),
+            repairs: [...new Set(validations.flatMap(({ result }) => result.validation.repairs))],
+            coerced: validations.flatMap(({ chunk, result }) => prefix(result.validation.coerced, chunk.index)),
+            dropped: validations.flatMap(({ chunk, result }) => prefix(result.validation.dropped, chunk.index))
+        };
+    }
+
+    /**
+     * Make step and wizard descriptors consistent with the forms they describe:
+     * step indexes follow the array order, steps only name fields of their form,
+     * a single step is not a multi-step form, wizard steps get their total and
+     * multi-step forms are flagged in specialFeatures
+     * @param {Array} forms - Extracted forms (changed in place)
+     * @returns {Array} - The same forms
+     */
+    normaliseSteps(forms) {
+        forms.forEach(form => {
+            const fieldNames = new Set(form.fields.map(field => field.fieldName));
+            const steps = (form.steps || []).map((step, i) => {
+                const stepFieldNames = step.fieldNames.filter(name => fieldNames.has(name));
+                return { ...step, index: i + 1, fieldNames: stepFieldNames, review: step.review || stepFieldNames.length === 0 };
+            });
+            form.steps = steps.length > 1 ? steps : null;
+            form.wizard = form.wizard && form.wizard.id && form.wizard.step ? form.wizard : null;
+        });
+
+        forms.filter(form => form.wizard).forEach(form => {
+            if (!form.wizard.totalSteps) {
+                const members = forms.filter(other => other.wizard && other.wizard.id === form.wizard.id);
+                form.wizard.totalSteps = Math.max(form.wizard.step, members.length);
+            }
+        });
+
+        forms.filter(form => form.steps || form.wizard).forEach(form => {
+            form.specialFeatures = form.specialFeatures || [];
+            if (!form.specialFeatures.includes('multi-step')) form.specialFeatures.push('multi-step');
+        });
+        return forms;
+    }
+
+    /**
+     * Split a form's values by its steps, in step order. Fields outside every
+     * step are only in `values`; a form of a separate-forms wizard is a step itself.
+     * @param {Object} formData - Form data with steps
+     * @param {Object} values - Values by field name
+     * @returns {Array|null} - [{ index, title, values }], or null for single-step forms
+     */
+    groupValuesBySteps(formData, values) {
+        if (!formData.steps || !formData.steps.length) return null;
+        return formData.steps.map(step => ({
+            index: step.index,
+            title: step.title || null,
+            values: Object.fromEntries(step.fieldNames
+                .filter(name => Object.prototype.hasOwnProperty.call(values, name))
+                .map(name => [name, values[name]]))
+        }));
+    }
+
     /**
      * Generate field values that satisfy validations
      * @param {Object} formData - Form data with fields
-     * @returns {Promise<Object>} - Field values for submission
+     * @param {Object} options - { provider, model } LLM selection for this request, and
+     *   `attempts`: earlier submissions [{ values, errors: [{ fieldName?, message, source? }] }],
+     *   oldest first. When given, only the fields the last attempt's errors point at are
+     *   regenerated (the model decides when the errors name no field); at most
+     *   VALUE_MAX_ATTEMPTS attempts, the first one included, are allowed.
+     *   `rowCounts`: rows wanted in the form's repeating groups, one number for every group
+     *   or counts by group name (default: the rows the page starts with, at least one).
+     * @returns {Promise<Object>} - Field values for submission (controlling fields first, without
+     *   the fields the form's dependencies leave inactive, which are listed in `inactiveFields`;
+     *   rows of repeating groups by their concrete field names; masked and formatted fields as typed,
+     *   reformatted when the model got the shape wrong), plus `unmaskedValues` (masked and formatted
+     *   fields as the page submits them), `formatChecks` (mask, format and pattern check of each value
+     *   with such rules), `fieldChecks` (local check of every value against its field spec, see
+     *   checkFieldValues; `metadata.allValidationsSatisfied` is its result), `groups` (the rows of each repeating group) and `rowCounts`, `stepValues` (the values split by step, for multi-step
+     *   forms), `attempts` (full history ending with this one) and `regeneratedFields` when
+     *   earlier attempts were given
      */
-    async generateFieldValues(formData) {
+    async generateFieldValues(formData, options = {}) {
+        const previousAttempts = options.attempts || [];
+        if (previousAttempts.length) {
+            return this.regenerateFieldValues(formData, previousAttempts, options);
+        }
+
         console.log(`\n📝 [Generate Values] Starting value generation for form: ${formData.formId || 'unknown'}...`);
-        const prompt = this.buildFieldValueGenerationPrompt(formData);
+        const rowCounts = repeatingGroup.getRowCounts(formData, options.rowCounts);
+        const prompt = this.buildFieldValueGenerationPrompt(formData, rowCounts);
         
         try {
-            const result = await this.callGeminiAPI(prompt);
-            console.log('✅ [Generate Values] AI generation complete, parsing values...');
-            
-            // Parse the JSON response
-            const jsonMatch = result.text.match(/```json\n([\s\S]*?)\n```/) || result.text.match(/```\n([\s\S]*?)\n```/);
-            let parsedData;
-            
-            if (jsonMatch) {
-                parsedData = JSON.parse(jsonMatch[1]);
-            } else {
-                parsedData = JSON.parse(result.text);
+            const result = await this.callModelForJson(prompt, 'field-values', { ...options, kind: 'values' });
+            console.log('✅ [Generate Values] AI generation complete, values validated');
+            const rows = repeatingGroup.getRows(formData, result.data.values, result.data.groups, rowCounts);
+            Object.entries(rows)
+                .filter(([name, groupRows]) => groupRows.length < rowCounts[name])
+                .forEach(([name, groupRows]) => console.warn(`⚠️  [Generate Values] ${name}: ${groupRows.length} of ${rowCounts[name]} rows generated`));
+            const active = fieldDependency.applyToValues(formData, repeatingGroup.flatten(formData, result.data.values, rows));
+            if (active.inactiveFields.length) {
+                console.log(`🔀 [Generate Values] Left out ${active.inactiveFields.length} inactive fields: ${active.inactiveFields.join(', ')}`);
             }
+            const { values, unmaskedValues, formatChecks, fieldChecks } = await this.checkFieldValues(formData, active.values, active.inactiveFields, [], options);
             
             return {
-                ...parsedData,
+                ...result.data,
+                values,
+                unmaskedValues,
+                formatChecks,
+                fieldChecks,
+                metadata: this.getCheckedMetadata(result.data.metadata, fieldChecks),
+                inactiveFields: active.inactiveFields,
+                groups: repeatingGroup.getRows(formData, values, null),
+                rowCounts,
+                stepValues: this.groupValuesBySteps(formData, values),
+                attempts: [{ attempt: 1, values, errors: null }],
+                validation: result.validation,
                 performance: {
                     timeTaken: result.timeTaken,
+                    retries: result.retries,
+                    retryWaitTime: result.retryWaitTime,
+                    queueTime: result.queueTime,
                     timestamp: result.timestamp
                 },
+                llm: {
+                    provider: result.provider,
+                    model: result.model
+                },
                 usage: result.usage
             };
         } catch (error) {
@@ -172,12 +563,295 @@ class GeminiService {
         }
     }
 
+    /**
+     * Check values against the masks, display formats and patterns of their fields
+     * (row fields of repeating groups included), reformatting where possible
+     * @param {Object} formData - Form data with fields
+     * @param {Object} values - Values by field name
+     * @returns {Object} - { values, unmaskedValues, checks } (see InputMaskService.applyToValues)
+     */
+    checkValueFormats(formData, values) {
+        const fields = [...(formData.fields || []), ...repeatingGroup.getRowFields(formData, values)];
+        const result = inputMask.applyToValues(fields, values);
+        const fixed = result.checks.filter(check => check.fixed).map(check => check.fieldName);
+        const failed = result.checks.filter(check => !check.valid);
+        if (fixed.length) {
+            console.log(`🎭 [Generate Values] Reformatted ${fixed.length} values to their mask/format: ${fixed.join(', ')}`);
+        }
+        failed.forEach(check => console.warn(`⚠️  [Generate Values] ${check.fieldName}: ${check.errors.join('; ')}`));
+        return result;
+    }
+
+    /**
+     * Check generated values against their fields' spec (ValueValidatorService) after
+     * reformatting them to their masks/formats. Failing values are replaced locally
+     * where the spec allows, the rest are sent back to the model with the check's
+     * errors (VALUE_MAX_REPAIRS times at most); a new value is only kept if it passes.
+     * @param {Object} formData - Form data with fields
+     * @param {Object} values - Values by field name
+     * @param {Array} inactiveFields - Fields left out by the form's dependencies
+     * @param {Array} previousAttempts - Earlier submissions [{ values, errors }], for the repair prompt
+     * @param {Object} options - generateFieldValues options
+     * @returns {Promise<Object>} - { values, unmaskedValues, formatChecks, fieldChecks: { allValid,
+     *   passed, failed, fields: [{ fieldName, valid, errors }], repairedLocally, reprompted } }
+     */
+    async checkFieldValues(formData, values, inactiveFields, previousAttempts, options) {
+        const formatted = this.checkValueFormats(formData, values);
+        const form = { ...formData, fields: [...(formData.fields || []), ...repeatingGroup.getRowFields(formData, formatted.values)] };
+        let checkedValues = formatted.values;
+        let report = valueValidator.validate(form, checkedValues, inactiveFields);
+        const repairedLocally = [];
+        const reprompted = [];
+
+        if (!report.allValid) {
+            const local = valueValidator.repair(form, checkedValues, report);
+            checkedValues = local.values;
+            repairedLocally.push(...local.repaired);
+            report = valueValidator.validate(form, checkedValues, inactiveFields);
+            if (local.repaired.length) {
+                console.log(`🩹 [Generate Values] Replaced ${local.repaired.length} failing values locally: ${local.repaired.join(', ')}`);
+            }
+        }
+
+        for (let repair = 0; !report.allValid && repair < this.maxValueRepairs; repair++) {
+            const failing = report.failed;
+            const errors = report.fields
+                .filter(field => !field.valid)
+                .flatMap(field => field.errors.map(message => ({ fieldName: field.fieldName, message, source: 'validator' })));
+            console.log(`🔁 [Generate Values] ${failing.length} values fail their field rules, asking the model again: ${failing.join(', ')}`);
+
+            try {
+                const prompt = this.buildFieldValueFeedbackPrompt(form, [...previousAttempts, { values: checkedValues, errors }], failing);
+                const result = await this.callModelForJson(prompt, 'field-values', { ...options, kind: 'values' });
+                const replies = Object.fromEntries(Object.entries(result.data.values).filter(([name, value]) => failing.includes(name) && value !== undefined));
+                const candidate = inputMask.applyToValues(form.fields, { ...checkedValues, ...replies }).values;
+                const candidateReport = valueValidator.validate(form, candidate, inactiveFields);
+                const fixed = Object.keys(replies).filter(name => !candidateReport.failed.includes(name));
+
+                fixed.forEach(name => { checkedValues[name] = candidate[name]; });
+                reprompted.push(...fixed);
+                report = valueValidator.validate(form, checkedValues, inactiveFields);
+            } catch (error) {
+                console.warn(`⚠️  [Generate Values] Could not regenerate failing values: ${error.message}`);
+                break;
+            }
+        }
+
+        if (!report.allValid) {
+            console.warn(`⚠️  [Generate Values] ${report.failed.length} values still fail their field rules: ${report.failed.join(', ')}`);
+        }
+
+        // Masked values as the page submits them, for the final values
+        const final = inputMask.applyToValues(form.fields, checkedValues);
+        const fixedFormats = new Set(formatted.checks.filter(check => check.fixed).map(check => check.fieldName));
+        return {
+            values: checkedValues,
+            unmaskedValues: final.unmaskedValues,
+            formatChecks: final.checks.map(check => ({ ...check, fixed: check.fixed || fixedFormats.has(check.fieldName) })),
+            fieldChecks: { ...report, repairedLocally, reprompted }
+        };
+    }
+
+    /**
+     * The model's metadata with allValidationsSatisfied taken from the local check
+     * (the model's own claim is kept as modelReportedValid)
+     */
+    getCheckedMetadata(metadata, fieldChecks) {
+        return {
+            ...metadata,
+            allValidationsSatisfied: fieldChecks.allValid,
+            modelReportedValid: metadata ? metadata.allValidationsSatisfied : null
+        };
+    }
+
+    /**
+     * Regenerate the values a rejected submission got wrong, keeping the rest
+     * @param {Object} formData - Form data with fields
+     * @param {Array} previousAttempts - [{ values, errors }], oldest first
+     * @param {Object} options - generateFieldValues options
+     * @returns {Promise<Object>} - Merged values (also split by step and by repeating group), regeneratedFields
+     *   and the attempt history
+     */
+    async regenerateFieldValues(formData, previousAttempts, options) {
+        if (previousAttempts.length >= this.maxValueAttempts) {
+            throw new Error(`Value generation attempt limit reached (${this.maxValueAttempts} attempts)`);
+        }
+
+        const last = previousAttempts[previousAttempts.length - 1];
+        const errors = last.errors || [];
+        // Rows added after extraction are fields of this attempt too
+        const form = { ...formData, fields: [...(formData.fields || []), ...repeatingGroup.getRowFields(formData, last.values)] };
+        const failingFields = this.findFailingFields(form, errors);
+        const fieldNames = form.fields.map(field => field.fieldName);
+        console.log(`\n🔁 [Generate Values] Attempt ${previousAttempts.length + 1} for form ${formData.formId || 'unknown'}: ${errors.length} errors, regenerating ${failingFields.length ? failingFields.join(', ') : 'fields chosen by the model'}...`);
+
+        try {
+            const prompt = this.buildFieldValueFeedbackPrompt(form, previousAttempts, failingFields);
+            const result = await this.callModelForJson(prompt, 'field-values', { ...options, kind: 'values' });
+
+            // Only the failing fields may change; with no field identified, any field of the form may
+            const allowed = failingFields.length ? failingFields : fieldNames;
+            const regenerated = Object.fromEntries(Object.entries(result.data.values)
+                .filter(([name, value]) => allowed.includes(name) && value !== undefined));
+            const merged = { ...last.values, ...regenerated };
+            const active = fieldDependency.applyToValues(form, repeatingGroup.flatten(formData, merged, repeatingGroup.getRows(formData, merged, null)));
+            const inactiveFields = active.inactiveFields;
+            const { values, unmaskedValues, formatChecks, fieldChecks } = await this.checkFieldValues(formData, active.values, inactiveFields, previousAttempts, options);
+            const groups = repeatingGroup.getRows(formData, values, null);
+            const regeneratedFields = Object.keys(regenerated)
+                .filter(name => !inactiveFields.includes(name))
+                .filter(name => JSON.stringify(values[name]) !== JSON.stringify(last.values[name]));
+            console.log(`✅ [Generate Values] Regenerated ${regeneratedFields.length} fields: ${regeneratedFields.join(', ') || 'none'}`);
+
+            const history = previousAttempts.map((attempt, index) => ({
+                attempt: index + 1,
+                values: attempt.values,
+                errors: attempt.errors || []
+            }));
+
+            return {
+                ...result.data,
+                values,
+                unmaskedValues,
+                formatChecks,
+                fieldChecks,
+                metadata: this.getCheckedMetadata(result.data.metadata, fieldChecks),
+                inactiveFields,
+                groups,
+                rowCounts: Object.fromEntries(Object.entries(groups).map(([name, rows]) => [name, rows.length])),
+                stepValues: this.groupValuesBySteps(formData, values),
+                regeneratedFields,
+                attempts: [...history, { attempt: history.length + 1, values, errors: null }],
+                validation: result.validation,
+                performance: {
+                    timeTaken: result.timeTaken,
+                    retries: result.retries,
+                    retryWaitTime: result.retryWaitTime,
+                    queueTime: result.queueTime,
+                    timestamp: result.timestamp
+                },
+                llm: {
+                    provider: result.provider,
+                    model: result.model
+                },
+                usage: result.usage
+            };
+        } catch (error) {
+            console.error('Error regenerating field values:', error);
+            throw new Error(`Failed to regenerate field values: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fields an attempt's errors point at: named explicitly, or mentioned in
+     * the message by field name (e.g. "You must agree to the terms" → terms)
+     * @param {Object} formData - Form data with fields
+     * @param {Array} errors - [{ fieldName?, message }]
+     * @returns {Array} - Field names, in form order
+     */
+    findFailingFields(formData, errors) {
+        const failing = new Set();
+        const words = name => String(name)
+            .replace(/\[\d*\]/g, ' ')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .split(/[^A-Za-z0-9]+/)
+            .map(word => word.toLowerCase())
+            .filter(word => word.length >= 3);
+
+        errors.forEach(error => {
+            const named = error.fieldName && formData.fields.find(field => field.fieldName === error.fieldName);
+            if (named) {
+                failing.add(named.fieldName);
+                return;
+            }
+
+            const message = String(error.message || '').toLowerCase();
+            formData.fields.forEach(field => {
+                const mentioned = words(field.fieldName).some(word => new RegExp(`\\b${word}`).test(message));
+                if (mentioned) failing.add(field.fieldName);
+            });
+        });
+
+        return formData.fields.map(field => field.fieldName).filter(name => failing.has(name));
+    }
+
+    /**
+     * Make summary totals match the forms actually returned (after any drops)
+     * @param {Object} data - Validated extraction result
+     * @param {Object} validation - Validation block to record corrections in
+     * @returns {Object} - Extraction result with consistent summary
+     */
+    reconcileSummary(data, validation) {
+        const totals = {
+            totalFunctionalForms: data.forms.length,
+            totalFields: data.forms.reduce((sum, form) => sum + form.fields.length, 0)
+        };
+
+        Object.entries(totals).forEach(([key, value]) => {
+            if (data.summary[key] !== value) {
+                validation.coerced.push({ path: `summary.${key}`, from: data.summary[key], to: value });
+                data.summary[key] = value;
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Build a repair prompt from a reply that failed validation
+     * @param {string} previousText - The model's previous raw reply
+     * @param {Array} errors - Validation errors ({ path, message })
+     * @param {Object} schema - JSON Schema the reply must satisfy
+     * @returns {string} - Formatted prompt
+     */
+    buildRepairPrompt(previousText, errors, schema) {
+        return `Your previous response could not be used because it is not valid JSON for the required schema.
+
+ERRORS:
+${errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n')}
+
+REQUIRED JSON SCHEMA:
+${JSON.stringify(schema, null, 2)}
+
+YOUR PREVIOUS RESPONSE:
+${previousText}
+
+Fix the errors and return the complete corrected JSON. Keep all correct content unchanged.
+Return ONLY the JSON response, no additional text or explanation.`;
+    }
+
     /**
      * Build prompt for form extraction
      * @param {string} htmlContent - HTML content
+     * @param {Array|null} heuristicHint - Compact heuristic result to verify (hybrid mode)
      * @returns {string} - Formatted prompt
      */
-    buildFormExtractionPrompt(htmlContent) {
+    buildFormExtractionPrompt(htmlContent, heuristicHint = null) {
+        const hintSection = heuristicHint ? `HEURISTIC PRE-SCAN:
+A DOM-based extractor found the candidates below (fields as "name:type", * = required).
+Use them as hints only: verify each against the HTML, drop false positives, add anything it missed,
+and prefer its selectors when they are correct.
+${JSON.stringify(heuristicHint, null, 2)}
+
+` : '';
+        const frameSection = htmlContent.includes(`<${frameProvenance.markerTag}`) ? `FRAMES:
+Each <${frameProvenance.markerTag} data-frame-path="..."> element holds a separate document loaded in an iframe/frame.
+For forms inside one:
+   - Write selectors relative to that frame's document (never include "${frameProvenance.markerTag}" in a selector)
+   - Add "frame": {"indexPath": [the data-frame-path numbers, e.g. "0.1" -> [0, 1]]}
+Use "frame": {"indexPath": []} for forms in the main page.
+
+` : '';
+        const shadowSection = htmlContent.includes(`<${shadowDom.markerTag}`) ? `SHADOW DOM:
+A <${shadowDom.markerTag} mode="open"> element marks the shadow root of its parent element (the host).
+Plain CSS selectors cannot cross shadow-root boundaries. For any form, field or submit button inside a shadow root:
+   - Add "selectorPath": {"hosts": [host selectors, outermost first], "selector": "selector inside the innermost shadow root"}
+     (use "submitSelectorPath" for the submit button). Each host selector is scoped to the tree that contains the host.
+   - Write "selector" / "submitSelector" as the same parts joined with "${shadowDom.separator}", e.g. "my-widget${shadowDom.separator}#email"
+   - Never use "${shadowDom.markerTag}" itself in a selector
+Use null for selectorPath / submitSelectorPath when the element is in the light DOM.
+
+` : '';
+
         return `You are an expert HTML form analyzer. Your task is to extract ALL FUNCTIONAL forms from the provided HTML content.
 
 CRITICAL INSTRUCTIONS:
@@ -208,11 +882,43 @@ CRITICAL INSTRUCTIONS:
      * Input type (text, email, password, select, textarea, checkbox, radio, etc.)
      * CSS selector to locate the field
      * Whether it's required
-     * Validation hints (pattern, min, max, etc.)
+     * Validation hints (pattern, min, max, input mask from data-mask/data-inputmask, display format from data-format, etc.)
      * Placeholder or default value if any
    - Submit mechanism (button selector, auto-submit trigger, etc.)
+   - Steps, when the form is a multi-step wizard
+   - Repeating groups, when the user can add rows of fields
+
+5. Multi-step forms:
+   - One form whose fields are split into panels shown one at a time: list the panels in "steps", in the order
+     the user goes through them, with the fieldName of every field shown in each panel (the fields still all go in "fields").
+     Include a review/confirmation panel without fields as a step with "review": true.
+   - Give each step the selectors of its "Next"/"Continue" and "Back"/"Previous" controls (null on the first/last step
+     or when there is none) and the URL the step posts to when each step is submitted separately (null otherwise)
+   - A wizard made of separate forms, one per step: extract each form on its own and give each the same "wizard" id,
+     its 1-based step number, the total number of steps and the URL that form posts to
+   - Use null for "steps" and "wizard" when the form has a single step
 
-5. Return results in the following JSON structure:
+6. Conditional fields:
+   - When a field is shown/hidden, enabled/disabled or made required depending on another field's value
+     (change/input listeners in scripts, "hidden"/"disabled" toggles, aria-controls), add a rule to "dependencies":
+     the dependent "field", the controlling field ("dependsOn"), the "effect" (show|enable|require) and the condition
+     ("operator": equals|not-equals|in|not-in|checked|unchecked|filled|empty, with "value" for equals/not-equals/in/not-in)
+   - Use field names from "fields" for both "field" and "dependsOn", one rule per dependent field and effect
+   - A field inside a container that is toggled depends on the container's controlling field
+   - Use [] when no field depends on another
+
+7. Repeating groups:
+   - When the user can add and remove rows of the same fields ("Add passenger", "+ Add item" buttons, rows built by
+     scripts, fields named like items[0][name]), describe the group in "repeatingGroups": its "name", the fields of one row
+     (with their row-level fieldName, e.g. "name" for items[0][name]) and the "namePattern" that gives a row field its name,
+     with {index} for the 0-based row and {field} for the row fieldName (e.g. "items[{index}][name]" → "items[{index}][{field}]")
+   - Give the selectors of the row container, of one row, of the add control and of a row's remove control (null when
+     there is none), the row limits ("minRows", "maxRows": null when unlimited) and the number of rows present once the
+     page has loaded ("initialRows", including rows scripts add on load)
+   - Rows present in the HTML still go in "fields" under their full names
+   - Use [] when the form has no repeating group
+
+8. Return results in the following JSON structure:
 
 {
   "summary": {
@@ -240,30 +946,162 @@ CRITICAL INSTRUCTIONS:
             "maxLength": number,
             "min": number,
             "max": number,
-            "type": "email|url|number|date|etc"
+            "type": "email|url|number|date|etc",
+            "mask": "input mask (9 digit, a letter, * either), e.g. (999) 999-9999, or null",
+            "format": "display format, e.g. currency or MM/DD/YYYY, or null"
           },
           "placeholder": "string or null",
           "defaultValue": "string or null",
           "options": ["array of options for select/radio/checkbox"] or null
         }
       ],
-      "specialFeatures": ["array of special characteristics like 'dynamic-fields', 'multi-step', 'conditional', etc"]
+      "specialFeatures": ["array of special characteristics like 'dynamic-fields', 'multi-step', 'conditional', etc"],
+      "steps": [
+        {
+          "title": "step heading or null",
+          "selector": "CSS selector of the step panel",
+          "fieldNames": ["fieldName of each field shown in this step"],
+          "nextSelector": "CSS selector of the control that moves to the next step, or null",
+          "backSelector": "CSS selector of the control that goes back a step, or null",
+          "submitEndpoint": "URL this step posts to when steps are submitted separately, or null",
+          "review": boolean
+        }
+      ] or null,
+      "wizard": {
+        "id": "identifier shared by all forms of the wizard",
+        "step": <1-based step number of this form>,
+        "totalSteps": <number>,
+        "title": "step heading or null",
+        "submitEndpoint": "URL this form posts to, or null"
+      } or null,
+      "dependencies": [
+        {
+          "field": "fieldName of the dependent field",
+          "dependsOn": "fieldName of the controlling field",
+          "effect": "show|enable|require",
+          "operator": "equals|not-equals|in|not-in|checked|unchecked|filled|empty",
+          "value": "compared value (array for in/not-in) or null",
+          "source": "script|attribute|aria"
+        }
+      ],
+      "repeatingGroups": [
+        {
+          "name": "group name, e.g. items",
+          "namePattern": "name of a row field with {index} and {field}, e.g. items[{index}][{field}]",
+          "fields": [
+            {
+              "fieldName": "row-level field name, e.g. name",
+              "fieldType": "text|number|select|etc",
+              "required": boolean,
+              "validation": { },
+              "placeholder": "string or null",
+              "options": ["options"] or null
+            }
+          ],
+          "containerSelector": "CSS selector of the element holding the rows, or null",
+          "rowSelector": "CSS selector matching each row, or null",
+          "addSelector": "CSS selector of the control that adds a row, or null",
+          "removeSelector": "CSS selector of a row's remove control, or null",
+          "minRows": <number>,
+          "maxRows": <number or null>,
+          "initialRows": <number>,
+          "source": "markup|script"
+        }
+      ]
     }
   ]
 }
 
-HTML CONTENT TO ANALYZE:
+${frameSection}${shadowSection}${hintSection}HTML CONTENT TO ANALYZE:
 ${htmlContent}
 
+Return ONLY the JSON response, no additional text or explanation.`;
+    }
+
+    /**
+     * Build prompt for regenerating values after a rejected submission
+     * @param {Object} formData - Form data
+     * @param {Array} previousAttempts - [{ values, errors }], oldest first
+     * @param {Array} failingFields - Field names to regenerate (empty: let the model decide)
+     * @returns {string} - Formatted prompt
+     */
+    buildFieldValueFeedbackPrompt(formData, previousAttempts, failingFields) {
+        const { suggestedValues, suggestedStepValues, suggestedGroupValues, validationStatus, valuesValidation, valueChecks, valueGenerationPerformance, ...form } = formData;
+        const history = previousAttempts.map((attempt, index) => `ATTEMPT ${index + 1}
+Values: ${JSON.stringify(attempt.values)}
+Errors:
+${(attempt.errors || []).map(error => `- ${error.fieldName ? `[${error.fieldName}] ` : ''}${error.message}${error.source ? ` (${error.source})` : ''}`).join('\n') || '- none recorded'}`).join('\n\n');
+
+        return `You generated test values for the form below, but submitting them failed. Fix the values that caused the errors.
+
+FORM DATA:
+${JSON.stringify(form, null, 2)}
+
+PREVIOUS ATTEMPTS (oldest first):
+${history}
+
+FIELDS TO FIX:
+${failingFields.length ? failingFields.join(', ') : 'Not identified. Work out from the errors which fields caused them.'}
+
+INSTRUCTIONS:
+1. Return new values ONLY for the fields that must change to fix the errors of the last attempt
+2. Do not repeat a value that an earlier attempt already tried for a failing field
+3. The new values must satisfy the error messages (e.g. "must be 18 or older" means an age of 18 or more, "must agree to the terms" means the checkbox is checked) as well as the field's own validation rules
+4. Keep the same value types as the rest of the form (checkboxes true/false, selects one of the options)
+
+Return the response in this JSON format:
+
+{
+  "formId": "the form identifier",
+  "values": {
+    "failingFieldName": "new value"
+  },
+  "metadata": {
+    "allValidationsSatisfied": boolean,
+    "notes": "what was changed and why"
+  }
+}
+
 Return ONLY the JSON response, no additional text or explanation.`;
     }
 
     /**
      * Build prompt for field value generation
      * @param {Object} formData - Form data
+     * @param {Object} rowCounts - Rows to generate by repeating group name
      * @returns {string} - Formatted prompt
      */
-    buildFieldValueGenerationPrompt(formData) {
+    buildFieldValueGenerationPrompt(formData, rowCounts = {}) {
+        const dependencySection = (formData.dependencies || []).length ? `CONDITIONAL FIELDS:
+The form's "dependencies" say which fields are shown, enabled or required only while another field ("dependsOn") has a given value.
+   - Choose the values of the controlling fields first
+   - Then give values only to the fields that are active (shown and enabled) with those choices; leave inactive fields out
+   - Fields a "require" rule makes required with your choices must get a value
+
+` : '';
+        const maskedFields = [...(formData.fields || []), ...(formData.repeatingGroups || []).flatMap(group => group.fields)]
+            .filter(field => field.validation && (field.validation.mask || field.validation.format));
+        const maskSection = maskedFields.length ? `MASKED AND FORMATTED FIELDS:
+Fields with "validation.mask" are typed through an input mask: 9 is a digit, a a letter, * a letter or digit, and every
+other character is inserted by the mask. Fields with "validation.format" are displayed formatted (currency → "$1,234.56",
+a date format such as MM/DD/YYYY → "04/27/2025").
+   - Give these values exactly as they look with the mask/format applied, filling every position of the mask
+     (mask "(999) 999-9999" → "(555) 234-8821", mask "99/99" for an expiry → "08/27")
+   - Choose the characters so the unmasked value (the mask's characters removed) is valid too, e.g. a card number
+     that passes the Luhn check, a month between 01 and 12
+${maskedFields.map(field => `   - ${field.fieldName}: ${[field.validation.mask && `mask "${field.validation.mask}"`, field.validation.format && `format "${field.validation.format}"`].filter(Boolean).join(', ')}`).join('\n')}
+
+` : '';
+        const groups = formData.repeatingGroups || [];
+        const groupSection = groups.length ? `REPEATING GROUPS:
+The form's "repeatingGroups" are rows of the same fields the user can add (e.g. several passengers). Generate exactly:
+${groups.map(group => `   - ${group.name}: ${rowCounts[group.name] ?? 1} row(s) of ${group.fields.map(field => field.fieldName).join(', ')}`).join('\n')}
+Return the rows under "groups" by group name, one object per row keyed by the row fields' fieldName
+(e.g. "groups": { "${groups[0].name}": [{ "${groups[0].fields[0].fieldName}": "..." }] }), with different values in each row.
+Do not repeat the row fields under "values".
+
+` : '';
+
         return `You are an expert at generating realistic test data for form submissions. Your task is to generate valid values for all fields in the provided form that will pass ALL validations.
 
 FORM DATA:
@@ -295,7 +1133,7 @@ INSTRUCTIONS:
    - text: Use relevant realistic text (3-50 characters unless specified) - VARY THE VALUES
    - email: Use valid email format with DIFFERENT realistic names each time
    - password: Use secure password meeting requirements (e.g., "SecureP@ss123", "MyP@ssw0rd!", "Str0ng#Key")
-   - tel: Use valid phone format - RANDOMIZE the numbers
+   - tel: Use valid phone format - RANDOMIZE the numbers (follow validation.mask when there is one)
    - number: Use numbers within specified range - RANDOMIZE within range
    - date: Use YYYY-MM-DD format with reasonable dates - VARY the dates
    - time: Use HH:MM format - VARY the times
@@ -307,6 +1145,9 @@ INSTRUCTIONS:
    - file: Indicate file type needed (e.g., "image.jpg", "document.pdf", "resume.pdf")
    - contenteditable: Use realistic content matching context - VARY the content
 
+${dependencySection}${groupSection}${maskSection}MULTI-STEP FORMS: when the form has "steps", generate values for the fields of every step, not only the first,
+and keep values consistent across steps (e.g. a confirmation field repeats the value entered in an earlier step).
+
 IMPORTANT: Generate UNIQUE, VARIED values for each field. Don't reuse the same name/email/phone across forms.
 Use a variety like: "Sarah Johnson", "Michael Chen", "Emily Rodriguez", "James Wilson", "Lisa Anderson", etc.
 
@@ -331,29 +1172,40 @@ Return ONLY the JSON response, no additional text or explanation.`;
     /**
      * Comprehensive form analysis - extract forms and generate values
      * @param {string} htmlContent - HTML content
+     * @param {Object} options - { provider, model } LLM selection for this request, plus
+     *   `onProgress(event, data)`, called with "extraction" once forms are extracted and
+     *   with "form" ({ index, total, form }) as each form's values are ready
      * @returns {Promise<Object>} - Complete analysis with forms and suggested values
      */
-    async analyzeFormsComplete(htmlContent) {
+    async analyzeFormsComplete(htmlContent, options = {}) {
         console.log('\n🎯 [Complete Analysis] Starting complete form analysis...');
         const overallStartTime = Date.now();
+        const { onProgress, ...scanOptions } = options;
+        const notify = typeof onProgress === 'function' ? onProgress : () => {};
         
         try {
             // Step 1: Extract forms
             const extractionStartTime = Date.now();
-            const formsData = await this.extractForms(htmlContent);
+            const formsData = await this.extractForms(htmlContent, scanOptions);
             const extractionTime = Date.now() - extractionStartTime;
+            notify('extraction', { ...formsData, extractionTime });
             
             // Step 2: Generate values for each form
             console.log(`🔄 [Complete Analysis] Generating values for ${formsData.forms.length} forms...`);
             const valueGenerationStartTime = Date.now();
             const formsWithValues = await Promise.all(
-                formsData.forms.map(async (form) => {
+                formsData.forms.map(async (form, index) => {
+                    let formWithValues;
                     try {
-                        const values = await this.generateFieldValues(form);
-                        return {
+                        const values = await this.generateFieldValues(form, scanOptions);
+                        formWithValues = {
                             ...form,
                             suggestedValues: values.values,
+                            suggestedStepValues: values.stepValues,
+                            suggestedGroupValues: values.groups,
                             validationStatus: values.metadata,
+                            valuesValidation: values.validation,
+                            valueChecks: values.fieldChecks,
                             valueGenerationPerformance: {
                                 ...values.performance,
                                 usage: values.usage
@@ -361,12 +1213,16 @@ Return ONLY the JSON response, no additional text or explanation.`;
                         };
                     } catch (error) {
                         console.error(`Error generating values for form ${form.formId}:`, error);
-                        return {
+                        formWithValues = {
                             ...form,
                             suggestedValues: null,
+                            suggestedStepValues: null,
+                            suggestedGroupValues: null,
                             validationStatus: { error: error.message }
                         };
                     }
+                    notify('form', { index, total: formsData.forms.length, form: formWithValues });
+                    return formWithValues;
                 })
             );
             const valueGenerationTime = Date.now() - valueGenerationStartTime;
@@ -402,10 +1258,15 @@ Return ONLY the JSON response, no additional text or explanation.`;
                     extractionTime,
                     valueGenerationTime,
                     totalTime,
-                    averageTimePerForm: Math.round(valueGenerationTime / formsData.forms.length)
+                    averageTimePerForm: Math.round(valueGenerationTime / formsData.forms.length),
+                    ...this.sumRetryStats([
+                        formsData.performance,
+                        ...formsWithValues.map(form => form.valueGenerationPerformance)
+                    ])
                 },
                 totalUsage: {
                     ...totalUsage,
+                    preprocessing: formsData.usage?.preprocessing,
                     inputCost: parseFloat(totalUsage.inputCost.toFixed(6)),
                     outputCost: parseFloat(totalUsage.outputCost.toFixed(6)),
                     totalCost: parseFloat(totalUsage.totalCost.toFixed(6))
@@ -416,6 +1277,40 @@ Return ONLY the JSON response, no additional text or explanation.`;
             throw error;
         }
     }
+
+    /**
+     * Fetch a URL (including frames; rendered when fetchOptions.render) and run the complete analysis
+     * @param {string} url - Page URL
+     * @param {Object} options - analyzeFormsComplete options plus `fetchOptions` for
+     *   HtmlFetcherService.fetchPage; `onProgress` additionally receives "fetch" once the page is loaded
+     * @returns {Promise<Object>} - Complete analysis plus sourceUrl, rendered, htmlLength and iframeStats
+     */
+    async analyzeUrl(url, options = {}) {
+        const { fetchOptions = {}, ...scanOptions } = options;
+        const notify = typeof scanOptions.onProgress === 'function' ? scanOptions.onProgress : () => {};
+
+        const fetchResult = await htmlFetcherService.fetchPage(url, fetchOptions);
+        console.log(`✅ Fetched ${fetchResult.combinedHtml.length} characters (${fetchResult.stats.successfulIframes} iframes), starting analysis...`);
+
+        const page = {
+            sourceUrl: url,
+            rendered: fetchOptions.render === true,
+            htmlLength: fetchResult.combinedHtml.length,
+            iframeStats: fetchResult.stats
+        };
+        notify('fetch', { ...page, finalUrl: fetchResult.finalUrl, renderTime: fetchResult.renderTime });
+
+        // pageUrl is recorded in top-document frame descriptors and as the cache entry source
+        const result = await this.analyzeFormsComplete(fetchResult.combinedHtml, {
+            ...scanOptions,
+            pageUrl: fetchResult.finalUrl || url
+        });
+
+        return {
+            ...result,
+            ...page
+        };
+    }
 }
 
 module.exports = new GeminiService();
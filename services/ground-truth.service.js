@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFESTS_DIR = path.join(__dirname, '../ground-truth');
+const FIXTURES_DIR = path.join(__dirname, '../public');
+
+/**
+ * Ground-truth manifests for the test fixtures in public/.
+ *
+ * Each fixture has a `ground-truth/<name>.json` manifest listing the forms a
+ * correct extraction finds: form and field selectors, field names, types,
+ * required flags, the submit selector and submit type. Forms or fields that
+ * only exist once scripts have run (custom elements, runtime-created forms)
+ * are marked `render: true`; forms inside iframes are listed in the framed
+ * fixture's own manifest and referenced from `frames` by index path. Forms a
+ * scanner should skip (hidden, decorative) are described in `ignoredForms`.
+ *
+ * A fixture is found by name ("simple-form", "simple-form.html") or by any
+ * path it is served from ("/simple-form.html", "/simple-form", the extra
+ * server routes in `paths` such as "/contact-us"), including full URLs.
+ */
+class GroundTruthService {
+    constructor() {
+        this.manifests = null;
+    }
+
+    /**
+     * Load all manifests, keyed by fixture name without extension
+     */
+    load() {
+        if (!this.manifests) {
+            this.manifests = new Map();
+            fs.readdirSync(MANIFESTS_DIR)
+                .filter(file => file.endsWith('.json'))
+                .sort()
+                .forEach(file => {
+                    const manifest = JSON.parse(fs.readFileSync(path.join(MANIFESTS_DIR, file), 'utf-8'));
+                    this.manifests.set(path.basename(file, '.json'), manifest);
+                });
+        }
+        return this.manifests;
+    }
+
+    /**
+     * Overview of all manifests
+     * @returns {Array} - [{ fixture, paths, description, forms, fields, renderOnlyForms, frames }]
+     */
+    list() {
+        return [...this.load().entries()].map(([name, manifest]) => ({
+            fixture: manifest.fixture,
+            paths: this.getPaths(name, manifest),
+            description: manifest.description,
+            forms: manifest.forms.length,
+            fields: manifest.forms.reduce((sum, form) => sum + form.fields.length, 0),
+            renderOnlyForms: manifest.forms.filter(form => form.render).length,
+            frames: (manifest.frames || []).map(frame => frame.fixture)
+        }));
+    }
+
+    /**
+     * Find a manifest by fixture name, path or URL
+     * @param {string} reference - "simple-form", "simple-form.html", "/contact-us" or "http://localhost:3000/contact-us"
+     * @returns {Object|null} - Manifest, or null if no fixture matches
+     */
+    get(reference) {
+        if (typeof reference !== 'string' || !reference.trim()) return null;
+        const manifests = this.load();
+        const value = reference.trim();
+
+        const name = path.basename(value, '.html');
+        if (!value.includes('/') && manifests.has(name)) {
+            return manifests.get(name);
+        }
+
+        const pathname = this.getPathname(value);
+        if (!pathname) return null;
+        for (const [fixtureName, manifest] of manifests) {
+            if (this.getPaths(fixtureName, manifest).includes(pathname)) {
+                return manifest;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Paths a fixture is served from: the static file, its route and any extra routes
+     */
+    getPaths(name, manifest) {
+        return [`/${name}.html`, `/${name}`, ...(manifest.paths || [])];
+    }
+
+    getPathname(value) {
+        try {
+            const pathname = new URL(value, 'http://localhost').pathname.replace(/\/+$/, '');
+            return pathname || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Raw HTML of a fixture, used to resolve selectors when scoring
+     * @param {string} fixture - Fixture file name (e.g. "simple-form.html")
+     * @returns {string}
+     */
+    getFixtureHtml(fixture) {
+        return fs.readFileSync(path.join(FIXTURES_DIR, path.basename(fixture)), 'utf-8');
+    }
+}
+
+module.exports = new GroundTruthService();
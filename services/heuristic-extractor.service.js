@@ -0,0 +1,594 @@
+const cheerio = require('cheerio');
+const shadowDom = require('./shadow-dom.service');
+const frameProvenance = require('./frame-provenance.service');
+const fieldDependency = require('./field-dependency.service');
+const repeatingGroup = require('./repeating-group.service');
+
+const FIELD_SELECTOR = 'input, select, textarea, [contenteditable=""], [contenteditable="true"]';
+const BUTTON_SELECTOR = 'button, input[type="submit"], input[type="button"], input[type="image"], [role="button"]';
+const NON_FILLABLE_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+const DATA_NAME_ATTRIBUTES = ['data-field', 'data-submit', 'data-name', 'data-key'];
+const FAKE_CLASS_PATTERN = /\b(fake|demo|decorative|placeholder-form)\b/i;
+const FAKE_TEXT_PATTERN = /not functional|display only|demo only|just for show|for display purposes|form is locked/i;
+const AUTO_SUBMIT_CLASS_PATTERN = /auto-?submit|auto-?save/i;
+// Panels of a multi-step form, their headings and the controls that move between them
+const STEP_SELECTOR = '[data-step], .form-step, .wizard-step, .step-panel';
+const STEP_TITLE_SELECTOR = 'legend, h1, h2, h3, h4, h5, h6, .step-title';
+const NEXT_CONTROL_PATTERN = /\bnext|\bcontinue|\bproceed/i;
+const BACK_CONTROL_PATTERN = /\bback\b|\bprev/i;
+// Id of one form in a wizard made of separate forms, e.g. wizardStep2 or signup-step-2
+const WIZARD_ID_PATTERN = /step[-_]?(\d+)$/i;
+// Input masks of masking libraries (Inputmask, jQuery Mask, Cleave) and display formats
+const MASK_ATTRIBUTES = ['data-mask', 'data-inputmask-mask', 'data-input-mask'];
+const INPUTMASK_OPTIONS_PATTERN = /['"]?mask['"]?\s*:\s*['"]([^'"]+)['"]/;
+const FORMAT_ATTRIBUTES = ['data-format', 'data-date-format', 'data-number-format'];
+const VALIDATION_TYPES = ['email', 'url', 'number', 'range', 'date', 'time', 'datetime-local', 'month', 'week', 'tel', 'color'];
+
+/**
+ * Deterministic, DOM-based form extractor.
+ *
+ * Produces the same `{ summary, forms[] }` schema as the LLM extraction prompt
+ * without any API call. Used as a baseline, as a hint for the LLM in hybrid
+ * mode and as the fallback when the model call fails.
+ */
+class HeuristicExtractorService {
+    /**
+     * Extract forms from HTML content
+     * @param {string} htmlContent - The HTML content to analyze
+     * @returns {Object} - Extracted form information
+     */
+    extractForms(htmlContent) {
+        console.log('\n🧩 [Heuristic Extract] Starting DOM-based form extraction...');
+        const startTime = Date.now();
+
+        const $ = cheerio.load(htmlContent);
+        const scriptText = $('script').map((i, el) => $(el).html() || '').get().join('\n');
+        $('script, style, noscript').remove();
+
+        const claimed = new Set();
+        const candidates = [];
+
+        // 1. Traditional <form> tags (plus controls associated via form="id")
+        $('form').each((i, el) => {
+            const $form = $(el);
+            const id = $form.attr('id');
+            const $controls = $form.find(FIELD_SELECTOR).add(id ? $(`[form="${id}"]`) : []);
+            $controls.each((j, control) => claimed.add(control));
+            candidates.push({ $container: $form, $controls, isFormTag: true });
+        });
+
+        // 2. Formless containers: loose controls grouped by the nearest ancestor with a button
+        const groups = new Map();
+        const buttonless = [];
+        $(FIELD_SELECTOR).each((i, el) => {
+            if (claimed.has(el) || !this.isFillable($(el))) return;
+            const $container = this.findButtonContainer($, $(el));
+            if ($container) {
+                const key = $container.get(0);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(el);
+            } else {
+                buttonless.push(el);
+            }
+        });
+        groups.forEach((controls, container) => {
+            controls.forEach(control => claimed.add(control));
+            candidates.push({ $container: $(container), $controls: $(controls), isFormTag: false });
+        });
+
+        // 3. Button-less groups that save on change (auto-submit / autosave)
+        const autoGroups = new Map();
+        buttonless
+            .filter(el => this.isAutoSubmitControl($(el), scriptText))
+            .forEach(el => {
+                const key = this.findGroupContainer($, $(el)).get(0);
+                if (!autoGroups.has(key)) autoGroups.set(key, []);
+                autoGroups.get(key).push(el);
+            });
+        autoGroups.forEach((controls, container) => {
+            candidates.push({ $container: $(container), $controls: $(controls), isFormTag: false, autoSubmit: true });
+        });
+
+        const forms = [];
+        let formsIgnored = 0;
+        const usedIds = new Set();
+
+        candidates.forEach(candidate => {
+            const form = this.buildForm($, candidate, scriptText, usedIds, forms.length);
+            if (form) {
+                forms.push(form);
+            } else {
+                formsIgnored++;
+            }
+        });
+
+        this.linkWizardForms(forms);
+
+        const totalFields = forms.reduce((sum, form) => sum + form.fields.length, 0);
+        const timeTaken = Date.now() - startTime;
+        console.log(`✅ [Heuristic Extract] Found ${forms.length} forms (${totalFields} fields, ${formsIgnored} ignored) in ${timeTaken}ms`);
+
+        return {
+            summary: {
+                totalFunctionalForms: forms.length,
+                totalFields,
+                formsIgnored,
+                confidence: 60
+            },
+            forms,
+            performance: {
+                timeTaken,
+                timestamp: new Date().toISOString()
+            },
+            usage: {
+                inputTokens: 0,
+                outputTokens: 0,
+                totalTokens: 0,
+                inputCost: 0,
+                outputCost: 0,
+                totalCost: 0
+            }
+        };
+    }
+
+    /**
+     * Compact view of a heuristic result, used as a hint inside the LLM prompt
+     */
+    summarizeForHint(result) {
+        return result.forms.map(form => ({
+            formId: form.formId,
+            formType: form.formType,
+            selector: form.selector,
+            submitSelector: form.submitSelector,
+            fields: form.fields.map(field => `${field.fieldName}:${field.fieldType}${field.required ? '*' : ''}`)
+        }));
+    }
+
+    /**
+     * Turn a candidate container into a form object, or null if it should be ignored
+     */
+    buildForm($, { $container, $controls, isFormTag, autoSubmit }, scriptText, usedIds, index) {
+        const $fillable = $controls.filter((i, el) => this.isFillable($(el)));
+
+        if ($fillable.length === 0) return null;
+        if ($fillable.toArray().every(el => this.isDisabled($, $(el)))) return null;
+        if (this.looksFake($container)) return null;
+
+        const $buttons = $container.find(BUTTON_SELECTOR).filter((i, el) => !this.isDisabled($, $(el)));
+        const hasDisabledButtonsOnly = $buttons.length === 0 && $container.find(BUTTON_SELECTOR).length > 0;
+        if (hasDisabledButtonsOnly) return null;
+
+        const fields = this.collectFields($, $fillable);
+        const formType = this.classifyForm($, $container, $fillable, isFormTag, autoSubmit);
+
+        let submit = { selector: null, selectorPath: null };
+        let submitType = 'button-click';
+        if ($buttons.length > 0) {
+            const $submit = $buttons.filter('[type="submit"]').first();
+            submit = this.locate($, $submit.length ? $submit : $buttons.first());
+        } else {
+            const id = $container.attr('id');
+            const listensForChanges = autoSubmit || (id && scriptText.includes(id) && /addEventListener\(\s*['"](input|change)['"]/.test(scriptText));
+            submitType = listensForChanges ? 'auto-submit' : 'enter-key';
+        }
+
+        const specialFeatures = [];
+        if ($container.find('[style*="display: none"], [style*="display:none"], [hidden]').find(FIELD_SELECTOR).length > 0) {
+            specialFeatures.push('conditional-fields');
+        }
+        if ($buttons.filter('[type="submit"]').length > 1) {
+            specialFeatures.push('multiple-actions');
+        }
+        if (fields.some(field => field.fieldType === 'file')) {
+            specialFeatures.push('file-upload');
+        }
+        const steps = this.detectSteps($, $container, $fillable);
+        if (steps) {
+            specialFeatures.push('multi-step');
+        }
+        const repeatingGroups = repeatingGroup.detect($, $container, fields, scriptText, {
+            buildField: ($doc, $el) => this.buildField($doc, $el, this.getFieldType($el)),
+            locate: ($doc, $el) => this.locate($doc, $el)
+        });
+        if (repeatingGroups.length) {
+            specialFeatures.push('repeating-group');
+        }
+
+        let formId = $container.attr('id') || $container.attr('name') || `${formType}-form-${index + 1}`;
+        while (usedIds.has(formId)) {
+            formId = `${formId}-${index + 1}`;
+        }
+        usedIds.add(formId);
+
+        const location = this.locate($, $container);
+
+        return {
+            formId,
+            formType,
+            selector: location.selector,
+            selectorPath: location.selectorPath,
+            submitSelector: submit.selector,
+            submitSelectorPath: submit.selectorPath,
+            submitType,
+            fields,
+            specialFeatures,
+            frame: frameProvenance.describe($, $container),
+            steps,
+            wizard: this.getWizardStep($, $container, scriptText),
+            dependencies: fieldDependency.detect($, $container, $fillable, scriptText, $el => this.getFieldName($, $el)),
+            repeatingGroups
+        };
+    }
+
+    /**
+     * Steps of a multi-step form: panels holding fields, plus review panels
+     * without any, in data-step order (document order without numbers)
+     * @returns {Array|null} - Step descriptors, or null unless there are at least two steps
+     */
+    detectSteps($, $container, $fillable) {
+        const container = $container.get(0);
+        const panels = $container.find(STEP_SELECTOR).toArray()
+            .filter(el => !$(el).parents(STEP_SELECTOR).toArray().some(parent => $.contains(container, parent)))
+            .map(el => ({ el, controls: $fillable.toArray().filter(control => $.contains(el, control)) }))
+            .filter(({ el, controls }) => controls.length > 0 || $(el).find('[data-review]').length > 0);
+        if (panels.length < 2) return null;
+
+        const numbers = panels.map(({ el }) => parseInt($(el).attr('data-step'), 10));
+        if (numbers.every(number => !isNaN(number))) {
+            panels.forEach((panel, i) => { panel.number = numbers[i]; });
+            panels.sort((a, b) => a.number - b.number);
+        }
+
+        // Controls outside every panel (shared Back/Next bar) serve all steps
+        const isEnabledButton = el => !this.isDisabled($, $(el));
+        const sharedButtons = $container.find(BUTTON_SELECTOR).toArray()
+            .filter(el => isEnabledButton(el) && !panels.some(panel => $.contains(panel.el, el)));
+        const findControl = (buttons, pattern) => buttons.find(el => pattern.test([
+            $(el).text(), $(el).attr('value'), $(el).attr('id'), $(el).attr('onclick'), $(el).attr('aria-label')
+        ].filter(Boolean).join(' ')));
+
+        return panels.map(({ el, controls }, i) => {
+            const $panel = $(el);
+            const buttons = $panel.find(BUTTON_SELECTOR).toArray().filter(isEnabledButton);
+            const next = i < panels.length - 1 ? findControl(buttons, NEXT_CONTROL_PATTERN) || findControl(sharedButtons, NEXT_CONTROL_PATTERN) : null;
+            const back = i > 0 ? findControl(buttons, BACK_CONTROL_PATTERN) || findControl(sharedButtons, BACK_CONTROL_PATTERN) : null;
+
+            return {
+                index: i + 1,
+                title: this.getStepTitle($, $panel.find(STEP_TITLE_SELECTOR).first()) || $panel.attr('data-title') || $panel.attr('aria-label') || null,
+                selector: this.locate($, $panel).selector,
+                fieldNames: [...new Set(controls.map(control => this.getFieldName($, $(control))))],
+                nextSelector: next ? this.locate($, $(next)).selector : null,
+                backSelector: back ? this.locate($, $(back)).selector : null,
+                submitEndpoint: null,
+                review: controls.length === 0
+            };
+        });
+    }
+
+    /**
+     * This form's place in a wizard made of separate forms (ids ending in "step<N>"),
+     * before linkWizardForms checks that the other steps exist
+     * @returns {Object|null} - { id, step, totalSteps, title, submitEndpoint }
+     */
+    getWizardStep($, $container, scriptText) {
+        const id = $container.attr('id') || '';
+        const match = id.match(WIZARD_ID_PATTERN);
+        if (!match) return null;
+
+        const $title = $container.find(STEP_TITLE_SELECTOR).first();
+        return {
+            id: id.replace(/[-_]?\d+$/, ''),
+            step: parseInt(match[1], 10),
+            totalSteps: null,
+            title: this.getStepTitle($, $title.length ? $title : $container.prevAll(STEP_TITLE_SELECTOR).first()),
+            submitEndpoint: this.findSubmitEndpoint($container, scriptText)
+        };
+    }
+
+    getStepTitle($, $title) {
+        return $title.length ? $title.text().replace(/\s+/g, ' ').trim() || null : null;
+    }
+
+    /**
+     * Where a form posts: its action, or a URL literal passed along with its id in a
+     * script (e.g. hookForm('wizardStep1', '/api/wizard-step-1'))
+     */
+    findSubmitEndpoint($container, scriptText) {
+        const action = $container.attr('action');
+        if (action && !/^(#|javascript:)/i.test(action.trim())) return action.trim();
+
+        const id = $container.attr('id');
+        if (!id) return null;
+        const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = scriptText.match(new RegExp(`['"\`]${escaped}['"\`][^'"\`;\\n]{0,40}['"\`]((?:https?:)?\\/[^'"\`\\s]*)['"\`]`));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Keep wizard descriptors only for forms whose sibling steps were found too,
+     * numbering the steps of each wizard 1..n in step order
+     */
+    linkWizardForms(forms) {
+        const wizards = new Map();
+        forms.filter(form => form.wizard).forEach(form => {
+            if (!wizards.has(form.wizard.id)) wizards.set(form.wizard.id, []);
+            wizards.get(form.wizard.id).push(form);
+        });
+
+        wizards.forEach(members => {
+            if (members.length < 2) {
+                members.forEach(form => { form.wizard = null; });
+                return;
+            }
+            members
+                .sort((a, b) => a.wizard.step - b.wizard.step)
+                .forEach((form, i) => {
+                    form.wizard.step = i + 1;
+                    form.wizard.totalSteps = members.length;
+                    if (!form.specialFeatures.includes('multi-step')) form.specialFeatures.push('multi-step');
+                });
+        });
+        return forms;
+    }
+
+    /**
+     * Build field descriptors, collapsing radio/checkbox groups that share a name
+     */
+    collectFields($, $controls) {
+        const fields = [];
+        const groups = {};
+
+        $controls.each((i, el) => {
+            const $el = $(el);
+            const fieldType = this.getFieldType($el);
+            const name = $el.attr('name');
+
+            if ((fieldType === 'radio' || fieldType === 'checkbox') && name) {
+                const groupKey = `${fieldType}:${name}`;
+                if (groups[groupKey]) {
+                    groups[groupKey].options.push($el.attr('value') || 'on');
+                    groups[groupKey].required = groups[groupKey].required || this.isRequired($el);
+                    return;
+                }
+                const field = this.buildField($, $el, fieldType);
+                const groupSelector = `input[type="${fieldType}"][name="${name}"]`;
+                field.selectorPath = field.selectorPath ? { hosts: field.selectorPath.hosts, selector: groupSelector } : null;
+                field.selector = field.selectorPath ? shadowDom.toSelector(field.selectorPath) : groupSelector;
+                field.options = [$el.attr('value') || 'on'];
+                groups[groupKey] = field;
+                fields.push(field);
+                return;
+            }
+
+            fields.push(this.buildField($, $el, fieldType));
+        });
+
+        // A lone checkbox is a boolean, not a choice
+        fields.forEach(field => {
+            if (field.fieldType === 'checkbox' && field.options && field.options.length === 1) {
+                field.options = null;
+            }
+        });
+
+        return fields;
+    }
+
+    /**
+     * Build a single field descriptor
+     */
+    buildField($, $el, fieldType) {
+        const validation = {};
+        const pattern = $el.attr('pattern');
+        if (pattern) validation.pattern = pattern;
+        ['minlength', 'maxlength'].forEach(attr => {
+            const value = $el.attr(attr);
+            if (value !== undefined && !isNaN(parseInt(value, 10))) {
+                validation[attr === 'minlength' ? 'minLength' : 'maxLength'] = parseInt(value, 10);
+            }
+        });
+        ['min', 'max'].forEach(attr => {
+            const value = $el.attr(attr);
+            if (value !== undefined && value !== '') {
+                validation[attr] = isNaN(Number(value)) ? value : Number(value);
+            }
+        });
+        if (VALIDATION_TYPES.includes(fieldType)) {
+            validation.type = fieldType;
+        }
+        const mask = this.getMask($el);
+        if (mask) validation.mask = mask;
+        const formatAttribute = FORMAT_ATTRIBUTES.find(attr => $el.attr(attr));
+        if (formatAttribute) validation.format = $el.attr(formatAttribute).trim();
+
+        let options = null;
+        let defaultValue = $el.attr('value') ?? null;
+        if (fieldType === 'select') {
+            options = $el.find('option')
+                .map((i, option) => $(option).attr('value') ?? $(option).text().trim())
+                .get()
+                .filter(value => value !== '');
+            const $selected = $el.find('option[selected]');
+            defaultValue = $selected.length ? ($selected.attr('value') ?? $selected.text().trim()) : null;
+        } else if (fieldType === 'textarea' || fieldType === 'contenteditable') {
+            defaultValue = $el.text().trim() || null;
+        }
+
+        const location = this.locate($, $el);
+
+        return {
+            fieldName: this.getFieldName($, $el),
+            fieldType,
+            selector: location.selector,
+            selectorPath: location.selectorPath,
+            required: this.isRequired($el),
+            validation,
+            placeholder: $el.attr('placeholder') || null,
+            defaultValue,
+            options
+        };
+    }
+
+    /**
+     * Input mask of a control: a mask attribute, or the mask option of data-inputmask="'mask': '99-999'"
+     */
+    getMask($el) {
+        const attribute = MASK_ATTRIBUTES.find(attr => $el.attr(attr));
+        if (attribute) return $el.attr(attribute).trim();
+        const options = ($el.attr('data-inputmask') || '').match(INPUTMASK_OPTIONS_PATTERN);
+        return options ? options[1] : null;
+    }
+
+    getFieldType($el) {
+        const tag = $el.get(0).tagName.toLowerCase();
+        if ($el.is('[contenteditable=""], [contenteditable="true"]') && tag !== 'input' && tag !== 'textarea') {
+            return 'contenteditable';
+        }
+        if (tag === 'select' || tag === 'textarea') return tag;
+        return ($el.attr('type') || 'text').toLowerCase();
+    }
+
+    getFieldName($, $el) {
+        if ($el.attr('name')) return $el.attr('name');
+        const dataAttribute = DATA_NAME_ATTRIBUTES.find(attr => $el.attr(attr));
+        if (dataAttribute) return $el.attr(dataAttribute);
+        if ($el.attr('id')) return $el.attr('id');
+        if ($el.attr('aria-label')) return this.slugify($el.attr('aria-label'));
+
+        const $label = $el.closest('label');
+        if ($label.length && $label.text().trim()) return this.slugify($label.text());
+        return $el.get(0).tagName.toLowerCase();
+    }
+
+    isRequired($el) {
+        return $el.attr('required') !== undefined
+            || $el.attr('aria-required') === 'true'
+            || $el.attr('data-required') === 'true';
+    }
+
+    isFillable($el) {
+        const tag = $el.get(0).tagName.toLowerCase();
+        if (tag !== 'input') return true;
+        return !NON_FILLABLE_INPUT_TYPES.includes(($el.attr('type') || 'text').toLowerCase());
+    }
+
+    isDisabled($, $el) {
+        return $el.attr('disabled') !== undefined
+            || $el.attr('aria-disabled') === 'true'
+            || $el.closest('fieldset[disabled]').length > 0;
+    }
+
+    looksFake($container) {
+        const $marked = $container.parents().addBack().filter((i, el) => FAKE_CLASS_PATTERN.test(el.attribs.class || ''));
+        if ($marked.length > 0) return true;
+        return FAKE_TEXT_PATTERN.test($container.text());
+    }
+
+    isAutoSubmitControl($el, scriptText) {
+        if ($el.attr('onchange') || $el.attr('oninput')) return true;
+        if ($el.attr('data-autosubmit') !== undefined || $el.attr('data-auto-submit') !== undefined) return true;
+        if (AUTO_SUBMIT_CLASS_PATTERN.test($el.attr('class') || '')) return true;
+        const id = $el.attr('id');
+        return Boolean(id && scriptText.includes(id) && /addEventListener\(\s*['"](input|change)['"]/.test(scriptText));
+    }
+
+    /**
+     * Walk up from a loose control to the nearest ancestor holding an enabled button.
+     * Stops before climbing into an ancestor that wraps a <form>, so page-level
+     * wrappers never swallow unrelated controls.
+     */
+    findButtonContainer($, $el) {
+        let $node = $el.parent();
+        while ($node.length && !$node.is(`body, html, ${frameProvenance.markerTag}`)) {
+            if ($node.find('form').length > 0) return null;
+            if ($node.find(BUTTON_SELECTOR).length > 0) return $node;
+            $node = $node.parent();
+        }
+        return null;
+    }
+
+    /**
+     * Nearest ancestor that has an id or groups more than one control
+     */
+    findGroupContainer($, $el) {
+        let $node = $el.parent();
+        while ($node.length && !$node.is(`body, html, ${frameProvenance.markerTag}`)) {
+            if ($node.attr('id') || $node.find(FIELD_SELECTOR).length > 1) return $node;
+            $node = $node.parent();
+        }
+        return $el.parent();
+    }
+
+    classifyForm($, $container, $fields, isFormTag, autoSubmit) {
+        if (autoSubmit) return 'auto-submit';
+        if ($container.closest('.modal, [role="dialog"], dialog').length > 0) return 'modal';
+        if ($container.closest('[hidden], [style*="display: none"], [style*="display:none"]').length > 0) return 'hidden';
+        if ($fields.filter('[contenteditable]').length > 0) return 'inline';
+        if ($container.find('table').length > 0 || $container.closest('table').length > 0) return 'table';
+        if (!isFormTag) {
+            const usesDataAttributes = $fields.toArray().every(el => !el.attribs.name && DATA_NAME_ATTRIBUTES.some(attr => el.attribs[attr]));
+            return usesDataAttributes && $fields.filter('[data-submit]').length > 0 ? 'data-attributes' : 'formless';
+        }
+        return 'traditional';
+    }
+
+    /**
+     * Locate an element: plain CSS selector in the light DOM, or a " >>> " joined
+     * selector plus a structured { hosts, selector } path inside shadow roots
+     * @returns {Object} - { selector, selectorPath } (selectorPath is null in the light DOM)
+     */
+    locate($, $el) {
+        const hosts = shadowDom.getHosts($, $el.get(0)).map(host => this.buildSelector($, $(host)));
+        const selector = this.buildSelector($, $el);
+
+        if (hosts.length === 0) {
+            return { selector, selectorPath: null };
+        }
+        const selectorPath = { hosts, selector };
+        return { selector: shadowDom.toSelector(selectorPath), selectorPath };
+    }
+
+    /**
+     * Build a CSS selector for an element within its own tree (document, frame
+     * document or shadow root): unique id, unique name, or a nth-of-type path from the
+     * nearest ancestor with an id
+     */
+    buildSelector($, $el) {
+        const el = $el.get(0);
+        const tag = el.tagName.toLowerCase();
+        const scope = shadowDom.getScope($, el);
+        const isUnique = selector => shadowDom.filterScope($, $(selector), scope).length === 1;
+
+        const id = $el.attr('id');
+        if (id && isUnique(`[id="${id}"]`)) {
+            return /^[A-Za-z][\w-]*$/.test(id) ? `#${id}` : `[id="${id}"]`;
+        }
+
+        const name = $el.attr('name');
+        if (name && isUnique(`${tag}[name="${name}"]`)) {
+            return `${tag}[name="${name}"]`;
+        }
+
+        const parts = [];
+        let $node = $el;
+        while ($node.length && !$node.is(`html, ${shadowDom.markerTag}, ${frameProvenance.markerTag}`)) {
+            const node = $node.get(0);
+            const nodeId = $node.attr('id');
+            if (nodeId && node !== el && isUnique(`[id="${nodeId}"]`)) {
+                parts.unshift(/^[A-Za-z][\w-]*$/.test(nodeId) ? `#${nodeId}` : `[id="${nodeId}"]`);
+                break;
+            }
+            const nodeTag = node.tagName.toLowerCase();
+            const $siblings = $node.parent().children(nodeTag);
+            parts.unshift($siblings.length > 1 ? `${nodeTag}:nth-of-type(${$siblings.index($node) + 1})` : nodeTag);
+            $node = $node.parent();
+        }
+        return parts.join(' > ');
+    }
+
+    slugify(text) {
+        return text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 40) || 'field';
+    }
+}
+
+module.exports = new HeuristicExtractorService();
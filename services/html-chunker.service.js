@@ -0,0 +1,105 @@
+const cheerio = require('cheerio');
+const heuristicExtractor = require('./heuristic-extractor.service');
+const shadowDom = require('./shadow-dom.service');
+const frameProvenance = require('./frame-provenance.service');
+
+const FIELD_SELECTOR = 'input, select, textarea, [contenteditable=""], [contenteditable="true"]';
+
+/**
+ * Splits large pages into DOM-aware chunks for extraction.
+ *
+ * The body is walked top-down; any subtree that fits the budget is kept as
+ * one piece, larger subtrees are split into their children. Candidate form
+ * containers (<form> tags and the formless containers the heuristic extractor
+ * would pick) are never split, so each form lands whole in exactly one chunk.
+ * Shadow hosts are kept whole too, so selector paths can still see their host,
+ * and pieces split out of a <frame-document> are re-wrapped in its marker.
+ */
+class HtmlChunkerService {
+    /**
+     * Split HTML into chunks of at most `maxChars` characters
+     * @param {string} htmlContent - Full page HTML
+     * @param {Object} options - { maxChars }
+     * @returns {Array<Object>} - [{ index, html, length, oversized }]
+     */
+    split(htmlContent, { maxChars }) {
+        if (htmlContent.length <= maxChars) {
+            return [{ index: 0, html: htmlContent, length: htmlContent.length, oversized: false }];
+        }
+
+        const $ = cheerio.load(htmlContent);
+        const protectedNodes = this.findFormContainers($);
+        const pieces = [];
+        const $root = $('body').length ? $('body') : $.root();
+        this.collectPieces($, $root.get(0), 'body', maxChars, protectedNodes, pieces, null);
+
+        const chunks = [];
+        let current = null;
+        pieces.forEach(piece => {
+            const header = `<!-- context: ${piece.context} -->\n`;
+            const addition = (current && current.context === piece.context ? '' : header) + piece.html + '\n';
+
+            if (!current || current.html.length + addition.length > maxChars) {
+                current = { index: chunks.length, html: '', context: null, oversized: false };
+                chunks.push(current);
+                current.html = header + piece.html + '\n';
+            } else {
+                current.html += addition;
+            }
+            current.context = piece.context;
+            current.oversized = current.oversized || piece.oversized;
+        });
+
+        return chunks.map(({ index, html, oversized }) => ({ index, html, length: html.length, oversized }));
+    }
+
+    /**
+     * Collect serialised pieces that fit the budget, recursing into larger subtrees
+     * @param {Object|null} frame - Enclosing <frame-document> node, if any
+     */
+    collectPieces($, node, context, maxChars, protectedNodes, pieces, frame) {
+        $(node).contents().each((i, child) => {
+            if (child.type === 'text' && !$(child).text().trim()) return;
+            if (child.type === 'comment') return;
+
+            let html = $.html(child);
+            const hasElementChildren = child.type === 'tag' && $(child).children().length > 0;
+
+            if (html.length <= maxChars || protectedNodes.has(child) || !hasElementChildren) {
+                if (frame) {
+                    html = `${$.html($(frame).clone().empty()).replace(`</${frameProvenance.markerTag}>`, '')}${html}</${frameProvenance.markerTag}>`;
+                }
+                pieces.push({ html, context, oversized: html.length > maxChars });
+                return;
+            }
+            const childFrame = child.tagName === frameProvenance.markerTag ? child : frame;
+            this.collectPieces($, child, `${context} > ${this.describe($, child)}`, maxChars, protectedNodes, pieces, childFrame);
+        });
+    }
+
+    /**
+     * Nodes that must stay intact: <form> tags, formless form containers and shadow hosts
+     */
+    findFormContainers($) {
+        const containers = new Set($('form').toArray());
+        $(shadowDom.markerTag).each((i, root) => containers.add(root.parent));
+
+        $(FIELD_SELECTOR).each((i, el) => {
+            const $el = $(el);
+            if ($el.closest('form').length) return;
+            const $container = heuristicExtractor.findButtonContainer($, $el) || heuristicExtractor.findGroupContainer($, $el);
+            containers.add($container.get(0));
+        });
+
+        return containers;
+    }
+
+    describe($, node) {
+        const $node = $(node);
+        const id = $node.attr('id') ? `#${$node.attr('id')}` : '';
+        const classes = ($node.attr('class') || '').trim().split(/\s+/).filter(Boolean).slice(0, 2).map(c => `.${c}`).join('');
+        return `${node.tagName.toLowerCase()}${id}${classes}`;
+    }
+}
+
+module.exports = new HtmlChunkerService();
@@ -1,75 +1,377 @@
 const fetch = require('node-fetch');
+const cheerio = require('cheerio');
+const browserRenderer = require('./browser-renderer.service');
+const heuristicExtractor = require('./heuristic-extractor.service');
+const frameProvenance = require('./frame-provenance.service');
+
+// What to do with frames from another origin than the top page
+const CROSS_ORIGIN_POLICIES = ['fetch', 'skip'];
 
 /**
- * Service to fetch and process HTML content including iframes
+ * Service to fetch and process HTML content including iframes.
+ *
+ * Frames are crawled recursively (up to FRAME_MAX_DEPTH levels and
+ * FRAME_MAX_COUNT documents): <iframe> and <frame> srcs are resolved against
+ * <base href> and the containing document, srcdoc documents are inlined and
+ * repeated URLs are fetched once. The crawl goes one level at a time and
+ * assigns duplicates and the frame budget in document order before fetching,
+ * so the outcome does not depend on which fetch finishes first. Every frame
+ * records its origin and whether it is the top page's; FRAME_CROSS_ORIGIN=skip
+ * leaves frames from other origins unfetched.
  */
 class HtmlFetcherService {
     constructor() {
         this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+        this.maxFrameDepth = parseInt(process.env.FRAME_MAX_DEPTH || '3', 10);
+        this.maxFrames = parseInt(process.env.FRAME_MAX_COUNT || '20', 10);
+        this.crossOriginPolicies = CROSS_ORIGIN_POLICIES;
+        this.crossOrigin = CROSS_ORIGIN_POLICIES.includes(process.env.FRAME_CROSS_ORIGIN) ? process.env.FRAME_CROSS_ORIGIN : 'fetch';
     }
 
     /**
-     * Fetch HTML from URL with iframe extraction
+     * Fetch HTML from URL and crawl its iframes/frames recursively
      * @param {string} url - URL to fetch
+     * @param {Object} options - { maxFrameDepth, maxFrames, crossOrigin ('fetch' or 'skip'),
+     *   fetchDocument(url) to load documents from somewhere other than the network (defaults to fetchUrl) }
      * @returns {Promise<Object>} - HTML content with iframes processed
      */
-    async fetchWithIframes(url) {
+    async fetchWithIframes(url, options = {}) {
         console.log(`\n🌐 Fetching HTML from: ${url}`);
+        const fetchDocument = options.fetchDocument || (documentUrl => this.fetchUrl(documentUrl));
         
         try {
             // Fetch main page
-            const mainHtml = await this.fetchUrl(url);
-            
-            // Extract iframe sources
-            const iframeSrcs = this.extractIframeSrcs(mainHtml, url);
-            
-            if (iframeSrcs.length === 0) {
-                console.log(`   No iframes found`);
-                return {
-                    mainHtml,
-                    iframes: [],
-                    combinedHtml: mainHtml
-                };
+            const mainHtml = await fetchDocument(url);
+
+            const state = {
+                maxDepth: options.maxFrameDepth ?? this.maxFrameDepth,
+                maxFrames: options.maxFrames ?? this.maxFrames,
+                crossOrigin: options.crossOrigin || this.crossOrigin,
+                topOrigin: this.getOrigin(url),
+                fetchDocument,
+                seen: new Map([[this.frameKey(url), []]]),
+                count: 0
+            };
+            const tree = await this.crawlFrames(mainHtml, url, state);
+
+            return this.buildFetchResult(mainHtml, tree, state);
+        } catch (error) {
+            console.error(`❌ Failed to fetch ${url}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Crawl the frames of a page one level at a time. Each level's frames are
+     * given their status in document order (limits, duplicates, origin policy)
+     * and then fetched in parallel; the documents they load make up the next level.
+     * @param {string} html - Top document HTML
+     * @param {string} url - URL the top document was loaded from
+     * @param {Object} state - Shared crawl state: limits, origin policy, document loader, seen URLs, frame count
+     * @returns {Promise<Array>} - Frame tree nodes
+     */
+    async crawlFrames(html, url, state) {
+        const tree = [];
+        let documents = [{ html, baseUrl: url, origin: state.topOrigin, indexPath: [], children: tree }];
+
+        for (let depth = 1; documents.length > 0; depth++) {
+            const nodes = documents.flatMap(document => {
+                const children = this.extractFrameRefs(document.html, document.baseUrl)
+                    .filter(ref => !ref.ignored)
+                    .map(ref => this.createFrameNode(ref, document, depth, state));
+                document.children.push(...children);
+                return children;
+            });
+
+            await Promise.all(nodes.filter(node => node.status === 'pending').map(async node => {
+                try {
+                    console.log(`   📄 Fetching ${node.tag} ${node.indexPath.join('.')}: ${node.src}`);
+                    node.content = await state.fetchDocument(node.src);
+                    node.status = 'fetched';
+                } catch (error) {
+                    console.error(`   ❌ Failed to fetch ${node.tag} ${node.indexPath.join('.')}: ${error.message}`);
+                    node.status = 'failed';
+                    node.error = error.message;
+                }
+            }));
+
+            documents = nodes
+                .filter(node => node.content)
+                .map(node => ({ html: node.content, baseUrl: node.baseUrl, origin: node.origin, indexPath: node.indexPath, children: node.children }));
+        }
+
+        return tree;
+    }
+
+    /**
+     * Frame tree node for a frame reference, with its status decided before anything is fetched
+     * @param {Object} ref - Frame reference (extractFrameRefs)
+     * @param {Object} parent - Containing document: { origin, indexPath }
+     * @param {number} depth - Depth of the frame (1 = frames of the top page)
+     * @param {Object} state - Shared crawl state
+     * @returns {Object} - Node with status pending (to fetch), inline, duplicate or skipped
+     */
+    createFrameNode(ref, parent, depth, state) {
+        // srcdoc documents inherit the origin of the document that contains them
+        const origin = ref.srcdoc !== null ? parent.origin : this.getOrigin(ref.src);
+        const node = {
+            indexPath: [...parent.indexPath, ref.index],
+            tag: ref.tag,
+            selector: ref.selector,
+            src: ref.srcdoc !== null ? 'about:srcdoc' : ref.src,
+            origin,
+            sameOrigin: origin !== null && origin === state.topOrigin,
+            depth,
+            status: 'pending',
+            children: []
+        };
+
+        if (depth > state.maxDepth) {
+            node.status = 'skipped';
+            node.reason = 'max-depth';
+        } else if (!node.sameOrigin && state.crossOrigin === 'skip') {
+            node.status = 'skipped';
+            node.reason = 'cross-origin';
+        } else if (state.count >= state.maxFrames) {
+            node.status = 'skipped';
+            node.reason = 'max-frames';
+        } else if (ref.srcdoc !== null) {
+            node.status = 'inline';
+            node.content = ref.srcdoc;
+            node.baseUrl = ref.baseUrl;
+            state.count++;
+        } else if (state.seen.has(this.frameKey(ref.src))) {
+            node.status = 'duplicate';
+            node.duplicateOf = state.seen.get(this.frameKey(ref.src));
+        } else {
+            state.seen.set(this.frameKey(ref.src), node.indexPath);
+            node.baseUrl = ref.src;
+            state.count++;
+        }
+        return node;
+    }
+
+    /**
+     * Find <iframe> and <frame> elements in a document, in document order.
+     * Relative srcs are resolved against <base href> (if any) and the document URL;
+     * srcdoc takes precedence over src like it does in browsers.
+     * @returns {Array<Object>} - [{ index, tag, selector, src, srcdoc, baseUrl, ignored }]
+     */
+    extractFrameRefs(html, documentUrl) {
+        if (!/<i?frame[\s>]/i.test(html)) return [];
+
+        const $ = cheerio.load(html);
+        let baseUrl = documentUrl;
+        const baseHref = $('base[href]').first().attr('href');
+        if (baseHref) {
+            try {
+                baseUrl = new URL(baseHref, documentUrl).href;
+            } catch (e) {
+                console.warn(`   ⚠️  Invalid base href: ${baseHref}`);
+            }
+        }
+
+        return $('iframe, frame').toArray().map((el, index) => {
+            const $el = $(el);
+            const tag = el.tagName.toLowerCase();
+            const ref = {
+                index,
+                tag,
+                selector: heuristicExtractor.buildSelector($, $el),
+                src: null,
+                srcdoc: tag === 'iframe' && $el.attr('srcdoc') !== undefined ? $el.attr('srcdoc') : null,
+                baseUrl,
+                ignored: false
+            };
+            if (ref.srcdoc !== null) return ref;
+
+            const src = ($el.attr('src') || '').trim();
+            // Skip empty, data URIs, javascript: and about:blank
+            if (!src || src.startsWith('data:') || src.startsWith('javascript:') || src === 'about:blank') {
+                ref.ignored = true;
+                return ref;
+            }
+
+            try {
+                ref.src = new URL(src, baseUrl).href;
+            } catch (e) {
+                console.warn(`   ⚠️  Invalid ${ref.tag} src: ${src}`);
+                ref.ignored = true;
             }
-            
-            console.log(`   Found ${iframeSrcs.length} iframe(s), fetching content...`);
-            
-            // Fetch iframe content
-            const iframeContents = await Promise.all(
-                iframeSrcs.map(async (src, index) => {
-                    try {
-                        console.log(`   📄 Fetching iframe ${index + 1}: ${src}`);
-                        const content = await this.fetchUrl(src);
-                        return { src, content, success: true };
-                    } catch (error) {
-                        console.error(`   ❌ Failed to fetch iframe ${index + 1}: ${error.message}`);
-                        return { src, content: '', success: false, error: error.message };
-                    }
-                })
-            );
-            
-            // Combine all HTML
-            const combinedHtml = this.combineHtml(mainHtml, iframeContents);
-            
-            const successfulIframes = iframeContents.filter(i => i.success).length;
-            console.log(`   ✅ Successfully fetched ${successfulIframes}/${iframeSrcs.length} iframes`);
-            
+            return ref;
+        });
+    }
+
+    /**
+     * De-duplication key for a frame URL (fragment ignored)
+     */
+    frameKey(url) {
+        return url.split('#')[0];
+    }
+
+    /**
+     * Origin of a URL (scheme, host and port), or null for opaque origins (data:, about:, invalid URLs)
+     */
+    getOrigin(url) {
+        try {
+            const { origin } = new URL(url);
+            return origin === 'null' ? null : origin;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Flatten the frame tree, combine the HTML and build iframeStats
+     * @returns {Object} - { mainHtml, iframes, combinedHtml, stats }
+     */
+    buildFetchResult(mainHtml, tree, state) {
+        const nodes = this.flattenFrames(tree);
+        const loaded = nodes.filter(node => ['fetched', 'inline', 'failed'].includes(node.status));
+        const iframes = loaded.map(node => ({
+            src: node.src,
+            indexPath: node.indexPath,
+            tag: node.tag,
+            selector: node.selector,
+            origin: node.origin,
+            sameOrigin: node.sameOrigin,
+            content: node.content || '',
+            success: node.status !== 'failed',
+            ...(node.error ? { error: node.error } : {})
+        }));
+        const successfulIframes = iframes.filter(i => i.success).length;
+
+        if (nodes.length === 0) {
+            console.log(`   No iframes found`);
+        } else {
+            console.log(`   ✅ Loaded ${successfulIframes}/${loaded.length} frames (${nodes.length - loaded.length} duplicate/skipped)`);
+        }
+
+        return {
+            mainHtml,
+            iframes,
+            combinedHtml: this.combineHtml(mainHtml, iframes),
+            stats: {
+                totalIframes: loaded.length,
+                successfulIframes,
+                failedIframes: loaded.length - successfulIframes,
+                duplicateIframes: nodes.filter(node => node.status === 'duplicate').length,
+                skippedIframes: nodes.filter(node => node.status === 'skipped').length,
+                maxDepth: state.maxDepth,
+                maxFrames: state.maxFrames,
+                crossOrigin: state.crossOrigin,
+                frames: this.describeFrames(tree)
+            }
+        };
+    }
+
+    /**
+     * Depth-first (document order) list of frame nodes
+     */
+    flattenFrames(tree) {
+        return tree.reduce((list, node) => list.concat(node, this.flattenFrames(node.children)), []);
+    }
+
+    /**
+     * Frame tree for iframeStats (without document contents)
+     */
+    describeFrames(tree) {
+        return tree.map(node => ({
+            indexPath: node.indexPath,
+            tag: node.tag,
+            selector: node.selector,
+            src: node.src,
+            origin: node.origin,
+            sameOrigin: node.sameOrigin,
+            depth: node.depth,
+            status: node.status,
+            ...(node.content !== undefined ? { length: node.content.length } : {}),
+            ...(node.reason ? { reason: node.reason } : {}),
+            ...(node.duplicateOf ? { duplicateOf: node.duplicateOf } : {}),
+            ...(node.error ? { error: node.error } : {}),
+            children: this.describeFrames(node.children)
+        }));
+    }
+
+    /**
+     * Fetch a page statically (default) or through the headless browser
+     * @param {string} url - URL to fetch
+     * @param {Object} options - { render } plus fetchWithIframes / fetchRendered options
+     * @returns {Promise<Object>} - fetchWithIframes or fetchRendered result
+     */
+    fetchPage(url, options = {}) {
+        return options.render
+            ? this.fetchRendered(url, options)
+            : this.fetchWithIframes(url, options);
+    }
+
+    /**
+     * Render URL in a headless browser and serialise the live DOM (including frames and open shadow roots)
+     * @param {string} url - URL to render
+     * @param {Object} options - { waitUntil, waitForSelector, timeout, maxFrameDepth, maxFrames, crossOrigin }
+     * @returns {Promise<Object>} - Same shape as fetchWithIframes, plus finalUrl and renderTime
+     */
+    async fetchRendered(url, options = {}) {
+        console.log(`\n🧭 Rendering HTML from: ${url}`);
+
+        try {
+            const state = {
+                maxDepth: options.maxFrameDepth ?? this.maxFrameDepth,
+                maxFrames: options.maxFrames ?? this.maxFrames,
+                crossOrigin: options.crossOrigin || this.crossOrigin
+            };
+            const rendered = await browserRenderer.render(url, { ...options, maxFrameDepth: state.maxDepth, maxFrames: state.maxFrames });
+            state.topOrigin = this.getOrigin(rendered.finalUrl);
+            const tree = this.toFrameNodes(rendered.frames, rendered.html, rendered.finalUrl, { origin: state.topOrigin, indexPath: [] }, state);
+
             return {
-                mainHtml,
-                iframes: iframeContents,
-                combinedHtml,
-                stats: {
-                    totalIframes: iframeSrcs.length,
-                    successfulIframes,
-                    failedIframes: iframeSrcs.length - successfulIframes
-                }
+                ...this.buildFetchResult(rendered.html, tree, state),
+                finalUrl: rendered.finalUrl,
+                renderTime: rendered.timeTaken
             };
         } catch (error) {
-            console.error(`❌ Failed to fetch ${url}:`, error.message);
+            console.error(`❌ Failed to render ${url}:`, error.message);
             throw error;
         }
     }
 
+    /**
+     * Convert the renderer's frame tree into crawler nodes, taking tag and
+     * selector from the frame element in the parent document. The browser has
+     * already loaded cross-origin frames, so FRAME_CROSS_ORIGIN=skip drops their content here.
+     * @param {Object} parent - Containing document: { origin, indexPath }
+     */
+    toFrameNodes(renderedFrames, parentHtml, parentUrl, parent, state) {
+        const refs = this.extractFrameRefs(parentHtml, parentUrl);
+
+        return renderedFrames.map((frame, i) => {
+            const ref = refs[frame.elementIndex] || {};
+            // about:srcdoc and about:blank documents inherit the origin of their parent
+            const origin = frame.src.startsWith('about:') ? parent.origin : this.getOrigin(frame.src);
+            const node = {
+                indexPath: [...parent.indexPath, frame.elementIndex >= 0 ? frame.elementIndex : refs.length + i],
+                tag: ref.tag || 'iframe',
+                selector: ref.selector || null,
+                src: frame.src,
+                origin,
+                sameOrigin: origin !== null && origin === state.topOrigin,
+                depth: frame.depth,
+                status: frame.status,
+                ...(frame.content !== undefined ? { content: frame.content } : {}),
+                ...(frame.reason ? { reason: frame.reason } : {}),
+                ...(frame.error ? { error: frame.error } : {})
+            };
+            if (!node.sameOrigin && state.crossOrigin === 'skip' && ['fetched', 'inline', 'failed'].includes(node.status)) {
+                node.status = 'skipped';
+                node.reason = 'cross-origin';
+                delete node.content;
+                delete node.error;
+            }
+            node.children = node.content ? this.toFrameNodes(frame.children, node.content, frame.src, node, state) : [];
+            return node;
+        });
+    }
+
     /**
      * Fetch a single URL
      */
@@ -95,40 +397,8 @@ class HtmlFetcherService {
     }
 
     /**
-     * Extract iframe src attributes from HTML
-     */
-    extractIframeSrcs(html, baseUrl) {
-        const iframeSrcs = [];
-        const iframeRegex = /<iframe[^>]+src=["']([^"']+)["']/gi;
-        let match;
-
-        while ((match = iframeRegex.exec(html)) !== null) {
-            let src = match[1];
-            
-            // Skip data URIs, javascript:, and about:blank
-            if (src.startsWith('data:') || src.startsWith('javascript:') || src === 'about:blank') {
-                continue;
-            }
-            
-            // Convert relative URLs to absolute
-            if (!src.startsWith('http://') && !src.startsWith('https://')) {
-                try {
-                    const base = new URL(baseUrl);
-                    src = new URL(src, base.origin).href;
-                } catch (e) {
-                    console.warn(`   ⚠️  Invalid iframe src: ${src}`);
-                    continue;
-                }
-            }
-            
-            iframeSrcs.push(src);
-        }
-
-        return iframeSrcs;
-    }
-
-    /**
-     * Combine main HTML with iframe contents
+     * Combine main HTML with iframe contents. Each frame document is wrapped in
+     * a <frame-document> marker so extracted forms can be traced to their frame.
      */
     combineHtml(mainHtml, iframeContents) {
         let combined = mainHtml;
@@ -137,7 +407,7 @@ class HtmlFetcherService {
         iframeContents.forEach((iframe, index) => {
             if (iframe.success && iframe.content) {
                 combined += `\n\n<!-- ========== IFRAME ${index + 1} CONTENT: ${iframe.src} ========== -->\n\n`;
-                combined += iframe.content;
+                combined += frameProvenance.wrap(iframe.content, iframe);
             }
         });
         
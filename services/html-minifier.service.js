@@ -0,0 +1,194 @@
+const cheerio = require('cheerio');
+
+const FIELD_SELECTOR = 'input, select, textarea, button, [contenteditable], [role="button"], [role="textbox"], [role="combobox"]';
+const KEPT_ATTRIBUTES = new Set([
+    'id', 'name', 'class', 'type', 'value', 'placeholder', 'for', 'form', 'action', 'method', 'enctype',
+    'required', 'pattern', 'min', 'max', 'minlength', 'maxlength', 'step', 'multiple', 'accept', 'autocomplete',
+    'disabled', 'readonly', 'hidden', 'checked', 'selected', 'contenteditable', 'role', 'title', 'alt',
+    'href', 'src', 'srcdoc', 'lang', 'dir', 'open', 'label', 'inputmode', 'list', 'shadowrootmode', 'mode'
+]);
+const SUBMISSION_SCRIPT_PATTERN = /fetch\(|XMLHttpRequest|\.submit\(|addEventListener\(\s*['"](submit|change|input|click|keydown|keypress)['"]|attachShadow|createElement\(\s*['"](form|input)/;
+const TRACKING_PATTERN = /pixel|track|analytics|beacon|doubleclick|facebook\.com\/tr|collect\?/i;
+const PRESERVED_COMMENT_PATTERN = /IFRAME|FRAME|SHADOW|context:/;
+const VISIBILITY_STYLE_PATTERN = /(display\s*:\s*none|visibility\s*:\s*hidden)/gi;
+// Elements whose whitespace is content: kept scripts (JSON-LD, handlers), styles, preformatted text, textarea defaults
+const WHITESPACE_SENSITIVE_TAGS = ['script', 'style', 'pre', 'textarea'];
+// Whitespace to collapse; a whitespace-sensitive element is matched whole first, so its contents are left alone
+const WHITESPACE_BETWEEN_TAGS = /(<(script|style|pre|textarea)\b[^>]*>[\s\S]*?<\/\2\s*>)|>\s+(?=<)/gi;
+const LINE_BREAKS = /(<(script|style|pre|textarea)\b[^>]*>[\s\S]*?<\/\2\s*>)|[ \t]*\n\s*/gi;
+
+const DEFAULT_OPTIONS = {
+    removeScripts: true,
+    keepSubmissionScripts: true,
+    removeStyles: true,
+    removeSvg: true,
+    removeTrackingPixels: true,
+    removeComments: true,
+    stripAttributes: true,
+    removeNoiseBlocks: true,
+    truncateTextAt: 300
+};
+
+/**
+ * Shrinks HTML before it is sent to the model.
+ *
+ * Removes markup that never affects form extraction (styles, SVG paths,
+ * tracking pixels, head metadata, marketing copy) while keeping everything
+ * selectors and validations depend on: ids, names, classes, aria-*, data-*,
+ * validation attributes, inline event handlers and scripts that submit data.
+ */
+class HtmlMinifierService {
+    constructor() {
+        this.defaultOptions = DEFAULT_OPTIONS;
+    }
+
+    /**
+     * Minify HTML for extraction
+     * @param {string} htmlContent - Raw HTML
+     * @param {Object} options - Overrides for DEFAULT_OPTIONS
+     * @returns {Object} - { html, stats }
+     */
+    minify(htmlContent, options = {}) {
+        const config = { ...DEFAULT_OPTIONS, ...options };
+        const removed = { scripts: 0, styles: 0, svgs: 0, trackingPixels: 0, comments: 0, noiseBlocks: 0, attributes: 0 };
+        const $ = cheerio.load(htmlContent);
+
+        $('head meta, head link, head base').remove();
+
+        if (config.removeScripts) {
+            $('script').each((i, el) => {
+                const $el = $(el);
+                const type = ($el.attr('type') || 'text/javascript').toLowerCase();
+                const keep = config.keepSubmissionScripts
+                    && !$el.attr('src')
+                    && type.includes('javascript')
+                    && SUBMISSION_SCRIPT_PATTERN.test($el.html() || '');
+                if (!keep) {
+                    $el.remove();
+                    removed.scripts++;
+                }
+            });
+            $('noscript').remove();
+        }
+
+        if (config.removeStyles) {
+            removed.styles += $('style, link[rel="stylesheet"]').length;
+            $('style, link[rel="stylesheet"]').remove();
+        }
+
+        if (config.removeSvg) {
+            $('svg').each((i, el) => {
+                $(el).empty();
+                removed.svgs++;
+            });
+        }
+
+        if (config.removeTrackingPixels) {
+            $('img').each((i, el) => {
+                const $el = $(el);
+                const isPixel = ($el.attr('width') === '1' && $el.attr('height') === '1') || TRACKING_PATTERN.test($el.attr('src') || '');
+                if (isPixel) {
+                    $el.remove();
+                    removed.trackingPixels++;
+                } else if (($el.attr('src') || '').startsWith('data:')) {
+                    $el.attr('src', 'data:');
+                }
+            });
+        }
+
+        if (config.removeComments) {
+            $('*').contents().filter((i, node) => node.type === 'comment').each((i, node) => {
+                if (!PRESERVED_COMMENT_PATTERN.test(node.data || '')) {
+                    $(node).remove();
+                    removed.comments++;
+                }
+            });
+        }
+
+        if (config.removeNoiseBlocks) {
+            this.removeNoiseBlocks($, config, removed);
+        }
+
+        if (config.stripAttributes) {
+            $('*').each((i, el) => {
+                Object.keys(el.attribs || {}).forEach(attr => {
+                    const name = attr.toLowerCase();
+                    if (KEPT_ATTRIBUTES.has(name) || name.startsWith('aria-') || name.startsWith('data-') || name.startsWith('on')) {
+                        return;
+                    }
+                    if (name === 'style') {
+                        // Only visibility matters for extraction (hidden / conditional fields)
+                        const visibility = (el.attribs.style.match(VISIBILITY_STYLE_PATTERN) || []).join(';');
+                        if (visibility) {
+                            el.attribs.style = visibility;
+                            return;
+                        }
+                    }
+                    delete el.attribs[attr];
+                    removed.attributes++;
+                });
+            });
+        }
+
+        const html = this.collapseWhitespace($.html());
+
+        return {
+            html,
+            stats: {
+                originalChars: htmlContent.length,
+                minifiedChars: html.length,
+                estimatedTokensBefore: this.estimateTokens(htmlContent),
+                estimatedTokensAfter: this.estimateTokens(html),
+                estimatedTokensSaved: this.estimateTokens(htmlContent) - this.estimateTokens(html),
+                reductionPercent: htmlContent.length
+                    ? parseFloat((((htmlContent.length - html.length) / htmlContent.length) * 100).toFixed(2))
+                    : 0,
+                removed
+            }
+        };
+    }
+
+    /**
+     * Remove blocks with no form controls and shorten long marketing copy.
+     * Headings and labels are kept as-is because they name the forms.
+     */
+    removeNoiseBlocks($, config, removed) {
+        $('header, footer, nav, aside, figure, picture, video, audio, canvas').each((i, el) => {
+            const $el = $(el);
+            if ($el.find(FIELD_SELECTOR).length === 0 && $el.find('form, iframe').length === 0) {
+                $el.remove();
+                removed.noiseBlocks++;
+            }
+        });
+
+        if (config.truncateTextAt > 0) {
+            $('body *').contents().filter((i, node) => node.type === 'text').each((i, node) => {
+                const parentTag = node.parent && node.parent.tagName;
+                if (['label', 'option', 'h1', 'h2', 'h3', 'h4', 'legend', 'button', ...WHITESPACE_SENSITIVE_TAGS].includes(parentTag)) return;
+                if ($(node.parent).closest('pre').length) return;
+                const text = node.data.replace(/\s+/g, ' ');
+                node.data = text.length > config.truncateTextAt ? `${text.substring(0, config.truncateTextAt)}…` : text;
+            });
+        }
+    }
+
+    /**
+     * Collapse whitespace between tags and blank lines, leaving the contents of
+     * scripts, styles, <pre> and <textarea> exactly as they are
+     */
+    collapseWhitespace(html) {
+        return html
+            .replace(WHITESPACE_BETWEEN_TAGS, (match, block) => block || '> ')
+            .replace(LINE_BREAKS, (match, block) => block || '\n')
+            .trim();
+    }
+
+    /**
+     * Rough token estimate (~4 characters per token for HTML)
+     */
+    estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+}
+
+module.exports = new HtmlMinifierService();
@@ -0,0 +1,243 @@
+// Mask slots (Inputmask notation): 9 digit, a/A letter, * letter or digit; anything else is a literal
+const MASK_SLOTS = {
+    9: /\d/,
+    a: /[A-Za-z]/,
+    A: /[A-Za-z]/,
+    '*': /[A-Za-z0-9]/
+};
+// Date formats are made of these tokens and separators, e.g. MM/DD/YYYY or DD.MM.YY
+const DATE_TOKENS = { YYYY: '\\d{4}', YY: '\\d{2}', MM: '(?:0[1-9]|1[0-2])', DD: '(?:0[1-9]|[12]\\d|3[01])' };
+const DATE_FORMAT_PATTERN = /^(?:YYYY|YY|MM|DD)(?:[^A-Za-z0-9]?(?:YYYY|YY|MM|DD))+$/;
+
+/**
+ * Input masks (`validation.mask`) and display formats (`validation.format`).
+ *
+ * A masked input shows its value through the mask, e.g. "(999) 999-9999"
+ * shows 5551234567 as "(555) 123-4567", and the page usually submits the
+ * unmasked characters. Display formats work the same way for whole values:
+ * - currency: "$1,234.56", submitted as 1234.56
+ * - number / decimal / integer: "1,234,567", submitted as 1234567
+ * - percent: "12.5%", submitted as 12.5
+ * - date formats built from YYYY, YY, MM and DD (e.g. "MM/DD/YYYY"), submitted as shown
+ *
+ * Generated values are what gets typed (masked / formatted). check() verifies
+ * a value against its field's mask, format and `pattern`, reformatting values
+ * that have the right characters in the wrong shape (digits without the mask's
+ * punctuation, an ISO date for a MM/DD/YYYY field).
+ */
+class InputMaskService {
+    /**
+     * Whether a field has anything check() verifies
+     */
+    hasRules(field) {
+        const validation = field.validation || {};
+        return Boolean(validation.mask || validation.format || validation.pattern);
+    }
+
+    /**
+     * Verify (and where possible reformat) one value
+     * @param {Object} field - Field descriptor with validation { mask, format, pattern }
+     * @param {*} value - Generated value
+     * @returns {Object} - { fieldName, value (to type), unmaskedValue (submitted), valid, fixed, errors }
+     */
+    check(field, value) {
+        const validation = field.validation || {};
+        const result = { fieldName: field.fieldName, value, unmaskedValue: value, valid: true, fixed: false, errors: [] };
+        if (value === null || value === undefined || value === '' || typeof value === 'boolean' || typeof value === 'object') {
+            return result;
+        }
+
+        let text = String(value);
+        if (validation.mask) {
+            if (!this.matchesMask(text, validation.mask)) {
+                const masked = this.applyMask(this.extractSlotCharacters(text, validation.mask), validation.mask);
+                if (masked !== null) {
+                    text = masked;
+                    result.fixed = true;
+                } else {
+                    result.errors.push(`does not fit mask "${validation.mask}"`);
+                }
+            }
+        }
+
+        const format = validation.format ? this.getFormat(validation.format) : null;
+        if (format && !format.test(text)) {
+            const formatted = format.format(text);
+            if (formatted !== null && format.test(formatted)) {
+                text = formatted;
+                result.fixed = true;
+            } else {
+                result.errors.push(`does not match format "${validation.format}"`);
+            }
+        }
+
+        if (validation.pattern) {
+            const pattern = this.compilePattern(validation.pattern);
+            if (pattern && !pattern.test(text)) {
+                result.errors.push(`does not match pattern ${validation.pattern}`);
+            }
+        }
+
+        result.value = result.fixed ? text : value;
+        if (validation.mask) {
+            result.unmaskedValue = this.unmask(text, validation.mask);
+        } else if (format) {
+            result.unmaskedValue = format.unformat(text);
+        }
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
+    /**
+     * Check every value of fields with a mask, format or pattern
+     * @param {Array} fields - Field descriptors
+     * @param {Object} values - Values by field name
+     * @returns {Object} - { values (reformatted where needed, same order), unmaskedValues (masked and
+     *   formatted fields only), checks: [{ fieldName, valid, fixed, errors }] }
+     */
+    applyToValues(fields, values) {
+        const checked = new Map(fields
+            .filter(field => this.hasRules(field) && Object.prototype.hasOwnProperty.call(values, field.fieldName))
+            .map(field => [field.fieldName, this.check(field, values[field.fieldName])]));
+        const unmaskedValues = {};
+        fields.forEach(field => {
+            const validation = field.validation || {};
+            const check = checked.get(field.fieldName);
+            if (check && (validation.mask || validation.format)) unmaskedValues[field.fieldName] = check.unmaskedValue;
+        });
+
+        return {
+            values: Object.fromEntries(Object.entries(values).map(([name, value]) => [name, checked.has(name) ? checked.get(name).value : value])),
+            unmaskedValues,
+            checks: [...checked.values()].map(({ fieldName, valid, fixed, errors }) => ({ fieldName, valid, fixed, errors }))
+        };
+    }
+
+    matchesMask(text, mask) {
+        return this.maskToRegExp(mask).test(text);
+    }
+
+    maskToRegExp(mask) {
+        const source = [...mask].map(char => MASK_SLOTS[char] ? MASK_SLOTS[char].source : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Characters of a value that could fill the mask's slots (literals dropped)
+     */
+    extractSlotCharacters(text, mask) {
+        const slots = [...mask].filter(char => MASK_SLOTS[char]);
+        const acceptsLetters = slots.some(char => char !== '9');
+        return [...text].filter(char => (acceptsLetters ? /[A-Za-z0-9]/ : /\d/).test(char)).join('');
+    }
+
+    /**
+     * Put raw characters through the mask, inserting its literals
+     * @returns {string|null} - Masked value, or null unless the characters fill every slot exactly
+     */
+    applyMask(raw, mask) {
+        let result = '';
+        let position = 0;
+        for (const char of mask) {
+            const slot = MASK_SLOTS[char];
+            if (!slot) {
+                result += char;
+                continue;
+            }
+            if (position >= raw.length || !slot.test(raw[position])) return null;
+            result += raw[position++];
+        }
+        return position === raw.length ? result : null;
+    }
+
+    /**
+     * Characters in the mask's slots, as the page submits them
+     */
+    unmask(text, mask) {
+        if (!this.matchesMask(text, mask)) return this.extractSlotCharacters(text, mask);
+        return [...mask].map((char, i) => (MASK_SLOTS[char] ? text[i] : '')).join('');
+    }
+
+    /**
+     * Checker for a display format, or null when the format is not known
+     * @returns {Object|null} - { test(text), format(text), unformat(text) }
+     */
+    getFormat(name) {
+        const key = String(name).trim();
+        const toNumber = text => {
+            const number = parseFloat(String(text).replace(/[^0-9.-]/g, ''));
+            return isNaN(number) ? null : number;
+        };
+
+        switch (key.toLowerCase()) {
+        case 'currency':
+        case 'money':
+            return {
+                test: text => /^-?\$\d{1,3}(,\d{3})*\.\d{2}$/.test(text),
+                format: text => {
+                    const number = toNumber(text);
+                    return number === null ? null : number.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+                },
+                unformat: text => text.replace(/[^0-9.-]/g, '')
+            };
+        case 'number':
+        case 'decimal':
+        case 'integer':
+            return {
+                test: text => /^-?\d{1,3}(,\d{3})*(\.\d+)?$/.test(text) && (key.toLowerCase() !== 'integer' || !text.includes('.')),
+                format: text => {
+                    const number = toNumber(text);
+                    if (number === null) return null;
+                    return (key.toLowerCase() === 'integer' ? Math.round(number) : number).toLocaleString('en-US', { maximumFractionDigits: 20 });
+                },
+                unformat: text => text.replace(/[^0-9.-]/g, '')
+            };
+        case 'percent':
+        case 'percentage':
+            return {
+                test: text => /^-?\d+(\.\d+)?%$/.test(text),
+                format: text => {
+                    const number = toNumber(text);
+                    return number === null ? null : `${number}%`;
+                },
+                unformat: text => text.replace(/[^0-9.-]/g, '')
+            };
+        default:
+            return DATE_FORMAT_PATTERN.test(key) ? this.getDateFormat(key) : null;
+        }
+    }
+
+    /**
+     * Checker for a date format such as MM/DD/YYYY; ISO dates (YYYY-MM-DD) are rewritten into it
+     */
+    getDateFormat(format) {
+        const tokens = format.match(/YYYY|YY|MM|DD|[^A-Za-z0-9]/g);
+        const pattern = new RegExp(`^${tokens.map(token => DATE_TOKENS[token] || token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('')}$`);
+        return {
+            test: text => pattern.test(text),
+            format: text => {
+                const iso = String(text).match(/^(\d{4})-(\d{2})-(\d{2})/);
+                if (!iso) return null;
+                const parts = { YYYY: iso[1], YY: iso[1].slice(2), MM: iso[2], DD: iso[3] };
+                return tokens.map(token => parts[token] || token).join('');
+            },
+            unformat: text => text
+        };
+    }
+
+    /**
+     * HTML pattern attribute as a whole-value regular expression (null when it does not compile)
+     */
+    compilePattern(pattern) {
+        for (const flags of ['u', '']) {
+            try {
+                return new RegExp(`^(?:${pattern})$`, flags);
+            } catch (error) {
+                // Not valid with these flags
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = new InputMaskService();
@@ -0,0 +1,207 @@
+/**
+ * Tolerant parser for near-JSON model output.
+ *
+ * Handles the usual ways a model reply fails `JSON.parse`: code fences
+ * (closed or not), prose before/after the object, comments, single quotes,
+ * Python literals, unquoted keys, trailing commas, raw newlines inside strings
+ * and output truncated at the token limit. Each applied fix is reported.
+ */
+class JsonRepairService {
+    /**
+     * Parse model output into JSON
+     * @param {string} text - Raw model reply
+     * @returns {Object} - { data, repairs: string[] }
+     */
+    parse(text) {
+        const repairs = [];
+        let body = String(text || '').trim();
+
+        if (body.includes('```')) {
+            const fence = body.match(/```[a-zA-Z]*\s*\n?([\s\S]*?)(?:\n?```|$)/);
+            if (fence) {
+                body = fence[1].trim();
+                repairs.push('stripped-code-fence');
+            }
+        }
+
+        const start = body.search(/[{[]/);
+        if (start === -1) {
+            throw new Error('No JSON object found in model response');
+        }
+        if (start > 0) {
+            body = body.slice(start);
+            repairs.push('stripped-leading-text');
+        }
+
+        try {
+            return { data: JSON.parse(body), repairs };
+        } catch (e) {
+            // fall through to repairs
+        }
+
+        const normalised = this.normalise(body);
+        if (normalised !== body) {
+            repairs.push('normalised-near-json');
+        }
+
+        const scan = this.scan(normalised);
+        if (scan.end !== -1) {
+            if (scan.end < normalised.length - 1 && normalised.slice(scan.end + 1).trim()) {
+                repairs.push('stripped-trailing-text');
+            }
+            return { data: JSON.parse(normalised.slice(0, scan.end + 1)), repairs };
+        }
+
+        const data = this.closeTruncated(normalised, scan);
+        repairs.push('closed-truncated-json');
+        return { data, repairs };
+    }
+
+    /**
+     * Rewrite near-JSON into strict JSON outside of string literals
+     */
+    normalise(text) {
+        let out = '';
+        let i = 0;
+
+        while (i < text.length) {
+            const c = text[i];
+
+            if (c === '"' || c === "'") {
+                const { value, next } = this.readString(text, i, c);
+                out += JSON.stringify(value);
+                i = next;
+                continue;
+            }
+
+            if (c === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+                continue;
+            }
+            if (c === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                i = end === -1 ? text.length : end + 2;
+                continue;
+            }
+
+            if (c === ',') {
+                const rest = text.slice(i + 1).match(/^\s*([}\]])/);
+                if (rest) {
+                    i++;
+                    continue;
+                }
+            }
+
+            if (/[A-Za-z_$]/.test(c)) {
+                const word = text.slice(i).match(/^[A-Za-z_$][\w$-]*/)[0];
+                const isKey = /^\s*:/.test(text.slice(i + word.length));
+                const literals = { True: 'true', False: 'false', None: 'null', undefined: 'null', NaN: 'null' };
+                if (isKey) {
+                    out += JSON.stringify(word);
+                } else if (literals[word]) {
+                    out += literals[word];
+                } else {
+                    out += word;
+                }
+                i += word.length;
+                continue;
+            }
+
+            out += c;
+            i++;
+        }
+
+        return out;
+    }
+
+    /**
+     * Read a quoted string starting at `start`. An unterminated string runs to
+     * the end of the text (truncated output).
+     */
+    readString(text, start, quote) {
+        let value = '';
+        let i = start + 1;
+
+        while (i < text.length) {
+            const c = text[i];
+            if (c === '\\' && i + 1 < text.length) {
+                const next = text[i + 1];
+                const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', "'": "'", '\\': '\\', '/': '/' };
+                if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.substr(i + 2, 4))) {
+                    value += String.fromCharCode(parseInt(text.substr(i + 2, 4), 16));
+                    i += 6;
+                } else {
+                    value += escapes[next] !== undefined ? escapes[next] : next;
+                    i += 2;
+                }
+                continue;
+            }
+            if (c === quote) {
+                return { value, next: i + 1, closed: true };
+            }
+            value += c;
+            i++;
+        }
+
+        // Unterminated: keep an open quote so truncation repair can see it
+        return { value, next: text.length, closed: false };
+    }
+
+    /**
+     * Track bracket depth over strict-JSON text. Returns the index where the
+     * first top-level value ends, or the open stack and safe cut points if the
+     * text is truncated.
+     */
+    scan(text) {
+        const stack = [];
+        const cuts = [];
+        let inString = false;
+        let escaped = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (c === '\\') escaped = true;
+                else if (c === '"') inString = false;
+                continue;
+            }
+            if (c === '"') {
+                inString = true;
+            } else if (c === '{' || c === '[') {
+                stack.push(c);
+                cuts.push({ pos: i + 1, stack: [...stack] });
+            } else if (c === '}' || c === ']') {
+                stack.pop();
+                if (stack.length === 0) return { end: i };
+                cuts.push({ pos: i + 1, stack: [...stack] });
+            } else if (c === ',') {
+                cuts.push({ pos: i, stack: [...stack] });
+            }
+        }
+
+        return { end: -1, stack, cuts, inString };
+    }
+
+    /**
+     * Close a truncated document, backing off to earlier cut points until it parses
+     */
+    closeTruncated(text, scan) {
+        const close = stack => stack.slice().reverse().map(open => (open === '{' ? '}' : ']')).join('');
+        const attempts = [(scan.inString ? `${text}"` : text) + close(scan.stack)];
+        scan.cuts.slice(-200).reverse().forEach(cut => {
+            attempts.push(text.slice(0, cut.pos) + close(cut.stack));
+        });
+
+        for (const attempt of attempts) {
+            try {
+                return JSON.parse(attempt);
+            } catch (e) {
+                // try an earlier cut point
+            }
+        }
+        throw new Error('Model response is truncated and could not be repaired');
+    }
+}
+
+module.exports = new JsonRepairService();
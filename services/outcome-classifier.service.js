@@ -0,0 +1,209 @@
+const OUTCOME_LABELS = ['success', 'validation-error', 'server-rejection', 'redirect', 'no-op'];
+
+// Wording of feedback messages, dialogs and response messages (failure wins when both match)
+const FAILURE_TEXT = /\b(errors?|fail(ed|ure)?|invalid|cannot|can't|unable|incorrect|do(es)? not match|try again|denied|rejected|(is|are) (required|missing)|must (be|have|agree|accept|enter|select|provide|contain|match|include)|please (enter|select|fill in|provide|correct))\b|❌/i;
+// Generic words that only mean failure on error markup ("All required fields were received" is a confirmation)
+const ERROR_MARKUP_TEXT = /\b(required|must|missing)\b/i;
+const SUCCESS_TEXT = /\b(success(ful(ly)?)?|submitted|thank(s| you)|saved|confirmed|confirmation|complete(d)?|received|captured|sent)\b|✅/i;
+const FAILURE_CLASS = /(^|[\s_-])(error|invalid|danger|fail(ed|ure)?)([\s_-]|$)/i;
+const SUCCESS_CLASS = /(^|[\s_-])(success|valid|confirm(ed|ation)?)([\s_-]|$)/i;
+
+/**
+ * Labels what a form submission achieved, with the evidence behind the label.
+ *
+ * Works on a FormExecutorService form result (its `submit` and `outcome`).
+ * Evidence comes from:
+ * - network: non-GET requests made while filling and submitting; HTTP >= 400
+ *   or a JSON body with `success: false` / `error` is a rejection, any
+ *   other response an acceptance
+ * - navigation: the page ending on a different URL than it was loaded from
+ * - validation: fields the browser's constraint validation reports invalid
+ * - dom: feedback elements (messages, alerts, modals, status lines) that
+ *   appeared or changed, judged by their text and classes; generic words such
+ *   as "required" or "must" only count on error markup (role="alert", error
+ *   classes, or the message of an aria-invalid field)
+ * - dialog: alert/confirm messages
+ *
+ * Labels, first match wins:
+ * - server-rejection: requests were rejected and none accepted
+ * - redirect: the page navigated away after submitting
+ * - success: a request was accepted, or (without any request) the page
+ *   showed success feedback
+ * - validation-error: no request was made and the browser or the page
+ *   reported invalid input
+ * - no-op: nothing observable happened, or the form was never submitted
+ */
+class OutcomeClassifierService {
+    constructor() {
+        this.labels = OUTCOME_LABELS;
+    }
+
+    /**
+     * @param {Object} execution - Form execution result ({ status, submit, outcome, error })
+     * @returns {Object} - { label, confidence ("high", "medium" or "low"), evidence: [{ source, signal, detail }] }
+     */
+    classify(execution) {
+        const evidence = [];
+
+        if (!execution.submit || !execution.submit.triggered || !execution.outcome) {
+            const reason = execution.error || (execution.submit && execution.submit.error) || 'Submission was not triggered';
+            evidence.push({ source: 'submit', signal: 'neutral', detail: reason });
+            return { label: 'no-op', confidence: 'high', evidence };
+        }
+
+        const outcome = execution.outcome;
+        const requests = (outcome.requests || []).filter(request => request.method !== 'GET');
+        const accepted = [];
+        const rejected = [];
+
+        requests.forEach(request => {
+            const signal = this.getResponseSignal(request);
+            (signal === 'failure' ? rejected : accepted).push(request);
+            const message = this.getResponseMessage(request.body);
+            evidence.push({
+                source: 'network',
+                signal,
+                detail: `${request.method} ${this.getPath(request.url)} → ${request.status}${message ? `: ${message}` : ''}`
+            });
+        });
+
+        if (outcome.navigated) {
+            evidence.push({ source: 'navigation', signal: 'success', detail: `Navigated to ${outcome.finalUrl}${outcome.loadedUrl ? ` from ${outcome.loadedUrl}` : ''}` });
+        }
+
+        (outcome.invalidFields || []).forEach(field => {
+            evidence.push({ source: 'validation', signal: 'failure', detail: `${field.fieldName}: ${field.message}` });
+        });
+
+        ((outcome.feedback && outcome.feedback.appeared) || []).forEach(item => {
+            evidence.push({ source: 'dom', signal: this.getFeedbackSignal(item), detail: this.describeFeedback(item) });
+        });
+
+        (outcome.dialogs || []).forEach(dialog => {
+            evidence.push({ source: 'dialog', signal: this.getTextSignal(dialog.message), detail: `${dialog.type}: ${dialog.message}` });
+        });
+
+        const pageSignals = evidence.filter(item => item.source === 'dom' || item.source === 'dialog' || item.source === 'validation');
+        const pageFailure = pageSignals.some(item => item.signal === 'failure');
+        const pageSuccess = pageSignals.some(item => item.signal === 'success');
+
+        if (rejected.length && !accepted.length) {
+            return { label: 'server-rejection', confidence: 'high', evidence };
+        }
+        if (outcome.navigated) {
+            return { label: 'redirect', confidence: rejected.length ? 'medium' : 'high', evidence };
+        }
+        if (accepted.length) {
+            return { label: 'success', confidence: pageFailure || rejected.length ? 'medium' : 'high', evidence };
+        }
+        if (pageFailure) {
+            return { label: 'validation-error', confidence: (outcome.invalidFields || []).length ? 'high' : 'medium', evidence };
+        }
+        if (pageSuccess) {
+            return { label: 'success', confidence: 'medium', evidence };
+        }
+        return { label: 'no-op', confidence: evidence.length ? 'medium' : 'low', evidence };
+    }
+
+    /**
+     * Error messages observed after a submission, for regenerating the values:
+     * invalid fields, rejecting responses, error feedback and error dialogs
+     * @param {Object} execution - Form execution result
+     * @returns {Array} - [{ fieldName?, message, source }], without repeated messages
+     */
+    getErrors(execution) {
+        const outcome = execution.outcome;
+        if (!outcome) return [];
+
+        const errors = [
+            ...(outcome.invalidFields || []).map(field => ({ fieldName: field.fieldName, message: field.message, source: 'validation' })),
+            ...(outcome.requests || [])
+                .filter(request => request.method !== 'GET' && this.getResponseSignal(request) === 'failure')
+                .map(request => ({ message: this.getResponseMessage(request.body) || `HTTP ${request.status}`, source: 'server' })),
+            ...((outcome.feedback && outcome.feedback.appeared) || [])
+                .filter(item => this.getFeedbackSignal(item) === 'failure')
+                .map(item => ({ message: item.text, source: 'page' })),
+            ...(outcome.dialogs || [])
+                .filter(dialog => this.getTextSignal(dialog.message) === 'failure')
+                .map(dialog => ({ message: dialog.message, source: 'dialog' }))
+        ];
+
+        const seen = new Set();
+        return errors.filter(error => {
+            const key = `${error.fieldName || ''}|${error.message.replace(/^\W+/, '').trim().toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Whether a response accepted the submission: HTTP status first, then the JSON body
+     */
+    getResponseSignal(request) {
+        if (request.status >= 400) return 'failure';
+        const body = request.body;
+        if (body && typeof body === 'object') {
+            if (body.success === false || body.ok === false || body.error || (Array.isArray(body.errors) && body.errors.length)) {
+                return 'failure';
+            }
+        }
+        return 'success';
+    }
+
+    getResponseMessage(body) {
+        if (!body || typeof body !== 'object') return null;
+        const message = body.message || (typeof body.error === 'string' ? body.error : null);
+        return typeof message === 'string' ? message : null;
+    }
+
+    /**
+     * Success or failure of a feedback element: its text, or its classes and role when the text is neutral
+     */
+    getFeedbackSignal(item) {
+        const errorMarkup = FAILURE_CLASS.test(item.className || '') || item.role === 'alert' || item.ariaInvalid === true;
+        const textSignal = this.getTextSignal(item.text, errorMarkup);
+        if (textSignal !== 'neutral') return textSignal;
+        if (errorMarkup) return 'failure';
+        if (SUCCESS_CLASS.test(item.className || '')) return 'success';
+        return 'neutral';
+    }
+
+    /**
+     * @param {string} text - Message text
+     * @param {boolean} errorMarkup - Whether the text sits on error markup, where generic words count as failure
+     */
+    getTextSignal(text, errorMarkup = false) {
+        if (FAILURE_TEXT.test(text || '') || (errorMarkup && ERROR_MARKUP_TEXT.test(text || ''))) return 'failure';
+        if (SUCCESS_TEXT.test(text || '')) return 'success';
+        return 'neutral';
+    }
+
+    describeFeedback(item) {
+        const id = item.id ? `#${item.id}` : '';
+        const classes = item.className ? `.${item.className.trim().split(/\s+/).join('.')}` : '';
+        return `${item.tag}${id}${classes}: "${item.text}"`;
+    }
+
+    getPath(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.pathname}${parsed.search}`;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * Count of each label over a set of classifications
+     */
+    countLabels(classifications) {
+        const counts = Object.fromEntries(OUTCOME_LABELS.map(label => [label, 0]));
+        classifications.filter(Boolean).forEach(classification => {
+            counts[classification.label]++;
+        });
+        return counts;
+    }
+}
+
+module.exports = new OutcomeClassifierService();
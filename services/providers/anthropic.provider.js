@@ -0,0 +1,63 @@
+const fetch = require('node-fetch');
+const BaseProvider = require('./base.provider');
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends BaseProvider {
+    constructor() {
+        super({
+            name: 'anthropic',
+            label: 'Anthropic API',
+            model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+            // Claude 3.5 Sonnet pricing
+            pricing: { input: 0.003, output: 0.015 }
+        });
+        if (!process.env.ANTHROPIC_API_KEY) {
+            console.log('ANTHROPIC_API_KEY is not set in environment variables');
+        }
+        this.apiKey = process.env.ANTHROPIC_API_KEY;
+        this.baseUrl = (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/+$/, '');
+        this.apiVersion = '2023-06-01';
+    }
+
+    async request(prompt, { model, timeoutMs }) {
+        const response = await fetch(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': this.apiVersion
+            },
+            body: JSON.stringify({
+                model,
+                max_tokens: this.generationConfig.maxOutputTokens,
+                temperature: this.generationConfig.temperature,
+                messages: [{ role: 'user', content: prompt }]
+            }),
+            timeout: timeoutMs
+        });
+
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+
+        const data = await response.json();
+
+        if (!Array.isArray(data.content)) {
+            throw new Error('Invalid API response structure');
+        }
+
+        const usage = data.usage || {};
+        return {
+            text: data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            inputTokens: usage.input_tokens || 0,
+            outputTokens: usage.output_tokens || 0
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
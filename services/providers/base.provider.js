@@ -0,0 +1,292 @@
+const path = require('path');
+const ConcurrencyLimiter = require('../concurrency-limiter');
+const RecordingStore = require('./recording-store');
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits, server errors, overload
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+// Transient network failures reported by node-fetch (error.code), including a
+// connection dropped while the reply body is still streaming
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_STREAM_PREMATURE_CLOSE'];
+// node-fetch timeouts (error.type): no response headers in time, or the body stalled after them
+const RETRYABLE_FETCH_TYPES = ['request-timeout', 'body-timeout'];
+
+const retryConfig = {
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '3', 10),
+    baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000', 10),
+    maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000', 10),
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10)
+};
+
+// One limiter for every provider, so parallel callers (chunks, per-form value
+// generation, concurrent requests) never exceed LLM_MAX_CONCURRENCY in flight
+const limiter = new ConcurrencyLimiter(parseInt(process.env.LLM_MAX_CONCURRENCY || '4', 10));
+
+// Record / replay of model calls (LLM_RECORDING), in the mock provider's format
+const recordings = new RecordingStore(process.env.LLM_RECORDINGS_DIR
+    ? path.resolve(process.env.LLM_RECORDINGS_DIR)
+    : RecordingStore.defaultDir);
+
+/**
+ * Base class for LLM providers.
+ *
+ * A provider turns a prompt into text. Subclasses implement `request()` and
+ * return the raw reply plus token counts; this class handles concurrency
+ * limiting, retries, timing, cost calculation and logging so every provider
+ * reports the same shape.
+ *
+ * Failed requests are classified as retryable (rate limits, 5xx, timeouts,
+ * transient network errors) or fatal (everything else). Retryable failures
+ * are retried with exponential backoff and jitter, or after the delay the
+ * API asked for (Retry-After), up to LLM_MAX_RETRIES times.
+ *
+ * In record mode (LLM_RECORDING=record, or `recording` per call) every
+ * successful reply is stored with its prompt in LLM_RECORDINGS_DIR; in replay
+ * mode replies are served from there without touching the network, and a
+ * prompt that was never recorded is an error.
+ */
+class BaseProvider {
+    /**
+     * @param {Object} config - Provider configuration
+     * @param {string} config.name - Registry name (e.g. "gemini")
+     * @param {string} config.label - Human readable name used in logs
+     * @param {string} config.model - Default model
+     * @param {Object} config.pricing - Cost per 1K tokens: { input, output }
+     * @param {boolean} config.recordable - Whether record/replay mode applies (false for providers that replay themselves)
+     */
+    constructor({ name, label, model, pricing, recordable = true }) {
+        this.name = name;
+        this.label = label;
+        this.model = model;
+        this.pricing = pricing || { input: 0, output: 0 };
+        this.recordable = recordable;
+        this.retryConfig = retryConfig;
+        this.limiter = limiter;
+        this.recordings = recordings;
+        this.generationConfig = {
+            temperature: 0.1, // Low temperature for consistent, factual responses
+            topP: 0.95,
+            topK: 40,
+            maxOutputTokens: 8192
+        };
+    }
+
+    /**
+     * Send a prompt to the provider
+     * @param {string} prompt - The prompt to send
+     * @param {Object} options - { model, kind, maxRetries, timeoutMs, recording } overrides for this call
+     * @returns {Promise<Object>} - Generated text response with timing, retry stats and usage
+     */
+    async generate(prompt, options = {}) {
+        const model = options.model || this.model;
+        const maxRetries = options.maxRetries ?? this.retryConfig.maxRetries;
+        const timeoutMs = options.timeoutMs || this.retryConfig.timeoutMs;
+        const recordingMode = this.recordable ? RecordingStore.getMode(options.recording) : 'off';
+        const startTime = Date.now();
+        const stats = { retries: 0, retryWaitTime: 0, queueTime: 0 };
+
+        if (recordingMode === 'replay') {
+            return this.replay(prompt, model, startTime);
+        }
+        console.log(`🤖 [${this.label}] Starting request (model: ${model})...`);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const queuedAt = Date.now();
+                const { text, inputTokens, outputTokens, totalTokens } = await this.limiter.run(() => {
+                    stats.queueTime += Date.now() - queuedAt;
+                    return this.request(prompt, { ...options, model, timeoutMs });
+                });
+
+                const timeTaken = Date.now() - startTime;
+                const usage = this.calculateUsage(inputTokens, outputTokens, totalTokens);
+
+                console.log(`✅ [${this.label}] Request completed in ${timeTaken}ms${stats.retries ? ` after ${stats.retries} retr${stats.retries === 1 ? 'y' : 'ies'}` : ''}`);
+                console.log(`📊 [${this.label}] Tokens - Input: ${usage.inputTokens}, Output: ${usage.outputTokens}, Total: ${usage.totalTokens}`);
+                console.log(`💰 [${this.label}] Cost - $${usage.totalCost.toFixed(6)} USD`);
+
+                if (recordingMode === 'record') {
+                    await this.record(prompt, { kind: options.kind, model, text, usage });
+                }
+
+                return {
+                    text,
+                    provider: this.name,
+                    model,
+                    timeTaken,
+                    ...stats,
+                    timestamp: new Date().toISOString(),
+                    usage
+                };
+            } catch (error) {
+                error.retryable = this.isRetryable(error);
+
+                if (!error.retryable || attempt >= maxRetries) {
+                    const timeTaken = Date.now() - startTime;
+                    console.error(`❌ [${this.label}] Request failed after`, timeTaken + 'ms', `(${error.retryable ? 'retries exhausted' : 'fatal error'})`);
+                    console.error(`Error calling ${this.label}:`, error);
+                    Object.assign(error, stats, { timeTaken });
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                console.warn(`⏳ [${this.label}] ${error.message} - retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+                stats.retries++;
+                stats.retryWaitTime += delay;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Serve a recorded reply instead of calling the API
+     */
+    async replay(prompt, model, startTime) {
+        const recording = this.recordings.read(prompt);
+        const hash = RecordingStore.hashPrompt(prompt).substring(0, 12);
+
+        if (!recording) {
+            throw new Error(`No recording for prompt ${hash} in ${this.recordings.dir} (replay mode)`);
+        }
+
+        const response = recording.response || {};
+        // Cost at the prices of the provider that made the recording
+        const usage = this.getRecordingProvider(recording).calculateUsage(response.inputTokens, response.outputTokens);
+        console.log(`📼 [${this.label}] Replaying ${hash} (recorded ${recording.recordedAt} from ${recording.provider}/${recording.model})`);
+
+        return {
+            text: response.text,
+            provider: recording.provider || this.name,
+            model: recording.model || model,
+            timeTaken: Date.now() - startTime,
+            retries: 0,
+            retryWaitTime: 0,
+            queueTime: 0,
+            timestamp: new Date().toISOString(),
+            usage,
+            replayed: { promptHash: recording.promptHash || RecordingStore.hashPrompt(prompt), recordedAt: recording.recordedAt }
+        };
+    }
+
+    /**
+     * The registered provider a recording was made with, or this one if it is unknown
+     */
+    getRecordingProvider(recording) {
+        // Required here: the registry requires every provider, and so this module
+        const providers = require('./index');
+        if (!recording.provider || recording.provider === this.name || !providers.hasProvider(recording.provider)) {
+            return this;
+        }
+        return providers.getProvider(recording.provider);
+    }
+
+    /**
+     * Store a successful reply. Storage errors are logged, not thrown: they must not fail the call.
+     */
+    async record(prompt, { kind, model, text, usage }) {
+        try {
+            const file = await this.recordings.write(prompt, {
+                kind,
+                provider: this.name,
+                model,
+                response: { text, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens }
+            });
+            console.log(`📼 [${this.label}] Recorded ${path.basename(file, '.json').substring(0, 12)}`);
+        } catch (error) {
+            console.warn(`⚠️  [${this.label}] Could not record response: ${error.message}`);
+        }
+    }
+
+    /**
+     * Whether a failed request may succeed if repeated
+     */
+    isRetryable(error) {
+        if (error.status) {
+            return RETRYABLE_STATUSES.includes(error.status);
+        }
+        if (RETRYABLE_FETCH_TYPES.includes(error.type) || error.name === 'AbortError') {
+            return true;
+        }
+        return RETRYABLE_NETWORK_CODES.includes(error.code);
+    }
+
+    /**
+     * Delay before the next attempt: the API's Retry-After if it sent one,
+     * otherwise exponential backoff with jitter. Capped at LLM_RETRY_MAX_DELAY_MS.
+     */
+    getRetryDelay(error, attempt) {
+        const { baseDelayMs, maxDelayMs } = this.retryConfig;
+        if (typeof error.retryAfterMs === 'number' && error.retryAfterMs >= 0) {
+            return Math.min(error.retryAfterMs, maxDelayMs);
+        }
+        const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+        return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    }
+
+    /**
+     * Provider specific request. Must be implemented by subclasses.
+     * @param {string} prompt - The prompt to send
+     * @param {Object} options - Call options, `model` and `timeoutMs` are always set
+     * @returns {Promise<Object>} - { text, inputTokens, outputTokens, totalTokens }
+     */
+    async request(prompt, options) {
+        throw new Error(`${this.label} provider does not implement request()`);
+    }
+
+    /**
+     * Build the usage block from raw token counts
+     */
+    calculateUsage(inputTokens = 0, outputTokens = 0, totalTokens) {
+        const inputCost = (inputTokens / 1000) * this.pricing.input;
+        const outputCost = (outputTokens / 1000) * this.pricing.output;
+        const totalCost = inputCost + outputCost;
+
+        return {
+            inputTokens,
+            outputTokens,
+            totalTokens: totalTokens || (inputTokens + outputTokens),
+            inputCost: parseFloat(inputCost.toFixed(6)),
+            outputCost: parseFloat(outputCost.toFixed(6)),
+            totalCost: parseFloat(totalCost.toFixed(6))
+        };
+    }
+
+    /**
+     * Throw a descriptive error for a non-2xx HTTP response
+     */
+    async throwResponseError(response) {
+        const body = await response.text().catch(() => '');
+        let errorData;
+        try {
+            errorData = JSON.parse(body);
+        } catch (e) {
+            errorData = body;
+        }
+        const error = new Error(`API Error: ${response.status} - ${JSON.stringify(errorData)}`);
+        error.status = response.status;
+        error.retryAfterMs = this.parseRetryAfter(response.headers.get('retry-after'), errorData);
+        throw error;
+    }
+
+    /**
+     * Requested wait in ms from a Retry-After header (seconds or HTTP date) or,
+     * failing that, a Gemini-style `RetryInfo.retryDelay` ("30s") in the body
+     * @returns {number|null}
+     */
+    parseRetryAfter(header, errorData) {
+        if (header) {
+            const seconds = Number(header);
+            if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+            const date = Date.parse(header);
+            if (!isNaN(date)) return Math.max(0, date - Date.now());
+        }
+        const details = (errorData && errorData.error && errorData.error.details) || [];
+        const retryInfo = Array.isArray(details) && details.find(detail => detail && detail.retryDelay);
+        if (retryInfo) {
+            const seconds = parseFloat(retryInfo.retryDelay);
+            if (!isNaN(seconds)) return seconds * 1000;
+        }
+        return null;
+    }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,60 @@
+const fetch = require('node-fetch');
+const BaseProvider = require('./base.provider');
+
+/**
+ * Google Gemini `generateContent` REST endpoint
+ */
+class GeminiProvider extends BaseProvider {
+    constructor() {
+        super({
+            name: 'gemini',
+            label: 'Gemini API',
+            model: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+            // Gemini 1.5 Pro pricing (Dec 2024), up to 128K context
+            pricing: { input: 0.00125, output: 0.005 }
+        });
+        if (!process.env.GEMINI_API_KEY) {
+            console.log('GEMINI_API_KEY is not set in environment variables');
+        }
+        this.apiKey = process.env.GEMINI_API_KEY;
+        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+    }
+
+    async request(prompt, { model, timeoutMs }) {
+        const response = await fetch(`${this.baseUrl}/${model}:generateContent?key=${this.apiKey}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                contents: [{
+                    parts: [{
+                        text: prompt
+                    }]
+                }],
+                generationConfig: this.generationConfig
+            }),
+            timeout: timeoutMs
+        });
+
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+
+        const data = await response.json();
+
+        if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+            throw new Error('Invalid API response structure');
+        }
+
+        const usageMetadata = data.usageMetadata || {};
+        return {
+            text: data.candidates[0].content.parts[0].text,
+            inputTokens: usageMetadata.promptTokenCount || 0,
+            outputTokens: usageMetadata.candidatesTokenCount || 0,
+            totalTokens: usageMetadata.totalTokenCount
+        };
+    }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,57 @@
+const GeminiProvider = require('./gemini.provider');
+const OpenAIProvider = require('./openai.provider');
+const AnthropicProvider = require('./anthropic.provider');
+const MockProvider = require('./mock.provider');
+const RecordingStore = require('./recording-store');
+
+/**
+ * Registry of LLM providers.
+ * Instances are created lazily so a missing API key for an unused provider
+ * doesn't produce warnings at startup.
+ */
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    mock: MockProvider
+};
+
+const instances = {};
+
+/**
+ * Name of the provider used when a request doesn't choose one
+ */
+function getDefaultProviderName() {
+    return (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+/**
+ * Check whether a provider name is registered
+ */
+function hasProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, String(name).toLowerCase());
+}
+
+/**
+ * Get (and cache) a provider instance
+ * @param {string} name - Provider name, defaults to LLM_PROVIDER
+ * @returns {BaseProvider}
+ */
+function getProvider(name) {
+    const key = (name || getDefaultProviderName()).toLowerCase();
+    if (!hasProvider(key)) {
+        throw new Error(`Unsupported LLM provider: ${key}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    if (!instances[key]) {
+        instances[key] = new PROVIDERS[key]();
+    }
+    return instances[key];
+}
+
+module.exports = {
+    getProvider,
+    hasProvider,
+    getDefaultProviderName,
+    availableProviders: Object.keys(PROVIDERS),
+    recordingModes: RecordingStore.modes
+};
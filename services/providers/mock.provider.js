@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./base.provider');
+const RecordingStore = require('./recording-store');
+
+/**
+ * Deterministic local provider that replays recorded responses.
+ *
+ * A recording is looked up by the SHA-256 of the prompt
+ * (`<recordingsDir>/<hash>.json`, see RecordingStore). A prompt without a
+ * recording is an error, so a missing recording cannot pass unnoticed and
+ * hybrid mode falls back to the heuristic result. With MOCK_ALLOW_DEFAULTS=1
+ * the provider instead answers with `<recordingsDir>/defaults/<kind>.json`,
+ * where `kind` is the call type passed by the caller ("extraction" or
+ * "values"), so the scanner routes can be smoke-tested offline. Those
+ * synthetic replies describe one fixed contact form, whatever the page.
+ */
+class MockProvider extends BaseProvider {
+    constructor() {
+        super({
+            name: 'mock',
+            label: 'Mock LLM',
+            model: 'mock-replay',
+            pricing: { input: 0, output: 0 },
+            recordable: false
+        });
+        this.recordingsDir = process.env.MOCK_RECORDINGS_DIR
+            ? path.resolve(process.env.MOCK_RECORDINGS_DIR)
+            : RecordingStore.defaultDir;
+        this.store = new RecordingStore(this.recordingsDir);
+        this.allowDefaults = ['1', 'true'].includes(process.env.MOCK_ALLOW_DEFAULTS);
+    }
+
+    /**
+     * Hash used as the recording key for a prompt
+     */
+    static hashPrompt(prompt) {
+        return RecordingStore.hashPrompt(prompt);
+    }
+
+    async request(prompt, { kind }) {
+        const hash = RecordingStore.hashPrompt(prompt);
+        let recording = this.store.read(prompt);
+        let source = `${hash}.json`;
+
+        if (!recording && kind && this.allowDefaults) {
+            const fallback = path.join(this.recordingsDir, 'defaults', `${kind}.json`);
+            if (fs.existsSync(fallback)) {
+                recording = JSON.parse(fs.readFileSync(fallback, 'utf-8'));
+                source = path.relative(this.recordingsDir, fallback);
+            }
+        }
+
+        if (!recording) {
+            throw new Error(`No recorded response for prompt ${hash.substring(0, 12)} (kind: ${kind || 'unknown'}) in ${this.recordingsDir}`);
+        }
+
+        const response = recording.response || {};
+        console.log(`📼 [${this.label}] Replaying ${source}`);
+
+        return {
+            text: response.text,
+            // Rough 4 chars/token estimate when the recording has no counts
+            inputTokens: response.inputTokens ?? Math.ceil(prompt.length / 4),
+            outputTokens: response.outputTokens ?? Math.ceil((response.text || '').length / 4)
+        };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,64 @@
+const fetch = require('node-fetch');
+const BaseProvider = require('./base.provider');
+
+/**
+ * OpenAI-compatible `/chat/completions` endpoint.
+ * Works with OpenAI itself and with compatible servers (vLLM, Ollama, LM Studio,
+ * Azure-style gateways) by pointing OPENAI_BASE_URL at them.
+ */
+class OpenAIProvider extends BaseProvider {
+    constructor() {
+        super({
+            name: 'openai',
+            label: 'OpenAI API',
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            pricing: {
+                input: parseFloat(process.env.OPENAI_INPUT_COST_PER_1K || '0.00015'),
+                output: parseFloat(process.env.OPENAI_OUTPUT_COST_PER_1K || '0.0006')
+            }
+        });
+        if (!process.env.OPENAI_API_KEY) {
+            console.log('OPENAI_API_KEY is not set in environment variables');
+        }
+        this.apiKey = process.env.OPENAI_API_KEY;
+        this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    }
+
+    async request(prompt, { model, timeoutMs }) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: this.generationConfig.temperature,
+                top_p: this.generationConfig.topP,
+                max_tokens: this.generationConfig.maxOutputTokens
+            }),
+            timeout: timeoutMs
+        });
+
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+
+        const data = await response.json();
+
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new Error('Invalid API response structure');
+        }
+
+        const usage = data.usage || {};
+        return {
+            text: data.choices[0].message.content,
+            inputTokens: usage.prompt_tokens || 0,
+            outputTokens: usage.completion_tokens || 0,
+            totalTokens: usage.total_tokens
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
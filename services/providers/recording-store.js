@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '../../recordings');
+const RECORDING_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Recorded model calls on disk, one file per prompt: `<dir>/<sha256 of prompt>.json`
+ *
+ * {
+ *   "kind": "extraction",            // call type ("extraction" or "values")
+ *   "provider": "gemini", "model": "gemini-1.5-pro",
+ *   "recordedAt": "...", "promptHash": "...",
+ *   "prompt": "...",                 // the request, when recorded by record mode
+ *   "response": { "text": "...", "inputTokens": 1234, "outputTokens": 567 }
+ * }
+ *
+ * The mock provider replays these files, and so does replay mode for any provider.
+ */
+class RecordingStore {
+    /**
+     * @param {string} dir - Recordings directory
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    /**
+     * Hash used as the recording key for a prompt
+     */
+    static hashPrompt(prompt) {
+        return crypto.createHash('sha256').update(prompt).digest('hex');
+    }
+
+    /**
+     * Record/replay mode for a call: the per-call override, else LLM_RECORDING, else "off"
+     * @param {string} override - "off", "record" or "replay"
+     */
+    static getMode(override) {
+        const mode = (override || process.env.LLM_RECORDING || 'off').toLowerCase();
+        if (!RECORDING_MODES.includes(mode)) {
+            throw new Error(`Unsupported recording mode: ${mode}. Available: ${RECORDING_MODES.join(', ')}`);
+        }
+        return mode;
+    }
+
+    file(hash) {
+        return path.join(this.dir, `${hash}.json`);
+    }
+
+    /**
+     * @param {string} prompt - Prompt sent to the model
+     * @returns {Object|null} - Recording, or null if the prompt was never recorded
+     */
+    read(prompt) {
+        const file = this.file(RecordingStore.hashPrompt(prompt));
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+    }
+
+    /**
+     * Store a request/response pair, replacing any earlier recording of the same prompt
+     * @param {string} prompt - Prompt sent to the model
+     * @param {Object} recording - { kind, provider, model, response: { text, inputTokens, outputTokens } }
+     * @returns {Promise<string>} - Path of the recording file
+     */
+    async write(prompt, recording) {
+        const promptHash = RecordingStore.hashPrompt(prompt);
+        const file = this.file(promptHash);
+        const entry = {
+            kind: recording.kind || null,
+            provider: recording.provider,
+            model: recording.model,
+            recordedAt: new Date().toISOString(),
+            promptHash,
+            prompt,
+            response: recording.response
+        };
+
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(entry, null, 2) + '\n');
+        await fs.promises.rename(`${file}.tmp`, file);
+        return file;
+    }
+}
+
+RecordingStore.modes = RECORDING_MODES;
+RecordingStore.defaultDir = DEFAULT_RECORDINGS_DIR;
+
+module.exports = RecordingStore;
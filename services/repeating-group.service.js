@@ -0,0 +1,611 @@
+const cheerio = require('cheerio');
+const fieldDependency = require('./field-dependency.service');
+
+// Name of one row's field: passengers[0].fullName or items[2][name]
+const INDEXED_NAME_PATTERN = /^([A-Za-z_$][\w$-]*)\[(\d+)\](?:\.([\w$-]+)|\[([\w$-]+)\])$/;
+const TEMPLATE_NAME_PATTERN = /^([A-Za-z_$][\w$-]*)\[\{index\}\](?:\.([\w$-]+)|\[([\w$-]+)\])$/;
+const CONTROL_SELECTOR = 'input, select, textarea';
+const ADD_BUTTON_SELECTOR = 'button, input[type="button"], input[type="submit"], [role="button"], a';
+const ADD_CONTROL_PATTERN = /^\s*\+|\badd\b/i;
+const REMOVE_CONTROL_PATTERN = /\bremove\b|\bdelete\b|^\s*[×✕]\s*$/i;
+const CONTROL_PROPERTIES = ['type', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'placeholder', 'step'];
+const MIN_ROWS_ATTRIBUTES = ['data-min-rows', 'data-min-items'];
+const MAX_ROWS_ATTRIBUTES = ['data-max-rows', 'data-max-items'];
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+// Calls nested deeper than this are not followed when reading an add handler
+const MAX_CALL_DEPTH = 3;
+
+/**
+ * Repeating groups: rows of the same fields the user adds and removes
+ * (passengers, line items), named after a pattern such as
+ * `passengers[{index}].{field}` or `items[{index}][{field}]`.
+ *
+ * The heuristic extractor finds groups in:
+ * - markup: fields whose names are indexed (`items[0][name]`, `items[1][name]`)
+ * - inline scripts: click listeners of a button in the form that build rows
+ *   with indexed names (createElement or HTML templates), along with the
+ *   container the rows are appended to, the row's remove button, row limits
+ *   checked by the handlers and add-button clicks made when the page loads
+ *
+ * Value generation produces one object per row; flatten() turns the rows into
+ * values by concrete field name for the executor, which adds missing rows
+ * with the add control before filling them.
+ */
+class RepeatingGroupService {
+    /**
+     * Find the repeating groups of one form
+     * @param {Function} $ - Cheerio instance of the page
+     * @param {Object} $container - Form container
+     * @param {Array} fields - Field descriptors of the form
+     * @param {string} scriptText - Inline scripts of the page
+     * @param {Object} helpers - { buildField($, $el), locate($, $el) } from the extractor
+     * @returns {Array} - Repeating group descriptors
+     */
+    detect($, $container, fields, scriptText, helpers) {
+        const groups = new Map();
+        const merge = group => {
+            const existing = groups.get(group.name);
+            if (!existing) {
+                groups.set(group.name, group);
+                return;
+            }
+            const known = new Set(existing.fields.map(field => field.fieldName));
+            existing.fields.push(...group.fields.filter(field => !known.has(field.fieldName)));
+            Object.keys(group).forEach(key => {
+                if (existing[key] === null || existing[key] === undefined) existing[key] = group[key];
+            });
+            existing.initialRows += group.initialRows;
+            existing.source = 'script';
+        };
+
+        this.detectMarkupGroups($, $container, fields, helpers).forEach(merge);
+        if (scriptText) {
+            this.detectScriptGroups($, $container, scriptText, helpers).forEach(merge);
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Groups whose rows are already in the markup, from the indexed field names
+     */
+    detectMarkupGroups($, $container, fields, helpers) {
+        const groups = new Map();
+        fields.forEach(field => {
+            const parsed = this.parseName(field.fieldName);
+            if (!parsed) return;
+            if (!groups.has(parsed.group)) {
+                groups.set(parsed.group, { namePattern: parsed.namePattern, rows: new Map() });
+            }
+            const rows = groups.get(parsed.group).rows;
+            if (!rows.has(parsed.index)) rows.set(parsed.index, []);
+            rows.get(parsed.index).push({ ...field, fieldName: parsed.field });
+        });
+
+        return [...groups.entries()].map(([name, { namePattern, rows }]) => {
+            const indexes = [...rows.keys()].sort((a, b) => a - b);
+            const template = new Map();
+            indexes.forEach(index => rows.get(index).forEach(field => {
+                if (!template.has(field.fieldName)) template.set(field.fieldName, this.toRowField(field));
+            }));
+
+            const $firstRow = this.findRowElement($, $container, name, indexes[0]);
+            const $rows = $firstRow ? $firstRow.parent().children() : null;
+            return {
+                name,
+                namePattern,
+                fields: [...template.values()],
+                containerSelector: $firstRow ? helpers.locate($, $firstRow.parent()).selector : null,
+                rowSelector: $firstRow ? this.getRowSelector($firstRow, $rows) : null,
+                addSelector: this.findAddSelector($, $container, helpers),
+                removeSelector: $firstRow ? this.getRemoveSelector($, $firstRow, helpers) : null,
+                minRows: this.readRowLimit($firstRow && $firstRow.parent(), MIN_ROWS_ATTRIBUTES) ?? 0,
+                maxRows: this.readRowLimit($firstRow && $firstRow.parent(), MAX_ROWS_ATTRIBUTES),
+                initialRows: indexes.length,
+                source: 'markup'
+            };
+        });
+    }
+
+    /**
+     * Groups built by scripts: click listeners of the form's buttons whose handler
+     * (or the page functions it calls) gives new controls indexed names
+     */
+    detectScriptGroups($, $container, scriptText, helpers) {
+        const functions = fieldDependency.findFunctions(scriptText);
+        const analysis = { $container, scriptText };
+        const groups = [];
+
+        fieldDependency.findListeners(scriptText, functions).forEach(listener => {
+            const ctx = { bodies: [listener.body, listener.scope], bindings: new Map() };
+            const button = fieldDependency.resolveElements(listener.ref, analysis, ctx)
+                .find(el => $(el).is(ADD_BUTTON_SELECTOR));
+            if (!button) return;
+
+            const code = this.collectCode(listener.body, functions, 0);
+            const templates = this.findTemplates(code, helpers);
+            if (!templates.length) return;
+
+            const byGroup = new Map();
+            templates.forEach(template => {
+                if (!byGroup.has(template.group)) byGroup.set(template.group, { namePattern: template.namePattern, fields: [] });
+                const group = byGroup.get(template.group);
+                if (!group.fields.some(field => field.fieldName === template.field.fieldName)) group.fields.push(template.field);
+            });
+
+            const $button = $(button);
+            const container = this.findRowContainer(code, analysis, ctx);
+            const $rowContainer = container ? $(container) : null;
+            const rowClass = this.findRowClass(code, functions);
+            const removeClass = this.findRemoveClass(code);
+            const rowSelector = rowClass ? `.${rowClass}` : null;
+            const maxGuard = this.findRowGuard(listener.body, scriptText, />=?/);
+            const minGuard = this.findRowGuard(code.join('\n'), scriptText, /<=?/);
+
+            byGroup.forEach(({ namePattern, fields }, name) => {
+                groups.push({
+                    name,
+                    namePattern,
+                    fields,
+                    containerSelector: $rowContainer ? helpers.locate($, $rowContainer).selector : null,
+                    rowSelector,
+                    addSelector: helpers.locate($, $button).selector,
+                    removeSelector: removeClass ? `${rowSelector ? `${rowSelector} ` : ''}.${removeClass}` : null,
+                    minRows: this.readRowLimit($rowContainer, MIN_ROWS_ATTRIBUTES) ?? this.readRowLimit($button, MIN_ROWS_ATTRIBUTES)
+                        ?? (minGuard ? (minGuard.operator === '<' ? minGuard.limit - 1 : minGuard.limit) : 0),
+                    maxRows: this.readRowLimit($rowContainer, MAX_ROWS_ATTRIBUTES) ?? this.readRowLimit($button, MAX_ROWS_ATTRIBUTES)
+                        ?? (maxGuard ? (maxGuard.operator === '>' ? maxGuard.limit + 1 : maxGuard.limit) : null),
+                    initialRows: this.countLoadClicks(listener.ref, scriptText, [listener.body, ...functions.values()].map(fn => fn.body || fn)),
+                    source: 'script'
+                });
+            });
+        });
+        return groups;
+    }
+
+    /**
+     * A handler body plus the bodies of the page functions it calls
+     */
+    collectCode(body, functions, depth) {
+        const code = [body];
+        if (depth >= MAX_CALL_DEPTH) return code;
+        const call = new RegExp(`(?:^|[^\\w$.])(${IDENTIFIER})\\(`, 'g');
+        const seen = new Set();
+        let match;
+        while ((match = call.exec(body)) !== null) {
+            const fn = functions.get(match[1]);
+            if (!fn || seen.has(match[1])) continue;
+            seen.add(match[1]);
+            code.push(...this.collectCode(fn.body, functions, depth + 1));
+        }
+        return code;
+    }
+
+    /**
+     * Row fields created by the code: controls given an indexed name through
+     * `el.name = ...` / setAttribute('name', ...), or inside HTML templates
+     * @returns {Array} - [{ group, namePattern, field }]
+     */
+    findTemplates(code, helpers) {
+        const templates = [];
+        const add = (name, $, $el) => {
+            const parsed = name && name.match(TEMPLATE_NAME_PATTERN);
+            if (!parsed) return;
+            const field = parsed[2] || parsed[3];
+            templates.push({
+                group: parsed[1],
+                namePattern: `${parsed[1]}[{index}]${parsed[2] ? '.{field}' : '[{field}]'}`,
+                field: this.toRowField({ ...helpers.buildField($, $el), fieldName: field })
+            });
+        };
+
+        code.forEach(text => {
+            const assignment = new RegExp(`(${IDENTIFIER})\\.(?:name\\s*=\\s*|setAttribute\\(\\s*['"]name['"]\\s*,\\s*)([^;\\n]+)`, 'g');
+            let match;
+            while ((match = assignment.exec(text)) !== null) {
+                const name = this.readNameExpression(match[2].replace(/\)\s*$/, ''));
+                if (!name) continue;
+                const html = this.describeCreatedControl(match[1], text, name);
+                const $ = cheerio.load(html);
+                add(name, $, $(CONTROL_SELECTOR).first());
+            }
+
+            const literal = /`([^`]*<(?:input|select|textarea)\b[^`]*)`/gi;
+            while ((match = literal.exec(text)) !== null) {
+                const $ = cheerio.load(match[1].replace(/\$\{[^}]*\}/g, '{index}'));
+                $(CONTROL_SELECTOR).each((i, el) => add($(el).attr('name'), $, $(el)));
+            }
+        });
+        return templates;
+    }
+
+    /**
+     * Name pattern of a name expression: a template literal or a string concatenation
+     * around one index expression, with the index as {index}
+     */
+    readNameExpression(text) {
+        const expression = text.trim();
+        const template = expression.match(/^`([^`]*)`$/);
+        if (template) return template[1].replace(/\$\{[^}]*\}/g, '{index}');
+
+        const parts = expression.split(/\s*\+\s*/);
+        if (parts.length < 2) return null;
+        return parts.map(part => {
+            const literal = part.match(/^(['"])(.*)\1$/);
+            return literal ? literal[2] : '{index}';
+        }).join('');
+    }
+
+    /**
+     * HTML for a control built with document.createElement, from the properties
+     * and attributes the code assigns to its variable
+     */
+    describeCreatedControl(variable, text, name) {
+        const escaped = variable.replace(/\$/g, '\\$');
+        const created = text.match(new RegExp(`\\b${escaped}\\s*=\\s*document\\.createElement\\(\\s*['"](\\w+)['"]`));
+        const tag = created && ['input', 'select', 'textarea'].includes(created[1].toLowerCase()) ? created[1].toLowerCase() : 'input';
+        const attributes = [`name="${name}"`];
+        let match;
+
+        const property = new RegExp(`\\b${escaped}\\.(${CONTROL_PROPERTIES.join('|')}|required)\\s*=\\s*([^;\\n]+)`, 'g');
+        while ((match = property.exec(text)) !== null) {
+            const value = match[2].trim();
+            if (match[1] === 'required') {
+                if (value === 'true') attributes.push('required');
+                continue;
+            }
+            const literal = value.match(/^(['"`])(.*)\1$/) || value.match(/^()(-?\d+(?:\.\d+)?)$/);
+            if (literal) attributes.push(`${match[1].toLowerCase()}="${literal[2].replace(/"/g, '&quot;')}"`);
+        }
+
+        const setAttribute = new RegExp(`\\b${escaped}\\.setAttribute\\(\\s*['"]([\\w-]+)['"]\\s*,\\s*(['"\`])(.*?)\\2\\s*\\)`, 'g');
+        while ((match = setAttribute.exec(text)) !== null) {
+            if (match[1] !== 'name') attributes.push(`${match[1].toLowerCase()}="${match[3].replace(/"/g, '&quot;')}"`);
+        }
+
+        return tag === 'input' ? `<input ${attributes.join(' ')}>` : `<${tag} ${attributes.join(' ')}></${tag}>`;
+    }
+
+    /**
+     * Element new rows are appended to: `container.appendChild(row)` (or append,
+     * prepend, insertAdjacentHTML) on an element of the form
+     */
+    findRowContainer(code, analysis, ctx) {
+        const pattern = new RegExp(`(${IDENTIFIER})\\.(?:appendChild|append|prepend|insertBefore|insertAdjacentHTML|insertAdjacentElement)\\(`, 'g');
+        for (const text of code) {
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const found = fieldDependency.resolveElements(match[1], analysis, { ...ctx, bodies: [text, ...ctx.bodies] });
+                if (found.length === 1) return found[0];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Class of the row element: the element a row-building function returns, or
+     * the root of an HTML row template
+     */
+    findRowClass(code, functions) {
+        const builders = [...functions.values()].filter(fn => code.includes(fn.body));
+        for (const text of [...builders.map(fn => fn.body), ...code]) {
+            const returned = text.match(new RegExp(`\\breturn\\s+(${IDENTIFIER})\\s*;?\\s*$`));
+            const className = returned && this.findClassOf(returned[1], text);
+            if (className) return className;
+        }
+
+        for (const text of code) {
+            const template = text.match(/`\s*<\w+[^>]*\bclass="([^"$]+)"/);
+            if (template) return template[1].trim().split(/\s+/)[0];
+        }
+        return null;
+    }
+
+    /**
+     * Class of the row's remove button: a created element labelled Remove/Delete,
+     * or a matching button in an HTML row template
+     */
+    findRemoveClass(code) {
+        for (const text of code) {
+            const label = new RegExp(`\\b(${IDENTIFIER})\\.(?:textContent|innerText|innerHTML|ariaLabel)\\s*=\\s*(['"\`])(.*?)\\2`, 'g');
+            let match;
+            while ((match = label.exec(text)) !== null) {
+                if (!REMOVE_CONTROL_PATTERN.test(match[3])) continue;
+                const className = this.findClassOf(match[1], text);
+                if (className) return className;
+            }
+
+            const templateButton = text.match(/<(?:button|a)\b[^>]*\bclass="([^"$]+)"[^>]*>([^<]*)</i);
+            if (templateButton && (REMOVE_CONTROL_PATTERN.test(templateButton[2]) || REMOVE_CONTROL_PATTERN.test(templateButton[1]))) {
+                return templateButton[1].trim().split(/\s+/)[0];
+            }
+        }
+        return null;
+    }
+
+    findClassOf(variable, text) {
+        const escaped = variable.replace(/\$/g, '\\$');
+        const match = text.match(new RegExp(`\\b${escaped}\\.(?:className\\s*=\\s*|classList\\.add\\(\\s*)(['"\`])([\\w\\s-]+)\\1`));
+        return match ? match[2].trim().split(/\s+/)[0] : null;
+    }
+
+    /**
+     * Row count limit checked by a handler, e.g. `if (rows.length >= 5) return`
+     * (the limit may be a constant of the page script)
+     * @param {RegExp} operators - Comparison operators to look for
+     * @returns {Object|null} - { operator, limit }
+     */
+    findRowGuard(text, scriptText, operators) {
+        const pattern = new RegExp(`\\bif\\s*\\([^)]*?\\b(?:length|count|size|total|rows)\\w*\\s*(${operators.source})\\s*(\\d+|${IDENTIFIER})`, 'i');
+        const match = text.match(pattern);
+        if (!match) return null;
+
+        let limit = Number(match[2]);
+        if (isNaN(limit)) {
+            const constant = scriptText.match(new RegExp(`\\b(?:const|let|var)\\s+${match[2].replace(/\$/g, '\\$')}\\s*=\\s*(\\d+)`));
+            if (!constant) return null;
+            limit = Number(constant[1]);
+        }
+        return { operator: match[1], limit };
+    }
+
+    /**
+     * Rows added when the page loads: `addBtn.click()` outside of any function
+     */
+    countLoadClicks(ref, scriptText, bodies) {
+        const escaped = ref.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(?:^|[^\\w$.])${escaped}\\.click\\(\\s*\\)`, 'g');
+        const count = text => (text.match(pattern) || []).length;
+        return Math.max(0, count(scriptText) - bodies.reduce((sum, body) => sum + count(body), 0));
+    }
+
+    readRowLimit($el, attributes) {
+        if (!$el || !$el.length) return null;
+        const attribute = attributes.find(attr => $el.attr(attr) !== undefined);
+        const value = attribute ? parseInt($el.attr(attribute), 10) : NaN;
+        return isNaN(value) ? null : value;
+    }
+
+    /**
+     * Element holding one row in the markup: the outermost ancestor of the row's
+     * controls that holds no control of another row
+     */
+    findRowElement($, $container, name, index) {
+        const isRowControl = el => {
+            const parsed = this.parseName($(el).attr('name') || '');
+            return parsed && parsed.group === name && parsed.index === index;
+        };
+        const $first = $container.find(CONTROL_SELECTOR).filter((i, el) => isRowControl(el)).first();
+        if (!$first.length) return null;
+
+        let $row = null;
+        let $node = $first.parent();
+        while ($node.length && $node.get(0) !== $container.get(0)) {
+            const controls = $node.find(CONTROL_SELECTOR).toArray();
+            if (!controls.every(isRowControl)) break;
+            $row = $node;
+            $node = $node.parent();
+        }
+        return $row;
+    }
+
+    /**
+     * The form's only button labelled "Add ..." or "+ ..." (none when there are several)
+     */
+    findAddSelector($, $container, helpers) {
+        const $buttons = $container.find(ADD_BUTTON_SELECTOR).filter((i, el) => ADD_CONTROL_PATTERN.test([
+            $(el).text(), $(el).attr('value'), $(el).attr('aria-label')
+        ].filter(Boolean).join(' ')));
+        return $buttons.length === 1 ? helpers.locate($, $buttons).selector : null;
+    }
+
+    getRowSelector($row, $siblings) {
+        const className = ($row.attr('class') || '').trim().split(/\s+/)[0];
+        if (className) return `.${className}`;
+        const tag = $row.get(0).tagName.toLowerCase();
+        return $siblings.filter(tag).length === $siblings.length ? tag : null;
+    }
+
+    getRemoveSelector($, $row, helpers) {
+        const $remove = $row.find(ADD_BUTTON_SELECTOR).filter((i, el) => REMOVE_CONTROL_PATTERN.test([
+            $(el).text(), $(el).attr('value'), $(el).attr('aria-label'), $(el).attr('class')
+        ].filter(Boolean).join(' '))).first();
+        if (!$remove.length) return null;
+        const className = ($remove.attr('class') || '').trim().split(/\s+/)[0];
+        return className ? `${this.getRowSelector($row, $row.parent().children()) || ''} .${className}`.trim() : helpers.locate($, $remove).selector;
+    }
+
+    toRowField(field) {
+        return {
+            fieldName: field.fieldName,
+            fieldType: field.fieldType || 'text',
+            required: Boolean(field.required),
+            validation: field.validation || {},
+            placeholder: field.placeholder ?? null,
+            options: field.options ?? null
+        };
+    }
+
+    /**
+     * Parse a concrete row field name
+     * @returns {Object|null} - { group, index, field, namePattern }
+     */
+    parseName(name) {
+        const match = String(name).match(INDEXED_NAME_PATTERN);
+        if (!match) return null;
+        return {
+            group: match[1],
+            index: parseInt(match[2], 10),
+            field: match[3] || match[4],
+            namePattern: `${match[1]}[{index}]${match[3] ? '.{field}' : '[{field}]'}`
+        };
+    }
+
+    /**
+     * Concrete field name of a row field
+     * @param {Object} group - Repeating group
+     * @param {number} index - 0-based row
+     * @param {string} field - Row field name
+     */
+    toFieldName(group, index, field) {
+        return group.namePattern.replace('{index}', String(index)).replace('{field}', field);
+    }
+
+    /**
+     * Clean up repeating groups after extraction (model output in particular):
+     * row fields given by their concrete name become row-level names, name
+     * patterns and row limits are filled in
+     * @param {Array} forms - Extracted forms (changed in place)
+     * @returns {Array} - The same forms
+     */
+    normalise(forms) {
+        forms.forEach(form => {
+            const seen = new Set();
+            form.repeatingGroups = (form.repeatingGroups || [])
+                .filter(group => group && group.name && Array.isArray(group.fields) && !seen.has(group.name) && seen.add(group.name))
+                .map(group => {
+                    const rows = new Set(form.fields
+                        .map(field => this.parseName(field.fieldName))
+                        .filter(parsed => parsed && parsed.group === group.name)
+                        .map(parsed => parsed.index));
+                    const fromFields = form.fields.map(field => this.parseName(field.fieldName)).find(parsed => parsed && parsed.group === group.name);
+                    const namePattern = group.namePattern && group.namePattern.includes('{index}') && group.namePattern.includes('{field}')
+                        ? group.namePattern
+                        : (fromFields ? fromFields.namePattern : `${group.name}[{index}].{field}`);
+
+                    const names = new Set();
+                    const fields = group.fields
+                        .filter(field => field && field.fieldName)
+                        .map(field => {
+                            const parsed = this.parseName(field.fieldName);
+                            return this.toRowField({ ...field, fieldName: parsed && parsed.group === group.name ? parsed.field : field.fieldName });
+                        })
+                        .filter(field => !names.has(field.fieldName) && names.add(field.fieldName));
+
+                    const minRows = Number.isInteger(group.minRows) && group.minRows > 0 ? group.minRows : 0;
+                    const maxRows = Number.isInteger(group.maxRows) && group.maxRows > 0 ? Math.max(group.maxRows, minRows) : null;
+                    return {
+                        ...group,
+                        namePattern,
+                        fields,
+                        minRows,
+                        maxRows,
+                        initialRows: Number.isInteger(group.initialRows) && group.initialRows >= 0 ? group.initialRows : rows.size,
+                        source: group.source || null
+                    };
+                })
+                .filter(group => group.fields.length > 0);
+
+            if (form.repeatingGroups.length && !(form.specialFeatures || []).includes('repeating-group')) {
+                form.specialFeatures = [...(form.specialFeatures || []), 'repeating-group'];
+            }
+        });
+        return forms;
+    }
+
+    /**
+     * Rows to generate for each group: the requested count (one number for all
+     * groups or counts by group name), else the rows the page starts with
+     * (at least one), within the group's limits
+     * @param {Object} form - Form with repeatingGroups
+     * @param {number|Object} rowCounts - Requested row counts
+     * @returns {Object} - Row count by group name
+     */
+    getRowCounts(form, rowCounts) {
+        return Object.fromEntries((form.repeatingGroups || []).map(group => {
+            const requested = typeof rowCounts === 'number' ? rowCounts : (rowCounts || {})[group.name];
+            let count = Number.isInteger(requested) ? requested : Math.max(group.initialRows || 0, 1);
+            count = Math.max(count, group.minRows || 0);
+            if (group.maxRows) count = Math.min(count, group.maxRows);
+            return [group.name, count];
+        }));
+    }
+
+    /**
+     * Rows of each group from generated values: the model's `groups` arrays, else
+     * rows read back from concrete field names; cut to the wanted counts
+     * @param {Object} form - Form with repeatingGroups
+     * @param {Object} values - Values by field name (may hold concrete row field names)
+     * @param {Object} groupValues - Rows by group name, as returned by the model
+     * @param {Object} counts - Wanted row count by group name (omitted: keep every row)
+     * @returns {Object} - Rows by group name ([{ field: value }])
+     */
+    getRows(form, values, groupValues, counts) {
+        return Object.fromEntries((form.repeatingGroups || []).map(group => {
+            const fieldNames = group.fields.map(field => field.fieldName);
+            let rows = (groupValues || {})[group.name] ?? values[group.name];
+            if (Array.isArray(rows)) {
+                rows = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+            } else {
+                rows = [];
+                Object.entries(values).forEach(([name, value]) => {
+                    const parsed = this.parseName(name);
+                    if (!parsed || parsed.group !== group.name) return;
+                    rows[parsed.index] = { ...(rows[parsed.index] || {}), [parsed.field]: value };
+                });
+                rows = Array.from(rows, row => row || {});
+            }
+
+            rows = rows.map(row => Object.fromEntries(fieldNames
+                .filter(name => Object.prototype.hasOwnProperty.call(row, name))
+                .map(name => [name, row[name]])));
+            const count = counts ? counts[group.name] : undefined;
+            return [group.name, count === undefined ? rows : rows.slice(0, count)];
+        }));
+    }
+
+    /**
+     * Values by field name with the rows spelled out as concrete field names
+     * (replacing any concrete row names and group arrays already in values)
+     * @param {Object} form - Form with repeatingGroups
+     * @param {Object} values - Values by field name
+     * @param {Object} rows - Rows by group name
+     * @returns {Object} - Values
+     */
+    flatten(form, values, rows) {
+        const groups = form.repeatingGroups || [];
+        const belongsToGroup = name => {
+            const parsed = this.parseName(name);
+            return groups.some(group => group.name === name || (parsed && parsed.group === group.name));
+        };
+        const flat = Object.fromEntries(Object.entries(values).filter(([name]) => !belongsToGroup(name)));
+
+        groups.forEach(group => {
+            (rows[group.name] || []).forEach((row, index) => {
+                Object.entries(row).forEach(([field, value]) => {
+                    flat[this.toFieldName(group, index, field)] = value;
+                });
+            });
+        });
+        return flat;
+    }
+
+    /**
+     * Field descriptors for the row fields of the values that the form's own fields
+     * do not cover (rows added after extraction), for filling and checking them
+     * @param {Object} form - Form with fields and repeatingGroups
+     * @param {Object} values - Values by field name
+     * @returns {Array} - Field descriptors
+     */
+    getRowFields(form, values) {
+        const known = new Set((form.fields || []).map(field => field.fieldName));
+        return Object.keys(values)
+            .filter(name => !known.has(name))
+            .map(name => {
+                const parsed = this.parseName(name);
+                const group = parsed && (form.repeatingGroups || []).find(item => item.name === parsed.group
+                    && this.toFieldName(item, parsed.index, parsed.field) === name);
+                const template = group && group.fields.find(field => field.fieldName === parsed.field);
+                if (!template) return null;
+                return {
+                    ...template,
+                    fieldName: name,
+                    selector: `[name="${name}"]`,
+                    selectorPath: null,
+                    defaultValue: null
+                };
+            })
+            .filter(Boolean);
+    }
+}
+
+module.exports = new RepeatingGroupService();
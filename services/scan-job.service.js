@@ -0,0 +1,355 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ConcurrencyLimiter = require('./concurrency-limiter');
+const geminiService = require('./gemini.service');
+const batchScan = require('./batch-scan.service');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Asynchronous scan jobs.
+ *
+ * A job is a complete analysis (analyze-url for a URL, analyze-complete for
+ * raw HTML) or a batch of URL scans (BatchScanService) run by a bounded worker pool (SCAN_JOB_CONCURRENCY) instead of
+ * inside the HTTP request. Every job is persisted as `<dir>/<id>.json` (raw
+ * HTML input as `<id>.html` until the job finishes), so queued and completed
+ * jobs survive a restart; jobs that were running when the server stopped are
+ * queued again. Only the newest SCAN_JOB_MAX_FINISHED finished jobs are kept.
+ *
+ * Status: queued → running → completed | failed, or cancelled at any point
+ * before it finishes. Cancelling a running job stops it at the next stage
+ * boundary (after the fetch, extraction or a form's value generation); model
+ * calls already in flight are allowed to finish and their results discarded.
+ */
+class ScanJobService {
+    constructor() {
+        this.dir = process.env.SCAN_JOBS_DIR
+            ? path.resolve(process.env.SCAN_JOBS_DIR)
+            : path.join(__dirname, '../.data/jobs');
+        this.maxFinished = parseInt(process.env.SCAN_JOB_MAX_FINISHED || '200', 10);
+        this.workers = new ConcurrencyLimiter(parseInt(process.env.SCAN_JOB_CONCURRENCY || '2', 10));
+        this.jobs = new Map();
+        this.writes = new Map();
+        this.dirReady = null;
+        this.ready = this.restore().catch(error => {
+            console.error(`❌ [Jobs] Could not restore jobs: ${error.message}`);
+        });
+    }
+
+    /**
+     * Load persisted jobs and re-queue the ones that had not finished.
+     * Never rejects: a missing or unreadable jobs directory leaves the queue empty.
+     */
+    async restore() {
+        let files;
+        try {
+            files = (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ [Jobs] Could not read jobs directory ${this.dir}: ${error.message}`);
+            }
+            return;
+        }
+        const jobs = [];
+
+        for (const file of files) {
+            try {
+                const job = JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf-8'));
+                if (!job || typeof job.id !== 'string' || typeof job.createdAt !== 'string') {
+                    throw new Error('not a job');
+                }
+                jobs.push(job);
+            } catch (error) {
+                console.warn(`⚠️  [Jobs] Skipping unreadable job file ${file}: ${error.message}`);
+            }
+        }
+
+        let requeued = 0;
+        jobs.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach(job => {
+            this.jobs.set(job.id, job);
+            if (job.status === 'running') {
+                // Interrupted by a restart: run it again from the start
+                job.status = 'queued';
+                job.startedAt = null;
+                job.progress = { stage: 'queued' };
+                job.restarts = (job.restarts || 0) + 1;
+                this.persist(job);
+            }
+            if (job.status === 'queued') {
+                this.schedule(job);
+                requeued++;
+            }
+        });
+
+        if (jobs.length) {
+            console.log(`🗂️  [Jobs] Restored ${jobs.length} jobs (${requeued} queued)`);
+        }
+    }
+
+    /**
+     * Queue a scan
+     * @param {Object} request - { url }, { htmlContent } or { batch: { items, concurrency, includeResults } },
+     *   plus scanOptions and fetchOptions
+     * @returns {Promise<Object>} - Job description
+     */
+    async create({ url, htmlContent, batch, scanOptions = {}, fetchOptions = {} }) {
+        await this.ready;
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            input: this.describeInput({ url, htmlContent, batch }),
+            scanOptions,
+            fetchOptions: htmlContent ? null : fetchOptions,
+            batch: batch || null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            progress: { stage: 'queued' },
+            restarts: 0,
+            result: null,
+            error: null
+        };
+
+        if (htmlContent) {
+            await this.ensureDir();
+            await fs.promises.writeFile(this.htmlFile(job.id), htmlContent);
+        }
+        this.jobs.set(job.id, job);
+        await this.persist(job);
+        this.schedule(job);
+
+        console.log(`📥 [Jobs] Queued ${job.id} (${url || (batch ? `batch of ${batch.items.length} URLs` : `${htmlContent.length} chars of HTML`)})`);
+        return this.describe(job);
+    }
+
+    describeInput({ url, htmlContent, batch }) {
+        if (batch) {
+            return {
+                type: 'batch',
+                itemCount: batch.items.length,
+                invalidItems: batch.items.filter(item => item.error).length,
+                concurrency: batch.concurrency
+            };
+        }
+        return url ? { type: 'url', url } : { type: 'html', htmlLength: htmlContent.length };
+    }
+
+    /**
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} - Job description including its result, or null if unknown
+     */
+    async get(id) {
+        await this.ready;
+        const job = this.jobs.get(id);
+        return job ? this.describe(job, true) : null;
+    }
+
+    /**
+     * All jobs, newest first, without results
+     */
+    async list() {
+        await this.ready;
+        return [...this.jobs.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.describe(job));
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} - { job, cancelled } (cancelled is false if the job had already finished), or null if unknown
+     */
+    async cancel(id) {
+        await this.ready;
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (FINISHED_STATUSES.includes(job.status)) {
+            return { job: this.describe(job), cancelled: false };
+        }
+
+        console.log(`🛑 [Jobs] Cancelling ${job.id} (${job.status})`);
+        job.status = 'cancelled';
+        job.finishedAt = new Date().toISOString();
+        await this.persist(job);
+        await this.removeHtml(job);
+        return { job: this.describe(job), cancelled: true };
+    }
+
+    schedule(job) {
+        this.workers.run(() => this.execute(job))
+            .catch(error => console.error(`Error running job ${job.id}:`, error));
+    }
+
+    async execute(job) {
+        if (job.status !== 'queued') return; // cancelled while waiting for a worker
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.progress = { stage: { url: 'fetching', html: 'extracting', batch: 'scanning' }[job.input.type] };
+        await this.persist(job);
+        console.log(`🏃 [Jobs] Running ${job.id}`);
+
+        const checkCancelled = () => {
+            if (job.status === 'cancelled') {
+                const error = new Error('Job cancelled');
+                error.cancelled = true;
+                throw error;
+            }
+        };
+        const onProgress = (event, data) => {
+            checkCancelled();
+            if (event === 'fetch') {
+                job.progress = { stage: 'extracting' };
+            } else if (event === 'extraction') {
+                job.progress = { stage: 'generating-values', formsTotal: data.forms.length, formsDone: 0 };
+            } else if (event === 'form') {
+                job.progress.formsDone++;
+            }
+            this.persist(job);
+        };
+
+        try {
+            const result = await this.runScan(job, onProgress, checkCancelled);
+            checkCancelled();
+            job.status = 'completed';
+            job.result = result;
+            job.progress = { ...job.progress, stage: 'done' };
+            console.log(`✅ [Jobs] Completed ${job.id}`);
+        } catch (error) {
+            if (job.status !== 'cancelled') {
+                console.error(`❌ [Jobs] Job ${job.id} failed:`, error.message);
+                job.status = 'failed';
+                job.error = error.message;
+            }
+        }
+
+        if (job.status !== 'cancelled') {
+            job.finishedAt = new Date().toISOString();
+            await this.persist(job);
+        }
+        await this.removeHtml(job);
+        await this.prune();
+    }
+
+    /**
+     * Fetch (for URL jobs) and analyze; same result shape as analyze-url / analyze-complete,
+     * or the aggregated report for batch jobs
+     */
+    async runScan(job, onProgress, checkCancelled) {
+        if (job.input.type === 'batch') {
+            job.progress = { stage: 'scanning', itemsTotal: job.batch.items.length, itemsDone: 0, itemsFailed: 0 };
+            return batchScan.run(job.batch.items, {
+                scanOptions: job.scanOptions,
+                fetchOptions: job.fetchOptions,
+                concurrency: job.batch.concurrency,
+                includeResults: job.batch.includeResults,
+                checkCancelled,
+                onItem: (item) => {
+                    job.progress.itemsDone++;
+                    if (item.status !== 'completed') job.progress.itemsFailed++;
+                    this.persist(job);
+                }
+            });
+        }
+
+        if (job.input.type === 'html') {
+            const htmlContent = await fs.promises.readFile(this.htmlFile(job.id), 'utf-8');
+            return geminiService.analyzeFormsComplete(htmlContent, { ...job.scanOptions, onProgress });
+        }
+
+        return geminiService.analyzeUrl(job.input.url, {
+            ...job.scanOptions,
+            fetchOptions: job.fetchOptions,
+            onProgress
+        });
+    }
+
+    /**
+     * Public view of a job (raw HTML input is never returned)
+     */
+    describe(job, includeResult = false) {
+        const description = {
+            id: job.id,
+            status: job.status,
+            input: job.input,
+            options: { ...job.scanOptions, ...(job.fetchOptions || {}) },
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            progress: job.progress,
+            restarts: job.restarts,
+            error: job.error
+        };
+        if (includeResult) {
+            description.result = job.result;
+        }
+        return description;
+    }
+
+    /**
+     * Write a job to disk. Writes for the same job are serialised and go
+     * through a temp file, so a crash never leaves a half-written job.
+     * Storage errors are logged, not thrown: they must not fail the scan.
+     */
+    persist(job) {
+        const previous = this.writes.get(job.id) || Promise.resolve();
+        const write = previous.then(async () => {
+            const file = this.file(job.id);
+            await this.ensureDir();
+            await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(job));
+            await fs.promises.rename(`${file}.tmp`, file);
+        }).catch(error => {
+            console.warn(`⚠️  [Jobs] Could not persist job ${job.id}: ${error.message}`);
+        });
+        this.writes.set(job.id, write);
+        return write;
+    }
+
+    /**
+     * Create the jobs directory on the first write (a failed attempt is retried on the next one)
+     */
+    ensureDir() {
+        if (!this.dirReady) {
+            this.dirReady = fs.promises.mkdir(this.dir, { recursive: true }).catch(error => {
+                this.dirReady = null;
+                throw error;
+            });
+        }
+        return this.dirReady;
+    }
+
+    /**
+     * Remove the oldest finished jobs beyond SCAN_JOB_MAX_FINISHED
+     */
+    async prune() {
+        const finished = [...this.jobs.values()]
+            .filter(job => FINISHED_STATUSES.includes(job.status))
+            .sort((a, b) => (a.finishedAt || '').localeCompare(b.finishedAt || ''));
+
+        for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinished))) {
+            this.jobs.delete(job.id);
+            await this.writes.get(job.id);
+            this.writes.delete(job.id);
+            await fs.promises.rm(this.file(job.id), { force: true });
+        }
+    }
+
+    async removeHtml(job) {
+        if (job.input.type === 'html') {
+            await fs.promises.rm(this.htmlFile(job.id), { force: true });
+        }
+    }
+
+    file(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    htmlFile(id) {
+        return path.join(this.dir, `${id}.html`);
+    }
+}
+
+module.exports = new ScanJobService();
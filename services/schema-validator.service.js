@@ -0,0 +1,236 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMAS_DIR = path.join(__dirname, '../schemas');
+
+/**
+ * Small JSON Schema (draft-07 subset) validator with coercion.
+ *
+ * Supports: type (incl. arrays of types), properties, required, items, enum,
+ * minimum/maximum, additionalProperties: false, default and local $ref
+ * ("#/definitions/..."). Two custom keywords are understood:
+ *   - x-aliases: maps near-miss enum values to the canonical one
+ *   - "{index}" inside a string default is replaced by the 1-based array position
+ *
+ * Instead of rejecting model output outright, values are coerced to the
+ * expected type where that is unambiguous, missing properties get their
+ * defaults and array items that cannot be repaired are dropped. Coercions,
+ * defaulted required properties and drops are recorded so callers can report them.
+ */
+class SchemaValidatorService {
+    constructor() {
+        this.schemas = {};
+    }
+
+    /**
+     * Load a schema from the schemas/ directory
+     * @param {string} name - Schema name without extension (e.g. "form-extraction")
+     * @returns {Object} - Parsed JSON Schema
+     */
+    getSchema(name) {
+        if (!this.schemas[name]) {
+            const file = path.join(SCHEMAS_DIR, `${name}.schema.json`);
+            this.schemas[name] = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        }
+        return this.schemas[name];
+    }
+
+    /**
+     * Validate (and coerce) data against a schema
+     * @param {*} data - Parsed model output
+     * @param {Object} schema - JSON Schema
+     * @returns {Object} - { valid, data, errors, coerced, dropped }
+     */
+    validate(data, schema) {
+        const ctx = { root: schema, coerced: [], dropped: [] };
+        const result = this.validateNode(JSON.parse(JSON.stringify(data)), schema, '', ctx, null);
+
+        return {
+            valid: result.ok,
+            data: result.ok ? result.value : data,
+            errors: result.ok ? [] : [{ path: result.path, message: result.error }],
+            coerced: ctx.coerced,
+            dropped: ctx.dropped
+        };
+    }
+
+    validateNode(value, schema, currentPath, ctx, index) {
+        schema = this.resolveRef(schema, ctx.root);
+        const types = schema.type ? [].concat(schema.type) : null;
+
+        if (types && !types.some(type => this.matchesType(value, type))) {
+            const coerced = this.coerceType(value, types);
+            if (coerced.ok) {
+                ctx.coerced.push({ path: currentPath, from: value, to: coerced.value });
+                value = coerced.value;
+            } else {
+                return this.fail(currentPath, `expected ${types.join('|')}, got ${this.typeOf(value)}`);
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            const aliases = schema['x-aliases'] || {};
+            const alias = typeof value === 'string' ? aliases[value.trim().toLowerCase()] : undefined;
+            if (alias !== undefined) {
+                ctx.coerced.push({ path: currentPath, from: value, to: alias });
+                value = alias;
+            } else if ('default' in schema) {
+                const fallback = this.defaultValue(schema, index);
+                ctx.coerced.push({ path: currentPath, from: value, to: fallback });
+                value = fallback;
+            } else {
+                return this.fail(currentPath, `must be one of ${schema.enum.join(', ')}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                return this.fail(currentPath, `must be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                return this.fail(currentPath, `must be <= ${schema.maximum}`);
+            }
+        }
+
+        if (this.typeOf(value) === 'object') {
+            const result = this.validateObject(value, schema, currentPath, ctx, index);
+            if (!result.ok) return result;
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            const items = [];
+            value.forEach((item, i) => {
+                const itemPath = `${currentPath}[${i}]`;
+                const result = this.validateNode(item, schema.items, itemPath, ctx, i);
+                if (result.ok) {
+                    items.push(result.value);
+                } else {
+                    ctx.dropped.push({ path: itemPath, reason: `${result.path}: ${result.error}` });
+                }
+            });
+            value = items;
+        }
+
+        return { ok: true, value };
+    }
+
+    validateObject(value, schema, currentPath, ctx, index) {
+        const properties = schema.properties || {};
+        const required = schema.required || [];
+        const join = key => (currentPath ? `${currentPath}.${key}` : key);
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            const resolved = this.resolveRef(propertySchema, ctx.root);
+
+            if (value[key] === undefined) {
+                if ('default' in resolved) {
+                    value[key] = this.defaultValue(resolved, index);
+                    // Filling optional properties is routine; only report required ones
+                    if (required.includes(key)) {
+                        ctx.coerced.push({ path: join(key), from: undefined, to: value[key] });
+                    }
+                } else if (required.includes(key)) {
+                    return this.fail(join(key), 'is required');
+                }
+                continue;
+            }
+
+            const result = this.validateNode(value[key], resolved, join(key), ctx, index);
+            if (result.ok) {
+                value[key] = result.value;
+            } else if (required.includes(key) && !('default' in resolved)) {
+                return result;
+            } else if ('default' in resolved) {
+                ctx.coerced.push({ path: join(key), from: value[key], to: this.defaultValue(resolved, index) });
+                value[key] = this.defaultValue(resolved, index);
+            } else {
+                ctx.dropped.push({ path: join(key), reason: result.error });
+                delete value[key];
+            }
+        }
+
+        for (const key of required) {
+            if (value[key] === undefined) {
+                return this.fail(join(key), 'is required');
+            }
+        }
+
+        if (schema.additionalProperties === false) {
+            Object.keys(value)
+                .filter(key => !(key in properties))
+                .forEach(key => {
+                    ctx.dropped.push({ path: join(key), reason: 'not allowed by schema' });
+                    delete value[key];
+                });
+        }
+
+        return { ok: true, value };
+    }
+
+    /**
+     * Coerce a value to the first of the allowed types that accepts it unambiguously
+     */
+    coerceType(value, types) {
+        for (const type of types) {
+            if (type === 'null' && (value === '' || value === undefined || /^(null|none|n\/a)$/i.test(String(value).trim()))) {
+                return { ok: true, value: null };
+            }
+            if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+                const number = Number(value);
+                return { ok: true, value: type === 'integer' ? Math.round(number) : number };
+            }
+            if (type === 'integer' && typeof value === 'number' && isFinite(value)) {
+                return { ok: true, value: Math.round(value) };
+            }
+            if (type === 'boolean') {
+                const normalised = String(value).trim().toLowerCase();
+                if (['true', 'yes', '1', 'on', 'required', 'checked'].includes(normalised)) return { ok: true, value: true };
+                if (['false', 'no', '0', 'off', 'optional', 'unchecked', ''].includes(normalised)) return { ok: true, value: false };
+            }
+            if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+                return { ok: true, value: String(value) };
+            }
+            if (type === 'array' && value !== null && value !== undefined) {
+                return { ok: true, value: [value] };
+            }
+        }
+        return { ok: false };
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return this.typeOf(value) === 'object';
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            default: return typeof value === type;
+        }
+    }
+
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    resolveRef(schema, root) {
+        if (!schema || !schema.$ref) return schema || {};
+        const [, ...segments] = schema.$ref.split('/');
+        return segments.reduce((node, segment) => node[segment], root);
+    }
+
+    defaultValue(schema, index) {
+        const value = JSON.parse(JSON.stringify(schema.default));
+        if (typeof value === 'string' && index !== null && index !== undefined) {
+            return value.replace('{index}', String(index + 1));
+        }
+        return value;
+    }
+
+    fail(currentPath, error) {
+        return { ok: false, path: currentPath, error };
+    }
+}
+
+module.exports = new SchemaValidatorService();
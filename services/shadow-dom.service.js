@@ -0,0 +1,119 @@
+const cheerio = require('cheerio');
+const frameProvenance = require('./frame-provenance.service');
+
+const SHADOW_ROOT_TAG = 'shadow-root';
+const SELECTOR_PATH_SEPARATOR = ' >>> ';
+const DECLARATIVE_SHADOW_ROOT_SELECTOR = 'template[shadowrootmode], template[shadowroot]';
+
+/**
+ * Shadow DOM boundary markers and shadow-piercing selector paths.
+ *
+ * Shadow roots are represented in the HTML as a <shadow-root mode="open">
+ * element placed first inside its host (the browser renderer writes them this
+ * way; declarative <template shadowrootmode> is converted to the same form).
+ * An element inside a shadow root is addressed by a selector path: the chain
+ * of host selectors from the document down, each scoped to its own tree, plus
+ * the selector inside the innermost root. As a string the parts are joined
+ * with " >>> " (the deep combinator puppeteer understands).
+ */
+class ShadowDomService {
+    constructor() {
+        this.markerTag = SHADOW_ROOT_TAG;
+        this.separator = SELECTOR_PATH_SEPARATOR;
+    }
+
+    /**
+     * Convert declarative shadow roots into <shadow-root> markers
+     * @param {string} htmlContent - HTML content
+     * @returns {Object} - { html, shadowRoots } where shadowRoots counts all markers
+     */
+    markShadowRoots(htmlContent) {
+        if (!/shadowroot|<shadow-root/i.test(htmlContent)) {
+            return { html: htmlContent, shadowRoots: 0 };
+        }
+
+        const $ = cheerio.load(htmlContent);
+        let converted = 0;
+
+        // Nested declarative roots are re-parsed from the template content, so repeat until none are left
+        let $templates = $(DECLARATIVE_SHADOW_ROOT_SELECTOR);
+        while ($templates.length) {
+            $templates.each((i, el) => {
+                const $template = $(el);
+                const mode = ($template.attr('shadowrootmode') || $template.attr('shadowroot') || 'open').toLowerCase();
+                $template.replaceWith(`<${SHADOW_ROOT_TAG} mode="${mode}">${$template.html() || ''}</${SHADOW_ROOT_TAG}>`);
+                converted++;
+            });
+            $templates = $(DECLARATIVE_SHADOW_ROOT_SELECTOR);
+        }
+
+        const shadowRoots = $(SHADOW_ROOT_TAG).length;
+        return { html: converted ? $.html() : htmlContent, shadowRoots };
+    }
+
+    /**
+     * The shadow root or frame document (marker element) an element belongs to, or null for the top document
+     */
+    getScope($, el) {
+        const $root = $(el).parent().closest(`${SHADOW_ROOT_TAG}, ${frameProvenance.markerTag}`);
+        return $root.length ? $root.get(0) : null;
+    }
+
+    /**
+     * Host elements of all shadow roots containing an element, outermost first
+     */
+    getHosts($, el) {
+        return $(el).parents(SHADOW_ROOT_TAG).toArray().reverse().map(root => root.parent);
+    }
+
+    /**
+     * Keep only the matches that live in the given tree scope (not in nested shadow roots or frame documents)
+     */
+    filterScope($, $matches, scope) {
+        return $matches.filter((i, el) => this.getScope($, el) === scope);
+    }
+
+    /**
+     * Join a selector path into its string form
+     * @param {Object} selectorPath - { hosts: string[], selector }
+     */
+    toSelector(selectorPath) {
+        return [...selectorPath.hosts, selectorPath.selector].join(SELECTOR_PATH_SEPARATOR);
+    }
+
+    /**
+     * Split a " >>> " selector string into a selector path
+     * @returns {Object|null} - { hosts, selector }, or null for a plain CSS selector
+     */
+    parseSelector(selector) {
+        if (typeof selector !== 'string' || !selector.includes('>>>')) return null;
+        const parts = selector.split('>>>').map(part => part.trim()).filter(Boolean);
+        if (parts.length < 2) return null;
+        return { hosts: parts.slice(0, -1), selector: parts[parts.length - 1] };
+    }
+
+    /**
+     * Make `selector` strings and `selectorPath` objects agree on extracted forms.
+     * Fills whichever side the model left out; light-DOM elements get a null path.
+     * @param {Array} forms - Extracted forms (modified in place)
+     */
+    normaliseSelectors(forms) {
+        const normalise = (item, selectorKey, pathKey) => {
+            const path = item[pathKey];
+            if (path && path.hosts.length) {
+                item[selectorKey] = this.toSelector(path);
+            } else {
+                item[pathKey] = this.parseSelector(item[selectorKey]);
+            }
+        };
+
+        forms.forEach(form => {
+            normalise(form, 'selector', 'selectorPath');
+            normalise(form, 'submitSelector', 'submitSelectorPath');
+            form.fields.forEach(field => normalise(field, 'selector', 'selectorPath'));
+        });
+        return forms;
+    }
+}
+
+module.exports = new ShadowDomService();
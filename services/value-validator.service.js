@@ -0,0 +1,318 @@
+const inputMask = require('./input-mask.service');
+const fieldDependency = require('./field-dependency.service');
+
+// HTML5 email syntax (WHATWG "valid e-mail address")
+const EMAIL_PATTERN = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const WEEK_PATTERN = /^\d{4}-W(0[1-9]|[1-4]\d|5[0-3])$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const TEL_PATTERN = /^\+?[\d\s().\-/]+$/;
+const TEL_DIGITS = { min: 7, max: 15 };
+// Types whose min/max are compared as ISO strings rather than numbers
+const DATE_LIKE_TYPES = ['date', 'time', 'datetime-local', 'month', 'week'];
+const NUMERIC_TYPES = ['number', 'range'];
+const CHOICE_TYPES = ['select', 'radio', 'checkbox'];
+const SKIPPED_FIELD_TYPES = ['file', 'hidden', 'submit', 'button', 'reset', 'image'];
+const CHECKED_VALUES = ['true', 'checked', 'on', 'yes'];
+// Local replacements for values of the given type
+const SAMPLE_VALUES = {
+    email: 'test.user@example.com',
+    url: 'https://example.com',
+    tel: '+1 555 010 1234',
+    time: '09:30',
+    color: '#3366cc',
+    text: 'Test value'
+};
+
+/**
+ * Deterministic checks of generated values against the extracted field spec:
+ * required (including fields a `require` dependency makes required), HTML5
+ * type semantics (email, url, number, date, time, datetime-local, month, week,
+ * tel, color), min/max, minLength/maxLength, pattern, input mask and display
+ * format (InputMaskService), and membership in `options` for selects, radios
+ * and checkbox groups.
+ *
+ * repair() replaces failing values locally where the spec says enough
+ * (an option, a clamped number, a truncated text, a sample email); the rest is
+ * left for the model.
+ */
+class ValueValidatorService {
+    /**
+     * Check the values of every field of a form
+     * @param {Object} form - Form with fields (row fields of repeating groups included) and dependencies
+     * @param {Object} values - Values by field name
+     * @param {Array} inactiveFields - Fields the dependencies leave inactive (not checked)
+     * @returns {Object} - { allValid, passed, failed: [fieldName], fields: [{ fieldName, valid, errors }] }
+     */
+    validate(form, values, inactiveFields = []) {
+        const requiredByRules = new Set((form.dependencies || [])
+            .filter(rule => rule.effect === 'require' && fieldDependency.isSatisfied(rule, values))
+            .map(rule => rule.field));
+
+        const fields = (form.fields || [])
+            .filter(field => !inactiveFields.includes(field.fieldName))
+            .map(field => {
+                const errors = this.checkField(field, values[field.fieldName], field.required || requiredByRules.has(field.fieldName));
+                return { fieldName: field.fieldName, valid: errors.length === 0, errors };
+            });
+        const failed = fields.filter(field => !field.valid).map(field => field.fieldName);
+
+        return {
+            allValid: failed.length === 0,
+            passed: fields.length - failed.length,
+            failed,
+            fields
+        };
+    }
+
+    /**
+     * @param {Object} field - Field descriptor
+     * @param {*} value - Generated value
+     * @param {boolean} required - Whether the field must have a value
+     * @returns {Array} - Error messages (empty when the value passes)
+     */
+    checkField(field, value, required) {
+        const type = this.getType(field);
+        if (SKIPPED_FIELD_TYPES.includes(type) && type !== 'file') return [];
+
+        if (this.isEmpty(value, type)) {
+            if (!required) return [];
+            return [type === 'checkbox' && !(field.options || []).length ? 'must be checked' : 'is required'];
+        }
+        if (type === 'file') return [];
+
+        const errors = [];
+        const items = Array.isArray(value) ? value : [value];
+        const options = (field.options || []).map(option => String(option).trim());
+
+        if (CHOICE_TYPES.includes(type) && options.length) {
+            // A single checkbox with a value attribute may be given as checked (true / "on")
+            const checked = item => type === 'checkbox' && options.length === 1 && CHECKED_VALUES.includes(String(item).trim().toLowerCase());
+            const unknown = items.filter(item => !options.includes(String(item).trim()) && !checked(item));
+            if (unknown.length) {
+                errors.push(`must be one of: ${options.join(', ')}`);
+            }
+            return errors;
+        }
+        if (type === 'checkbox') return errors;
+
+        items.forEach(item => {
+            const text = String(item).trim();
+            const typeError = this.checkType(type, text);
+            if (typeError) {
+                errors.push(typeError);
+                return;
+            }
+            errors.push(...this.checkRange(field, type, text));
+        });
+
+        errors.push(...inputMask.check(field, value).errors);
+        return [...new Set(errors)];
+    }
+
+    /**
+     * HTML5 type semantics of a non-empty value
+     * @returns {string|null} - Error message, or null when the value fits the type
+     */
+    checkType(type, text) {
+        switch (type) {
+        case 'email':
+            return EMAIL_PATTERN.test(text) ? null : 'must be a valid email address';
+        case 'url':
+            return this.isUrl(text) ? null : 'must be a valid URL (with scheme, e.g. https://)';
+        case 'number':
+        case 'range':
+            return text !== '' && isFinite(Number(text)) ? null : 'must be a number';
+        case 'date':
+            return this.isDate(text) ? null : 'must be a valid date (YYYY-MM-DD)';
+        case 'time':
+            return TIME_PATTERN.test(text) ? null : 'must be a valid time (HH:MM)';
+        case 'datetime-local': {
+            const [date, time] = text.split('T');
+            return this.isDate(date) && TIME_PATTERN.test(time || '') ? null : 'must be a valid date and time (YYYY-MM-DDTHH:MM)';
+        }
+        case 'month':
+            return MONTH_PATTERN.test(text) ? null : 'must be a valid month (YYYY-MM)';
+        case 'week':
+            return WEEK_PATTERN.test(text) ? null : 'must be a valid week (YYYY-Www)';
+        case 'tel': {
+            const digits = text.replace(/\D/g, '').length;
+            return TEL_PATTERN.test(text) && digits >= TEL_DIGITS.min && digits <= TEL_DIGITS.max ? null : 'must be a valid phone number';
+        }
+        case 'color':
+            return COLOR_PATTERN.test(text) ? null : 'must be a color (#rrggbb)';
+        default:
+            return null;
+        }
+    }
+
+    /**
+     * min/max (numbers, or ISO dates and times) and minLength/maxLength (text)
+     */
+    checkRange(field, type, text) {
+        const validation = field.validation || {};
+        const errors = [];
+        const hasBound = bound => bound !== undefined && bound !== null && bound !== '';
+
+        if (NUMERIC_TYPES.includes(type)) {
+            const number = Number(text);
+            if (hasBound(validation.min) && isFinite(Number(validation.min)) && number < Number(validation.min)) {
+                errors.push(`must be at least ${validation.min}`);
+            }
+            if (hasBound(validation.max) && isFinite(Number(validation.max)) && number > Number(validation.max)) {
+                errors.push(`must be at most ${validation.max}`);
+            }
+        } else if (DATE_LIKE_TYPES.includes(type)) {
+            if (hasBound(validation.min) && text < String(validation.min)) errors.push(`must be ${validation.min} or later`);
+            if (hasBound(validation.max) && text > String(validation.max)) errors.push(`must be ${validation.max} or earlier`);
+        } else {
+            if (Number.isInteger(validation.minLength) && text.length < validation.minLength) {
+                errors.push(`must be at least ${validation.minLength} characters`);
+            }
+            if (Number.isInteger(validation.maxLength) && text.length > validation.maxLength) {
+                errors.push(`must be at most ${validation.maxLength} characters`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Replace failing values with local ones where the field spec allows; a
+     * replacement is kept only if it passes
+     * @param {Object} form - Form with fields and dependencies
+     * @param {Object} values - Values by field name
+     * @param {Object} report - validate() result for the values
+     * @returns {Object} - { values, repaired: [fieldName] }
+     */
+    repair(form, values, report) {
+        const repairedValues = { ...values };
+        const repaired = [];
+
+        report.failed.forEach(name => {
+            const field = (form.fields || []).find(item => item.fieldName === name);
+            const candidate = this.getReplacement(field, values[name]);
+            if (candidate === undefined) return;
+            const errors = this.checkField(field, candidate, true);
+            if (errors.length === 0) {
+                repairedValues[name] = candidate;
+                repaired.push(name);
+            }
+        });
+        return { values: repairedValues, repaired };
+    }
+
+    /**
+     * Local value for a failing field: the closest option, the value clamped into
+     * its range or length, else a sample value of the field's type
+     * @returns {*} - Replacement, or undefined when none can be made up
+     */
+    getReplacement(field, value) {
+        const type = this.getType(field);
+        const validation = field.validation || {};
+        const options = (field.options || []).filter(option => String(option).trim() !== '');
+
+        if (CHOICE_TYPES.includes(type) && options.length) {
+            const match = option => options.find(candidate => String(candidate).trim().toLowerCase() === String(option ?? '').trim().toLowerCase());
+            if (Array.isArray(value)) {
+                const matched = value.map(match).filter(Boolean);
+                return matched.length ? matched : [options[0]];
+            }
+            return match(value) || options[0];
+        }
+        if (type === 'checkbox') return true;
+
+        if (validation.mask) {
+            return this.fillMask(validation.mask);
+        }
+        if (NUMERIC_TYPES.includes(type)) {
+            const min = validation.min !== undefined && validation.min !== null && isFinite(Number(validation.min)) ? Number(validation.min) : null;
+            const max = validation.max !== undefined && validation.max !== null && isFinite(Number(validation.max)) ? Number(validation.max) : null;
+            let number = isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : (min ?? 1);
+            if (min !== null) number = Math.max(number, min);
+            if (max !== null) number = Math.min(number, max);
+            return number;
+        }
+        if (DATE_LIKE_TYPES.includes(type)) {
+            return this.getDateSample(type, validation);
+        }
+        if (validation.pattern) return undefined;
+
+        let text = value !== null && value !== undefined && value !== '' && !this.checkType(type, String(value))
+            ? String(value)
+            : SAMPLE_VALUES[type] || SAMPLE_VALUES.text;
+        if (Number.isInteger(validation.maxLength) && text.length > validation.maxLength) {
+            text = text.slice(0, validation.maxLength);
+        }
+        if (Number.isInteger(validation.minLength) && text.length < validation.minLength) {
+            text = text.padEnd(validation.minLength, 'x');
+        }
+        return text;
+    }
+
+    /**
+     * Date/time value inside the field's min/max: today (09:30), or min when today is out of range
+     */
+    getDateSample(type, validation) {
+        const now = new Date();
+        const pad = number => String(number).padStart(2, '0');
+        const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        const samples = {
+            date,
+            time: SAMPLE_VALUES.time,
+            'datetime-local': `${date}T${SAMPLE_VALUES.time}`,
+            month: date.slice(0, 7),
+            week: `${now.getFullYear()}-W10`
+        };
+        const sample = samples[type];
+        if (validation.min && sample < String(validation.min)) return String(validation.min);
+        if (validation.max && sample > String(validation.max)) return String(validation.max);
+        return sample;
+    }
+
+    /**
+     * A value typed through a mask: digits and letters in its slots, its literals kept
+     */
+    fillMask(mask) {
+        let digit = 0;
+        return [...mask].map(char => {
+            if (char === '9') return String((5 + digit++) % 10);
+            if (char === 'a' || char === 'A') return 'A';
+            if (char === '*') return 'X';
+            return char;
+        }).join('');
+    }
+
+    getType(field) {
+        const fieldType = String(field.fieldType || 'text').toLowerCase();
+        const validationType = field.validation && field.validation.type ? String(field.validation.type).toLowerCase() : null;
+        return ['select', 'radio', 'checkbox', 'textarea', 'contenteditable'].includes(fieldType) ? fieldType : (validationType || fieldType);
+    }
+
+    isEmpty(value, type) {
+        if (value === null || value === undefined) return true;
+        if (Array.isArray(value)) return value.length === 0;
+        if (type === 'checkbox' && (value === false || ['false', 'unchecked', 'off', 'no', ''].includes(String(value).trim().toLowerCase()))) {
+            return true;
+        }
+        return String(value).trim() === '';
+    }
+
+    isUrl(text) {
+        try {
+            const url = new URL(text);
+            return Boolean(url.protocol && (url.host || url.protocol === 'mailto:'));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    isDate(text) {
+        const match = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return false;
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCFullYear() === Number(match[1]) && date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+    }
+}
+
+module.exports = new ValueValidatorService();
@@ -0,0 +1,154 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const accuracyScorer = require('../services/accuracy-scorer.service');
+const groundTruth = require('../services/ground-truth.service');
+
+const wizard = groundTruth.get('multi-form-wizard');
+const simpleForm = groundTruth.get('simple-form');
+
+function contactForm(fields, extra = {}) {
+    return {
+        formId: 'contactForm',
+        selector: '#contactForm',
+        submitSelector: '#contactForm button[type="submit"]',
+        submitType: 'button-click',
+        fields,
+        ...extra
+    };
+}
+
+describe('AccuracyScorerService', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    describe('matching', () => {
+        it('matches fields by selector even when names differ', () => {
+            const report = accuracyScorer.score({
+                forms: [contactForm([
+                    { fieldName: 'Full name', fieldType: 'text', required: true, selector: 'input[name="name"]' },
+                    { fieldName: 'e-mail', fieldType: 'email', required: true, selector: 'form#contactForm #email' }
+                ])]
+            }, simpleForm);
+
+            assert.equal(report.summary.fields.matched, 2);
+            assert.deepEqual(report.missing.map(field => field.fieldName), ['phone', 'message']);
+            assert.deepEqual(report.extra, []);
+        });
+
+        it('matches fields by name when selectors do not resolve', () => {
+            const report = accuracyScorer.score({
+                forms: [contactForm([
+                    { fieldName: 'email', fieldType: 'email', required: true, selector: '.no-such-field' },
+                    { fieldName: 'comments', fieldType: 'textarea', required: true, selector: '#comments' }
+                ])]
+            }, simpleForm);
+
+            assert.equal(report.summary.fields.matched, 1);
+            assert.deepEqual(report.extra.map(field => field.fieldName), ['comments']);
+            assert.equal(report.summary.fields.precision, 0.5);
+            assert.equal(report.summary.fields.recall, 0.25);
+        });
+
+        it('pairs each wizard step with its own form', () => {
+            const report = accuracyScorer.score({
+                forms: [
+                    { formId: 'step-2', selector: '#wizardStep2', fields: [{ fieldName: 'firstName', fieldType: 'text', required: true, selector: '#ws2_first' }] },
+                    { formId: 'step-1', selector: '#wizardStep1', fields: [] }
+                ]
+            }, wizard);
+
+            assert.deepEqual(report.forms.map(form => form.extractedFormId), ['step-1', 'step-2', null]);
+            assert.equal(report.summary.forms.matched, 2);
+            assert.equal(accuracyScorer.resolve(wizard.fixture, '#wizardStep1', new Map()).length, 1);
+        });
+    });
+
+    describe('empty denominators', () => {
+        it('reports null, not a perfect score, when nothing is extracted or expected', () => {
+            assert.deepEqual(accuracyScorer.metrics(0, 0, 0), { expected: 0, extracted: 0, matched: 0, precision: null, recall: null, f1: null });
+            assert.deepEqual(accuracyScorer.metrics(0, 0, 3), { expected: 3, extracted: 0, matched: 0, precision: null, recall: 0, f1: 0 });
+            assert.deepEqual(accuracyScorer.metrics(0, 2, 0), { expected: 0, extracted: 2, matched: 0, precision: 0, recall: null, f1: 0 });
+            assert.equal(accuracyScorer.ratio(1, 0), null);
+        });
+
+        it('leaves type, required and submit accuracy null when nothing matched', () => {
+            const report = accuracyScorer.score({ forms: [] }, simpleForm);
+
+            assert.equal(report.summary.fields.precision, null);
+            assert.equal(report.summary.fields.recall, 0);
+            assert.equal(report.summary.fields.typeAccuracy, null);
+            assert.equal(report.summary.fields.requiredAccuracy, null);
+            assert.deepEqual(report.summary.submitSelectors, { checked: 0, matched: 0, accuracy: null });
+            assert.equal(report.missing.length, 4);
+            assert.ok(report.missing.every(field => field.formMissing));
+        });
+    });
+
+    describe('type, required and submit scoring', () => {
+        it('scores field types through aliases and lists mistyped fields', () => {
+            const report = accuracyScorer.score({
+                forms: [contactForm([
+                    { fieldName: 'name', fieldType: 'text', required: true, selector: '#name' },
+                    { fieldName: 'email', fieldType: 'text', required: true, selector: '#email' },
+                    { fieldName: 'phone', fieldType: 'TEL', required: false, selector: '#phone' },
+                    { fieldName: 'message', fieldType: 'textarea', required: true, selector: 'textarea[name="message"]' }
+                ])]
+            }, simpleForm);
+
+            assert.equal(report.summary.fields.typeAccuracy, 0.75);
+            assert.deepEqual(report.mistyped, [{
+                formId: 'contactForm',
+                fieldName: 'email',
+                extractedFieldName: 'email',
+                expected: 'email',
+                extracted: 'text'
+            }]);
+            assert.equal(accuracyScorer.normaliseType('select-one'), 'select');
+        });
+
+        it('scores required flags, treating a missing flag as not required', () => {
+            const report = accuracyScorer.score({
+                forms: [contactForm([
+                    { fieldName: 'name', fieldType: 'text', selector: '#name' },
+                    { fieldName: 'phone', fieldType: 'tel', required: true, selector: '#phone' }
+                ])]
+            }, simpleForm);
+
+            assert.equal(report.summary.fields.requiredAccuracy, 0);
+            assert.deepEqual(report.requiredMismatches.map(({ fieldName, expected, extracted }) => [fieldName, expected, extracted]), [
+                ['name', true, false],
+                ['phone', false, true]
+            ]);
+        });
+
+        it('accepts a submit selector that resolves to the expected button', () => {
+            const report = accuracyScorer.score({
+                forms: [contactForm([], { submitSelector: 'form#contactForm [type=submit]' })]
+            }, simpleForm);
+
+            assert.deepEqual(report.summary.submitSelectors, { checked: 1, matched: 1, accuracy: 1 });
+            assert.equal(report.forms[0].submitSelectorMatch, true);
+            assert.equal(report.forms[0].submitTypeMatch, true);
+        });
+
+        it('reports submit selectors and types that point elsewhere', () => {
+            const report = accuracyScorer.score({
+                forms: [contactForm([], { submitSelector: '#email', submitType: 'auto-submit' })]
+            }, simpleForm);
+
+            assert.deepEqual(report.summary.submitSelectors, { checked: 1, matched: 0, accuracy: 0 });
+            assert.deepEqual(report.submitMismatches, [{
+                formId: 'contactForm',
+                expected: '#contactForm button[type="submit"]',
+                extracted: '#email'
+            }]);
+            assert.equal(report.forms[0].submitTypeMatch, false);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const BaseProvider = require('../services/providers/base.provider');
+const RecordingStore = require('../services/providers/recording-store');
+
+/**
+ * Provider that fetches its reply from a local test server
+ */
+class LocalProvider extends BaseProvider {
+    constructor(url) {
+        super({ name: 'local', label: 'Local', model: 'local-model', recordable: false });
+        this.url = url;
+        this.retryConfig = { ...this.retryConfig, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 1 };
+    }
+
+    async request(prompt, { timeoutMs }) {
+        const response = await fetch(this.url, { method: 'POST', body: prompt, timeout: timeoutMs });
+        if (!response.ok) {
+            await this.throwResponseError(response);
+        }
+        const data = await response.json();
+        return { text: data.text, inputTokens: 1, outputTokens: 1 };
+    }
+}
+
+describe('BaseProvider retries', () => {
+    let server;
+    let baseUrl;
+    let requests = 0;
+    let behaviour = null;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => behaviour(res, ++requests));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const generate = async (respond, timeoutMs = 200) => {
+        requests = 0;
+        behaviour = respond;
+        return new LocalProvider(baseUrl).generate('prompt', { timeoutMs });
+    };
+    const ok = res => res.end(JSON.stringify({ text: 'done' }));
+
+    it('retries when the body stalls after the headers (body-timeout)', async () => {
+        const result = await generate((res, attempt) => {
+            if (attempt > 1) return ok(res);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.write('{"text": ');
+            setTimeout(() => res.destroy(), 400);
+        });
+        assert.equal(result.text, 'done');
+        assert.equal(result.retries, 1);
+    });
+
+    it('retries when the connection drops while the body streams', async () => {
+        const result = await generate((res, attempt) => {
+            if (attempt > 1) return ok(res);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.write('{"text": "par');
+            setTimeout(() => res.socket.destroy(), 20);
+        }, 5000);
+        assert.equal(result.text, 'done');
+        assert.equal(result.retries, 1);
+    });
+
+    it('retries 503 responses and gives up on 400', async () => {
+        const retried = await generate((res, attempt) => {
+            if (attempt > 1) return ok(res);
+            res.writeHead(503);
+            res.end('busy');
+        });
+        assert.equal(retried.retries, 1);
+
+        await assert.rejects(generate(res => {
+            res.writeHead(400);
+            res.end('{"error": "bad request"}');
+        }), error => error.status === 400 && error.retryable === false && requests === 1);
+    });
+});
+
+describe('BaseProvider.isRetryable', () => {
+    const provider = new LocalProvider('http://127.0.0.1:9');
+
+    it('classifies node-fetch errors', () => {
+        assert.equal(provider.isRetryable({ type: 'request-timeout' }), true);
+        assert.equal(provider.isRetryable({ type: 'body-timeout' }), true);
+        assert.equal(provider.isRetryable({ type: 'system', code: 'ECONNRESET' }), true);
+        assert.equal(provider.isRetryable({ code: 'ERR_STREAM_PREMATURE_CLOSE' }), true);
+        assert.equal(provider.isRetryable({ type: 'invalid-json' }), false);
+        assert.equal(provider.isRetryable(new Error('Invalid API response structure')), false);
+    });
+});
+
+describe('BaseProvider replay', () => {
+    let dir;
+    let provider;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+        provider = new LocalProvider('http://127.0.0.1:9');
+        provider.recordings = new RecordingStore(dir);
+        await provider.recordings.write('recorded prompt', {
+            kind: 'extraction',
+            provider: 'gemini',
+            model: 'gemini-1.5-pro',
+            response: { text: 'done', inputTokens: 1000, outputTokens: 1000 }
+        });
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('reports and prices the provider that made the recording', async () => {
+        const result = await provider.replay('recorded prompt', provider.model, Date.now());
+        assert.equal(result.text, 'done');
+        assert.equal(result.provider, 'gemini');
+        assert.equal(result.model, 'gemini-1.5-pro');
+        assert.equal(result.usage.totalCost, 0.00625);
+    });
+
+    it('fails a prompt that was never recorded', async () => {
+        await assert.rejects(provider.replay('other prompt', provider.model, Date.now()), /No recording for prompt/);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+
+const browserRenderer = require('../services/browser-renderer.service');
+
+/**
+ * Stand-in for a puppeteer Browser
+ */
+class FakeBrowser extends EventEmitter {
+    constructor() {
+        super();
+        this.connected = true;
+        this.closed = 0;
+    }
+
+    isConnected() {
+        return this.connected;
+    }
+
+    async close() {
+        this.closed++;
+        this.connected = false;
+        this.emit('disconnected');
+    }
+}
+
+describe('BrowserRendererService.getBrowser', () => {
+    let renderer;
+    let launched;
+
+    beforeEach(() => {
+        renderer = new browserRenderer.constructor();
+        launched = [];
+        mock.method(console, 'log', () => {});
+        mock.method(puppeteer, 'launch', async () => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            const browser = new FakeBrowser();
+            launched.push(browser);
+            return browser;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('launches one browser for concurrent callers', async () => {
+        const [first, second] = await Promise.all([renderer.getBrowser(), renderer.getBrowser()]);
+        assert.equal(launched.length, 1);
+        assert.equal(first, second);
+        assert.equal(await renderer.getBrowser(), first);
+    });
+
+    it('launches a new browser after a disconnect', async () => {
+        const first = await renderer.getBrowser();
+        first.connected = false;
+        first.emit('disconnected');
+        const second = await renderer.getBrowser();
+        assert.notEqual(second, first);
+        assert.equal(launched.length, 2);
+    });
+
+    it('tries again after a failed launch', async () => {
+        puppeteer.launch.mock.mockImplementationOnce(async () => {
+            throw new Error('no Chrome');
+        });
+        await assert.rejects(renderer.getBrowser(), /no Chrome/);
+        assert.ok(await renderer.getBrowser());
+        assert.equal(launched.length, 1);
+    });
+
+    it('closes the browser, also while it is still launching', async () => {
+        const starting = renderer.getBrowser();
+        await renderer.close();
+        const browser = await starting;
+        assert.equal(browser.closed, 1);
+        assert.equal(renderer.browser, null);
+        await renderer.close();
+        assert.equal(browser.closed, 1);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const extractionCache = require('../services/extraction-cache.service');
+const geminiService = require('../services/gemini.service');
+const frameProvenance = require('../services/frame-provenance.service');
+
+describe('ExtractionCacheService.normalise', () => {
+    const key = html => extractionCache.buildKey(html, { provider: 'mock', model: 'm', promptVersion: 'p' });
+
+    it('blanks the values of volatile inputs and meta tags', () => {
+        const html = '<meta name="csrf-token" content="abc123"><input type="hidden" name="_token" value="xyz">'
+            + '<input type="hidden" id="form_timestamp" value="1718000000">';
+        assert.equal(extractionCache.normalise(html),
+            '<meta name="csrf-token" content=""><input type="hidden" name="_token" value="">'
+            + '<input type="hidden" id="form_timestamp" value="">');
+    });
+
+    it('blanks nonce and token / timestamp attributes', () => {
+        assert.equal(extractionCache.normalise('<script nonce="r4nd0m"></script><form data-csrf=\'t1\' data-timestamp=1718000000>'),
+            '<script nonce=""></script><form data-csrf="" data-timestamp="">');
+    });
+
+    it('replaces ISO timestamps and cache-busting query parameters', () => {
+        assert.equal(extractionCache.normalise('<p>Rendered 2024-06-10T12:30:00Z</p><script src="/app.js?v=8f3a&x=1"></script>'),
+            '<p>Rendered <timestamp></p><script src="/app.js?v=&x=1"></script>');
+    });
+
+    it('collapses whitespace', () => {
+        assert.equal(extractionCache.normalise('  <form>\n\n   <input>\t</form> '), '<form> <input> </form>');
+    });
+
+    it('gives the same key to pages that differ only in volatile tokens', () => {
+        assert.equal(
+            key('<form><input name="csrf_token" value="a1"><script nonce="n1"></script></form>'),
+            key('<form><input name="csrf_token" value="b2"><script nonce="n2"></script></form>')
+        );
+    });
+
+    it('keeps numbers that only look like epoch timestamps', () => {
+        assert.notEqual(key('<p>Call 1555012345</p><p>Order 1712345678901</p>'), key('<p>Call 1555098765</p><p>Order 1798765432109</p>'));
+        assert.notEqual(key('<input name="phone" value="1612345678">'), key('<input name="phone" value="1687654321">'));
+    });
+
+    it('includes the key parts in the key', () => {
+        const html = '<form></form>';
+        assert.notEqual(extractionCache.buildKey(html, { provider: 'gemini' }), extractionCache.buildKey(html, { provider: 'openai' }));
+    });
+});
+
+describe('GeminiService.extractForms cache hits', () => {
+    // The same frame content served with another cache-busting query string normalises to the same key
+    const page = version => {
+        const frame = { src: `https://widgets.example.com/signup.html?v=${version}`, indexPath: [0], selector: 'body > iframe' };
+        return `<html><body><form id="search"><input name="q"></form><iframe src="${frame.src}"></iframe></body></html>\n`
+            + frameProvenance.wrap('<html><body><form id="signup"><input name="email"></form></body></html>', frame);
+    };
+    const forms = [
+        { formId: 'search', selector: '#search', frame: { indexPath: [] }, fields: [{ fieldName: 'q', fieldType: 'text', selector: '[name="q"]' }] },
+        { formId: 'signup', selector: '#signup', frame: { indexPath: [0] }, fields: [{ fieldName: 'email', fieldType: 'email', selector: '[name="email"]' }] }
+    ];
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(geminiService, 'extractChunk', async (html, options) => {
+            const result = { forms: JSON.parse(JSON.stringify(forms)), usage: {} };
+            frameProvenance.attributeForms(result.forms, html, options.pageUrl);
+            return result;
+        });
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('describes frames with the current page and frame URLs, not the ones that filled the cache', async () => {
+        const options = { provider: 'mock', mode: 'llm', preprocess: false };
+        const first = await geminiService.extractForms(page(1), { ...options, pageUrl: 'https://a.example.com/join' });
+        const second = await geminiService.extractForms(page(2), { ...options, pageUrl: 'https://b.example.com/join' });
+
+        assert.equal(first.cache.hit, false);
+        assert.equal(second.cache.hit, true);
+        assert.equal(second.cache.firstUrl, 'https://a.example.com/join');
+        assert.deepEqual(second.forms.map(form => form.frame.url), [
+            'https://b.example.com/join',
+            'https://widgets.example.com/signup.html?v=2'
+        ]);
+        assert.equal(geminiService.extractChunk.mock.callCount(), 1);
+    });
+});
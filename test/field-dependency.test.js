@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+
+const fieldDependency = require('../services/field-dependency.service');
+
+/**
+ * Run detect() on the first form of a page, naming fields by name or id
+ */
+function detect(html) {
+    const $ = cheerio.load(html);
+    const $form = $('form').first();
+    const scriptText = $('script').map((i, el) => $(el).html()).get().join('\n');
+    return fieldDependency.detect($, $form, $form.find('input, select, textarea'), scriptText, $el => $el.attr('name') || $el.attr('id'));
+}
+
+const rule = (field, dependsOn, operator, value = null, effect = 'show') => ({ field, dependsOn, effect, operator, value });
+
+describe('FieldDependencyService.detect', () => {
+    it('finds show rules from class toggles under an if condition', () => {
+        const rules = detect(`
+            <form>
+                <select name="accountType" id="accountType"><option>personal</option><option>business</option></select>
+                <div id="business" class="hidden"><input name="companyName"></div>
+            </form>
+            <script>
+                document.getElementById('accountType').addEventListener('change', function () {
+                    if (this.value === 'business') {
+                        document.getElementById('business').classList.remove('hidden');
+                    } else {
+                        document.getElementById('business').classList.add('hidden');
+                    }
+                });
+            </script>`);
+        assert.deepEqual(rules, [{ ...rule('companyName', 'accountType', 'equals', 'business'), source: 'script' }]);
+    });
+
+    it('finds enable rules from negated disabled assignments', () => {
+        const rules = detect(`
+            <form><input type="checkbox" id="hasPhone" name="hasPhone"><input name="phone" id="phone" disabled></form>
+            <script>
+                const hasPhone = document.getElementById('hasPhone');
+                hasPhone.addEventListener('change', () => {
+                    document.getElementById('phone').disabled = !hasPhone.checked;
+                });
+            </script>`);
+        assert.deepEqual(rules, [{ ...rule('phone', 'hasPhone', 'checked', null, 'enable'), source: 'script' }]);
+    });
+
+    it('follows calls to page functions with their arguments', () => {
+        const rules = detect(`
+            <form><select name="ageGroup" id="ageGroup"></select><input name="guardian" id="guardian"></form>
+            <script>
+                function toggleGuardian(show) {
+                    const guardian = document.getElementById('guardian');
+                    guardian.style.display = show ? 'block' : 'none';
+                    guardian.required = show;
+                }
+                document.getElementById('ageGroup').addEventListener('change', e => {
+                    toggleGuardian(e.target.value === 'minor');
+                });
+            </script>`);
+        assert.deepEqual(rules, [
+            { ...rule('guardian', 'ageGroup', 'equals', 'minor'), source: 'script' },
+            { ...rule('guardian', 'ageGroup', 'equals', 'minor', 'require'), source: 'script' }
+        ]);
+    });
+
+    it('reads aria-controls on checkboxes', () => {
+        const rules = detect(`
+            <form>
+                <input type="checkbox" name="newsletter" aria-controls="frequencyBox">
+                <div id="frequencyBox" hidden><select name="frequency"></select></div>
+            </form>`);
+        assert.deepEqual(rules, [{ ...rule('frequency', 'newsletter', 'checked'), source: 'aria' }]);
+    });
+
+    it('finds nothing in pages without listeners', () => {
+        assert.deepEqual(detect('<form><input name="a"><input name="b"></form><script>console.log("hi");</script>'), []);
+    });
+});
+
+describe('FieldDependencyService.isSatisfied', () => {
+    it('compares values case-insensitively', () => {
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'equals', 'Business'), { a: ' business ' }), true);
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'not-equals', 'business'), { a: 'personal' }), true);
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'in', ['x', 'y']), { a: ['z', 'y'] }), true);
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'not-in', ['x', 'y']), { a: 'x' }), false);
+    });
+
+    it('treats true and truthy strings as checked', () => {
+        ['true', 'on', 'yes', true].forEach(value => {
+            assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'checked'), { a: value }), true);
+        });
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'checked'), {}), false);
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'unchecked'), { a: false }), true);
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'equals', true), { a: 'on' }), true);
+    });
+
+    it('checks filled and empty values', () => {
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'filled'), { a: '  ' }), false);
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'filled'), { a: 0 }), true);
+        assert.equal(fieldDependency.isSatisfied(rule('b', 'a', 'empty'), { a: null }), true);
+    });
+});
+
+describe('FieldDependencyService.applyToValues', () => {
+    const form = {
+        fields: [{ fieldName: 'companySize' }, { fieldName: 'companyName' }, { fieldName: 'accountType' }, { fieldName: 'email' }],
+        dependencies: [
+            rule('companyName', 'accountType', 'equals', 'business'),
+            rule('companySize', 'companyName', 'filled'),
+            rule('email', 'accountType', 'filled', null, 'require')
+        ]
+    };
+
+    it('drops inactive fields, following chains of rules', () => {
+        const result = fieldDependency.applyToValues(form, { companySize: '10', companyName: 'Acme', accountType: 'personal', email: 'a@b.co' });
+        assert.deepEqual(result.inactiveFields, ['companySize', 'companyName']);
+        assert.deepEqual(result.values, { accountType: 'personal', email: 'a@b.co' });
+    });
+
+    it('orders values so controlling fields come first', () => {
+        const result = fieldDependency.applyToValues(form, { extra: 1, companySize: '10', companyName: 'Acme', accountType: 'business' });
+        assert.deepEqual(result.inactiveFields, []);
+        assert.deepEqual(Object.keys(result.values), ['accountType', 'companyName', 'companySize', 'extra']);
+    });
+
+    it('accepts a form without fields', () => {
+        assert.deepEqual(fieldDependency.applyToValues({ formId: 'x' }, { a: 1 }), { values: { a: 1 }, inactiveFields: [] });
+        assert.deepEqual(fieldDependency.orderFields({ formId: 'x' }), []);
+    });
+});
+
+describe('FieldDependencyService.normalise', () => {
+    it('drops rules on unknown fields and fills defaults', () => {
+        const [form] = fieldDependency.normalise([{
+            fields: [{ fieldName: 'a' }, { fieldName: 'b' }],
+            dependencies: [
+                { field: 'b', dependsOn: 'a', value: ['x', 'y'] },
+                { field: 'b', dependsOn: 'missing', operator: 'checked' },
+                { field: 'a', dependsOn: 'a', operator: 'checked' }
+            ]
+        }]);
+        assert.deepEqual(form.dependencies, [{ field: 'b', dependsOn: 'a', effect: 'show', operator: 'in', value: ['x', 'y'], source: null }]);
+    });
+});
@@ -0,0 +1,484 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const formExecutor = require('../services/form-executor.service');
+const browserRenderer = require('../services/browser-renderer.service');
+const geminiService = require('../services/gemini.service');
+
+const PAGE_URL = 'http://localhost:3000/signup';
+const API_URL = 'http://localhost:3000/api/submit-signup';
+
+/**
+ * Minimal stand-in for a DOM element: what the executor's evaluate() callbacks read and write
+ */
+function element(tag, attributes = {}, extra = {}) {
+    return {
+        tagName: tag.toUpperCase(),
+        type: attributes.type || '',
+        value: attributes.value || '',
+        checked: false,
+        disabled: false,
+        readOnly: false,
+        isContentEditable: false,
+        validity: { valid: true },
+        validationMessage: '',
+        getAttribute: name => (name in attributes ? attributes[name] : null),
+        focus() {},
+        blur() {},
+        dispatchEvent() {},
+        click() {
+            if (this.type === 'checkbox') this.checked = !this.checked;
+            if (this.type === 'radio') this.checked = true;
+        },
+        ...extra
+    };
+}
+
+/**
+ * Puppeteer ElementHandle stand-in around a fake element
+ */
+function handle(el) {
+    return {
+        evaluate: async (fn, ...args) => fn(el, ...args),
+        type: async text => { el.value += text; },
+        click: async () => el.click(),
+        select: async (...values) => { el.value = values[0]; },
+        focus: async () => {},
+        press: async key => el.onKey(key),
+        uploadFile: async file => { el.uploaded = { name: path.basename(file), exists: fs.existsSync(file) }; },
+        dispose: async () => {}
+    };
+}
+
+/**
+ * Page stand-in: `buildDom(page)` returns the page's elements by selector.
+ * Handlers call respond() / navigate() / emit('dialog') to act like the site.
+ */
+function createPage(buildDom) {
+    const listeners = {};
+    let currentUrl = 'about:blank';
+    const page = {
+        closed: false,
+        on: (event, listener) => { (listeners[event] = listeners[event] || []).push(listener); },
+        emit: (event, payload) => (listeners[event] || []).forEach(listener => listener(payload)),
+        setUserAgent: async () => {},
+        setDefaultTimeout: () => {},
+        goto: async url => { currentUrl = url; },
+        url: () => currentUrl,
+        mainFrame: () => frame,
+        waitForNetworkIdle: async () => {},
+        close: async () => { page.closed = true; },
+        navigate: url => {
+            currentUrl = url;
+            page.emit('framenavigated', frame);
+        },
+        respond: ({ method = 'POST', url = API_URL, status = 200, body = {}, postData = null }) => {
+            const request = {
+                method: () => method,
+                isNavigationRequest: () => false,
+                frame: () => frame,
+                resourceType: () => 'fetch',
+                postData: () => postData
+            };
+            page.emit('response', { request: () => request, url: () => url, status: () => status, text: async () => JSON.stringify(body) });
+        }
+    };
+    const dom = buildDom(page);
+    const frame = {
+        $$: async selector => (dom[selector] || []).map(handle),
+        $: async selector => (dom[selector] ? handle(dom[selector][0]) : null),
+        $eval: async (selector, fn) => {
+            if (!dom[selector]) throw new Error(`failed to find element matching selector "${selector}"`);
+            return fn(dom[selector][0]);
+        },
+        evaluate: async () => [],
+        childFrames: () => [],
+        url: () => currentUrl
+    };
+    page.dom = dom;
+    return page;
+}
+
+/**
+ * Run execute() against fake pages built by buildDom, one per form
+ * @returns {Promise<Object>} - { result, pages }
+ */
+async function executeOn(buildDom, forms, options = {}) {
+    const pages = [];
+    mock.method(browserRenderer, 'getBrowser', async () => ({
+        newPage: async () => {
+            const page = createPage(buildDom);
+            pages.push(page);
+            return page;
+        }
+    }));
+    const result = await formExecutor.execute({ sourceUrl: PAGE_URL, forms }, options);
+    return { result, pages };
+}
+
+const SIGNUP = {
+    formId: 'signup',
+    formType: 'traditional',
+    selector: '#signup',
+    submitType: 'button-click',
+    submitSelector: '#signup > button',
+    fields: [
+        { fieldName: 'email', fieldType: 'email', selector: '#email' },
+        { fieldName: 'plan', fieldType: 'select', selector: '#plan' },
+        { fieldName: 'contact', fieldType: 'radio', selector: 'input[name="contact"]' },
+        { fieldName: 'terms', fieldType: 'checkbox', selector: '#terms' },
+        { fieldName: 'start', fieldType: 'date', selector: '#start' },
+        { fieldName: 'resume', fieldType: 'file', selector: '#resume' },
+        { fieldName: 'nickname', fieldType: 'text', selector: '#nickname' },
+        { fieldName: 'token', fieldType: 'hidden', selector: '#token' },
+        { fieldName: 'phone', fieldType: 'tel', selector: '#phone' },
+        { fieldName: 'fax', fieldType: 'text', selector: '#fax' }
+    ],
+    suggestedValues: {
+        email: 'ada@example.com',
+        plan: 'Pro plan',
+        contact: 'mail',
+        terms: true,
+        start: '2026-11-02',
+        resume: 'cv.pdf',
+        nickname: 'ada',
+        token: 'abc',
+        fax: '555-0100'
+    }
+};
+
+function signupDom(page) {
+    const dom = {
+        '#email': [element('input', { type: 'email' })],
+        '#plan': [element('select', {}, { multiple: false, options: [{ value: 'free', text: 'Free' }, { value: 'pro', text: ' Pro plan ' }] })],
+        'input[name="contact"]': [element('input', { type: 'radio', value: 'phone' }), element('input', { type: 'radio', value: 'mail' })],
+        '#terms': [element('input', { type: 'checkbox' })],
+        '#start': [element('input', { type: 'date' })],
+        '#resume': [element('input', { type: 'file' })],
+        '#nickname': [element('input', { type: 'text' }, { disabled: true })],
+        '#token': [element('input', { type: 'hidden' })],
+        '#phone': [element('input', { type: 'tel' })],
+        '#signup': [element('form')]
+    };
+    dom['#signup > button'] = [element('button', { type: 'submit' }, {
+        click: () => page.respond({ status: 201, body: { id: 7 }, postData: JSON.stringify({ email: dom['#email'][0].value }) })
+    })];
+    return dom;
+}
+
+describe('FormExecutorService.execute', () => {
+    let result;
+    let pages;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        ({ result, pages } = await executeOn(signupDom, [SIGNUP, { formId: 'search', formType: 'traditional', fields: [] }]));
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('fills each field the way its element takes input', () => {
+        const [signup] = result.forms;
+        assert.deepEqual(signup.fields.map(field => [field.fieldName, field.status, field.action || field.reason || field.error]), [
+            ['email', 'filled', 'typed'],
+            ['plan', 'filled', 'selected'],
+            ['contact', 'filled', 'clicked'],
+            ['terms', 'filled', 'checked'],
+            ['start', 'filled', 'set'],
+            ['resume', 'filled', 'uploaded'],
+            ['nickname', 'skipped', 'disabled'],
+            ['token', 'skipped', 'not-fillable'],
+            ['phone', 'skipped', 'no-value'],
+            ['fax', 'failed', 'Element not found']
+        ]);
+
+        const { dom } = pages[0];
+        assert.equal(dom['#email'][0].value, 'ada@example.com');
+        assert.equal(dom['#plan'][0].value, 'pro');
+        assert.deepEqual(dom['input[name="contact"]'].map(radio => radio.checked), [false, true]);
+        assert.equal(dom['#terms'][0].checked, true);
+        assert.equal(dom['#start'][0].value, '2026-11-02');
+        assert.deepEqual(dom['#resume'][0].uploaded, { name: 'cv.pdf', exists: true });
+    });
+
+    it('submits with the submit control and records the request it made', () => {
+        const [signup] = result.forms;
+        assert.equal(signup.status, 'submitted');
+        assert.deepEqual(signup.submit, { type: 'button-click', selector: '#signup > button', method: 'click', triggered: true });
+        assert.deepEqual(signup.outcome.requests, [{
+            method: 'POST',
+            url: API_URL,
+            status: 201,
+            resourceType: 'fetch',
+            postData: '{"email":"ada@example.com"}',
+            body: { id: 7 }
+        }]);
+        assert.equal(signup.outcome.navigated, false);
+        assert.equal(signup.outcome.finalUrl, PAGE_URL);
+        assert.equal(signup.error, null);
+        assert.ok(pages.every(page => page.closed));
+    });
+
+    it('skips forms without suggested values and summarises the run', () => {
+        assert.equal(pages.length, 1);
+        assert.equal(result.forms[1].status, 'skipped');
+        assert.equal(result.forms[1].error, 'Form has no suggested values');
+        assert.equal(result.url, PAGE_URL);
+        assert.equal(result.summary.formsTotal, 2);
+        assert.equal(result.summary.submitted, 1);
+        assert.equal(result.summary.skipped, 1);
+        assert.equal(result.summary.fieldsFilled, 6);
+        assert.equal(result.summary.fieldsSkipped, 3);
+        assert.equal(result.summary.fieldsFailed, 1);
+    });
+
+    it('runs only the requested forms and needs a page URL', async () => {
+        const { result: only } = await executeOn(signupDom, [SIGNUP, { ...SIGNUP, formId: 'other' }], { formIds: ['other'] });
+        assert.deepEqual(only.forms.map(form => form.formId), ['other']);
+
+        await assert.rejects(formExecutor.execute({ forms: [SIGNUP] }), /A page URL is required/);
+    });
+});
+
+describe('FormExecutorService submit detection', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    const loginForm = extra => ({
+        formId: 'login',
+        formType: 'traditional',
+        selector: '#login',
+        fields: [
+            { fieldName: 'user', fieldType: 'text', selector: '#user' },
+            { fieldName: 'password', fieldType: 'password', selector: '#password' },
+            { fieldName: 'remember', fieldType: 'checkbox', selector: '#remember' }
+        ],
+        suggestedValues: { user: 'ada', password: 'S3cret!pass', remember: 'no' },
+        ...extra
+    });
+    const loginDom = page => ({
+        '#user': [element('input', { type: 'text' })],
+        '#password': [element('input', { type: 'password' }, { onKey: key => page.respond({ body: { key } }) })],
+        '#remember': [element('input', { type: 'checkbox' })],
+        '#login': [element('form', {}, { requestSubmit: () => page.navigate('http://localhost:3000/welcome') })]
+    });
+
+    it('presses Enter in the last typed field for enter-key forms', async () => {
+        const { result } = await executeOn(loginDom, [loginForm({ submitType: 'enter-key' })]);
+        const [login] = result.forms;
+
+        assert.deepEqual(login.submit, { type: 'enter-key', selector: '#password', method: 'enter-key', triggered: true });
+        assert.deepEqual(login.outcome.requests.map(request => request.body), [{ key: 'Enter' }]);
+    });
+
+    it('calls requestSubmit() on the form when there is no submit control and records the navigation', async () => {
+        const { result } = await executeOn(loginDom, [loginForm({ submitType: 'button-click' })]);
+        const [login] = result.forms;
+
+        assert.deepEqual(login.submit, { type: 'button-click', selector: null, method: 'request-submit', triggered: true });
+        assert.equal(login.outcome.navigated, true);
+        assert.equal(login.outcome.finalUrl, 'http://localhost:3000/welcome');
+    });
+
+    it('only fills auto-submit forms', async () => {
+        const { result, pages } = await executeOn(loginDom, [loginForm({ submitType: 'auto-submit' })]);
+
+        assert.equal(result.forms[0].status, 'submitted');
+        assert.deepEqual(result.forms[0].submit, { type: 'auto-submit', selector: null, method: 'auto-submit', triggered: true });
+        assert.equal(pages[0].dom['#remember'][0].checked, false);
+        assert.deepEqual(result.forms[0].outcome.requests, []);
+    });
+
+    it('reports a missing submit control, dialogs and fields the browser rejects', async () => {
+        const buildDom = page => {
+            const dom = loginDom(page);
+            dom['#user'][0].validity = { valid: false };
+            dom['#user'][0].validationMessage = 'Please lengthen this text to 8 characters or more.';
+            const goto = page.goto;
+            page.goto = async url => {
+                await goto(url);
+                page.emit('dialog', { type: () => 'alert', message: () => 'Welcome back', accept: async () => {} });
+            };
+            return dom;
+        };
+        const { result } = await executeOn(buildDom, [loginForm({ submitSelector: '#gone' })]);
+        const [login] = result.forms;
+
+        assert.equal(login.status, 'not-submitted');
+        assert.deepEqual(login.submit, { type: 'button-click', selector: '#gone', method: null, triggered: false, error: 'Submit element not found: #gone' });
+        assert.deepEqual(login.outcome.dialogs, [{ type: 'alert', message: 'Welcome back' }]);
+        assert.deepEqual(login.outcome.invalidFields, [
+            { fieldName: 'user', selector: '#user', message: 'Please lengthen this text to 8 characters or more.' }
+        ]);
+    });
+
+    it('fails the form, closing its page, when the page cannot be loaded', async () => {
+        const pages = [];
+        mock.method(browserRenderer, 'getBrowser', async () => ({
+            newPage: async () => {
+                const page = createPage(loginDom);
+                page.goto = async () => { throw new Error('net::ERR_CONNECTION_REFUSED'); };
+                pages.push(page);
+                return page;
+            }
+        }));
+        const result = await formExecutor.execute({ sourceUrl: PAGE_URL, forms: [loginForm()] });
+
+        assert.equal(result.forms[0].status, 'failed');
+        assert.equal(result.forms[0].error, 'net::ERR_CONNECTION_REFUSED');
+        assert.equal(result.summary.failed, 1);
+        assert.equal(pages[0].closed, true);
+    });
+});
+
+describe('FormExecutorService value regeneration', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    const AGE_FORM = {
+        formId: 'register',
+        formType: 'traditional',
+        selector: '#register',
+        submitType: 'button-click',
+        submitSelector: '#register > button',
+        fields: [
+            { fieldName: 'name', fieldType: 'text', selector: '#name' },
+            { fieldName: 'age', fieldType: 'number', selector: '#age' }
+        ],
+        suggestedValues: { name: 'Ada', age: '16' }
+    };
+    // The server turns down anyone under 18
+    const ageDom = page => {
+        const dom = {
+            '#name': [element('input', { type: 'text' })],
+            '#age': [element('input', { type: 'number' })]
+        };
+        dom['#register > button'] = [element('button', { type: 'submit' }, {
+            click: () => (Number(dom['#age'][0].value) < 18
+                ? page.respond({ status: 422, body: { success: false, message: 'You must be 18 or older' } })
+                : page.respond({ status: 200, body: { success: true, message: 'Registered' } }))
+        })];
+        return dom;
+    };
+
+    it('submits again with regenerated values while the form is rejected', async () => {
+        const generate = mock.method(geminiService, 'generateFieldValues', async (form, options) => ({
+            values: { ...options.attempts[options.attempts.length - 1].values, age: '21' }
+        }));
+        const { result, pages } = await executeOn(ageDom, [AGE_FORM], { maxAttempts: 3, scanOptions: { provider: 'mock' } });
+        const [register] = result.forms;
+
+        assert.equal(pages.length, 2);
+        assert.equal(generate.mock.callCount(), 1);
+        assert.deepEqual(generate.mock.calls[0].arguments, [AGE_FORM, {
+            provider: 'mock',
+            attempts: [{ values: { name: 'Ada', age: '16' }, errors: [{ message: 'You must be 18 or older', source: 'server' }] }]
+        }]);
+        assert.deepEqual(register.attempts.map(attempt => [attempt.attempt, attempt.values.age, attempt.label, attempt.errors.length]), [
+            [1, '16', 'server-rejection', 1],
+            [2, '21', 'success', 0]
+        ]);
+        assert.equal(register.classification.label, 'success');
+        assert.equal(pages[1].dom['#age'][0].value, '21');
+        assert.equal(result.summary.retried, 1);
+        generate.mock.restore();
+    });
+
+    it('stops at maxAttempts, trying once by default', async () => {
+        const generate = mock.method(geminiService, 'generateFieldValues', async () => ({ values: { name: 'Ada', age: '17' } }));
+
+        const { result: once } = await executeOn(ageDom, [AGE_FORM]);
+        assert.equal(once.forms[0].attempts.length, 1);
+        assert.equal(generate.mock.callCount(), 0);
+
+        const { result: twice } = await executeOn(ageDom, [AGE_FORM], { maxAttempts: 2 });
+        assert.deepEqual(twice.forms[0].attempts.map(attempt => [attempt.values.age, attempt.label]), [
+            ['16', 'server-rejection'],
+            ['17', 'server-rejection']
+        ]);
+        assert.equal(generate.mock.callCount(), 1);
+        generate.mock.restore();
+    });
+
+    it('keeps the last result when values cannot be regenerated', async () => {
+        const generate = mock.method(geminiService, 'generateFieldValues', async () => {
+            throw new Error('Value generation attempt limit reached (3 attempts)');
+        });
+        const { result } = await executeOn(ageDom, [AGE_FORM], { maxAttempts: 3 });
+        const [register] = result.forms;
+
+        assert.equal(register.attempts.length, 1);
+        assert.equal(register.attempts[0].regenerationError, 'Value generation attempt limit reached (3 attempts)');
+        assert.equal(register.classification.label, 'server-rejection');
+        generate.mock.restore();
+    });
+});
+
+describe('FormExecutorService multi-step forms', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('fills one step at a time, clicking each Next control but the last', async () => {
+        const clicks = [];
+        const wizardDom = () => ({
+            '#email': [element('input', { type: 'email' })],
+            '#city': [element('input', { type: 'text' })],
+            '#newsletter': [element('input', { type: 'checkbox' })],
+            '#toAddress': [element('button', { type: 'button' }, { click: () => clicks.push('#toAddress') })],
+            '#finish': [element('button', { type: 'button' }, { click: () => clicks.push('#finish') })],
+            '#signup > button': [element('button', { type: 'submit' }, { click: () => clicks.push('submit') })]
+        });
+        const wizard = {
+            formId: 'signup',
+            formType: 'traditional',
+            submitType: 'button-click',
+            submitSelector: '#signup > button',
+            fields: [
+                { fieldName: 'email', fieldType: 'email', selector: '#email' },
+                { fieldName: 'city', fieldType: 'text', selector: '#city' },
+                { fieldName: 'newsletter', fieldType: 'checkbox', selector: '#newsletter' }
+            ],
+            steps: [
+                { index: 1, title: 'About you', fieldNames: ['email'], nextSelector: '#toAddress' },
+                { index: 2, title: 'Address', fieldNames: ['city'], nextSelector: '#nextBtn' },
+                { index: 3, title: 'Check your details', fieldNames: [], nextSelector: '#finish', review: true }
+            ],
+            suggestedValues: { email: 'ada@example.com', city: 'Leeds', newsletter: true }
+        };
+        const { result, pages } = await executeOn(wizardDom, [wizard]);
+        const [signup] = result.forms;
+
+        assert.deepEqual(signup.fields.map(field => field.fieldName), ['newsletter', 'email', 'city']);
+        assert.deepEqual(signup.steps, [
+            { index: 1, title: 'About you', filled: 1, next: { selector: '#toAddress', clicked: true } },
+            { index: 2, title: 'Address', filled: 1, next: { selector: '#nextBtn', clicked: false, error: 'Next control not found: #nextBtn' } },
+            { index: 3, title: 'Check your details', filled: 0, next: null }
+        ]);
+        assert.deepEqual(clicks, ['#toAddress', 'submit']);
+        assert.equal(pages[0].dom['#city'][0].value, 'Leeds');
+        assert.equal(signup.status, 'submitted');
+    });
+});
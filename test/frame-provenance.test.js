@@ -0,0 +1,116 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const frameProvenance = require('../services/frame-provenance.service');
+const htmlFetcher = require('../services/html-fetcher.service');
+const heuristicExtractor = require('../services/heuristic-extractor.service');
+const htmlChunker = require('../services/html-chunker.service');
+
+const PAGE_URL = 'https://example.com/checkout';
+const PAYMENT_URL = 'https://pay.example.com/card?a=1&b=2';
+
+const TOP = `<html><body>
+    <form id="coupon"><input name="code"><button>Apply</button></form>
+    <iframe src="${PAYMENT_URL}"></iframe>
+</body></html>`;
+const PAYMENT = `<html><head><script>window.pay = 1;</script></head><body>
+    <form id="card"><input id="number" name="number"><input name="code"><button type="submit">Pay</button></form>
+</body></html>`;
+
+async function fetchCheckout() {
+    const log = mock.method(console, 'log', () => {});
+    const fetchUrl = mock.method(htmlFetcher, 'fetchUrl', async url => (url === PAGE_URL ? TOP : PAYMENT));
+    try {
+        return await htmlFetcher.fetchWithIframes(PAGE_URL);
+    } finally {
+        fetchUrl.mock.restore();
+        log.mock.restore();
+    }
+}
+
+describe('FrameProvenanceService.wrap', () => {
+    it('wraps a frame document in a marker with its index path, URL and element selector', () => {
+        const html = frameProvenance.wrap(PAYMENT, { src: PAYMENT_URL, indexPath: [0, 2], selector: 'div[data-x="1"] > iframe' });
+
+        assert.match(html, /^<frame-document data-frame-path="0\.2" data-frame-src="https:\/\/pay\.example\.com\/card\?a=1&amp;b=2" data-frame-selector="div\[data-x=&quot;1&quot;\] > iframe">\n/);
+        assert.match(html, /<script>window\.pay = 1;<\/script>\n\s*<form id="card">/);
+        assert.match(html, /<\/frame-document>$/);
+        assert.doesNotMatch(html, /<body|<html/);
+    });
+
+    it('keeps the frameset of a frameset document', () => {
+        const html = frameProvenance.wrap('<html><frameset><frame src="a.html"></frameset></html>', { src: 'https://example.com/f', indexPath: [1] });
+        assert.match(html, /data-frame-selector="">\n<frameset><frame src="a\.html"><\/frameset>/);
+    });
+});
+
+describe('FrameProvenanceService.attributeForms', () => {
+    let combinedHtml;
+
+    before(async () => {
+        ({ combinedHtml } = await fetchCheckout());
+    });
+
+    it('completes a claimed frame from its marker', () => {
+        const [form] = frameProvenance.attributeForms([{ formId: 'card', frame: { indexPath: [0] }, fields: [] }], combinedHtml, PAGE_URL);
+        assert.deepEqual(form.frame, { url: PAYMENT_URL, indexPath: [0], selector: 'body > iframe' });
+    });
+
+    it('places unclaimed forms where most of their selectors resolve', () => {
+        const forms = frameProvenance.attributeForms([
+            { formId: 'card', selector: '#card', fields: [{ selector: '#number' }, { selector: 'input[name="code"]' }] },
+            { formId: 'coupon', selector: '#coupon', frame: { indexPath: [7] }, fields: [{ selector: 'input[name="code"]' }] },
+            { formId: 'lost', selector: '#nowhere', fields: [] }
+        ], combinedHtml, PAGE_URL);
+
+        assert.deepEqual(forms.map(form => [form.formId, form.frame.indexPath, form.frame.url]), [
+            ['card', [0], PAYMENT_URL],
+            ['coupon', [], PAGE_URL],
+            ['lost', [], PAGE_URL]
+        ]);
+    });
+
+    it('gives every form the top document when there are no frames', () => {
+        const [form] = frameProvenance.attributeForms([{ formId: 'a', frame: { indexPath: [0] }, fields: [] }], '<form></form>', null);
+        assert.deepEqual(form.frame, { url: null, indexPath: [], selector: null });
+    });
+});
+
+describe('frame provenance through fetching and extraction', () => {
+    let page;
+
+    before(async () => {
+        page = await fetchCheckout();
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('marks each fetched frame document in the combined HTML', () => {
+        assert.match(page.combinedHtml, /<frame-document data-frame-path="0" data-frame-src="https:\/\/pay\.example\.com\/card\?a=1&amp;b=2" data-frame-selector="body > iframe">/);
+    });
+
+    it('gives heuristic forms their frame and selectors relative to that frame', () => {
+        const { forms } = heuristicExtractor.extractForms(page.combinedHtml);
+
+        assert.deepEqual(forms.map(form => [form.formId, form.frame.indexPath]), [['coupon', []], ['card', [0]]]);
+        const card = forms.find(form => form.formId === 'card');
+        assert.equal(card.frame.url, PAYMENT_URL);
+        // "code" exists in both documents, but is unique inside the frame
+        assert.deepEqual(card.fields.map(field => field.selector), ['#number', 'input[name="code"]']);
+        assert.equal(card.submitSelector, '#card > button');
+    });
+
+    it('re-wraps chunks split out of a frame document in its marker', () => {
+        const filler = `<p>${'Card terms and conditions apply. '.repeat(30)}</p>`;
+        const html = TOP + frameProvenance.wrap(`<html><body>${filler}${PAYMENT}${filler}</body></html>`, { src: PAYMENT_URL, indexPath: [0], selector: 'body > iframe' });
+        const chunks = htmlChunker.split(html, { maxChars: 1200 });
+
+        const withCard = chunks.find(chunk => chunk.html.includes('<form id="card">'));
+        assert.match(withCard.html, /<frame-document data-frame-path="0"[^\n]*><form id="card">/);
+        const { forms } = heuristicExtractor.extractForms(withCard.html);
+        assert.deepEqual(forms.find(form => form.formId === 'card').frame.indexPath, [0]);
+    });
+});
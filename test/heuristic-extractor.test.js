@@ -0,0 +1,104 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const heuristicExtractor = require('../services/heuristic-extractor.service');
+
+const PAGE = `<html><body>
+    <form id="signup" action="/api/signup">
+        <input id="email" name="email" type="email" required placeholder="you@example.com">
+        <input name="age" type="number" min="18" max="99">
+        <input name="token" type="hidden" value="abc">
+        <select name="plan"><option value="">Choose</option><option value="free">Free</option><option value="pro" selected>Pro</option></select>
+        <input type="radio" name="contact" value="phone"><input type="radio" name="contact" value="mail" required>
+        <input type="checkbox" name="terms" required>
+        <button type="submit">Sign up</button>
+    </form>
+    <input form="signup" name="referrer">
+
+    <div class="newsletter">
+        <input data-field="newsletterEmail" type="email">
+        <button>Subscribe</button>
+    </div>
+
+    <div id="prefs">
+        <input id="darkMode" type="checkbox" onchange="save()">
+        <input id="fontSize" type="range" onchange="save()">
+    </div>
+
+    <form class="demo-form"><input name="fake"><button>Go</button></form>
+    <form id="locked"><fieldset disabled><input name="a"><button>Go</button></fieldset></form>
+</body></html>`;
+
+describe('HeuristicExtractorService.extractForms', () => {
+    let result;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        result = heuristicExtractor.extractForms(PAGE);
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    const form = id => result.forms.find(item => item.formId === id);
+    const field = (formId, name) => form(formId).fields.find(item => item.fieldName === name);
+
+    it('finds form tags, formless groups and auto-submit groups, and ignores fake and disabled forms', () => {
+        assert.deepEqual(result.forms.map(item => [item.formId, item.formType]), [
+            ['signup', 'traditional'],
+            ['formless-form-2', 'formless'],
+            ['prefs', 'auto-submit']
+        ]);
+        assert.equal(result.summary.totalFunctionalForms, 3);
+        assert.equal(result.summary.formsIgnored, 2);
+        assert.equal(result.usage.totalCost, 0);
+    });
+
+    it('describes fields with types, validation and defaults, skipping hidden inputs', () => {
+        assert.deepEqual(form('signup').fields.map(item => [item.fieldName, item.fieldType]), [
+            ['email', 'email'],
+            ['age', 'number'],
+            ['plan', 'select'],
+            ['contact', 'radio'],
+            ['terms', 'checkbox'],
+            ['referrer', 'text']
+        ]);
+        assert.equal(field('signup', 'email').required, true);
+        assert.equal(field('signup', 'email').placeholder, 'you@example.com');
+        assert.equal(field('signup', 'email').selector, '#email');
+        assert.deepEqual(field('signup', 'age').validation, { min: 18, max: 99, type: 'number' });
+        assert.deepEqual(field('signup', 'plan').options, ['free', 'pro']);
+        assert.equal(field('signup', 'plan').defaultValue, 'pro');
+    });
+
+    it('collapses radio groups and treats a lone checkbox as a boolean', () => {
+        const contact = field('signup', 'contact');
+        assert.deepEqual(contact.options, ['phone', 'mail']);
+        assert.equal(contact.required, true);
+        assert.equal(contact.selector, 'input[type="radio"][name="contact"]');
+        assert.equal(field('signup', 'terms').options, null);
+    });
+
+    it('picks the submit button, or how a button-less group submits', () => {
+        assert.equal(form('signup').submitType, 'button-click');
+        assert.equal(form('signup').submitSelector, '#signup > button');
+        assert.equal(form('formless-form-2').submitSelector, 'body > div:nth-of-type(1) > button');
+        assert.equal(form('formless-form-2').fields[0].fieldName, 'newsletterEmail');
+        assert.equal(form('prefs').submitSelector, null);
+        assert.equal(form('prefs').submitType, 'auto-submit');
+    });
+});
+
+describe('HeuristicExtractorService.buildSelector', () => {
+    it('uses a unique id or name, else a path from the nearest ancestor with an id', () => {
+        const cheerio = require('cheerio');
+        const $ = cheerio.load('<div id="box"><p><input name="a"><input name="a"></p><input id="9lives"></div>');
+        const [first, second] = $('input[name="a"]').toArray();
+
+        assert.equal(heuristicExtractor.buildSelector($, $(first)), '#box > p > input:nth-of-type(1)');
+        assert.equal(heuristicExtractor.buildSelector($, $(second)), '#box > p > input:nth-of-type(2)');
+        assert.equal(heuristicExtractor.buildSelector($, $('[id="9lives"]')), '[id="9lives"]');
+        assert.equal(heuristicExtractor.buildSelector($, $('p')), '#box > p');
+    });
+});
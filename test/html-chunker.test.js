@@ -0,0 +1,116 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const htmlChunker = require('../services/html-chunker.service');
+const geminiService = require('../services/gemini.service');
+
+const filler = (id, size) => `<section id="${id}"><p>${'Lorem ipsum dolor sit amet. '.repeat(size)}</p></section>`;
+const form = id => `<form id="${id}"><input name="${id}-email" type="email"><input name="${id}-name"><button type="submit">Send</button></form>`;
+
+describe('HtmlChunkerService.split', () => {
+    it('keeps a page that fits the budget as one chunk', () => {
+        const html = `<html><body>${form('a')}</body></html>`;
+        assert.deepEqual(htmlChunker.split(html, { maxChars: 10000 }), [{ index: 0, html, length: html.length, oversized: false }]);
+    });
+
+    it('splits large pages at element boundaries within the budget', () => {
+        const html = `<html><body>${filler('intro', 20)}${form('first')}${filler('middle', 20)}${form('second')}${filler('outro', 20)}</body></html>`;
+        const chunks = htmlChunker.split(html, { maxChars: 800 });
+
+        assert.ok(chunks.length > 1);
+        chunks.forEach((chunk, index) => {
+            assert.equal(chunk.index, index);
+            assert.equal(chunk.length, chunk.html.length);
+            assert.ok(chunk.length <= 800, `chunk ${index} is ${chunk.length} chars`);
+            assert.match(chunk.html, /^<!-- context: body -->\n/);
+        });
+    });
+
+    it('never splits a form, even one larger than the budget', () => {
+        const fields = Array.from({ length: 40 }, (_, i) => `<div><label>Field ${i}</label><input name="f${i}"></div>`).join('');
+        const html = `<html><body>${filler('intro', 10)}<form id="big">${fields}<button>Send</button></form>${filler('outro', 10)}</body></html>`;
+        const chunks = htmlChunker.split(html, { maxChars: 500 });
+
+        const withForm = chunks.filter(chunk => chunk.html.includes('<form id="big">'));
+        assert.equal(withForm.length, 1);
+        assert.equal(withForm[0].oversized, true);
+        assert.match(withForm[0].html, /name="f0"[\s\S]*name="f39"[\s\S]*<\/form>/);
+        assert.ok(chunks.every(chunk => chunk === withForm[0] || !chunk.html.includes('name="f')));
+    });
+
+    it('keeps formless containers whole and labels pieces with their context', () => {
+        const loose = '<div class="newsletter"><input name="email"><input name="name"><button>Subscribe</button></div>';
+        const html = `<html><body><main id="content">${filler('a', 15)}${loose}${filler('b', 15)}</main></body></html>`;
+        const chunks = htmlChunker.split(html, { maxChars: 600 });
+
+        const withGroup = chunks.filter(chunk => chunk.html.includes('class="newsletter"'));
+        assert.equal(withGroup.length, 1);
+        assert.ok(withGroup[0].html.includes(loose));
+        assert.match(withGroup[0].html, /<!-- context: body > main#content -->/);
+    });
+});
+
+describe('GeminiService chunked extraction', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    const usage = totalCost => ({ inputTokens: 10, outputTokens: 5, totalTokens: 15, inputCost: 0, outputCost: 0, totalCost });
+    const extracted = (forms, confidence) => ({ summary: { confidence, formsIgnored: 1 }, forms, usage: usage(0.01), performance: {} });
+    const field = selector => ({ fieldName: selector.slice(1), fieldType: 'text', selector });
+
+    it('merges chunk results, keeping the fuller copy of a form split across chunks', async () => {
+        const results = [
+            extracted([{ formId: 'search', selector: '#search', fields: [field('#q')] }], 80),
+            extracted([
+                { formId: 'search', selector: '#search', fields: [field('#q')] },
+                { formId: 'form-1', selector: '#signup', fields: [field('#email'), field('#name')] }
+            ], 90),
+            extracted([{ formId: 'form-1', selector: '#contact', fields: [field('#message')] }], 100)
+        ];
+        mock.method(geminiService, 'extractChunk', async html => results[Number(html)]);
+
+        const chunks = [0, 1, 2].map(index => ({ index, html: String(index), length: 1, oversized: false }));
+        const result = await geminiService.extractFormsChunked(chunks, {}, 'llm', 100);
+
+        assert.deepEqual(result.forms.map(item => [item.formId, item.chunk]), [
+            ['search', 0],
+            ['form-1', 1],
+            ['form-1-chunk3', 2]
+        ]);
+        assert.equal(result.chunking.duplicatesRemoved, 1);
+        assert.deepEqual(result.summary, { totalFunctionalForms: 3, totalFields: 4, formsIgnored: 3, confidence: 90 });
+        assert.equal(result.usage.totalTokens, 45);
+        assert.equal(result.usage.totalCost, 0.03);
+    });
+
+    it('reports a failed chunk without failing the request', async () => {
+        mock.method(geminiService, 'extractChunk', async html => {
+            if (html === 'bad') throw new Error('Model timeout');
+            return extracted([{ formId: 'a', selector: '#a', fields: [field('#x')] }], 70);
+        });
+
+        const chunks = [{ index: 0, html: 'good', length: 4, oversized: false }, { index: 1, html: 'bad', length: 3, oversized: true }];
+        const result = await geminiService.extractFormsChunked(chunks, {}, 'llm', 100);
+
+        assert.equal(result.forms.length, 1);
+        assert.deepEqual(result.chunking.chunks.map(chunk => [chunk.index, chunk.forms, chunk.oversized, chunk.error]), [
+            [0, 1, false, undefined],
+            [1, 0, true, 'Model timeout']
+        ]);
+    });
+
+    it('fails when every chunk fails', async () => {
+        mock.method(geminiService, 'extractChunk', async () => {
+            throw new Error('Model timeout');
+        });
+
+        const chunks = [{ index: 0, html: 'a', length: 1 }, { index: 1, html: 'b', length: 1 }];
+        await assert.rejects(geminiService.extractFormsChunked(chunks, {}, 'llm', 100), /all 2 chunks failed \(Model timeout\)/);
+    });
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const htmlFetcher = require('../services/html-fetcher.service');
+
+const TOP = 'https://example.com/page.html';
+
+const page = body => `<html><body>${body}</body></html>`;
+
+/**
+ * Crawl TOP with fetchUrl serving a map of URL → HTML, recording the URLs it loads.
+ * `delays` holds per-URL delays (ms) to make fetches finish out of order.
+ */
+async function crawl(documents, options = {}, delays = {}) {
+    const loaded = [];
+    const fetchUrl = mock.method(htmlFetcher, 'fetchUrl', async url => {
+        loaded.push(url);
+        if (delays[url]) await new Promise(resolve => setTimeout(resolve, delays[url]));
+        if (documents[url] === undefined) throw new Error(`HTTP 404: ${url}`);
+        return documents[url];
+    });
+    try {
+        return { ...await htmlFetcher.fetchWithIframes(TOP, options), loaded };
+    } finally {
+        fetchUrl.mock.restore();
+    }
+}
+
+const summarise = frames => frames.map(frame => ({
+    path: frame.indexPath.join('.'),
+    status: frame.status,
+    ...(frame.reason ? { reason: frame.reason } : {}),
+    children: summarise(frame.children)
+}));
+
+describe('HtmlFetcherService.fetchWithIframes', () => {
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('crawls nested frames and appends each document to the combined HTML', async () => {
+        const result = await crawl({
+            [TOP]: page('<iframe src="/outer.html"></iframe>'),
+            'https://example.com/outer.html': '<html><frameset><frame src="inner.html"></frameset></html>',
+            'https://example.com/inner.html': page('<form id="inner"></form>')
+        });
+
+        assert.deepEqual(summarise(result.stats.frames), [
+            { path: '0', status: 'fetched', children: [{ path: '0.0', status: 'fetched', children: [] }] }
+        ]);
+        assert.equal(result.stats.frames[0].children[0].tag, 'frame');
+        assert.deepEqual(result.iframes.map(frame => frame.src), ['https://example.com/outer.html', 'https://example.com/inner.html']);
+        assert.match(result.combinedHtml, /IFRAME 2 CONTENT: https:\/\/example\.com\/inner\.html[\s\S]*<form id="inner">/);
+    });
+
+    it('stops at the depth limit', async () => {
+        const result = await crawl({
+            [TOP]: page('<iframe src="/a.html"></iframe>'),
+            'https://example.com/a.html': page('<iframe src="/b.html"></iframe>'),
+            'https://example.com/b.html': page('<iframe src="/c.html"></iframe>')
+        }, { maxFrameDepth: 2 });
+
+        assert.deepEqual(summarise(result.stats.frames), [
+            { path: '0', status: 'fetched', children: [
+                { path: '0.0', status: 'fetched', children: [
+                    { path: '0.0.0', status: 'skipped', reason: 'max-depth', children: [] }
+                ] }
+            ] }
+        ]);
+        assert.equal(result.stats.skippedIframes, 1);
+        assert.ok(!result.loaded.includes('https://example.com/c.html'));
+    });
+
+    it('stops at the frame limit, shallower frames first', async () => {
+        const result = await crawl({
+            [TOP]: page('<iframe src="/a.html"></iframe><iframe src="/b.html"></iframe>'),
+            'https://example.com/a.html': page('<iframe src="/a1.html"></iframe>'),
+            'https://example.com/b.html': page('')
+        }, { maxFrames: 2 });
+
+        assert.deepEqual(summarise(result.stats.frames), [
+            { path: '0', status: 'fetched', children: [{ path: '0.0', status: 'skipped', reason: 'max-frames', children: [] }] },
+            { path: '1', status: 'fetched', children: [] }
+        ]);
+        assert.equal(result.stats.totalIframes, 2);
+    });
+
+    it('inlines srcdoc documents, which take precedence over src', async () => {
+        const result = await crawl({
+            [TOP]: page('<iframe src="/ignored.html" srcdoc="<form id=&quot;inline&quot;><iframe src=&quot;nested.html&quot;></iframe></form>"></iframe>'),
+            'https://example.com/nested.html': page('<p>nested</p>')
+        });
+
+        assert.deepEqual(summarise(result.stats.frames), [
+            { path: '0', status: 'inline', children: [{ path: '0.0', status: 'fetched', children: [] }] }
+        ]);
+        assert.equal(result.stats.frames[0].src, 'about:srcdoc');
+        assert.equal(result.stats.frames[0].origin, 'https://example.com');
+        assert.equal(result.stats.frames[0].sameOrigin, true);
+        assert.deepEqual(result.loaded, [TOP, 'https://example.com/nested.html']);
+        assert.match(result.combinedHtml, /<form id="inline">/);
+    });
+
+    it('resolves relative srcs against <base href>', async () => {
+        const result = await crawl({
+            [TOP]: '<html><head><base href="https://cdn.example.com/widgets/"></head><body><iframe src="form.html"></iframe></body></html>',
+            'https://cdn.example.com/widgets/form.html': page('<form></form>')
+        });
+
+        assert.equal(result.stats.frames[0].src, 'https://cdn.example.com/widgets/form.html');
+        assert.equal(result.stats.frames[0].status, 'fetched');
+    });
+
+    it('skips empty, javascript: and about:blank frames', async () => {
+        const result = await crawl({
+            [TOP]: page('<iframe></iframe><iframe src="javascript:void(0)"></iframe><iframe src="about:blank"></iframe>')
+        });
+
+        assert.deepEqual(result.stats.frames, []);
+        assert.deepEqual(result.loaded, [TOP]);
+    });
+
+    describe('de-duplication', () => {
+        it('fetches a repeated URL once, ignoring the fragment and the top page', async () => {
+            const result = await crawl({
+                [TOP]: page('<iframe src="/a.html"></iframe><iframe src="/a.html#second"></iframe><iframe src="/page.html"></iframe>'),
+                'https://example.com/a.html': page('')
+            });
+
+            assert.deepEqual(result.stats.frames.map(frame => [frame.status, frame.duplicateOf]), [
+                ['fetched', undefined],
+                ['duplicate', [0]],
+                ['duplicate', []]
+            ]);
+            assert.deepEqual(result.loaded, [TOP, 'https://example.com/a.html']);
+        });
+
+        it('assigns duplicates in document order, whichever fetch finishes first', async () => {
+            const documents = {
+                [TOP]: page('<iframe src="/slow.html"></iframe><iframe src="/fast.html"></iframe>'),
+                'https://example.com/slow.html': page('<iframe src="/shared.html"></iframe>'),
+                'https://example.com/fast.html': page('<iframe src="/shared.html"></iframe>'),
+                'https://example.com/shared.html': page('')
+            };
+            const result = await crawl(documents, {}, { 'https://example.com/slow.html': 20 });
+
+            assert.deepEqual(summarise(result.stats.frames), [
+                { path: '0', status: 'fetched', children: [{ path: '0.0', status: 'fetched', children: [] }] },
+                { path: '1', status: 'fetched', children: [{ path: '1.0', status: 'duplicate', children: [] }] }
+            ]);
+            assert.deepEqual(result.stats.frames[1].children[0].duplicateOf, [0, 0]);
+        });
+    });
+
+    describe('origins', () => {
+        const documents = {
+            [TOP]: page('<iframe src="/own.html"></iframe><iframe src="https://pay.example.net/checkout"></iframe>'),
+            'https://example.com/own.html': page(''),
+            'https://pay.example.net/checkout': page('<form id="card"></form>')
+        };
+
+        it('records each frame\'s origin and whether it is the page\'s', async () => {
+            const result = await crawl(documents);
+
+            assert.deepEqual(result.stats.frames.map(frame => [frame.origin, frame.sameOrigin, frame.status]), [
+                ['https://example.com', true, 'fetched'],
+                ['https://pay.example.net', false, 'fetched']
+            ]);
+            assert.equal(result.stats.crossOrigin, 'fetch');
+            assert.deepEqual(result.iframes.map(frame => frame.sameOrigin), [true, false]);
+        });
+
+        it('leaves cross-origin frames unfetched with crossOrigin "skip"', async () => {
+            const result = await crawl(documents, { crossOrigin: 'skip' });
+
+            assert.deepEqual(summarise(result.stats.frames), [
+                { path: '0', status: 'fetched', children: [] },
+                { path: '1', status: 'skipped', reason: 'cross-origin', children: [] }
+            ]);
+            assert.ok(!result.loaded.includes('https://pay.example.net/checkout'));
+            assert.doesNotMatch(result.combinedHtml, /id="card"/);
+        });
+    });
+});
+
+describe('HtmlFetcherService.toFrameNodes', () => {
+    it('drops the content of rendered cross-origin frames with crossOrigin "skip"', () => {
+        const parentHtml = page('<iframe srcdoc="<p>inline</p>"></iframe><iframe src="https://ads.example.org/"></iframe>');
+        const rendered = [
+            { elementIndex: 0, src: 'about:srcdoc', depth: 1, status: 'inline', content: '<p>inline</p>', children: [] },
+            { elementIndex: 1, src: 'https://ads.example.org/', depth: 1, status: 'fetched', content: '<form></form>', children: [] }
+        ];
+        const state = { topOrigin: 'https://example.com', crossOrigin: 'skip' };
+
+        const nodes = htmlFetcher.toFrameNodes(rendered, parentHtml, TOP, { origin: state.topOrigin, indexPath: [] }, state);
+
+        assert.deepEqual(nodes.map(node => [node.origin, node.sameOrigin, node.status, node.reason, node.content]), [
+            ['https://example.com', true, 'inline', undefined, '<p>inline</p>'],
+            ['https://ads.example.org', false, 'skipped', 'cross-origin', undefined]
+        ]);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const htmlMinifier = require('../services/html-minifier.service');
+
+const PAGE = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <link rel="stylesheet" href="site.css">
+    <style>.card { color: red; }</style>
+    <script src="analytics.js"></script>
+</head>
+<body>
+    <nav><a href="/">Home</a></nav>
+    <!-- marketing banner -->
+    <!-- IFRAME: payment -->
+    <img src="https://example.com/pixel.gif" width="1" height="1">
+    <svg viewBox="0 0 10 10"><path d="M0 0L10 10"></path></svg>
+    <form id="signup" action="/api/signup" method="post" style="margin: 0; display: none" data-step="1">
+        <label for="email">Email</label>
+        <input id="email" name="email" type="email" required="" aria-describedby="email-hint" tabindex="2">
+        <textarea name="address">Line one
+    Line two</textarea>
+        <pre>  keep   this  </pre>
+        <button type="submit" onclick="track()">Sign up</button>
+    </form>
+    <script>
+        document.getElementById('signup').addEventListener('submit', event => {
+            fetch('/api/signup', { body: '<b>a</b>   <i>b</i>\\n\\n  c' });
+        });
+    </script>
+    <footer>Copyright</footer>
+</body>
+</html>`;
+
+describe('HtmlMinifierService.minify', () => {
+    const { html, stats } = htmlMinifier.minify(PAGE);
+
+    it('drops markup that never affects extraction', () => {
+        assert.doesNotMatch(html, /<meta|site\.css|<style|analytics\.js|<nav|<footer|pixel\.gif|marketing banner|<path/);
+        assert.match(html, /<svg><\/svg>/);
+        assert.deepEqual(stats.removed, { scripts: 1, styles: 1, svgs: 1, trackingPixels: 1, comments: 1, noiseBlocks: 2, attributes: 2 });
+        assert.ok(stats.minifiedChars < stats.originalChars);
+    });
+
+    it('keeps what selectors and validations depend on', () => {
+        assert.match(html, /<!-- IFRAME: payment -->/);
+        assert.match(html, /<form id="signup" action="\/api\/signup" method="post" style="display: none" data-step="1">/);
+        assert.match(html, /<input id="email" name="email" type="email" required="" aria-describedby="email-hint">/);
+        assert.match(html, /<button type="submit" onclick="track\(\)">Sign up<\/button>/);
+    });
+
+    it('leaves the contents of scripts, textareas and <pre> untouched', () => {
+        assert.match(html, /fetch\('\/api\/signup', \{ body: '<b>a<\/b>   <i>b<\/i>\\n\\n  c' \}\);\n {8}\}\);\n {4}<\/script>/);
+        assert.match(html, /<textarea name="address">Line one\n {4}Line two<\/textarea>/);
+        assert.match(html, /<pre> {2}keep {3}this {2}<\/pre>/);
+    });
+
+    it('collapses whitespace between other tags', () => {
+        assert.match(html, /<label for="email">Email<\/label> <input/);
+        assert.match(html, /<body> <!-- IFRAME: payment --> <svg><\/svg> <form /);
+        assert.match(html, /<\/textarea> <pre>/);
+        assert.match(html, /<\/button> <\/form> <script>/);
+    });
+
+    it('honours options that turn steps off', () => {
+        const kept = htmlMinifier.minify(PAGE, { removeStyles: false, removeComments: false, stripAttributes: false });
+        assert.match(kept.html, /<style>\.card \{ color: red; \}<\/style>/);
+        assert.match(kept.html, /marketing banner/);
+        assert.match(kept.html, /tabindex="2"/);
+    });
+});
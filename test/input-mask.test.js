@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const inputMask = require('../services/input-mask.service');
+
+const field = (fieldName, validation) => ({ fieldName, validation });
+
+describe('InputMaskService.check', () => {
+    const phone = field('phone', { mask: '(999) 999-9999' });
+
+    it('accepts a value that fits the mask and unmasks it', () => {
+        assert.deepEqual(inputMask.check(phone, '(555) 234-8821'), {
+            fieldName: 'phone', value: '(555) 234-8821', unmaskedValue: '5552348821', valid: true, fixed: false, errors: []
+        });
+    });
+
+    it('puts raw characters through the mask', () => {
+        const result = inputMask.check(phone, '555.234.8821');
+        assert.equal(result.value, '(555) 234-8821');
+        assert.equal(result.fixed, true);
+        assert.equal(result.valid, true);
+    });
+
+    it('reports values with the wrong number of characters', () => {
+        const result = inputMask.check(phone, '555-1234');
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors, ['does not fit mask "(999) 999-9999"']);
+        assert.equal(result.value, '555-1234');
+    });
+
+    it('handles letter and alphanumeric slots', () => {
+        const postcode = field('postcode', { mask: 'a9a 9a9' });
+        assert.equal(inputMask.check(postcode, 'k1a0b1').value, 'k1a 0b1');
+        assert.equal(inputMask.check(field('code', { mask: '***-***' }), 'AB1C23').value, 'AB1-C23');
+    });
+
+    it('reformats currency, numbers and percentages', () => {
+        const amount = inputMask.check(field('amount', { format: 'currency' }), '1234.5');
+        assert.equal(amount.value, '$1,234.50');
+        assert.equal(amount.unmaskedValue, '1234.50');
+        assert.equal(inputMask.check(field('count', { format: 'integer' }), '1234567.4').value, '1,234,567');
+        assert.equal(inputMask.check(field('rate', { format: 'percent' }), '12.5').value, '12.5%');
+    });
+
+    it('rewrites ISO dates into the date format', () => {
+        const date = field('start', { format: 'MM/DD/YYYY' });
+        assert.equal(inputMask.check(date, '2025-03-09').value, '03/09/2025');
+        assert.equal(inputMask.check(date, '03/09/2025').fixed, false);
+        assert.deepEqual(inputMask.check(date, '13/40/2025').errors, ['does not match format "MM/DD/YYYY"']);
+        assert.equal(inputMask.check(field('start', { format: 'DD.MM.YY' }), '2025-03-09').value, '09.03.25');
+    });
+
+    it('checks the pattern after reformatting', () => {
+        const code = field('code', { mask: '999-999', pattern: '1\\d{2}-\\d{3}' });
+        assert.equal(inputMask.check(code, '123456').valid, true);
+        assert.deepEqual(inputMask.check(code, '223456').errors, ['does not match pattern 1\\d{2}-\\d{3}']);
+    });
+
+    it('leaves empty, boolean and list values alone', () => {
+        [null, '', true, ['a']].forEach(value => {
+            assert.equal(inputMask.check(phone, value).valid, true);
+            assert.equal(inputMask.check(phone, value).value, value);
+        });
+    });
+
+    it('ignores unknown formats and invalid patterns', () => {
+        assert.equal(inputMask.check(field('x', { format: 'roman' }), 'XIV').valid, true);
+        assert.equal(inputMask.check(field('x', { pattern: '([' }), 'anything').valid, true);
+    });
+});
+
+describe('InputMaskService.applyToValues', () => {
+    it('checks only fields with rules and keeps the value order', () => {
+        const fields = [
+            field('name', {}),
+            field('phone', { mask: '(999) 999-9999' }),
+            field('amount', { format: 'currency' }),
+            field('code', { pattern: '[A-Z]{3}' })
+        ];
+        const result = inputMask.applyToValues(fields, { name: 'Ann', phone: '5552348821', amount: '$10.00', code: 'abc' });
+        assert.deepEqual(result.values, { name: 'Ann', phone: '(555) 234-8821', amount: '$10.00', code: 'abc' });
+        assert.deepEqual(result.unmaskedValues, { phone: '5552348821', amount: '10.00' });
+        assert.deepEqual(result.checks, [
+            { fieldName: 'phone', valid: true, fixed: true, errors: [] },
+            { fieldName: 'amount', valid: true, fixed: false, errors: [] },
+            { fieldName: 'code', valid: false, fixed: false, errors: ['does not match pattern [A-Z]{3}'] }
+        ]);
+    });
+});
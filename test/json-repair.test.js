@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const jsonRepair = require('../services/json-repair.service');
+
+describe('JsonRepairService.parse', () => {
+    it('parses strict JSON without repairs', () => {
+        assert.deepEqual(jsonRepair.parse('{"forms": []}'), { data: { forms: [] }, repairs: [] });
+    });
+
+    it('strips code fences and leading prose', () => {
+        const result = jsonRepair.parse('Here you go:\n```json\n{"a": 1}\n```');
+        assert.deepEqual(result.data, { a: 1 });
+        assert.ok(result.repairs.includes('stripped-code-fence'));
+    });
+
+    it('strips an unclosed code fence', () => {
+        assert.deepEqual(jsonRepair.parse('```json\n{"a": 1}').data, { a: 1 });
+    });
+
+    it('strips text after the object', () => {
+        const result = jsonRepair.parse('{"a": 1} Let me know if you need more.');
+        assert.deepEqual(result.data, { a: 1 });
+        assert.ok(result.repairs.includes('stripped-trailing-text'));
+    });
+
+    it('normalises trailing commas, single quotes, comments, unquoted keys and Python literals', () => {
+        const text = `{
+            // the form
+            formId: 'contact',
+            'required': True, /* flag */
+            extra: None,
+            list: [1, 2,],
+        }`;
+        const result = jsonRepair.parse(text);
+        assert.deepEqual(result.data, { formId: 'contact', required: true, extra: null, list: [1, 2] });
+        assert.ok(result.repairs.includes('normalised-near-json'));
+    });
+
+    it('keeps quotes, escapes and comment markers inside strings', () => {
+        const result = jsonRepair.parse("{'label': 'It\\'s // not a comment', url: \"http://x.test/a\",}");
+        assert.deepEqual(result.data, { label: "It's // not a comment", url: 'http://x.test/a' });
+    });
+
+    it('keeps raw newlines inside strings', () => {
+        assert.deepEqual(jsonRepair.parse('{"text": "line 1\nline 2",}').data, { text: 'line 1\nline 2' });
+    });
+
+    it('closes output truncated inside a string', () => {
+        const result = jsonRepair.parse('{"forms": [{"formId": "a", "fields": [{"fieldName": "em');
+        assert.deepEqual(result.data, { forms: [{ formId: 'a', fields: [{ fieldName: 'em' }] }] });
+        assert.ok(result.repairs.includes('closed-truncated-json'));
+    });
+
+    it('backs off to the last complete value when truncated after a key', () => {
+        const result = jsonRepair.parse('{"forms": [{"formId": "a"}, {"formId": "b", "fields":');
+        assert.deepEqual(result.data, { forms: [{ formId: 'a' }, { formId: 'b' }] });
+    });
+
+    it('throws when there is no JSON at all', () => {
+        assert.throws(() => jsonRepair.parse('Sorry, I cannot help with that.'), /No JSON object found/);
+        assert.throws(() => jsonRepair.parse(''), /No JSON object found/);
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MockProvider = require('../services/providers/mock.provider');
+
+describe('MockProvider', () => {
+    let dir;
+    const env = { dir: process.env.MOCK_RECORDINGS_DIR, allow: process.env.MOCK_ALLOW_DEFAULTS };
+
+    const createProvider = allowDefaults => {
+        process.env.MOCK_RECORDINGS_DIR = dir;
+        if (allowDefaults) process.env.MOCK_ALLOW_DEFAULTS = allowDefaults;
+        else delete process.env.MOCK_ALLOW_DEFAULTS;
+        return new MockProvider();
+    };
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-provider-'));
+        fs.writeFileSync(path.join(dir, `${MockProvider.hashPrompt('recorded prompt')}.json`), JSON.stringify({
+            kind: 'extraction',
+            provider: 'gemini',
+            model: 'gemini-1.5-pro',
+            response: { text: '{"forms": []}', inputTokens: 10, outputTokens: 3 }
+        }));
+        fs.mkdirSync(path.join(dir, 'defaults'));
+        fs.writeFileSync(path.join(dir, 'defaults', 'extraction.json'), JSON.stringify({
+            kind: 'extraction',
+            provider: 'mock',
+            model: 'synthetic',
+            response: { text: '{"forms": ["canned"]}' }
+        }));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        if (env.dir === undefined) delete process.env.MOCK_RECORDINGS_DIR;
+        else process.env.MOCK_RECORDINGS_DIR = env.dir;
+        if (env.allow === undefined) delete process.env.MOCK_ALLOW_DEFAULTS;
+        else process.env.MOCK_ALLOW_DEFAULTS = env.allow;
+    });
+
+    it('replays the recording of a prompt with its token counts', async () => {
+        const result = await createProvider().generate('recorded prompt', { kind: 'extraction' });
+        assert.equal(result.text, '{"forms": []}');
+        assert.equal(result.usage.inputTokens, 10);
+        assert.equal(result.usage.outputTokens, 3);
+    });
+
+    it('fails a prompt without a recording', async () => {
+        await assert.rejects(
+            createProvider().generate('unknown prompt', { kind: 'extraction' }),
+            /No recorded response for prompt [0-9a-f]{12} \(kind: extraction\)/
+        );
+    });
+
+    it('answers with the synthetic defaults only when MOCK_ALLOW_DEFAULTS is set', async () => {
+        const result = await createProvider('1').generate('unknown prompt', { kind: 'extraction' });
+        assert.equal(result.text, '{"forms": ["canned"]}');
+        await assert.rejects(createProvider('1').generate('unknown prompt', { kind: 'values' }), /No recorded response/);
+    });
+});
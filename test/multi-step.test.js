@@ -0,0 +1,123 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const heuristicExtractor = require('../services/heuristic-extractor.service');
+const geminiService = require('../services/gemini.service');
+
+// Panels out of document order, a shared Back/Next bar and a review panel without fields
+const PANEL_WIZARD = `<html><body>
+<form id="signup" action="/api/signup">
+    <div class="form-step" data-step="2"><h3>Address</h3><input name="city"><input name="zip"></div>
+    <div class="form-step" data-step="1"><h3>About you</h3><input name="email" type="email"><button type="button" id="toAddress">Continue</button></div>
+    <div class="form-step" data-step="3" data-title="Check your details"><p data-review>Summary</p></div>
+    <input type="checkbox" name="newsletter">
+    <div class="controls"><button type="button" id="prevBtn">Back</button><button type="button" id="nextBtn">Next</button></div>
+    <button type="submit">Create account</button>
+</form>
+</body></html>`;
+
+// One form per step, posting through a script
+const FORM_WIZARD = `<html><body>
+<h2>Your name</h2>
+<form id="orderStep1"><input name="name"><button type="submit">Next</button></form>
+<form id="orderStep2"><h2>Delivery</h2><input name="address"><button type="submit">Next</button></form>
+<form id="surveyStep1"><input name="rating"><button type="submit">Send</button></form>
+<script>
+    hookForm('orderStep1', '/api/order-step-1');
+    hookForm('orderStep2', '/api/order-step-2');
+</script>
+</body></html>`;
+
+describe('HeuristicExtractorService multi-step forms', () => {
+    let forms;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        forms = [...heuristicExtractor.extractForms(PANEL_WIZARD).forms, ...heuristicExtractor.extractForms(FORM_WIZARD).forms];
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    const form = id => forms.find(item => item.formId === id);
+
+    it('lists panels as steps in data-step order, with their fields, titles and controls', () => {
+        const signup = form('signup');
+
+        assert.deepEqual(signup.steps.map(step => [step.index, step.title, step.fieldNames, step.review]), [
+            [1, 'About you', ['email'], false],
+            [2, 'Address', ['city', 'zip'], false],
+            [3, 'Check your details', [], true]
+        ]);
+        assert.deepEqual(signup.steps.map(step => [step.nextSelector, step.backSelector]), [
+            ['#toAddress', null],
+            ['#nextBtn', '#prevBtn'],
+            [null, '#prevBtn']
+        ]);
+        assert.equal(signup.steps[0].selector, '#signup > div:nth-of-type(2)');
+        assert.ok(signup.fields.some(field => field.fieldName === 'newsletter'));
+        assert.ok(signup.specialFeatures.includes('multi-step'));
+        assert.equal(signup.wizard, null);
+    });
+
+    it('links separate forms into a wizard only when more than one step is found', () => {
+        assert.deepEqual(form('orderStep1').wizard, { id: 'orderStep', step: 1, totalSteps: 2, title: 'Your name', submitEndpoint: '/api/order-step-1' });
+        assert.deepEqual(form('orderStep2').wizard, { id: 'orderStep', step: 2, totalSteps: 2, title: 'Delivery', submitEndpoint: '/api/order-step-2' });
+        assert.ok(form('orderStep2').specialFeatures.includes('multi-step'));
+        assert.equal(form('orderStep1').steps, null);
+
+        assert.equal(form('surveyStep1').wizard, null);
+        assert.ok(!form('surveyStep1').specialFeatures.includes('multi-step'));
+    });
+});
+
+describe('GeminiService step normalisation', () => {
+    const field = fieldName => ({ fieldName, fieldType: 'text', selector: `#${fieldName}` });
+
+    it('renumbers steps, drops unknown field names and marks empty steps as review steps', () => {
+        const [form] = geminiService.normaliseSteps([{
+            fields: [field('email'), field('city')],
+            specialFeatures: [],
+            steps: [
+                { index: 4, fieldNames: ['email', 'password'] },
+                { index: 7, fieldNames: ['city'] },
+                { index: 9, fieldNames: ['ghost'] }
+            ]
+        }]);
+
+        assert.deepEqual(form.steps.map(step => [step.index, step.fieldNames, step.review]), [
+            [1, ['email'], false],
+            [2, ['city'], false],
+            [3, [], true]
+        ]);
+        assert.deepEqual(form.specialFeatures, ['multi-step']);
+    });
+
+    it('treats a single step as a single-step form and completes wizard totals', () => {
+        const forms = geminiService.normaliseSteps([
+            { fields: [field('name')], steps: [{ fieldNames: ['name'] }], wizard: { id: 'order', step: 1 } },
+            { fields: [field('address')], steps: null, wizard: { id: 'order', step: 2 } },
+            { fields: [field('q')], steps: [], wizard: { id: 'search' } }
+        ]);
+
+        assert.equal(forms[0].steps, null);
+        assert.deepEqual(forms.map(form => form.wizard && form.wizard.totalSteps), [2, 2, null]);
+        assert.deepEqual(forms.map(form => form.specialFeatures), [['multi-step'], ['multi-step'], undefined]);
+    });
+
+    it('splits values by step, leaving out fields outside every step', () => {
+        const formData = {
+            steps: [
+                { index: 1, title: 'About you', fieldNames: ['email'] },
+                { index: 2, title: null, fieldNames: ['city', 'zip'] }
+            ]
+        };
+
+        assert.deepEqual(geminiService.groupValuesBySteps(formData, { email: 'a@b.co', city: 'Leeds', newsletter: true }), [
+            { index: 1, title: 'About you', values: { email: 'a@b.co' } },
+            { index: 2, title: null, values: { city: 'Leeds' } }
+        ]);
+        assert.equal(geminiService.groupValuesBySteps({ steps: null }, { email: 'a@b.co' }), null);
+    });
+});
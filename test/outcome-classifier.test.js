@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const outcomeClassifier = require('../services/outcome-classifier.service');
+
+/**
+ * Form execution result with a triggered submission and the given outcome
+ */
+function execution(outcome) {
+    return {
+        status: 'submitted',
+        submit: { triggered: true },
+        outcome: { requests: [], navigated: false, invalidFields: [], feedback: { appeared: [] }, dialogs: [], ...outcome }
+    };
+}
+
+const feedback = (text, extra = {}) => ({ tag: 'div', id: null, className: null, role: null, text, ...extra });
+
+describe('OutcomeClassifierService.classify', () => {
+    it('is a no-op when the submission was not triggered', () => {
+        const result = outcomeClassifier.classify({ status: 'failed', submit: { triggered: false, error: 'No submit button' } });
+        assert.equal(result.label, 'no-op');
+        assert.deepEqual(result.evidence, [{ source: 'submit', signal: 'neutral', detail: 'No submit button' }]);
+    });
+
+    it('labels rejected requests as a server rejection', () => {
+        const result = outcomeClassifier.classify(execution({
+            requests: [{ method: 'POST', url: 'http://localhost:3000/api/submit-conditional', status: 400, body: { success: false, message: 'You must be 18 or older' } }]
+        }));
+        assert.equal(result.label, 'server-rejection');
+        assert.equal(result.evidence[0].detail, 'POST /api/submit-conditional → 400: You must be 18 or older');
+    });
+
+    it('treats a 200 response with success: false as a rejection', () => {
+        const result = outcomeClassifier.classify(execution({
+            requests: [{ method: 'POST', url: 'http://localhost:3000/api/submit-noisy', status: 200, body: { success: false, error: 'terms' } }]
+        }));
+        assert.equal(result.label, 'server-rejection');
+    });
+
+    it('labels a navigation as a redirect', () => {
+        const result = outcomeClassifier.classify(execution({
+            requests: [{ method: 'POST', url: 'http://localhost:3000/api/submit-redirect', status: 200, body: { success: true } }],
+            navigated: true,
+            finalUrl: 'http://localhost:3000/success.html'
+        }));
+        assert.equal(result.label, 'redirect');
+        assert.equal(result.confidence, 'high');
+    });
+
+    it('labels an accepted request as success', () => {
+        const result = outcomeClassifier.classify(execution({
+            requests: [
+                { method: 'GET', url: 'http://localhost:3000/api/ignored', status: 500 },
+                { method: 'POST', url: 'http://localhost:3000/api/submit-simple', status: 200, body: { success: true } }
+            ],
+            feedback: { appeared: [feedback('✅ Thank you! Your message was sent.')] }
+        }));
+        assert.equal(result.label, 'success');
+        assert.equal(result.confidence, 'high');
+    });
+
+    it('labels browser-reported invalid fields as a validation error', () => {
+        const result = outcomeClassifier.classify(execution({
+            invalidFields: [{ fieldName: 'email', message: 'Please include an "@" in the email address.' }]
+        }));
+        assert.equal(result.label, 'validation-error');
+        assert.equal(result.confidence, 'high');
+    });
+
+    it('labels error feedback without a request as a validation error', () => {
+        const result = outcomeClassifier.classify(execution({
+            feedback: { appeared: [feedback('❌ Please fill in required fields.')] }
+        }));
+        assert.equal(result.label, 'validation-error');
+        assert.equal(result.confidence, 'medium');
+    });
+
+    it('does not read generic words in a confirmation as failure', () => {
+        const result = outcomeClassifier.classify(execution({
+            feedback: { appeared: [feedback('All required fields were received, thank you', { className: 'message' })] }
+        }));
+        assert.equal(result.label, 'success');
+    });
+
+    it('is a no-op when nothing observable happened', () => {
+        const result = outcomeClassifier.classify(execution({}));
+        assert.equal(result.label, 'no-op');
+        assert.equal(result.confidence, 'low');
+    });
+});
+
+describe('OutcomeClassifierService.getFeedbackSignal', () => {
+    it('judges specific failure phrases anywhere', () => {
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Email and password are required')), 'failure');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('You must agree to the terms and conditions')), 'failure');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Passwords do not match')), 'failure');
+    });
+
+    it('counts generic words as failure only on error markup', () => {
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Phone number required')), 'neutral');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Phone number required', { role: 'alert' })), 'failure');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Phone number required', { className: 'field-error' })), 'failure');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Phone number required', { ariaInvalid: true })), 'failure');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Your order must ship by Friday, thank you')), 'success');
+    });
+
+    it('falls back to classes when the text is neutral', () => {
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Done.', { className: 'alert alert-success' })), 'success');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Check the form.', { className: 'alert alert-danger' })), 'failure');
+        assert.equal(outcomeClassifier.getFeedbackSignal(feedback('Loading…')), 'neutral');
+    });
+});
+
+describe('OutcomeClassifierService.getErrors', () => {
+    it('collects errors from every source without repeats', () => {
+        const errors = outcomeClassifier.getErrors(execution({
+            invalidFields: [{ fieldName: 'age', message: 'Value must be greater than or equal to 18.' }],
+            requests: [{ method: 'POST', url: 'http://localhost:3000/api/submit', status: 422, body: { message: 'Age is invalid' } }],
+            feedback: { appeared: [feedback('❌ Age is invalid'), feedback('All required fields were received')] },
+            dialogs: [{ type: 'alert', message: 'Submission failed' }]
+        }));
+        assert.deepEqual(errors, [
+            { fieldName: 'age', message: 'Value must be greater than or equal to 18.', source: 'validation' },
+            { message: 'Age is invalid', source: 'server' },
+            { message: 'Submission failed', source: 'dialog' }
+        ]);
+    });
+});
+
+describe('OutcomeClassifierService.countLabels', () => {
+    it('counts every label, skipping missing classifications', () => {
+        const counts = outcomeClassifier.countLabels([{ label: 'success' }, null, { label: 'success' }, { label: 'no-op' }]);
+        assert.deepEqual(counts, { success: 2, 'validation-error': 0, 'server-rejection': 0, redirect: 0, 'no-op': 1 });
+    });
+});
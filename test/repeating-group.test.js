@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const repeatingGroup = require('../services/repeating-group.service');
+const heuristicExtractor = require('../services/heuristic-extractor.service');
+
+const passengers = {
+    name: 'passengers',
+    namePattern: 'passengers[{index}].{field}',
+    fields: [{ fieldName: 'fullName', fieldType: 'text', required: true }, { fieldName: 'age', fieldType: 'number', validation: { min: 0 } }],
+    minRows: 1,
+    maxRows: 3,
+    initialRows: 1
+};
+const form = {
+    formId: 'booking',
+    fields: [{ fieldName: 'email' }, { fieldName: 'passengers[0].fullName' }, { fieldName: 'passengers[0].age' }],
+    repeatingGroups: [passengers]
+};
+
+describe('RepeatingGroupService names', () => {
+    it('parses dotted and bracketed row names', () => {
+        assert.deepEqual(repeatingGroup.parseName('passengers[2].fullName'),
+            { group: 'passengers', index: 2, field: 'fullName', namePattern: 'passengers[{index}].{field}' });
+        assert.deepEqual(repeatingGroup.parseName('items[0][sku]'),
+            { group: 'items', index: 0, field: 'sku', namePattern: 'items[{index}][{field}]' });
+        assert.equal(repeatingGroup.parseName('email'), null);
+        assert.equal(repeatingGroup.parseName('tags[]'), null);
+    });
+
+    it('builds concrete names from the pattern', () => {
+        assert.equal(repeatingGroup.toFieldName(passengers, 1, 'age'), 'passengers[1].age');
+        assert.equal(repeatingGroup.toFieldName({ namePattern: 'items[{index}][{field}]' }, 0, 'sku'), 'items[0][sku]');
+    });
+});
+
+describe('RepeatingGroupService.normalise', () => {
+    it('turns concrete row names into row fields and fills in the pattern and limits', () => {
+        const [normalised] = repeatingGroup.normalise([{
+            fields: [{ fieldName: 'items[0][sku]' }, { fieldName: 'items[1][sku]' }],
+            repeatingGroups: [
+                { name: 'items', fields: [{ fieldName: 'items[0][sku]' }, { fieldName: 'sku' }, { fieldName: 'qty', fieldType: 'number' }], maxRows: 0 },
+                { name: 'items', fields: [{ fieldName: 'duplicate' }] },
+                { name: 'empty', fields: [] }
+            ]
+        }]);
+        assert.equal(normalised.repeatingGroups.length, 1);
+        const [group] = normalised.repeatingGroups;
+        assert.equal(group.namePattern, 'items[{index}][{field}]');
+        assert.deepEqual(group.fields.map(field => field.fieldName), ['sku', 'qty']);
+        assert.equal(group.minRows, 0);
+        assert.equal(group.maxRows, null);
+        assert.equal(group.initialRows, 2);
+        assert.deepEqual(normalised.specialFeatures, ['repeating-group']);
+    });
+});
+
+describe('RepeatingGroupService rows', () => {
+    it('keeps requested row counts within the group limits', () => {
+        assert.deepEqual(repeatingGroup.getRowCounts(form), { passengers: 1 });
+        assert.deepEqual(repeatingGroup.getRowCounts(form, 5), { passengers: 3 });
+        assert.deepEqual(repeatingGroup.getRowCounts(form, { passengers: 0 }), { passengers: 1 });
+    });
+
+    it('reads rows from the model groups or from concrete names', () => {
+        const fromGroups = repeatingGroup.getRows(form, {}, { passengers: [{ fullName: 'Ann', age: 30, extra: 1 }, 'bad', { fullName: 'Bob' }] });
+        assert.deepEqual(fromGroups, { passengers: [{ fullName: 'Ann', age: 30 }, { fullName: 'Bob' }] });
+
+        const fromNames = repeatingGroup.getRows(form, { email: 'a@b.co', 'passengers[1].fullName': 'Bob', 'passengers[0].age': 30 }, null);
+        assert.deepEqual(fromNames, { passengers: [{ age: 30 }, { fullName: 'Bob' }] });
+
+        assert.deepEqual(repeatingGroup.getRows(form, {}, { passengers: [{}, {}, {}] }, { passengers: 2 }), { passengers: [{}, {}] });
+    });
+
+    it('flattens rows into concrete names, replacing earlier row values', () => {
+        const values = { email: 'a@b.co', 'passengers[0].fullName': 'Old', passengers: [{ fullName: 'Old' }] };
+        const flat = repeatingGroup.flatten(form, values, { passengers: [{ fullName: 'Ann', age: 30 }, { fullName: 'Bob', age: 8 }] });
+        assert.deepEqual(flat, {
+            email: 'a@b.co',
+            'passengers[0].fullName': 'Ann',
+            'passengers[0].age': 30,
+            'passengers[1].fullName': 'Bob',
+            'passengers[1].age': 8
+        });
+    });
+
+    it('describes row fields added after extraction', () => {
+        const rowFields = repeatingGroup.getRowFields(form, { email: 'a@b.co', 'passengers[0].age': 30, 'passengers[1].age': 8, 'other[0].x': 1 });
+        assert.deepEqual(rowFields.map(field => [field.fieldName, field.selector, field.fieldType]), [['passengers[1].age', '[name="passengers[1].age"]', 'number']]);
+        assert.deepEqual(repeatingGroup.getRowFields({ formId: 'x' }, { a: 1 }), []);
+    });
+});
+
+describe('RepeatingGroupService.detect', () => {
+    it('finds the script-built passenger rows of the collection fixture', () => {
+        const html = fs.readFileSync(path.join(__dirname, '../public/collection-form.html'), 'utf-8');
+        const log = console.log;
+        console.log = () => {};
+        let result;
+        try {
+            result = heuristicExtractor.extractForms(html);
+        } finally {
+            console.log = log;
+        }
+
+        const [group] = result.forms.find(item => item.formId === 'collectionForm').repeatingGroups;
+        assert.equal(group.name, 'passengers');
+        assert.equal(group.namePattern, 'passengers[{index}].{field}');
+        assert.deepEqual(group.fields.map(field => field.fieldName), ['fullName', 'age', 'seatPreference', 'loyaltyNumber']);
+        assert.equal(group.containerSelector, '#passengersContainer');
+        assert.equal(group.rowSelector, '.passenger-card');
+        assert.equal(group.addSelector, '#addPassengerBtn');
+        assert.equal(group.removeSelector, '.passenger-card .remove-btn');
+        assert.equal(group.initialRows, 1);
+        assert.equal(group.source, 'script');
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-jobs-'));
+process.env.SCAN_JOBS_DIR = path.join(tmpDir, 'default');
+const scanJobs = require('../services/scan-job.service');
+const ScanJobService = scanJobs.constructor;
+
+describe('ScanJobService storage', () => {
+    const scheduled = [];
+    const originalSchedule = ScanJobService.prototype.schedule;
+    const createService = dir => {
+        process.env.SCAN_JOBS_DIR = dir;
+        return new ScanJobService();
+    };
+
+    before(() => {
+        // Record scheduling instead of running scans
+        ScanJobService.prototype.schedule = function (job) {
+            scheduled.push(job.id);
+        };
+    });
+
+    after(() => {
+        ScanJobService.prototype.schedule = originalSchedule;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('does not create the jobs directory until the first job is written', async () => {
+        const dir = path.join(tmpDir, 'lazy');
+        const service = createService(dir);
+        await service.ready;
+        assert.equal(fs.existsSync(dir), false);
+
+        const job = await service.create({ url: 'https://example.com/form' });
+        assert.ok(fs.existsSync(path.join(dir, `${job.id}.json`)));
+    });
+
+    it('starts with no jobs when the directory cannot be read', async () => {
+        const file = path.join(tmpDir, 'not-a-directory');
+        fs.writeFileSync(file, '');
+        const service = createService(file);
+        await service.ready;
+        assert.deepEqual(await service.list(), []);
+    });
+
+    it('skips unreadable job files and re-queues interrupted jobs', async () => {
+        const dir = path.join(tmpDir, 'restore');
+        fs.mkdirSync(dir);
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{"id": ');
+        fs.writeFileSync(path.join(dir, 'null.json'), 'null');
+        fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({
+            id: 'a', status: 'running', createdAt: '2024-01-01T00:00:00.000Z', input: { type: 'url' }, progress: { stage: 'extracting' }
+        }));
+        fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({
+            id: 'b', status: 'completed', createdAt: '2024-01-02T00:00:00.000Z', input: { type: 'url' }, progress: { stage: 'completed' }
+        }));
+
+        scheduled.length = 0;
+        const service = createService(dir);
+        const jobs = await service.list();
+        assert.deepEqual(jobs.map(job => [job.id, job.status]), [['b', 'completed'], ['a', 'queued']]);
+        assert.equal(jobs[1].restarts, 1);
+        assert.deepEqual(scheduled, ['a']);
+
+        await service.writes.get('a');
+        assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'a.json'), 'utf-8')).status, 'queued');
+    });
+
+    it('does not create a directory when the default service is required', () => {
+        assert.equal(fs.existsSync(scanJobs.dir), false);
+    });
+});
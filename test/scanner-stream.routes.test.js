@@ -0,0 +1,170 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fetch = require('node-fetch');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-stream-'));
+process.env.SCAN_JOBS_DIR = tmpDir;
+const scannerRoutes = require('../routes/scanner.routes');
+const geminiService = require('../services/gemini.service');
+const htmlFetcher = require('../services/html-fetcher.service');
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }], skipping comment lines
+ */
+function parseEvents(text) {
+    return text.split('\n\n').filter(block => block.startsWith('event:')).map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+describe('scanner streaming routes', () => {
+    let server;
+    let baseUrl;
+    const originalConsole = { log: console.log, error: console.error };
+
+    before(async () => {
+        // Keep the pipeline's logs out of the test runner's output
+        console.log = console.error = () => {};
+        const app = express();
+        app.use(bodyParser.json());
+        app.use('/api/scanner', scannerRoutes);
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/scanner`;
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    after(async () => {
+        Object.assign(console, originalConsole);
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const post = (route, body) => fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    describe('POST /analyze-complete/stream', () => {
+        it('streams extraction and form events, then the complete result', async () => {
+            mock.method(geminiService, 'analyzeFormsComplete', async (html, options) => {
+                options.onProgress('extraction', { forms: [{ formId: 'contact' }] });
+                options.onProgress('form', { index: 0, total: 1, form: { formId: 'contact', values: { email: 'a@b.co' } } });
+                return { forms: [{ formId: 'contact' }] };
+            });
+
+            const response = await post('/analyze-complete/stream', { htmlContent: '<form id="contact"></form>' });
+            const events = parseEvents(await response.text());
+
+            assert.equal(response.headers.get('content-type'), 'text/event-stream');
+            assert.deepEqual(events.map(({ event }) => event), ['extraction', 'form', 'complete']);
+            assert.deepEqual(events[1].data, { index: 0, total: 1, form: { formId: 'contact', values: { email: 'a@b.co' } } });
+            assert.equal(events[2].data.success, true);
+            assert.deepEqual(events[2].data.data, { forms: [{ formId: 'contact' }] });
+        });
+
+        it('ends the stream with an error event when the analysis fails', async () => {
+            mock.method(geminiService, 'analyzeFormsComplete', async () => {
+                throw new Error('Model unavailable');
+            });
+
+            const response = await post('/analyze-complete/stream', { htmlContent: '<form></form>' });
+
+            assert.deepEqual(parseEvents(await response.text()), [
+                { event: 'error', data: { success: false, error: 'Model unavailable' } }
+            ]);
+        });
+
+        it('rejects an invalid request with JSON before the stream opens', async () => {
+            const response = await post('/analyze-complete/stream', {});
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { success: false, error: 'HTML content is required' });
+        });
+
+        it('cancels the analysis when the client disconnects', async () => {
+            let release;
+            const extracted = new Promise(resolve => { release = resolve; });
+            const progress = new Promise(resolve => {
+                mock.method(geminiService, 'analyzeFormsComplete', async (html, options) => {
+                    await extracted;
+                    try {
+                        options.onProgress('extraction', { forms: [] });
+                        resolve(null);
+                    } catch (error) {
+                        resolve(error);
+                    }
+                    return { forms: [] };
+                });
+            });
+
+            await new Promise((resolve, reject) => {
+                const request = http.request(`${baseUrl}/analyze-complete/stream`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' }
+                }, response => {
+                    response.once('data', () => {
+                        request.destroy();
+                        resolve();
+                    });
+                });
+                request.on('error', () => {});
+                request.on('close', resolve);
+                request.end(JSON.stringify({ htmlContent: '<form></form>' }));
+                setTimeout(() => reject(new Error('stream did not open')), 2000).unref();
+            });
+            // Let the server notice the closed connection before the analysis reports progress
+            await new Promise(resolve => setTimeout(resolve, 50));
+            release();
+
+            const error = await progress;
+            assert.ok(error, 'onProgress should throw once the client is gone');
+            assert.equal(error.cancelled, true);
+        });
+    });
+
+    describe('POST /analyze-url/stream', () => {
+        it('streams the fetch event first', async () => {
+            const fetchWithIframes = mock.method(htmlFetcher, 'fetchWithIframes', async () => ({
+                combinedHtml: '<form id="signup"></form>',
+                stats: { totalIframes: 0 }
+            }));
+            mock.method(geminiService, 'analyzeFormsComplete', async (html, options) => {
+                options.onProgress('extraction', { forms: [] });
+                return { forms: [] };
+            });
+
+            const response = await post('/analyze-url/stream', { url: 'https://example.com/signup' });
+            const events = parseEvents(await response.text());
+
+            assert.deepEqual(events.map(({ event }) => event), ['fetch', 'extraction', 'complete']);
+            assert.deepEqual(events[0].data, {
+                sourceUrl: 'https://example.com/signup',
+                rendered: false,
+                htmlLength: 25,
+                iframeStats: { totalIframes: 0 }
+            });
+            assert.equal(fetchWithIframes.mock.calls[0].arguments[0], 'https://example.com/signup');
+            assert.equal(events[2].data.data.sourceUrl, 'https://example.com/signup');
+        });
+
+        it('rejects an invalid URL with JSON before the stream opens', async () => {
+            const response = await post('/analyze-url/stream', { url: 'not a url' });
+
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { success: false, error: 'Invalid URL format' });
+        });
+    });
+});
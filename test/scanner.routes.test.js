@@ -0,0 +1,107 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fetch = require('node-fetch');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-routes-'));
+process.env.SCAN_JOBS_DIR = tmpDir;
+const scannerRoutes = require('../routes/scanner.routes');
+const scanJobs = require('../services/scan-job.service');
+const geminiService = require('../services/gemini.service');
+
+describe('scanner routes', () => {
+    let server;
+    let baseUrl;
+    const created = [];
+    const originalCreate = scanJobs.create;
+    const originalCallModel = geminiService.callModelForJson;
+    const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+
+    before(async () => {
+        // Keep the pipeline's logs out of the test runner's output
+        console.log = console.warn = console.error = () => {};
+        // Capture queued jobs instead of running them
+        scanJobs.create = async request => {
+            created.push(request);
+            return { id: `job-${created.length}`, status: 'queued' };
+        };
+        // Canned model reply for value generation
+        geminiService.callModelForJson = async () => ({
+            data: { values: { email: 'test@example.com' }, metadata: { allValidationsSatisfied: true } },
+            usage: {},
+            performance: {}
+        });
+        const app = express();
+        app.use(bodyParser.json());
+        app.use('/api/scanner', scannerRoutes);
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/scanner`;
+    });
+
+    after(async () => {
+        scanJobs.create = originalCreate;
+        geminiService.callModelForJson = originalCallModel;
+        Object.assign(console, originalConsole);
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const post = async (route, body, contentType = 'application/json') => {
+        const response = await fetch(`${baseUrl}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    describe('POST /batch with the list as the body', () => {
+        it('reads boolean options, including preprocess, from the query string', async () => {
+            const { status } = await post('/batch?preprocess=false&cache=false&includeResults=true',
+                'https://example.com/a\nhttps://example.com/b', 'text/plain');
+            assert.equal(status, 202);
+            const request = created[created.length - 1];
+            assert.equal(request.scanOptions.preprocess, false);
+            assert.equal(request.scanOptions.cache, false);
+            assert.equal(request.batch.includeResults, true);
+            assert.equal(request.batch.items.length, 2);
+        });
+
+        it('rejects options that are not booleans', async () => {
+            const { status, body } = await post('/batch?preprocess=maybe', 'https://example.com/a', 'text/plain');
+            assert.equal(status, 400);
+            assert.equal(body.error, 'preprocess must be a boolean or an options object');
+        });
+    });
+
+    describe('POST /generate-values', () => {
+        it('generates values for a form without fields', async () => {
+            const { status, body } = await post('/generate-values', { formData: { formId: 'x' }, provider: 'mock' });
+            assert.equal(status, 200);
+            assert.deepEqual(body.data.values, { email: 'test@example.com' });
+            assert.equal(body.data.fieldChecks.allValid, true);
+        });
+
+        it('still needs fields to regenerate values', async () => {
+            const { status, body } = await post('/generate-values', {
+                formData: { formId: 'x' },
+                provider: 'mock',
+                attempts: [{ values: { email: 'bad' }, errors: [{ message: 'Email is invalid' }] }]
+            });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'formData must have a fields array to regenerate values');
+        });
+
+        it('rejects fields that are not an array', async () => {
+            const { status, body } = await post('/generate-values', { formData: { formId: 'x', fields: 'email' } });
+            assert.equal(status, 400);
+            assert.equal(body.error, 'formData.fields must be an array');
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const schemaValidator = require('../services/schema-validator.service');
+
+describe('SchemaValidatorService.validate', () => {
+    const schema = {
+        type: 'object',
+        required: ['items'],
+        properties: {
+            count: { type: 'integer', minimum: 0 },
+            items: { type: 'array', items: { $ref: '#/definitions/item' } }
+        },
+        definitions: {
+            item: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string' },
+                    id: { type: 'string', default: 'item-{index}' },
+                    required: { type: 'boolean', default: false },
+                    kind: { type: 'string', enum: ['a', 'b'], 'x-aliases': { alpha: 'a' }, default: 'a' },
+                    size: { type: ['number', 'null'], default: null }
+                }
+            }
+        }
+    };
+
+    it('accepts valid data and fills defaults', () => {
+        const result = schemaValidator.validate({ items: [{ name: 'x' }, { name: 'y' }] }, schema);
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.data.items, [
+            { name: 'x', id: 'item-1', required: false, kind: 'a', size: null },
+            { name: 'y', id: 'item-2', required: false, kind: 'a', size: null }
+        ]);
+        assert.deepEqual(result.coerced, []);
+    });
+
+    it('coerces unambiguous values and reports them', () => {
+        const result = schemaValidator.validate({ count: '3', items: [{ name: 7, required: 'yes', size: 'n/a' }] }, schema);
+        assert.equal(result.valid, true);
+        assert.equal(result.data.count, 3);
+        assert.deepEqual(result.data.items[0], { name: '7', id: 'item-1', required: true, kind: 'a', size: null });
+        assert.deepEqual(result.coerced.map(entry => entry.path), ['count', 'items[0].name', 'items[0].required', 'items[0].size']);
+    });
+
+    it('maps enum aliases and falls back to the default for unknown values', () => {
+        const result = schemaValidator.validate({ items: [{ name: 'x', kind: 'Alpha' }, { name: 'y', kind: 'zzz' }] }, schema);
+        assert.deepEqual(result.data.items.map(item => item.kind), ['a', 'a']);
+    });
+
+    it('drops array items that cannot be repaired and properties not in the schema', () => {
+        const result = schemaValidator.validate({ items: [{ name: 'x', colour: 'red' }, { id: 'no-name' }, 'text'] }, schema);
+        assert.equal(result.valid, true);
+        assert.deepEqual(result.data.items, [{ name: 'x', id: 'item-1', required: false, kind: 'a', size: null }]);
+        assert.deepEqual(result.dropped.map(entry => entry.path), ['items[0].colour', 'items[1]', 'items[2]']);
+    });
+
+    it('fails on a missing required property without a default', () => {
+        const result = schemaValidator.validate({ count: 1 }, schema);
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors, [{ path: 'items', message: 'is required' }]);
+    });
+
+    it('fails on values outside minimum / maximum', () => {
+        const result = schemaValidator.validate({ count: -1, items: [] }, { ...schema, required: ['count'] });
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors, [{ path: 'count', message: 'must be >= 0' }]);
+    });
+
+    it('does not modify the input', () => {
+        const data = { count: '2', items: [{ name: 'x' }] };
+        schemaValidator.validate(data, schema);
+        assert.deepEqual(data, { count: '2', items: [{ name: 'x' }] });
+    });
+
+    it('validates model output against the shipped form-extraction schema', () => {
+        const result = schemaValidator.validate({
+            forms: [{ fields: [{ fieldName: 'email', fieldType: 'email', selector: '#email', required: 'true' }], submitType: 'button' }]
+        }, schemaValidator.getSchema('form-extraction'));
+        assert.equal(result.valid, true);
+        const form = result.data.forms[0];
+        assert.equal(form.formId, 'form-1');
+        assert.equal(form.submitType, 'button-click');
+        assert.equal(form.fields[0].required, true);
+    });
+});
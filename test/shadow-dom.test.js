@@ -0,0 +1,169 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const shadowDom = require('../services/shadow-dom.service');
+const heuristicExtractor = require('../services/heuristic-extractor.service');
+const browserRenderer = require('../services/browser-renderer.service');
+
+// The same id in the page and inside the shadow root: each is unique in its own tree
+const PAGE = `<html><body>
+<signup-card id="card"><template shadowrootmode="open">
+    <form id="signup">
+        <input id="email" name="email" required>
+        <address-box><template shadowrootmode="open"><input name="zip"></template></address-box>
+        <button type="submit">Go</button>
+    </form>
+</template></signup-card>
+<form id="search"><input id="email" name="q"><button>Go</button></form>
+</body></html>`;
+
+describe('ShadowDomService.markShadowRoots', () => {
+    it('turns declarative shadow roots, nested ones included, into <shadow-root> markers', () => {
+        const { html, shadowRoots } = shadowDom.markShadowRoots(PAGE);
+
+        assert.equal(shadowRoots, 2);
+        assert.doesNotMatch(html, /<template/);
+        assert.match(html, /<signup-card id="card"><shadow-root mode="open">\s*<form id="signup">/);
+        assert.match(html, /<address-box><shadow-root mode="open"><input name="zip"><\/shadow-root><\/address-box>/);
+    });
+
+    it('counts markers the renderer already wrote and leaves other HTML untouched', () => {
+        const rendered = '<div id="host"><shadow-root mode="open"><input></shadow-root></div>';
+        assert.deepEqual(shadowDom.markShadowRoots(rendered), { html: rendered, shadowRoots: 1 });
+        assert.deepEqual(shadowDom.markShadowRoots('<form></form>'), { html: '<form></form>', shadowRoots: 0 });
+    });
+});
+
+describe('ShadowDomService selector paths', () => {
+    it('joins and splits " >>> " selector paths', () => {
+        const selectorPath = { hosts: ['#card', 'address-box'], selector: 'input[name="zip"]' };
+        assert.equal(shadowDom.toSelector(selectorPath), '#card >>> address-box >>> input[name="zip"]');
+        assert.deepEqual(shadowDom.parseSelector('#card >>>address-box>>> input[name="zip"]'), selectorPath);
+        assert.equal(shadowDom.parseSelector('#search > input'), null);
+        assert.equal(shadowDom.parseSelector(null), null);
+    });
+
+    it('fills in whichever of selector and selectorPath the model left out', () => {
+        const [form] = shadowDom.normaliseSelectors([{
+            selector: '#card >>> #signup',
+            submitSelector: '#search > button',
+            fields: [{ selector: 'ignored', selectorPath: { hosts: ['#card'], selector: '#email' } }]
+        }]);
+
+        assert.deepEqual(form.selectorPath, { hosts: ['#card'], selector: '#signup' });
+        assert.equal(form.submitSelectorPath, null);
+        assert.equal(form.fields[0].selector, '#card >>> #email');
+    });
+});
+
+describe('HeuristicExtractorService in shadow roots', () => {
+    let forms;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        forms = heuristicExtractor.extractForms(shadowDom.markShadowRoots(PAGE).html).forms;
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('addresses shadow-root elements through their hosts', () => {
+        const signup = forms.find(form => form.formId === 'signup');
+
+        assert.equal(signup.selector, '#card >>> #signup');
+        assert.equal(signup.submitSelector, '#card >>> #signup > button');
+        assert.deepEqual(signup.fields.map(field => [field.fieldName, field.selector]), [
+            ['email', '#card >>> #email'],
+            ['zip', '#card >>> #signup > address-box >>> input[name="zip"]']
+        ]);
+        assert.deepEqual(signup.fields[1].selectorPath, { hosts: ['#card', '#signup > address-box'], selector: 'input[name="zip"]' });
+    });
+
+    it('keeps plain selectors, unique within their own tree, for light-DOM forms', () => {
+        const search = forms.find(form => form.formId === 'search');
+
+        assert.equal(search.selectorPath, null);
+        assert.deepEqual(search.fields.map(field => [field.fieldName, field.selector, field.selectorPath]), [['q', '#email', null]]);
+    });
+});
+
+describe('BrowserRendererService shadow root serialisation', () => {
+    const Node = { ELEMENT_NODE: 1, TEXT_NODE: 3, COMMENT_NODE: 8 };
+
+    // Minimal live-DOM stand-ins for what serializeLiveDom reads
+    const text = data => ({ nodeType: Node.TEXT_NODE, nodeName: '#text', data });
+    const element = (tag, attributes = {}, childNodes = [], shadowRoot = null) => {
+        const node = {
+            nodeType: Node.ELEMENT_NODE,
+            nodeName: tag.toUpperCase(),
+            tagName: tag.toUpperCase(),
+            attributes: Object.entries(attributes).map(([name, value]) => ({ name, value })),
+            childNodes,
+            shadowRoot
+        };
+        childNodes.forEach(child => { child.parentNode = node; });
+        if (shadowRoot) shadowRoot.childNodes.forEach(child => { child.parentNode = shadowRoot; });
+        return node;
+    };
+
+    let html;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        const nested = { mode: 'open', childNodes: [element('input', { name: 'zip' })] };
+        const shadowRoot = {
+            mode: 'open',
+            childNodes: [element('form', { id: 'signup' }, [
+                element('input', { id: 'email', value: 'a "quoted" & value' }),
+                element('address-box', {}, [], nested)
+            ])]
+        };
+        const documentElement = element('html', {}, [element('body', {}, [
+            element('signup-card', { id: 'card' }, [text('Light <slot> text')], shadowRoot),
+            element('script', {}, [text('if (a < b) go();')])
+        ])]);
+
+        const page = {
+            setUserAgent: async () => {},
+            goto: async () => {},
+            evaluate: async fn => {
+                Object.assign(global, { Node, document: { documentElement } });
+                try {
+                    return fn();
+                } finally {
+                    delete global.Node;
+                    delete global.document;
+                }
+            },
+            mainFrame: () => ({ childFrames: () => [] }),
+            url: () => 'https://example.com/signup',
+            close: async () => {}
+        };
+        const renderer = new browserRenderer.constructor();
+        renderer.browser = { isConnected: () => true, newPage: async () => page };
+        ({ html } = await renderer.render('https://example.com/signup'));
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    it('writes each open shadow root first inside its host, nested roots included', () => {
+        assert.equal(html, '<!DOCTYPE html>\n<html><body>'
+            + '<signup-card id="card"><shadow-root mode="open"><form id="signup">'
+            + '<input id="email" value="a &quot;quoted&quot; &amp; value">'
+            + '<address-box><shadow-root mode="open"><input name="zip"></shadow-root></address-box>'
+            + '</form></shadow-root>Light &lt;slot&gt; text</signup-card>'
+            + '<script>if (a < b) go();</script>'
+            + '</body></html>');
+    });
+
+    it('produces HTML the extractor reads with shadow-piercing selectors', () => {
+        const [form] = heuristicExtractor.extractForms(html).forms;
+        assert.deepEqual(form.fields.map(field => field.selector), [
+            '#card >>> #email',
+            '#card >>> #signup > address-box >>> input[name="zip"]'
+        ]);
+    });
+});
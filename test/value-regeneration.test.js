@@ -0,0 +1,78 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const geminiService = require('../services/gemini.service');
+
+const FORM = {
+    formId: 'register',
+    fields: [
+        { fieldName: 'fullName', fieldType: 'text', selector: '#fullName' },
+        { fieldName: 'age', fieldType: 'text', selector: '#age' },
+        { fieldName: 'acceptTerms', fieldType: 'text', selector: '#acceptTerms' }
+    ],
+    suggestedValues: { fullName: 'Ada Lovelace', age: '16', acceptTerms: 'no' }
+};
+const FIRST = { values: { fullName: 'Ada Lovelace', age: '16', acceptTerms: 'no' }, errors: [] };
+
+describe('GeminiService value regeneration', () => {
+    let prompts;
+
+    before(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    // The model answers with new values for every field; only the failing ones may be used
+    const replyWith = values => {
+        prompts = [];
+        mock.method(geminiService, 'callModelForJson', async prompt => {
+            prompts.push(prompt);
+            return { data: { formId: 'register', values, metadata: { allValidationsSatisfied: true } }, usage: {}, provider: 'mock', model: 'mock-model' };
+        });
+    };
+
+    it('regenerates only the fields the errors point at and keeps the rest', async () => {
+        replyWith({ fullName: 'Grace Hopper', age: '21', acceptTerms: 'yes' });
+        const result = await geminiService.generateFieldValues(FORM, {
+            attempts: [{ ...FIRST, errors: [{ fieldName: 'age', message: 'Value must be greater than or equal to 18.', source: 'validation' }] }]
+        });
+
+        assert.deepEqual(result.values, { fullName: 'Ada Lovelace', age: '21', acceptTerms: 'no' });
+        assert.deepEqual(result.regeneratedFields, ['age']);
+        assert.deepEqual(result.attempts.map(attempt => [attempt.attempt, attempt.values.age, attempt.errors && attempt.errors.length]), [
+            [1, '16', 1],
+            [2, '21', null]
+        ]);
+        assert.match(prompts[0], /ATTEMPT 1\nValues: \{"fullName":"Ada Lovelace","age":"16","acceptTerms":"no"\}\nErrors:\n- \[age\] Value must be greater than or equal to 18\. \(validation\)/);
+        assert.match(prompts[0], /FIELDS TO FIX:\nage\n/);
+    });
+
+    it('finds failing fields mentioned by name in unattributed messages', () => {
+        const errors = [{ message: 'You must accept the terms', source: 'server' }, { message: 'Full name is too short' }];
+        assert.deepEqual(geminiService.findFailingFields(FORM, errors), ['fullName', 'acceptTerms']);
+        assert.deepEqual(geminiService.findFailingFields(FORM, [{ message: 'Something went wrong' }]), []);
+    });
+
+    it('lets the model choose the fields when the errors name none', async () => {
+        replyWith({ acceptTerms: 'yes', unknown: 'x' });
+        const result = await geminiService.generateFieldValues(FORM, {
+            attempts: [{ ...FIRST, errors: [{ message: 'Submission rejected', source: 'server' }] }]
+        });
+
+        assert.deepEqual(result.values, { fullName: 'Ada Lovelace', age: '16', acceptTerms: 'yes' });
+        assert.deepEqual(result.regeneratedFields, ['acceptTerms']);
+        assert.match(prompts[0], /FIELDS TO FIX:\nNot identified\./);
+    });
+
+    it('refuses to go past VALUE_MAX_ATTEMPTS', async () => {
+        replyWith({});
+        const attempts = Array.from({ length: geminiService.maxValueAttempts }, () => FIRST);
+
+        await assert.rejects(geminiService.generateFieldValues(FORM, { attempts }), /attempt limit reached \(3 attempts\)/);
+        assert.equal(prompts.length, 0);
+    });
+});
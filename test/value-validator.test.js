@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const valueValidator = require('../services/value-validator.service');
+
+const field = (fieldName, fieldType, extra = {}) => ({ fieldName, fieldType, required: false, validation: {}, ...extra });
+const errorsOf = (spec, value, required = false) => valueValidator.checkField(spec, value, required);
+
+describe('ValueValidatorService.checkField', () => {
+    it('checks required values', () => {
+        assert.deepEqual(errorsOf(field('name', 'text'), '  ', true), ['is required']);
+        assert.deepEqual(errorsOf(field('name', 'text'), '', false), []);
+        assert.deepEqual(errorsOf(field('terms', 'checkbox'), false, true), ['must be checked']);
+        assert.deepEqual(errorsOf(field('terms', 'checkbox'), 'on', true), []);
+        assert.deepEqual(errorsOf(field('tags', 'select'), [], true), ['is required']);
+    });
+
+    it('checks HTML5 type semantics', () => {
+        const cases = [
+            ['email', 'a@example.com', 'not-an-email', 'must be a valid email address'],
+            ['url', 'https://example.com/a', 'example.com', 'must be a valid URL (with scheme, e.g. https://)'],
+            ['number', '-1.5', '12abc', 'must be a number'],
+            ['date', '2024-02-29', '2023-02-29', 'must be a valid date (YYYY-MM-DD)'],
+            ['time', '23:59', '24:00', 'must be a valid time (HH:MM)'],
+            ['datetime-local', '2024-01-31T08:00', '2024-01-31 08:00', 'must be a valid date and time (YYYY-MM-DDTHH:MM)'],
+            ['month', '2024-12', '2024-13', 'must be a valid month (YYYY-MM)'],
+            ['week', '2024-W05', '2024-W60', 'must be a valid week (YYYY-Www)'],
+            ['tel', '+1 (555) 234-8821', '12345', 'must be a valid phone number'],
+            ['color', '#3366cc', 'blue', 'must be a color (#rrggbb)']
+        ];
+        cases.forEach(([type, valid, invalid, message]) => {
+            assert.deepEqual(errorsOf(field('f', type), valid), [], `${type}: ${valid}`);
+            assert.deepEqual(errorsOf(field('f', type), invalid), [message], `${type}: ${invalid}`);
+        });
+    });
+
+    it('uses validation.type when the field type is generic', () => {
+        assert.deepEqual(errorsOf(field('contact', 'text', { validation: { type: 'email' } }), 'nope'), ['must be a valid email address']);
+    });
+
+    it('checks min / max and length limits', () => {
+        const age = field('age', 'number', { validation: { min: 18, max: 99 } });
+        assert.deepEqual(errorsOf(age, 17), ['must be at least 18']);
+        assert.deepEqual(errorsOf(age, '100'), ['must be at most 99']);
+        assert.deepEqual(errorsOf(field('start', 'date', { validation: { min: '2024-01-01' } }), '2023-12-31'), ['must be 2024-01-01 or later']);
+        const name = field('name', 'text', { validation: { minLength: 2, maxLength: 4 } });
+        assert.deepEqual(errorsOf(name, 'a'), ['must be at least 2 characters']);
+        assert.deepEqual(errorsOf(name, 'abcde'), ['must be at most 4 characters']);
+    });
+
+    it('checks options of selects, radios and checkbox groups', () => {
+        const country = field('country', 'select', { options: ['US', 'CA'] });
+        assert.deepEqual(errorsOf(country, 'CA'), []);
+        assert.deepEqual(errorsOf(country, 'MX'), ['must be one of: US, CA']);
+        assert.deepEqual(errorsOf(field('topics', 'checkbox', { options: ['a', 'b'] }), ['a', 'c']), ['must be one of: a, b']);
+        assert.deepEqual(errorsOf(field('terms', 'checkbox', { options: ['agree'] }), true), []);
+    });
+
+    it('checks patterns and masks', () => {
+        assert.deepEqual(errorsOf(field('code', 'text', { validation: { pattern: '[A-Z]{3}' } }), 'abc'), ['does not match pattern [A-Z]{3}']);
+        assert.deepEqual(errorsOf(field('phone', 'tel', { validation: { mask: '(999) 999-9999' } }), '(555) 234-8821'), []);
+    });
+
+    it('skips file and hidden fields', () => {
+        assert.deepEqual(errorsOf(field('token', 'hidden'), 'anything', true), []);
+        assert.deepEqual(errorsOf(field('resume', 'file'), 'resume.pdf', true), []);
+    });
+});
+
+describe('ValueValidatorService.validate', () => {
+    const form = {
+        fields: [
+            field('accountType', 'select', { options: ['personal', 'business'], required: true }),
+            field('companyName', 'text'),
+            field('vatNumber', 'text'),
+            field('email', 'email', { required: true })
+        ],
+        dependencies: [
+            { field: 'companyName', dependsOn: 'accountType', effect: 'require', operator: 'equals', value: 'business' }
+        ]
+    };
+
+    it('reports pass / fail per field', () => {
+        const report = valueValidator.validate(form, { accountType: 'business', companyName: '', email: 'bad' });
+        assert.equal(report.allValid, false);
+        assert.equal(report.passed, 2);
+        assert.deepEqual(report.failed, ['companyName', 'email']);
+        assert.deepEqual(report.fields[1], { fieldName: 'companyName', valid: false, errors: ['is required'] });
+    });
+
+    it('skips inactive fields', () => {
+        const report = valueValidator.validate(form, { accountType: 'personal', email: 'a@b.co' }, ['companyName', 'vatNumber']);
+        assert.equal(report.allValid, true);
+        assert.deepEqual(report.fields.map(item => item.fieldName), ['accountType', 'email']);
+    });
+
+    it('accepts a form without fields', () => {
+        assert.deepEqual(valueValidator.validate({ formId: 'x' }, { a: 1 }), { allValid: true, passed: 0, failed: [], fields: [] });
+    });
+});
+
+describe('ValueValidatorService.repair', () => {
+    const form = {
+        fields: [
+            field('country', 'select', { options: ['US', 'CA'], required: true }),
+            field('age', 'number', { validation: { min: 18, max: 99 } }),
+            field('email', 'email', { required: true }),
+            field('name', 'text', { validation: { maxLength: 5 } }),
+            field('phone', 'tel', { validation: { mask: '(999) 999-9999' } }),
+            field('code', 'text', { validation: { pattern: '[A-Z]{3}\\d{2}' } }),
+            field('terms', 'checkbox', { required: true })
+        ]
+    };
+
+    it('replaces failing values locally where the spec allows and leaves the rest', () => {
+        const values = { country: 'ca', age: 12, email: 'nope', name: 'Alexander', phone: '123', code: 'abc', terms: false };
+        const report = valueValidator.validate(form, values);
+        const { values: repaired, repaired: names } = valueValidator.repair(form, values, report);
+
+        assert.deepEqual(names, ['country', 'age', 'email', 'name', 'phone', 'terms']);
+        assert.deepEqual(repaired, {
+            country: 'CA', age: 18, email: 'test.user@example.com', name: 'Alexa', phone: '(567) 890-1234', code: 'abc', terms: true
+        });
+        assert.deepEqual(valueValidator.validate(form, repaired).failed, ['code']);
+    });
+
+    it('puts dates inside their range', () => {
+        const start = field('start', 'date', { validation: { min: '2999-01-01' } });
+        assert.equal(valueValidator.getReplacement(start, 'soon'), '2999-01-01');
+    });
+});